@@ -20,6 +20,7 @@ const ACCOLADES = [
   { id: 'verified_athlete', label: 'VERIFIED ATHLETE', color: '#F59E0B', icon: 'checkmark-circle', description: 'Verified athlete status' },
   { id: 'founding_member', label: 'FOUNDER', color: '#D4AF37', icon: 'star', description: 'Founding member badge' },
   { id: 'challenge_master', label: 'CHALLENGE MASTER', color: '#6366F1', icon: 'trophy', description: 'Challenge champion' },
+  { id: 'challenge_admin', label: 'CHALLENGE ADMIN', color: '#4F46E5', icon: 'flag', description: 'Creates challenges and moderates entries' },
 ];
 
 export default function AccoladePickerModal({
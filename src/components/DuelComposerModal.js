@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import api from '../services/api';
+
+const METRICS = [
+  { key: 'reps', label: 'REPS' },
+  { key: 'weight', label: 'WEIGHT' },
+  { key: 'duration', label: 'TIME' },
+];
+
+const DEADLINES = [
+  { days: 1, label: '24H' },
+  { days: 3, label: '3 DAYS' },
+  { days: 7, label: '1 WEEK' },
+];
+
+// Best metric for an exercise's tracking type
+const defaultMetric = (exercise) => {
+  if (exercise?.trackingType === 'time') return 'duration';
+  if (exercise?.trackingType === 'strength') return 'weight';
+  return 'reps';
+};
+
+export default function DuelComposerModal({ visible, onClose, onCreated, opponentUsername = '' }) {
+  const insets = useSafeAreaInsets();
+  const { exercises } = useApp();
+  const { theme } = useTheme();
+  const [opponent, setOpponent] = useState(opponentUsername);
+  const [search, setSearch] = useState('');
+  const [exercise, setExercise] = useState(null);
+  const [metricType, setMetricType] = useState('reps');
+  const [deadlineDays, setDeadlineDays] = useState(3);
+  const [requiresVideo, setRequiresVideo] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const styles = createStyles(theme);
+
+  useEffect(() => {
+    if (visible) {
+      setOpponent(opponentUsername);
+      setSearch('');
+      setExercise(null);
+      setMetricType('reps');
+      setDeadlineDays(3);
+      setRequiresVideo(true);
+      setError('');
+    }
+  }, [visible, opponentUsername]);
+
+  const matches = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return (exercises || [])
+      .filter((e) => !term || e.name.toLowerCase().includes(term))
+      .slice(0, 12);
+  }, [exercises, search]);
+
+  const selectExercise = (selected) => {
+    setExercise(selected);
+    setMetricType(defaultMetric(selected));
+  };
+
+  const handleSend = async () => {
+    try {
+      setSending(true);
+      setError('');
+      const response = await api.createDuel({
+        opponentUsername: opponent.trim().replace(/^@/, ''),
+        exercise: exercise.id,
+        metricType,
+        deadline: new Date(Date.now() + deadlineDays * 24 * 60 * 60 * 1000).toISOString(),
+        requiresVideo,
+      });
+      if (response.success) {
+        onCreated?.(response.data);
+        onClose();
+      }
+    } catch (err) {
+      setError(err.message || 'Could not send the duel');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const canSend = opponent.trim() && exercise && !sending;
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+        <View style={[styles.header, { paddingTop: insets.top + 16 }]}>
+          <TouchableOpacity onPress={onClose} style={styles.headerButton}>
+            <Text style={styles.headerButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>New Duel</Text>
+          <TouchableOpacity onPress={handleSend} style={styles.headerButton} disabled={!canSend}>
+            {sending ? (
+              <ActivityIndicator size="small" color={theme.primary} />
+            ) : (
+              <Text style={[styles.headerButtonText, { color: canSend ? theme.primary : theme.textMuted, fontWeight: '800' }]}>Send</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.scroll} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {error ? (
+            <View style={styles.errorBox}>
+              <Ionicons name="alert-circle" size={16} color={theme.danger} />
+              <Text style={[styles.errorText, { color: theme.danger }]}>{error}</Text>
+            </View>
+          ) : null}
+
+          <Text style={styles.label}>OPPONENT</Text>
+          <TextInput
+            style={styles.input}
+            value={opponent}
+            onChangeText={setOpponent}
+            placeholder="Username"
+            placeholderTextColor={theme.textMuted}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+
+          <Text style={styles.label}>EXERCISE</Text>
+          <TextInput
+            style={styles.input}
+            value={search}
+            onChangeText={setSearch}
+            placeholder="Search the catalog"
+            placeholderTextColor={theme.textMuted}
+          />
+          <View style={styles.chipWrap}>
+            {matches.map((item) => {
+              const selected = exercise?.id === item.id;
+              return (
+                <TouchableOpacity
+                  key={item.id}
+                  style={[styles.chip, selected && { backgroundColor: theme.primary, borderColor: theme.primary }]}
+                  onPress={() => selectExercise(item)}
+                >
+                  <Text style={[styles.chipText, selected && { color: '#fff' }]}>{item.name}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={styles.label}>BEST SINGLE ENTRY BY</Text>
+          <View style={styles.segmentRow}>
+            {METRICS.map((metric) => (
+              <TouchableOpacity
+                key={metric.key}
+                style={[styles.segment, metricType === metric.key && { backgroundColor: theme.primary }]}
+                onPress={() => setMetricType(metric.key)}
+              >
+                <Text style={[styles.segmentText, metricType === metric.key && { color: '#fff' }]}>{metric.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>DEADLINE</Text>
+          <View style={styles.segmentRow}>
+            {DEADLINES.map((option) => (
+              <TouchableOpacity
+                key={option.days}
+                style={[styles.segment, deadlineDays === option.days && { backgroundColor: theme.primary }]}
+                onPress={() => setDeadlineDays(option.days)}
+              >
+                <Text style={[styles.segmentText, deadlineDays === option.days && { color: '#fff' }]}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity style={styles.toggleRow} onPress={() => setRequiresVideo(!requiresVideo)} activeOpacity={0.8}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.toggleTitle}>Require video proof</Text>
+              <Text style={styles.toggleHint}>Entries are verified by moderators either way.</Text>
+            </View>
+            <Ionicons
+              name={requiresVideo ? 'checkbox' : 'square-outline'}
+              size={22}
+              color={requiresVideo ? theme.primary : theme.textMuted}
+            />
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+function createStyles(theme) {
+  return StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.bgDeep,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      paddingHorizontal: 16,
+      paddingBottom: 16,
+      borderBottomWidth: 1,
+      borderBottomColor: 'rgba(255,255,255,0.05)',
+    },
+    headerButton: {
+      minWidth: 60,
+      paddingVertical: 4,
+    },
+    headerButtonText: {
+      fontSize: 15,
+      color: theme.textMuted,
+    },
+    headerTitle: {
+      fontSize: 16,
+      fontWeight: '800',
+      color: theme.textMain,
+    },
+    scroll: {
+      flex: 1,
+    },
+    content: {
+      padding: 20,
+    },
+    errorBox: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: 'rgba(255, 0, 60, 0.1)',
+      borderRadius: 8,
+      padding: 10,
+      marginBottom: 16,
+    },
+    errorText: {
+      fontSize: 13,
+      marginLeft: 8,
+      flex: 1,
+    },
+    label: {
+      fontSize: 10,
+      fontWeight: '800',
+      color: theme.textMuted,
+      letterSpacing: 1,
+      marginTop: 16,
+      marginBottom: 8,
+    },
+    input: {
+      backgroundColor: theme.bgCard,
+      borderRadius: 10,
+      borderWidth: 1,
+      borderColor: 'rgba(255,255,255,0.08)',
+      paddingHorizontal: 14,
+      paddingVertical: 12,
+      fontSize: 14,
+      color: theme.textMain,
+    },
+    chipWrap: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 8,
+      marginTop: 10,
+    },
+    chip: {
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: 'rgba(255,255,255,0.1)',
+    },
+    chipText: {
+      fontSize: 12,
+      fontWeight: '700',
+      color: theme.textMain,
+    },
+    segmentRow: {
+      flexDirection: 'row',
+      backgroundColor: theme.bgCard,
+      borderRadius: 10,
+      padding: 3,
+    },
+    segment: {
+      flex: 1,
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderRadius: 8,
+    },
+    segmentText: {
+      fontSize: 11,
+      fontWeight: '800',
+      color: theme.textMuted,
+      letterSpacing: 1,
+    },
+    toggleRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: theme.bgCard,
+      borderRadius: 10,
+      padding: 14,
+      marginTop: 24,
+    },
+    toggleTitle: {
+      fontSize: 14,
+      fontWeight: '700',
+      color: theme.textMain,
+    },
+    toggleHint: {
+      fontSize: 11,
+      color: theme.textMuted,
+      marginTop: 2,
+    },
+  });
+}
@@ -11,11 +11,13 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
+import { useApp } from '../context/AppContext';
 import { MUSCLE_GROUP_OPTIONS, LOCATION_OPTIONS, generateQuickWorkout, getWorkoutName } from '../utils/exerciseMappings';
 
 export default function QuickWorkoutModal({ visible, onClose, onGenerate }) {
   const insets = useSafeAreaInsets();
   const { theme } = useTheme();
+  const { exercises } = useApp();
   const [selectedMuscleGroup, setSelectedMuscleGroup] = useState(null);
   const [selectedLocation, setSelectedLocation] = useState('gym');
   const [isGenerating, setIsGenerating] = useState(false);
@@ -26,7 +28,7 @@ export default function QuickWorkoutModal({ visible, onClose, onGenerate }) {
     setIsGenerating(true);
     try {
       // Generate workout
-      const workout = generateQuickWorkout(selectedMuscleGroup, selectedLocation);
+      const workout = generateQuickWorkout(selectedMuscleGroup, selectedLocation, exercises);
       const workoutName = getWorkoutName(selectedMuscleGroup, selectedLocation);
 
       // Call the onGenerate callback with the workout data
@@ -218,21 +218,3 @@ export async function extractVideoFrames(videoUri, frameCount = 10) {
   // Would need to use thumbnail functionality
   return [];
 }
-
-/**
- * Alternative: Server-side blur (original approach)
- * Use this if client-side processing is too limited
- */
-export async function blurVideoServerSide(videoUrl, apiToken) {
-  const response = await fetch('https://unyield-main.onrender.com/api/videos/blur', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiToken}`,
-    },
-    body: JSON.stringify({ videoUrl }),
-  });
-
-  const data = await response.json();
-  return data.data?.blurredVideoUrl || videoUrl;
-}
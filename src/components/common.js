@@ -232,7 +232,11 @@ export const NotificationItem = ({ notification, onPress, onRead }) => {
       case 'challenge_ending': return 'time';
       case 'challenge_complete': return 'ribbon';
       case 'challenge_result': return 'flag';
+      case 'team_invite': return 'people';
+      case 'duel_challenge': return 'flash';
+      case 'duel_result': return 'ribbon';
       case 'streak_milestone': return 'flame';
+      case 'personal_record': return 'barbell';
       case 'welcome': return 'sparkles';
       case 'announcement': return 'megaphone';
       case 'admin': return 'megaphone';
@@ -1,3 +1,6 @@
+// Bundled copy of the exercise catalog. The app uses the server catalog
+// cached in AppContext; this list only covers a first launch offline.
+
 // Exercise categories
 export const EXERCISE_CATEGORIES = {
   chest: 'Chest',
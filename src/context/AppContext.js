@@ -1,11 +1,11 @@
 import React, { createContext, useContext, useEffect, useMemo, useState, useCallback } from 'react';
-import { Image } from 'react-native';
+import { AppState, Image } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from './AuthContext';
 import api from '../services/api';
-import { EXERCISES, EXERCISE_CATEGORIES } from '../constants/exercises';
+import { EXERCISES as BUNDLED_EXERCISES, EXERCISE_CATEGORIES } from '../constants/exercises';
 
-export { EXERCISES, EXERCISE_CATEGORIES };
+export { EXERCISE_CATEGORIES };
 
 // ----------------------------
 // Preloadable hoodie images
@@ -43,6 +43,7 @@ export const LS_GEMINI_KEY = 'unyield_gemini_api_key';
 export const LS_WORKOUT_VIDEOS = 'unyield_workout_videos';
 export const LS_WEIGHT_UNIT = 'unyield_weight_unit';
 export const LS_HEIGHT_UNIT = 'unyield_height_unit';
+export const LS_EXERCISES = 'unyield_exercises';
 
 // ----------------------------
 // Limits
@@ -189,6 +190,9 @@ export function AppProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [notificationsLoading, setNotificationsLoading] = useState(false);
+  const [pendingMutations, setPendingMutations] = useState(0);
+  // Server exercise catalog; the bundled list only covers first launch offline
+  const [exerciseCatalog, setExerciseCatalog] = useState(BUNDLED_EXERCISES);
 
   // Sync user from AuthContext
   useEffect(() => {
@@ -210,10 +214,11 @@ export function AppProvider({ children }) {
     let mounted = true;
     (async () => {
       try {
-        const [savedLogs, savedWeightUnit, savedHeightUnit] = await Promise.all([
+        const [savedLogs, savedWeightUnit, savedHeightUnit, savedExercises] = await Promise.all([
           AsyncStorage.getItem(LS_LOGS),
           AsyncStorage.getItem(LS_WEIGHT_UNIT),
           AsyncStorage.getItem(LS_HEIGHT_UNIT),
+          AsyncStorage.getItem(LS_EXERCISES),
         ]);
 
         if (!mounted) return;
@@ -235,6 +240,15 @@ export function AppProvider({ children }) {
           setHeightUnit(savedHeightUnit);
         }
 
+        if (savedExercises) {
+          try {
+            const parsed = JSON.parse(savedExercises);
+            if (Array.isArray(parsed) && parsed.length > 0) setExerciseCatalog(parsed);
+          } catch {
+            // Keep the bundled catalog
+          }
+        }
+
         // Preload assets
         await preloadAssets();
       } finally {
@@ -260,6 +274,79 @@ export function AppProvider({ children }) {
     AsyncStorage.setItem(LS_HEIGHT_UNIT, heightUnit).catch(() => {});
   }, [heightUnit]);
 
+  // Fetch the latest exercise catalog and cache it for offline use
+  const refreshExercises = useCallback(async () => {
+    try {
+      const response = await api.getExercises();
+      if (response.success && Array.isArray(response.data) && response.data.length > 0) {
+        setExerciseCatalog(response.data);
+        AsyncStorage.setItem(LS_EXERCISES, JSON.stringify(response.data)).catch(() => {});
+      }
+      return response;
+    } catch (error) {
+      console.error('Error fetching exercises:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  // Refresh once local data has loaded, so the cached copy is never overwritten by a stale read
+  useEffect(() => {
+    if (isReady) refreshExercises();
+  }, [isReady, refreshExercises]);
+
+  // Pickers only offer active exercises; lookups also resolve retired ones for old logs
+  const exercises = useMemo(
+    () => exerciseCatalog.filter((exercise) => exercise.isActive !== false),
+    [exerciseCatalog]
+  );
+
+  const getExercise = useCallback((exerciseIdOrName) => (
+    exerciseCatalog.find((e) => e.id === exerciseIdOrName || e.name === exerciseIdOrName) || null
+  ), [exerciseCatalog]);
+
+  // Bundled labels plus any category added on the server since this build
+  const exerciseCategories = useMemo(() => {
+    const categories = { ...EXERCISE_CATEGORIES };
+    for (const exercise of exercises) {
+      if (exercise.category && !categories[exercise.category]) {
+        categories[exercise.category] = exercise.category.charAt(0).toUpperCase() + exercise.category.slice(1);
+      }
+    }
+    return categories;
+  }, [exercises]);
+
+  // Track writes queued while offline and reconcile logs once they reach the server
+  useEffect(() => {
+    setPendingMutations(api.getPendingMutations().length);
+    return api.subscribeOutbox((event) => {
+      setPendingMutations(event.pending);
+      if (event.entry?.type !== 'logWorkout' || !event.entry.meta?.localId) return;
+
+      const { localId } = event.entry.meta;
+      if (event.type === 'synced') {
+        const serverId = event.response?.data?.workout?.id;
+        setLogs((prev) => prev.map((log) => (
+          log.id === localId ? { ...log, id: serverId || log.id, pending: false } : log
+        )));
+        if (refreshUser) refreshUser().catch(() => {});
+      } else if (event.type === 'failed') {
+        setLogs((prev) => prev.map((log) => (
+          log.id === localId ? { ...log, pending: false, syncError: event.error?.message || 'Rejected by server' } : log
+        )));
+      }
+    });
+  }, [refreshUser]);
+
+  // Replay queued writes when signed in and whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!authUser) return undefined;
+    api.flushOutbox().catch(() => {});
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') api.flushOutbox().catch(() => {});
+    });
+    return () => subscription?.remove();
+  }, [authUser]);
+
   const onboardingComplete = useCallback(async ({ name, region, goal }) => {
     // Update profile on backend
     try {
@@ -348,8 +435,9 @@ export function AppProvider({ children }) {
   }, [refreshUser]);
 
   const addLog = useCallback(async (log) => {
+    const localId = log.id || `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
     try {
-      // Send workout to backend
+      // Send workout to backend (queued in the outbox when offline)
       const response = await api.logWorkout({
         exercise: log.exercise?.name || log.exercise,
         reps: log.reps,
@@ -362,13 +450,20 @@ export function AppProvider({ children }) {
         dayNotes: log.dayNotes || null,
         mood: log.mood || null,
         energyLevel: log.energyLevel || null,
-      });
+        date: log.date || new Date().toISOString(),
+      }, { localId });
+
+      if (response.queued) {
+        // Keep it locally until the outbox delivers it
+        setLogs((prev) => [{ ...log, id: localId, pending: true, date: log.date || new Date().toISOString() }, ...(prev || [])]);
+        return { success: true, queued: true };
+      }
 
       if (response.success) {
         // Add to local logs - preserve the original log date
         const newLog = {
           ...log,
-          id: response.data?.workout?._id || log.id,
+          id: response.data?.workout?.id || localId,
           points: response.data?.pointsEarned || log.points,
           // Preserve the original date from the log (don't overwrite)
           date: log.date || new Date().toISOString(),
@@ -383,18 +478,8 @@ export function AppProvider({ children }) {
         return { success: true, data: response.data };
       }
     } catch (error) {
+      // Offline failures are queued above, so this is the server rejecting the workout
       console.error('Error logging workout:', error);
-      // Still add locally as fallback
-      setLogs((prev) => [log, ...(prev || [])]);
-      setUser((prev) => {
-        if (!prev) return prev;
-        const nextTotal = (prev.totalPoints || 0) + (log.points || 0);
-        return {
-          ...prev,
-          totalPoints: nextTotal,
-          rank: Math.max(1, 100 - Math.floor(nextTotal / 250)),
-        };
-      });
       return { success: false, error: error.message };
     }
   }, [refreshUser]);
@@ -514,7 +599,7 @@ export function AppProvider({ children }) {
     setLogs([]);
     setWeightUnit('kg');
     setHeightUnit('cm');
-    await signOut();
+    await signOut({ discardPending: true });
   }, [signOut]);
 
   const toggleWeightUnit = useCallback(() => {
@@ -534,6 +619,11 @@ export function AppProvider({ children }) {
     notifications,
     unreadCount,
     notificationsLoading,
+    pendingMutations,
+    exercises,
+    exerciseCategories,
+    getExercise,
+    refreshExercises,
     toggleWeightUnit,
     toggleHeightUnit,
     onboardingComplete,
@@ -546,7 +636,7 @@ export function AppProvider({ children }) {
     deleteLog,
     deleteAllLogs,
     resetAll,
-  }), [isReady, user, logs, weightUnit, heightUnit, notifications, unreadCount, notificationsLoading, toggleWeightUnit, toggleHeightUnit, onboardingComplete, updateUser, refreshNotifications, markNotificationRead, markAllNotificationsRead, addLog, updateLog, deleteLog, deleteAllLogs, resetAll]);
+  }), [isReady, user, logs, weightUnit, heightUnit, notifications, unreadCount, notificationsLoading, pendingMutations, exercises, exerciseCategories, getExercise, refreshExercises, toggleWeightUnit, toggleHeightUnit, onboardingComplete, updateUser, refreshNotifications, markNotificationRead, markAllNotificationsRead, addLog, updateLog, deleteLog, deleteAllLogs, resetAll]);
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
 }
@@ -42,6 +42,16 @@ export function AuthProvider({ children }) {
     return () => setRefreshUserCallback(null);
   }, []);
 
+  // The refresh token was rejected (signed out remotely, reused or expired)
+  useEffect(() => {
+    return api.subscribeSession(async (event) => {
+      if (event.type !== 'expired') return;
+      await AsyncStorage.removeItem(LS_USER_DATA);
+      setAuthError('Your session has ended. Please sign in again.');
+      setUser(null);
+    });
+  }, []);
+
   // Auto-delete account if onboarding is abandoned mid-process
   useEffect(() => {
     const subscription = AppState.addEventListener('change', async (nextAppState) => {
@@ -299,6 +309,38 @@ export function AuthProvider({ children }) {
     []
   );
 
+  // Exchange an ID token from the Google or Apple SDK for a session.
+  // options: { nonce, inviteCode, username, name } - inviteCode is needed for new accounts
+  const signInWithIdToken = useCallback(async (provider, idToken, options = {}) => {
+    setAuthError(null);
+    try {
+      const response = await api.signInWithOAuth(provider, idToken, options);
+
+      if (response.success && response.data?.user) {
+        const userData = response.data.user;
+        const hasProfile = !response.data.isNewUser && userData.name && userData.region && userData.goal;
+
+        if (hasProfile) {
+          await AsyncStorage.setItem(LS_HAS_SEEN_ONBOARDING, 'true');
+        } else {
+          await resetOnboardingForNewUser();
+        }
+        await saveUserData(userData);
+        if (hasProfile) {
+          setOnboardingCompleted(true);
+        }
+
+        return { success: true, user: userData, isNewUser: response.data.isNewUser };
+      }
+
+      throw new Error('Sign-in failed');
+    } catch (error) {
+      const message = error.message || 'Sign-in failed';
+      setAuthError(message);
+      return { success: false, error: message, status: error.status };
+    }
+  }, []);
+
   const signInWithGoogle = async () => {
     const message = 'Google sign-in is not available yet. Please use email/password or continue anonymously.';
     setAuthError(message);
@@ -331,10 +373,31 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const signOut = useCallback(async () => {
+  // Keep the guest's workouts by converting the account in place
+  // details: { email, password } or { provider, idToken, nonce }, plus inviteCode
+  const upgradeGuestAccount = useCallback(async (details) => {
+    setAuthError(null);
+    try {
+      const response = await api.upgradeGuestAccount(details);
+
+      if (response.success && response.data?.user) {
+        const upgradedUser = { ...user, ...response.data.user };
+        await saveUserData(upgradedUser);
+        return { success: true, user: upgradedUser };
+      }
+
+      throw new Error('Could not create your account');
+    } catch (error) {
+      const message = error.message || 'Could not create your account';
+      setAuthError(message);
+      return { success: false, error: message, status: error.status };
+    }
+  }, [user]);
+
+  const signOut = useCallback(async ({ discardPending = false } = {}) => {
     setAuthError(null);
     try {
-      await api.logout();
+      await api.logout({ discardPending });
       // Clear all onboarding data
       await resetOnboardingForNewUser();
       await AsyncStorage.removeItem(LS_USER_DATA);
@@ -342,6 +405,10 @@ export function AuthProvider({ children }) {
       setOnboardingCompleted(false);
       return { success: true };
     } catch (error) {
+      // Unsent offline changes: the caller asks before discarding them
+      if (error.code === 'PENDING_WRITES') {
+        return { success: false, error: error.message, pendingWrites: error.pendingCount };
+      }
       const message = error.message || 'Sign out failed';
       setAuthError(message);
       return { success: false, error: message };
@@ -446,7 +513,9 @@ export function AuthProvider({ children }) {
     signUpWithEmail,
     signInWithGoogle,
     signInWithApple,
+    signInWithIdToken,
     signInAnonymous,
+    upgradeGuestAccount,
     signOut,
     deleteAccount,
     checkUsername,
@@ -456,6 +525,7 @@ export function AuthProvider({ children }) {
     hasSeenOnboarding,
     onboardingCompleted,
     isAuthenticated: !!user,
+    isGuest: user?.provider === 'anonymous',
     appleAuthAvailable: false,
   };
 
@@ -1,5 +1,8 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './AuthContext';
+import api from '../services/api';
 
 // ----------------------------
 // Storage keys
@@ -7,6 +10,18 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 export const LS_TEMPLATES = 'unyield_workout_templates';
 export const LS_SESSIONS = 'unyield_workout_sessions';
 export const LS_ACTIVE_SESSION = 'unyield_active_session';
+export const LS_DELETED = 'unyield_workout_deleted';
+export const LS_LAST_SYNC = 'unyield_workout_last_sync';
+
+// Local workout data is kept per account, so signing into another account
+// never pushes the previous one's records. The bare keys hold data saved
+// before this split and, signed out, nothing at all.
+const userKey = (key, userId) => (userId ? `${key}:${userId}` : key);
+
+// Wait for edits to settle before pushing them to the server
+const SYNC_DEBOUNCE_MS = 3000;
+// Drafts left on another device are only resumed if touched recently
+const RESUME_DRAFT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
 
 // ----------------------------
 // Tracking types
@@ -31,6 +46,104 @@ function generateSetNumber(sets) {
   return Math.max(...sets.map(s => s.setNumber || 0)) + 1;
 }
 
+function timeOf(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// ----------------------------
+// Sync helpers
+// ----------------------------
+// Each record keeps `syncedAt`, the updatedAt the server last confirmed.
+// A record whose updatedAt moved past it has local changes to push.
+function isDirty(record) {
+  return !record.syncedAt || timeOf(record.updatedAt) > timeOf(record.syncedAt);
+}
+
+function toServerRecord(record) {
+  const { syncedAt, ...rest } = record;
+  return {
+    ...rest,
+    updatedAt: rest.updatedAt || rest.finishedAt || rest.startedAt || new Date().toISOString(),
+  };
+}
+
+function fromServerTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description || '',
+    exercises: (template.exercises || []).map(ex => ({
+      ...ex,
+      targetRepRange: ex.targetRepRange ?? '',
+      notes: ex.notes ?? '',
+    })),
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+    syncedAt: template.updatedAt,
+  };
+}
+
+function fromServerSession(session) {
+  return {
+    id: session.id,
+    templateId: session.templateId,
+    name: session.name,
+    startedAt: session.startedAt,
+    finishedAt: session.finishedAt,
+    status: session.status,
+    notes: session.notes || '',
+    exercises: (session.exercises || []).map(ex => ({
+      id: ex.id,
+      exerciseId: ex.exerciseId,
+      orderIndex: ex.orderIndex,
+      trackingType: ex.trackingType,
+      sets: (ex.sets || []).map(set => ({
+        id: set.id,
+        setNumber: set.setNumber,
+        reps: set.reps ?? '',
+        weight: set.weight ?? '',
+        durationSeconds: set.durationSeconds ?? '',
+        distance: set.distance ?? '',
+        completed: set.completed,
+        notes: set.notes ?? '',
+      })),
+    })),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    syncedAt: session.updatedAt,
+  };
+}
+
+// Merge pulled records into the local list. The newer updatedAt wins;
+// local edits that are newer stay and get pushed on the next sync.
+function mergeRecords(local, remote, fromServer, pendingDeletes) {
+  const byId = new Map(local.map(r => [r.id, r]));
+  remote.forEach(item => {
+    if (pendingDeletes.includes(item.id)) return;
+    const existing = byId.get(item.id);
+    if (existing && isDirty(existing) && timeOf(existing.updatedAt) > timeOf(item.updatedAt)) return;
+    if (item.deletedAt) {
+      byId.delete(item.id);
+    } else {
+      byId.set(item.id, fromServer(item));
+    }
+  });
+  return Array.from(byId.values());
+}
+
+// Apply the server's answer to a push, unless the record was edited meanwhile
+function applyPushResult(list, pushed, result, fromServer) {
+  return list.flatMap(r => {
+    if (r.id !== pushed.id || r.updatedAt !== pushed.updatedAt) return [r];
+    return result.deletedAt ? [] : [fromServer(result)];
+  });
+}
+
+function isNotFound(error) {
+  return /not found/i.test(error?.message || '');
+}
+
 // ----------------------------
 // Context
 // ----------------------------
@@ -46,82 +159,292 @@ export const useWorkout = () => {
 // Provider
 // ----------------------------
 export function WorkoutProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id || null;
   const [templates, setTemplates] = useState([]);
   const [sessions, setSessions] = useState([]);
   const [activeSession, setActiveSession] = useState(null);
+  const [deleted, setDeleted] = useState({ templates: [], sessions: [] });
   const [isReady, setIsReady] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  // Latest state for the async sync loop
+  const stateRef = useRef({ templates, sessions, activeSession, deleted });
+  stateRef.current = { templates, sessions, activeSession, deleted };
+  const syncingRef = useRef(false);
+  const resyncRef = useRef(false);
+  // Account whose data is in state; persisting always writes to its keys
+  const loadedUserRef = useRef(null);
 
-  // Load data on mount
+  // Load the signed-in account's data, again whenever the account changes
   useEffect(() => {
     let mounted = true;
+    setIsReady(false);
     (async () => {
+      let saved = [];
       try {
-        const [savedTemplates, savedSessions, savedActiveSession] = await Promise.all([
-          AsyncStorage.getItem(LS_TEMPLATES),
-          AsyncStorage.getItem(LS_SESSIONS),
-          AsyncStorage.getItem(LS_ACTIVE_SESSION),
-        ]);
-
-        if (!mounted) return;
-
-        if (savedTemplates) {
-          try {
-            const parsed = JSON.parse(savedTemplates);
-            setTemplates(Array.isArray(parsed) ? parsed : []);
-          } catch {
-            setTemplates([]);
+        const keys = [LS_TEMPLATES, LS_SESSIONS, LS_ACTIVE_SESSION, LS_DELETED];
+        saved = await Promise.all(keys.map(key => AsyncStorage.getItem(userKey(key, userId))));
+
+        // Data saved before the per-account split belongs to the account that
+        // last synced it (or to nobody yet), so only that account adopts it
+        if (userId && saved.every(value => value === null)) {
+          const legacy = await Promise.all(keys.map(key => AsyncStorage.getItem(key)));
+          const lastSync = JSON.parse(await AsyncStorage.getItem(LS_LAST_SYNC));
+          if (legacy.some(value => value !== null) && (!lastSync || lastSync.userId === userId)) {
+            saved = legacy;
+            await AsyncStorage.multiRemove(keys);
           }
         }
+      } catch (error) {
+        console.log('[WorkoutContext] Failed to load local workouts:', error.message);
+      }
 
-        if (savedSessions) {
-          try {
-            const parsed = JSON.parse(savedSessions);
-            setSessions(Array.isArray(parsed) ? parsed : []);
-          } catch {
-            setSessions([]);
-          }
-        }
+      if (!mounted) return;
+      const [savedTemplates, savedSessions, savedActiveSession, savedDeleted] = saved;
 
-        if (savedActiveSession) {
-          try {
-            const parsed = JSON.parse(savedActiveSession);
-            // Only restore if it's a draft session
-            if (parsed && parsed.status === 'draft') {
-              setActiveSession(parsed);
-            }
-          } catch {
-            setActiveSession(null);
-          }
-        }
-      } finally {
-        if (mounted) setIsReady(true);
+      let nextTemplates = [];
+      try {
+        const parsed = JSON.parse(savedTemplates || '[]');
+        nextTemplates = Array.isArray(parsed) ? parsed : [];
+      } catch {
+        nextTemplates = [];
+      }
+
+      let nextSessions = [];
+      try {
+        const parsed = JSON.parse(savedSessions || '[]');
+        nextSessions = Array.isArray(parsed) ? parsed : [];
+      } catch {
+        nextSessions = [];
+      }
+
+      // Only restore a draft session
+      let nextActive = null;
+      try {
+        const parsed = JSON.parse(savedActiveSession || 'null');
+        nextActive = parsed && parsed.status === 'draft' ? parsed : null;
+      } catch {
+        nextActive = null;
       }
+
+      let nextDeleted = { templates: [], sessions: [] };
+      try {
+        const parsed = JSON.parse(savedDeleted || 'null');
+        nextDeleted = {
+          templates: Array.isArray(parsed?.templates) ? parsed.templates : [],
+          sessions: Array.isArray(parsed?.sessions) ? parsed.sessions : [],
+        };
+      } catch {
+        nextDeleted = { templates: [], sessions: [] };
+      }
+
+      loadedUserRef.current = userId;
+      setTemplates(nextTemplates);
+      setSessions(nextSessions);
+      setActiveSession(nextActive);
+      setDeleted(nextDeleted);
+      setIsReady(true);
     })();
     return () => { mounted = false; };
-  }, []);
+  }, [userId]);
 
   // Persist templates
   useEffect(() => {
     if (!isReady) return;
-    AsyncStorage.setItem(LS_TEMPLATES, JSON.stringify(templates)).catch(() => {});
+    AsyncStorage.setItem(userKey(LS_TEMPLATES, loadedUserRef.current), JSON.stringify(templates)).catch(() => {});
   }, [templates, isReady]);
 
   // Persist sessions
   useEffect(() => {
     if (!isReady) return;
-    AsyncStorage.setItem(LS_SESSIONS, JSON.stringify(sessions)).catch(() => {});
+    AsyncStorage.setItem(userKey(LS_SESSIONS, loadedUserRef.current), JSON.stringify(sessions)).catch(() => {});
   }, [sessions, isReady]);
 
   // Persist active session
   useEffect(() => {
     if (!isReady) return;
+    const key = userKey(LS_ACTIVE_SESSION, loadedUserRef.current);
     if (activeSession) {
-      AsyncStorage.setItem(LS_ACTIVE_SESSION, JSON.stringify(activeSession)).catch(() => {});
+      AsyncStorage.setItem(key, JSON.stringify(activeSession)).catch(() => {});
     } else {
-      AsyncStorage.removeItem(LS_ACTIVE_SESSION).catch(() => {});
+      AsyncStorage.removeItem(key).catch(() => {});
     }
   }, [activeSession, isReady]);
 
+  // Persist pending server deletions
+  useEffect(() => {
+    if (!isReady) return;
+    AsyncStorage.setItem(userKey(LS_DELETED, loadedUserRef.current), JSON.stringify(deleted)).catch(() => {});
+  }, [deleted, isReady]);
+
+  // ----------------------------
+  // Server sync
+  // ----------------------------
+
+  const markDeleted = useCallback((kind, id) => {
+    setDeleted(prev => (prev[kind].includes(id) ? prev : { ...prev, [kind]: [...prev[kind], id] }));
+  }, []);
+
+  const clearDeleted = useCallback((kind, ids) => {
+    if (ids.length === 0) return;
+    setDeleted(prev => ({ ...prev, [kind]: prev[kind].filter(id => !ids.includes(id)) }));
+  }, []);
+
+  const pushDeletions = useCallback(async (kind, ids, remove) => {
+    const done = [];
+    for (const id of ids) {
+      try {
+        await remove(id);
+        done.push(id);
+      } catch (error) {
+        if (isNotFound(error)) done.push(id);
+      }
+    }
+    clearDeleted(kind, done);
+  }, [clearDeleted]);
+
+  const pushChanges = useCallback(async () => {
+    const { templates: localTemplates, sessions: localSessions, activeSession: active, deleted: pending } = stateRef.current;
+    // Stop if the account changes mid-push; its state is no longer loaded
+    const owner = loadedUserRef.current;
+    const switched = () => loadedUserRef.current !== owner;
+
+    await pushDeletions('templates', pending.templates, id => api.deleteTemplate(id));
+    await pushDeletions('sessions', pending.sessions, id => api.deleteSession(id));
+
+    // Templates first so sessions can link to them
+    for (const template of localTemplates.filter(isDirty)) {
+      const response = await api.saveTemplate(toServerRecord(template));
+      if (switched()) return;
+      if (response.data) {
+        setTemplates(prev => applyPushResult(prev, template, response.data, fromServerTemplate));
+      }
+    }
+
+    for (const session of localSessions.filter(isDirty)) {
+      const response = await api.saveSession(toServerRecord(session));
+      if (switched()) return;
+      if (response.data) {
+        setSessions(prev => applyPushResult(prev, session, response.data, fromServerSession));
+      }
+    }
+
+    if (active && isDirty(active)) {
+      const response = await api.saveSession(toServerRecord(active));
+      if (switched()) return;
+      if (response.data && !response.data.deletedAt) {
+        setActiveSession(prev => {
+          if (!prev || prev.id !== active.id || prev.updatedAt !== active.updatedAt) return prev;
+          return response.data.status === 'draft' ? fromServerSession(response.data) : prev;
+        });
+      }
+    }
+  }, [pushDeletions]);
+
+  const pullChanges = useCallback(async () => {
+    let lastSync = {};
+    try {
+      const saved = JSON.parse(await AsyncStorage.getItem(LS_LAST_SYNC));
+      // A different account needs a full pull
+      if (saved && saved.userId === userId) lastSync = saved;
+    } catch {
+      lastSync = {};
+    }
+
+    const [templatesResponse, sessionsResponse] = await Promise.all([
+      api.getTemplates(lastSync.templates ? { since: lastSync.templates } : {}),
+      api.getSessions(lastSync.sessions ? { since: lastSync.sessions } : {}),
+    ]);
+
+    if (loadedUserRef.current !== userId) return;
+
+    const { deleted: pending } = stateRef.current;
+    const remoteTemplates = templatesResponse.data?.templates || [];
+    const remoteSessions = sessionsResponse.data?.sessions || [];
+
+    setTemplates(prev => mergeRecords(prev, remoteTemplates, fromServerTemplate, pending.templates)
+      .sort((a, b) => timeOf(b.createdAt) - timeOf(a.createdAt)));
+
+    // Finished sessions go to history; a draft only matters as the active session
+    const remoteActive = remoteSessions.filter(s => s.status === 'draft' && !s.deletedAt &&
+      Date.now() - timeOf(s.updatedAt) < RESUME_DRAFT_MAX_AGE_MS);
+    const remoteHistory = remoteSessions.filter(s => s.status === 'complete' || s.deletedAt);
+
+    setActiveSession(prev => {
+      if (!prev) {
+        const latest = remoteActive
+          .filter(s => !pending.sessions.includes(s.id))
+          .sort((a, b) => timeOf(b.updatedAt) - timeOf(a.updatedAt))[0];
+        return latest ? fromServerSession(latest) : prev;
+      }
+      const remote = remoteSessions.find(s => s.id === prev.id);
+      if (!remote || timeOf(remote.updatedAt) <= timeOf(prev.updatedAt)) return prev;
+      // Finished or discarded on another device
+      if (remote.status === 'complete' || remote.deletedAt) return null;
+      return fromServerSession(remote);
+    });
+
+    setSessions(prev => mergeRecords(prev, remoteHistory, fromServerSession, pending.sessions)
+      .sort((a, b) => timeOf(b.startedAt) - timeOf(a.startedAt)));
+
+    await AsyncStorage.setItem(LS_LAST_SYNC, JSON.stringify({
+      userId,
+      templates: templatesResponse.data?.serverTime || lastSync.templates || null,
+      sessions: sessionsResponse.data?.serverTime || lastSync.sessions || null,
+    }));
+  }, [userId]);
+
+  const syncNow = useCallback(async () => {
+    if (!isReady || !userId) return { success: false, error: 'Not signed in' };
+    if (syncingRef.current) {
+      resyncRef.current = true;
+      return { success: true, queued: true };
+    }
+
+    syncingRef.current = true;
+    setIsSyncing(true);
+    try {
+      await pushChanges();
+      await pullChanges();
+      return { success: true };
+    } catch (error) {
+      console.log('[WorkoutContext] Sync failed:', error.message);
+      return { success: false, error: error.message };
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      if (resyncRef.current) {
+        resyncRef.current = false;
+        setTimeout(() => { syncNow(); }, 0);
+      }
+    }
+  }, [isReady, userId, pushChanges, pullChanges]);
+
+  // Sync once signed in and whenever the app returns to the foreground
+  useEffect(() => {
+    if (!isReady || !userId) return undefined;
+    syncNow();
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') syncNow();
+    });
+    return () => subscription?.remove();
+  }, [isReady, userId, syncNow]);
+
+  // Push local edits shortly after they happen
+  useEffect(() => {
+    if (!isReady || !userId) return undefined;
+    const hasChanges = templates.some(isDirty) ||
+      sessions.some(isDirty) ||
+      (activeSession && isDirty(activeSession)) ||
+      deleted.templates.length > 0 ||
+      deleted.sessions.length > 0;
+    if (!hasChanges) return undefined;
+
+    const timeoutId = setTimeout(() => { syncNow(); }, SYNC_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isReady, userId, templates, sessions, activeSession, deleted, syncNow]);
+
   // ----------------------------
   // Template CRUD
   // ----------------------------
@@ -156,8 +479,9 @@ export function WorkoutProvider({ children }) {
 
   const deleteTemplate = useCallback((templateId) => {
     setTemplates(prev => prev.filter(t => t.id !== templateId));
+    markDeleted('templates', templateId);
     return { success: true };
-  }, []);
+  }, [markDeleted]);
 
   const duplicateTemplate = useCallback((templateId) => {
     const template = templates.find(t => t.id === templateId);
@@ -171,6 +495,7 @@ export function WorkoutProvider({ children }) {
       name: `${template.name} (Copy)`,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      syncedAt: null,
     };
 
     setTemplates(prev => [newTemplate, ...prev]);
@@ -233,6 +558,8 @@ export function WorkoutProvider({ children }) {
       status: 'draft',
       notes: '',
       exercises: sessionExercises,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
     };
 
     setActiveSession(newSession);
@@ -245,6 +572,7 @@ export function WorkoutProvider({ children }) {
 
       return {
         ...prev,
+        updatedAt: new Date().toISOString(),
         exercises: prev.exercises.map(ex => {
           if (ex.id === exerciseId) {
             return {
@@ -271,6 +599,7 @@ export function WorkoutProvider({ children }) {
 
       return {
         ...prev,
+        updatedAt: new Date().toISOString(),
         exercises: prev.exercises.map(ex => {
           if (ex.id === exerciseId) {
             const newSetNumber = generateSetNumber(ex.sets);
@@ -303,6 +632,7 @@ export function WorkoutProvider({ children }) {
 
       return {
         ...prev,
+        updatedAt: new Date().toISOString(),
         exercises: prev.exercises.map(ex => {
           if (ex.id === exerciseId) {
             return {
@@ -326,6 +656,7 @@ export function WorkoutProvider({ children }) {
         ...prev,
         status: 'complete',
         finishedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
         notes,
       };
 
@@ -340,14 +671,17 @@ export function WorkoutProvider({ children }) {
 
   const deleteSession = useCallback((sessionId) => {
     setSessions(prev => prev.filter(s => s.id !== sessionId));
+    markDeleted('sessions', sessionId);
     return { success: true };
-  }, []);
+  }, [markDeleted]);
 
   const discardActiveSession = useCallback(() => {
+    const discarded = stateRef.current.activeSession;
     setActiveSession(null);
-    AsyncStorage.removeItem(LS_ACTIVE_SESSION).catch(() => {});
+    AsyncStorage.removeItem(userKey(LS_ACTIVE_SESSION, loadedUserRef.current)).catch(() => {});
+    if (discarded) markDeleted('sessions', discarded.id);
     return { success: true };
-  }, []);
+  }, [markDeleted]);
 
   // ----------------------------
   // Exercise Management (for Quick Workouts)
@@ -376,6 +710,7 @@ export function WorkoutProvider({ children }) {
 
       return {
         ...prev,
+        updatedAt: new Date().toISOString(),
         exercises: [...prev.exercises, newExercise],
       };
     });
@@ -406,6 +741,7 @@ export function WorkoutProvider({ children }) {
 
       return {
         ...prev,
+        updatedAt: new Date().toISOString(),
         exercises: [...prev.exercises, ...newExercises],
       };
     });
@@ -419,6 +755,7 @@ export function WorkoutProvider({ children }) {
 
       return {
         ...prev,
+        updatedAt: new Date().toISOString(),
         exercises: prev.exercises.filter(ex => ex.id !== exerciseId),
       };
     });
@@ -440,6 +777,7 @@ export function WorkoutProvider({ children }) {
 
   const value = useMemo(() => ({
     isReady,
+    isSyncing,
     templates,
     sessions,
     activeSession,
@@ -465,8 +803,12 @@ export function WorkoutProvider({ children }) {
     addExercise,
     addExercisesToSession,
     removeExercise,
+
+    // Sync
+    syncNow,
   }), [
     isReady,
+    isSyncing,
     templates,
     sessions,
     activeSession,
@@ -486,6 +828,7 @@ export function WorkoutProvider({ children }) {
     addExercise,
     addExercisesToSession,
     removeExercise,
+    syncNow,
   ]);
 
   return <WorkoutContext.Provider value={value}>{children}</WorkoutContext.Provider>;
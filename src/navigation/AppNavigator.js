@@ -17,6 +17,10 @@ import { NavigationService } from './NavigationService';
 // Screens
 import SplashScreen from '../screens/SplashScreen';
 import WelcomeScreen from '../screens/WelcomeScreen';
+import ForgotPasswordScreen from '../screens/onboarding/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/onboarding/ResetPasswordScreen';
+import VerifyEmailScreen from '../screens/onboarding/VerifyEmailScreen';
+import UpgradeAccountScreen from '../screens/onboarding/UpgradeAccountScreen';
 import { StreamlinedOnboardingNavigator } from '../screens/onboarding/streamlined';
 import DashboardScreen from '../screens/DashboardScreen';
 import LeaderboardScreen from '../screens/LeaderboardScreen';
@@ -26,6 +30,7 @@ import TournamentScreen from '../screens/TournamentScreen';
 import CompeteScreen from '../screens/CompeteScreen';
 import ChallengeDetailScreen from '../screens/ChallengeDetailScreen';
 import ChallengeSubmissionScreen from '../screens/ChallengeSubmissionScreen';
+import ChallengeSeriesScreen from '../screens/ChallengeSeriesScreen';
 import WorkoutSubmitScreen from '../screens/WorkoutSubmitScreen';
 import WorkoutSummaryScreen from '../screens/WorkoutSummaryScreen';
 import TrainingReportScreen from '../screens/TrainingReportScreen';
@@ -42,12 +47,24 @@ import ReportsManagementScreen from '../screens/admin/ReportsManagementScreen';
 import AnalyticsScreen from '../screens/admin/AnalyticsScreen';
 import ChallengeManagementScreen from '../screens/admin/ChallengeManagementScreen';
 import ChallengeBuilderScreen from '../screens/admin/ChallengeBuilderScreen';
+import AdminJobsScreen from '../screens/admin/AdminJobsScreen';
 import AdminSendNotificationScreen from '../screens/admin/AdminSendNotificationScreen';
 
 // Debug
 import DebugNotificationScreen from '../screens/DebugNotificationScreen';
 
 const Stack = createNativeStackNavigator();
+
+// Links in account emails open the matching screen
+const linking = {
+  prefixes: ['unyield://'],
+  config: {
+    screens: {
+      ResetPassword: 'reset-password',
+      VerifyEmail: 'verify-email',
+    },
+  },
+};
 const Tab = createBottomTabNavigator();
 const BR = BorderRadius;
 
@@ -177,15 +194,25 @@ function RootNavigator() {
     >
       {/* Auth Flow - Show Welcome if not authenticated */}
       {!isAuthenticated ? (
-        <Stack.Screen name="Welcome" component={WelcomeScreen} />
+        <>
+          <Stack.Screen name="Welcome" component={WelcomeScreen} />
+          <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+          <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+        </>
       ) : !onboardingCompleted ? (
         // Onboarding for users who haven't completed it yet
         <Stack.Screen name="Onboarding" component={StreamlinedOnboardingNavigator} />
       ) : (
         // Main app for authenticated users with completed onboarding
-        <Stack.Screen name="Main" component={Tabs} />
+        <>
+          <Stack.Screen name="Main" component={Tabs} />
+          <Stack.Screen name="UpgradeAccount" component={UpgradeAccountScreen} />
+        </>
       )}
 
+      {/* Opened from the link in the verification email */}
+      <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+
       {/* Log flow as immersive modal */}
       <Stack.Screen
         name="LogModal"
@@ -231,6 +258,11 @@ function RootNavigator() {
         component={ChallengeSubmissionScreen}
         options={{ presentation: 'fullScreenModal' }}
       />
+      <Stack.Screen
+        name="ChallengeSeries"
+        component={ChallengeSeriesScreen}
+        options={{ presentation: 'card' }}
+      />
 
       {/* Admin Routes */}
       <Stack.Screen
@@ -288,6 +320,11 @@ function RootNavigator() {
         component={ChallengeBuilderScreen}
         options={{ presentation: 'card' }}
       />
+      <Stack.Screen
+        name="AdminJobs"
+        component={AdminJobsScreen}
+        options={{ presentation: 'card' }}
+      />
       <Stack.Screen
         name="DebugNotifications"
         component={DebugNotificationScreen}
@@ -314,6 +351,7 @@ export default function AppNavigator() {
           }
         }}
         theme={navTheme}
+        linking={linking}
       >
         <RootNavigator />
       </NavigationContainer>
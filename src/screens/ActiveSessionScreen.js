@@ -12,7 +12,6 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useWorkout, TRACKING_TYPES } from '../context/WorkoutContext';
 import { useApp } from '../context/AppContext';
-import { EXERCISES } from '../constants/exercises';
 import { useTheme } from '../context/ThemeContext';
 import { SKINS } from '../constants/colors';
 import ScreenHeader from '../components/ScreenHeader';
@@ -24,7 +23,7 @@ export default function ActiveSessionScreen({ navigation }) {
   const { theme, skin } = useTheme();
   const isDark = skin === SKINS.operator || skin === SKINS.midnight;
   const { activeSession, updateSet, addSet, removeSet, finishSession, discardActiveSession } = useWorkout();
-  const { weightUnit } = useApp();
+  const { weightUnit, getExercise } = useApp();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
 
   const [elapsedSeconds, setElapsedSeconds] = useState(0);
@@ -195,10 +194,6 @@ export default function ActiveSessionScreen({ navigation }) {
     });
   };
 
-  const getExercise = (exerciseId) => {
-    return EXERCISES.find(e => e.id === exerciseId);
-  };
-
   const calculateExerciseStats = (exercise) => {
     let completedSets = 0;
     let totalVolume = 0;
@@ -6,6 +6,7 @@ import {
   ScrollView,
   TouchableOpacity,
   ActivityIndicator,
+  TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -13,18 +14,27 @@ import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { Typography } from '../constants/colors';
 import api from '../services/api';
-import { EXERCISES } from '../constants/exercises';
 import CustomAlert, { useCustomAlert } from '../components/CustomAlert';
 
 export default function ChallengeDetailScreen({ navigation, route }) {
   const insets = useSafeAreaInsets();
-  const { user } = useApp();
+  const { user, getExercise } = useApp();
   const { theme } = useTheme();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
   const { challengeId } = route.params;
   const [loading, setLoading] = useState(true);
   const [challenge, setChallenge] = useState(null);
   const [leaderboard, setLeaderboard] = useState([]);
+  const [finalStandings, setFinalStandings] = useState(false);
+  const [leaderboardScope, setLeaderboardScope] = useState('individual');
+  const [teamLeaderboard, setTeamLeaderboard] = useState([]);
+  const [myTeamId, setMyTeamId] = useState(null);
+  const [myTeam, setMyTeam] = useState(null);
+  const [teamRole, setTeamRole] = useState(null);
+  const [teamInvites, setTeamInvites] = useState([]);
+  const [teamNameInput, setTeamNameInput] = useState('');
+  const [inviteUsername, setInviteUsername] = useState('');
+  const [teamBusy, setTeamBusy] = useState(false);
   const [mySubmissions, setMySubmissions] = useState([]);
   const [joining, setJoining] = useState(false);
   const getChallengeId = (item) => item?.id || item?._id || null;
@@ -56,6 +66,19 @@ export default function ChallengeDetailScreen({ navigation, route }) {
 
       if (leaderboardResponse.success) {
         setLeaderboard(leaderboardResponse.data.leaderboard || []);
+        setFinalStandings(!!leaderboardResponse.data.final);
+      }
+
+      // Team challenges also rank teams, and need the user's own team
+      if (found?.teamMode) {
+        const teamResponse = await api.request(`/api/challenges/${resolvedChallengeId}/leaderboard?scope=team&limit=50`);
+        if (teamResponse.success) {
+          setTeamLeaderboard(teamResponse.data.leaderboard || []);
+          setMyTeamId(teamResponse.data.myTeamId || null);
+        }
+        if (user) {
+          await loadMyTeam();
+        }
       }
 
       // Load my submissions if joined
@@ -78,6 +101,62 @@ export default function ChallengeDetailScreen({ navigation, route }) {
     }
   };
 
+  const loadMyTeam = async () => {
+    const response = await api.getMyTeam();
+    if (response.success) {
+      setMyTeam(response.data.team);
+      setTeamRole(response.data.role);
+      setTeamInvites(response.data.invites || []);
+    }
+  };
+
+  const runTeamAction = async (action, successAlert) => {
+    try {
+      setTeamBusy(true);
+      await action();
+      await loadMyTeam();
+      if (successAlert) {
+        showAlert({ ...successAlert, buttons: [{ text: 'OK', style: 'default' }] });
+      }
+    } catch (err) {
+      showAlert({
+        title: 'Error',
+        message: err.message || 'Something went wrong',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+    } finally {
+      setTeamBusy(false);
+    }
+  };
+
+  const handleCreateTeam = () => runTeamAction(async () => {
+    await api.createTeam(teamNameInput.trim());
+    setTeamNameInput('');
+  }, { title: 'Team Created', message: "You're the captain. Invite your crew by username.", icon: 'success' });
+
+  const handleInvite = () => runTeamAction(async () => {
+    await api.inviteToTeam(myTeam.id, inviteUsername.trim());
+    setInviteUsername('');
+  }, { title: 'Invite Sent', message: `We've let ${inviteUsername.trim()} know.`, icon: 'success' });
+
+  const handleRespondToInvite = (invite, accept) => runTeamAction(
+    () => api.respondToTeamInvite(invite.id, accept),
+    accept ? { title: 'Welcome!', message: `You're now on ${invite.team?.name}.`, icon: 'success' } : null,
+  );
+
+  const confirmLeaveTeam = () => {
+    showAlert({
+      title: "Leave Team?",
+      message: "Entries you've already made still count for this team.",
+      icon: 'warning',
+      buttons: [
+        { text: "Cancel", style: "cancel" },
+        { text: "Leave", style: "destructive", onPress: () => runTeamAction(() => api.leaveTeam()) }
+      ]
+    });
+  };
+
   const confirmLeave = () => {
     showAlert({
       title: "Leave Challenge?",
@@ -99,7 +178,18 @@ export default function ChallengeDetailScreen({ navigation, route }) {
       setJoining(true);
       const resolvedChallengeId = getChallengeId(challenge) || challengeId;
 
-      if (challenge.joined) {
+      if (challenge.waitlisted) {
+        const response = await api.leaveChallenge(resolvedChallengeId);
+        if (response.success) {
+          setChallenge({ ...challenge, waitlisted: false, waitlistPosition: null });
+          showAlert({
+            title: "Left Waitlist",
+            message: "You're no longer on the waitlist for this challenge.",
+            icon: 'success',
+            buttons: [{ text: 'OK', style: 'default' }]
+          });
+        }
+      } else if (challenge.joined) {
         const response = await api.leaveChallenge(resolvedChallengeId);
         if (response.success) {
           setChallenge({ ...challenge, joined: false, progress: 0 });
@@ -113,8 +203,19 @@ export default function ChallengeDetailScreen({ navigation, route }) {
         }
       } else {
         const response = await api.joinChallenge(resolvedChallengeId);
-        if (response.success) {
+        if (response.success && response.data?.waitlisted) {
+          setChallenge({ ...challenge, waitlisted: true, waitlistPosition: response.data.waitlistPosition });
+          showAlert({
+            title: "Challenge Full",
+            message: response.message || "You're on the waitlist. We'll let you know if a place opens up.",
+            icon: 'info',
+            buttons: [{ text: 'OK', style: 'default' }]
+          });
+        } else if (response.success) {
           setChallenge({ ...challenge, joined: true, progress: 0 });
+          if (challenge.teamMode) {
+            setMyTeamId(response.data?.userProgress?.teamId || myTeam?.id || null);
+          }
           showAlert({
             title: "Joined!",
             message: "Good luck with the challenge!",
@@ -155,8 +256,7 @@ export default function ChallengeDetailScreen({ navigation, route }) {
   const getExerciseNames = () => {
     if (challenge.challengeType !== 'exercise' || !challenge.exercises?.length) return null;
     return challenge.exercises.map(exId => {
-      const exercise = EXERCISES.find(e => e.id === exId);
-      return exercise?.name || exId;
+      return getExercise(exId)?.name || exId;
     }).join(', ');
   };
 
@@ -237,6 +337,20 @@ export default function ChallengeDetailScreen({ navigation, route }) {
               <Text style={styles.metaText}>{challenge.regionScope?.toUpperCase() || 'GLOBAL'}</Text>
             </View>
           </View>
+
+          {/* Series link (challenges made from a template) */}
+          {challenge.templateId && (
+            <TouchableOpacity
+              style={styles.seriesLink}
+              onPress={() => navigation.navigate('ChallengeSeries', { templateId: challenge.templateId })}
+            >
+              <Ionicons name="repeat" size={14} color={theme.primary} />
+              <Text style={[styles.seriesLinkText, { color: theme.primary }]}>
+                PART OF A SERIES{challenge.seriesIndex ? ` · #${challenge.seriesIndex}` : ''}
+              </Text>
+              <Ionicons name="chevron-forward" size={14} color={theme.primary} />
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Rules Card */}
@@ -295,14 +409,158 @@ export default function ChallengeDetailScreen({ navigation, route }) {
           </View>
         )}
 
+        {/* Your Team (team challenges) */}
+        {challenge.teamMode && user && !challenge.finalizedAt && (
+          <View style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Ionicons name="people-outline" size={18} color={theme.textMuted} style={{ marginRight: 8 }} />
+              <Text style={styles.cardTitle}>YOUR TEAM</Text>
+            </View>
+
+            {myTeam ? (
+              <>
+                <View style={styles.teamNameRow}>
+                  <Text style={styles.teamName} numberOfLines={1}>{myTeam.name}</Text>
+                  <TouchableOpacity onPress={confirmLeaveTeam} disabled={teamBusy}>
+                    <Text style={[styles.teamLinkText, { color: theme.danger }]}>LEAVE</Text>
+                  </TouchableOpacity>
+                </View>
+                {myTeam.members.map((member) => {
+                  const myTeamStanding = teamLeaderboard.find((team) => team.teamId === myTeam.id);
+                  const contribution = myTeamStanding?.members.find((m) => m.userId === member.userId);
+                  return (
+                    <View key={member.userId} style={styles.teamMemberRow}>
+                      <Ionicons
+                        name={member.role === 'captain' ? 'star' : 'person-outline'}
+                        size={14}
+                        color={member.role === 'captain' ? theme.gold : theme.textMuted}
+                      />
+                      <Text style={styles.teamMemberName} numberOfLines={1}>{member.name || member.username}</Text>
+                      <Text style={styles.teamMemberScore}>
+                        {contribution ? `${contribution.score} ${challenge.metricType}` : '—'}
+                      </Text>
+                    </View>
+                  );
+                })}
+                {challenge.joined && myTeamId && myTeamId !== myTeam.id && (
+                  <Text style={styles.teamHint}>Your entry counts for the team you were on when you joined.</Text>
+                )}
+                {teamRole === 'captain' && (
+                  <View style={styles.teamInputRow}>
+                    <TextInput
+                      style={styles.teamInput}
+                      value={inviteUsername}
+                      onChangeText={setInviteUsername}
+                      placeholder="Invite by username"
+                      placeholderTextColor={theme.textMuted}
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                    />
+                    <TouchableOpacity
+                      style={[styles.teamInputButton, { backgroundColor: theme.primary }]}
+                      onPress={handleInvite}
+                      disabled={teamBusy || !inviteUsername.trim()}
+                    >
+                      <Text style={styles.teamInputButtonText}>INVITE</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </>
+            ) : (
+              <>
+                <Text style={styles.teamHint}>This is a team challenge. Join a team to enter.</Text>
+                {teamInvites.map((invite) => (
+                  <View key={invite.id} style={styles.teamInviteRow}>
+                    <Text style={styles.teamMemberName} numberOfLines={1}>
+                      {invite.team?.name}
+                      {invite.invitedBy?.name ? <Text style={styles.teamMemberScore}>{`  from ${invite.invitedBy.name}`}</Text> : null}
+                    </Text>
+                    <TouchableOpacity onPress={() => handleRespondToInvite(invite, false)} disabled={teamBusy}>
+                      <Text style={[styles.teamLinkText, { color: theme.textMuted }]}>DECLINE</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleRespondToInvite(invite, true)} disabled={teamBusy}>
+                      <Text style={[styles.teamLinkText, { color: theme.primary }]}>JOIN</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+                <View style={styles.teamInputRow}>
+                  <TextInput
+                    style={styles.teamInput}
+                    value={teamNameInput}
+                    onChangeText={setTeamNameInput}
+                    placeholder="New team name"
+                    placeholderTextColor={theme.textMuted}
+                    maxLength={30}
+                  />
+                  <TouchableOpacity
+                    style={[styles.teamInputButton, { backgroundColor: theme.primary }]}
+                    onPress={handleCreateTeam}
+                    disabled={teamBusy || teamNameInput.trim().length < 3}
+                  >
+                    <Text style={styles.teamInputButtonText}>CREATE</Text>
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+          </View>
+        )}
+
         {/* Leaderboard */}
         <View style={styles.card}>
           <View style={styles.cardHeader}>
              <Ionicons name="podium-outline" size={18} color={theme.textMuted} style={{ marginRight: 8 }} />
-             <Text style={styles.cardTitle}>LEADERBOARD</Text>
+             <Text style={styles.cardTitle}>{finalStandings ? 'FINAL STANDINGS' : 'LEADERBOARD'}</Text>
+             {challenge.teamMode && (
+               <View style={styles.scopeToggle}>
+                 {['individual', 'team'].map((scope) => (
+                   <TouchableOpacity
+                     key={scope}
+                     style={[styles.scopeOption, leaderboardScope === scope && { backgroundColor: theme.primary }]}
+                     onPress={() => setLeaderboardScope(scope)}
+                   >
+                     <Text style={[styles.scopeOptionText, leaderboardScope === scope && { color: '#fff' }]}>
+                       {scope === 'team' ? 'TEAMS' : 'INDIVIDUAL'}
+                     </Text>
+                   </TouchableOpacity>
+                 ))}
+               </View>
+             )}
           </View>
 
-          {leaderboard.length > 0 ? (
+          {challenge.teamMode && leaderboardScope === 'team' ? (
+            teamLeaderboard.length > 0 ? (
+              <View style={styles.leaderboardList}>
+                {teamLeaderboard.slice(0, 10).map((team, index) => (
+                  <View
+                    key={team.teamId}
+                    style={[
+                      styles.leaderboardItem,
+                      index === Math.min(teamLeaderboard.length, 10) - 1 && { borderBottomWidth: 0 },
+                      team.teamId === myTeamId && styles.myTeamItem,
+                    ]}
+                  >
+                    <View style={styles.leaderboardRank}>
+                      {renderRankBadge(team.rank || index + 1)}
+                    </View>
+                    <View style={styles.leaderboardInfo}>
+                      <Text style={styles.leaderboardName} numberOfLines={1}>{team.name || 'Disbanded team'}</Text>
+                      <Text style={styles.leaderboardProgress}>
+                        {team.memberCount} {team.memberCount === 1 ? 'member' : 'members'}
+                        {team.completedCount > 0 ? `  ·  ${team.completedCount} completed` : ''}
+                      </Text>
+                    </View>
+                    <Text style={[styles.leaderboardPercentageText, { color: theme.primary }]}>
+                      {team.score} {challenge.metricType}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            ) : (
+              <View style={styles.emptyState}>
+                <Text style={styles.emptyText}>No teams yet</Text>
+              </View>
+            )
+          ) : leaderboard.length > 0 ? (
             <View style={styles.leaderboardList}>
                 {leaderboard.slice(0, 10).map((entry, index) => (
                 <View
@@ -316,6 +574,7 @@ export default function ChallengeDetailScreen({ navigation, route }) {
                         <Text style={styles.leaderboardName} numberOfLines={1}>{entry.name || entry.user?.name}</Text>
                         <Text style={styles.leaderboardProgress}>
                             {entry.progress || 0} / {challenge.target}
+                            {entry.points > 0 ? `  ·  +${entry.points} pts` : ''}
                         </Text>
                     </View>
                     <View style={styles.leaderboardPercentage}>
@@ -407,6 +666,20 @@ export default function ChallengeDetailScreen({ navigation, route }) {
                 <Text style={styles.submitButtonText}>SUBMIT ENTRY</Text>
               </TouchableOpacity>
             </>
+          ) : challenge.waitlisted ? (
+            <TouchableOpacity
+              style={[styles.actionButton, styles.joinButton, styles.leaveButton]}
+              onPress={handleJoinLeave}
+              disabled={joining}
+            >
+              {joining ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.leaveButtonText}>
+                  LEAVE WAITLIST{challenge.waitlistPosition ? ` (#${challenge.waitlistPosition})` : ''}
+                </Text>
+              )}
+            </TouchableOpacity>
           ) : (
             <TouchableOpacity
               style={[styles.actionButton, styles.joinButton, { backgroundColor: theme.primary }]}
@@ -546,6 +819,17 @@ function createStyles(theme) {
         marginLeft: 6,
         letterSpacing: 0.5,
       },
+      seriesLink: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 12,
+      },
+      seriesLinkText: {
+        fontSize: 11,
+        fontWeight: '800',
+        letterSpacing: 1,
+        marginHorizontal: 6,
+      },
       card: {
         backgroundColor: theme.bgCard,
         borderRadius: 16,
@@ -696,6 +980,100 @@ function createStyles(theme) {
         fontSize: 12,
         fontWeight: '800',
       },
+      myTeamItem: {
+        backgroundColor: 'rgba(255,255,255,0.03)',
+        borderRadius: 8,
+      },
+      scopeToggle: {
+        flexDirection: 'row',
+        marginLeft: 'auto',
+        backgroundColor: 'rgba(255,255,255,0.05)',
+        borderRadius: 8,
+        padding: 2,
+      },
+      scopeOption: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 6,
+      },
+      scopeOptionText: {
+        fontSize: 9,
+        fontWeight: '800',
+        color: theme.textMuted,
+        letterSpacing: 0.5,
+      },
+      teamNameRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 8,
+      },
+      teamName: {
+        flex: 1,
+        fontSize: 16,
+        fontWeight: '800',
+        color: theme.textMain,
+      },
+      teamMemberRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        gap: 8,
+      },
+      teamInviteRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        gap: 16,
+      },
+      teamMemberName: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '700',
+        color: theme.textMain,
+      },
+      teamMemberScore: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: theme.textMuted,
+      },
+      teamLinkText: {
+        fontSize: 11,
+        fontWeight: '800',
+        letterSpacing: 1,
+      },
+      teamHint: {
+        fontSize: 12,
+        color: theme.textMuted,
+        marginBottom: 8,
+      },
+      teamInputRow: {
+        flexDirection: 'row',
+        marginTop: 12,
+        gap: 8,
+      },
+      teamInput: {
+        flex: 1,
+        backgroundColor: 'rgba(255,255,255,0.03)',
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: 'rgba(255,255,255,0.08)',
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 13,
+        color: theme.textMain,
+      },
+      teamInputButton: {
+        borderRadius: 8,
+        paddingHorizontal: 16,
+        justifyContent: 'center',
+      },
+      teamInputButtonText: {
+        fontSize: 11,
+        fontWeight: '800',
+        color: '#fff',
+        letterSpacing: 1,
+      },
       submissionItem: {
         backgroundColor: 'rgba(255,255,255,0.02)',
         borderRadius: 10,
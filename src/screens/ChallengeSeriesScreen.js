@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import api from '../services/api';
+
+const STATUS_LABELS = {
+  upcoming: 'UPCOMING',
+  active: 'LIVE',
+  ended: 'ENDED',
+  finalized: 'FINAL',
+};
+
+export default function ChallengeSeriesScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+  const { user } = useApp();
+  const { theme } = useTheme();
+  const { templateId } = route.params;
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [series, setSeries] = useState(null);
+
+  const styles = createStyles(theme);
+
+  useEffect(() => {
+    loadSeries();
+  }, [templateId]);
+
+  const loadSeries = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getChallengeSeries(templateId);
+      if (response.success) {
+        setSeries(response.data);
+      }
+    } catch (err) {
+      console.error('Error loading series:', err);
+      setError(err.message || 'Series not found');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  const statusColor = (status) => {
+    if (status === 'active') return theme.primary;
+    if (status === 'upcoming') return theme.gold;
+    return theme.textMuted;
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.container, { paddingTop: insets.top }]}>
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.primary} />
+        </View>
+      </View>
+    );
+  }
+
+  if (!series) {
+    return (
+      <View style={[styles.container, { paddingTop: insets.top }]}>
+        <View style={styles.centerContainer}>
+          <Text style={styles.errorText}>{error || 'Series not found'}</Text>
+        </View>
+      </View>
+    );
+  }
+
+  const { summary, history } = series;
+  const historyByChallenge = new Map((history || []).map(entry => [entry.challengeId, entry]));
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backButton}
+          hitSlop={{top: 10, bottom: 10, left: 10, right: 10}}
+        >
+          <Ionicons name="arrow-back" size={24} color={theme.textMain} />
+        </TouchableOpacity>
+        <Text style={styles.pageTitle}>SERIES</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        {/* Series Header */}
+        <View style={styles.seriesHeader}>
+          <View style={[styles.iconContainer, { backgroundColor: 'rgba(212, 175, 55, 0.1)' }]}>
+            <Ionicons name="repeat" size={24} color={theme.gold} />
+          </View>
+          <Text style={styles.seriesTitle}>{series.series.title}</Text>
+          <Text style={styles.seriesDescription}>{series.series.description}</Text>
+          <View style={styles.metaRow}>
+            <Ionicons name="calendar" size={14} color={theme.textMuted} />
+            <Text style={styles.metaText}>
+              {(series.series.recurrence || 'ONE-OFF').toUpperCase()}
+            </Text>
+            {series.series.nextStartAt && (
+              <>
+                <View style={styles.metaDivider} />
+                <Text style={styles.metaText}>NEXT {formatDate(series.series.nextStartAt).toUpperCase()}</Text>
+              </>
+            )}
+          </View>
+        </View>
+
+        {/* Your Record */}
+        {user && summary && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>YOUR RECORD</Text>
+            <View style={styles.statsRow}>
+              <View style={styles.statItem}>
+                <Text style={styles.statVal}>{summary.entered}</Text>
+                <Text style={styles.statLabel}>ENTERED</Text>
+              </View>
+              <View style={styles.statItem}>
+                <Text style={styles.statVal}>{summary.completed}</Text>
+                <Text style={styles.statLabel}>COMPLETED</Text>
+              </View>
+              <View style={styles.statItem}>
+                <Text style={[styles.statVal, { color: theme.gold }]}>{summary.wins}</Text>
+                <Text style={styles.statLabel}>WINS</Text>
+              </View>
+              <View style={styles.statItem}>
+                <Text style={styles.statVal}>{summary.bestRank ? `#${summary.bestRank}` : '–'}</Text>
+                <Text style={styles.statLabel}>BEST</Text>
+              </View>
+            </View>
+          </View>
+        )}
+
+        {/* Instances */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>ALL CHALLENGES</Text>
+          {series.instances.length > 0 ? (
+            series.instances.map(instance => {
+              const entry = historyByChallenge.get(instance.id);
+              return (
+                <TouchableOpacity
+                  key={instance.id}
+                  style={styles.instanceRow}
+                  onPress={() => navigation.navigate('ChallengeDetail', { challengeId: instance.id })}
+                >
+                  <Text style={styles.instanceIndex}>#{instance.seriesIndex}</Text>
+                  <View style={styles.instanceInfo}>
+                    <Text style={styles.instanceDates}>
+                      {formatDate(instance.startDate)} – {formatDate(instance.endDate)}
+                    </Text>
+                    <Text style={styles.instanceMeta}>
+                      {instance.participantCount} competing
+                      {instance.winner ? ` · won by ${instance.winner.name}` : ''}
+                    </Text>
+                    {entry && (
+                      <Text style={[styles.instanceMeta, { color: theme.textMain }]}>
+                        {entry.rank ? `You placed #${entry.rank}` : entry.completed ? 'You completed it' : `Your progress: ${entry.progress}`}
+                      </Text>
+                    )}
+                  </View>
+                  <Text style={[styles.instanceStatus, { color: statusColor(instance.status) }]}>
+                    {STATUS_LABELS[instance.status]}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })
+          ) : (
+            <Text style={styles.emptyText}>The first challenge hasn't been created yet.</Text>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+function createStyles(theme) {
+  return StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.bgDeep,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 12,
+      borderBottomWidth: 1,
+      borderBottomColor: 'rgba(255,255,255,0.05)',
+    },
+    backButton: {
+      padding: 8,
+    },
+    pageTitle: {
+      flex: 1,
+      fontSize: 14,
+      fontWeight: '800',
+      color: theme.textMain,
+      textAlign: 'center',
+      letterSpacing: 1,
+    },
+    headerSpacer: {
+      width: 40,
+    },
+    centerContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    errorText: {
+      fontSize: 16,
+      color: theme.textMuted,
+    },
+    content: {
+      flex: 1,
+      padding: 16,
+    },
+    seriesHeader: {
+      backgroundColor: theme.bgCard,
+      borderRadius: 16,
+      padding: 20,
+      marginBottom: 16,
+      borderWidth: 1,
+      borderColor: 'rgba(255,255,255,0.05)',
+    },
+    iconContainer: {
+      width: 44,
+      height: 44,
+      borderRadius: 12,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginBottom: 16,
+    },
+    seriesTitle: {
+      fontSize: 22,
+      fontWeight: '800',
+      color: theme.textMain,
+      marginBottom: 8,
+    },
+    seriesDescription: {
+      fontSize: 14,
+      color: '#ccc',
+      lineHeight: 20,
+      marginBottom: 16,
+    },
+    metaRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    metaDivider: {
+      width: 1,
+      height: 12,
+      backgroundColor: 'rgba(255,255,255,0.1)',
+      marginHorizontal: 12,
+    },
+    metaText: {
+      fontSize: 11,
+      fontWeight: '700',
+      color: theme.textMuted,
+      marginLeft: 6,
+      letterSpacing: 0.5,
+    },
+    card: {
+      backgroundColor: theme.bgCard,
+      borderRadius: 16,
+      padding: 20,
+      marginBottom: 16,
+      borderWidth: 1,
+      borderColor: 'rgba(255,255,255,0.05)',
+    },
+    cardTitle: {
+      fontSize: 12,
+      fontWeight: '800',
+      color: theme.textMuted,
+      letterSpacing: 1,
+      marginBottom: 16,
+    },
+    statsRow: {
+      flexDirection: 'row',
+    },
+    statItem: {
+      flex: 1,
+      alignItems: 'center',
+    },
+    statVal: {
+      fontSize: 20,
+      fontWeight: '800',
+      color: theme.textMain,
+      marginBottom: 4,
+    },
+    statLabel: {
+      fontSize: 10,
+      fontWeight: '800',
+      color: '#555',
+      letterSpacing: 1,
+    },
+    instanceRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 12,
+      borderTopWidth: 1,
+      borderTopColor: 'rgba(255,255,255,0.05)',
+    },
+    instanceIndex: {
+      width: 40,
+      fontSize: 14,
+      fontWeight: '800',
+      color: theme.textMuted,
+    },
+    instanceInfo: {
+      flex: 1,
+    },
+    instanceDates: {
+      fontSize: 14,
+      fontWeight: '700',
+      color: theme.textMain,
+    },
+    instanceMeta: {
+      fontSize: 12,
+      color: theme.textMuted,
+      marginTop: 2,
+    },
+    instanceStatus: {
+      fontSize: 10,
+      fontWeight: '800',
+      letterSpacing: 1,
+      marginLeft: 8,
+    },
+    emptyText: {
+      fontSize: 13,
+      color: theme.textMuted,
+    },
+  });
+}
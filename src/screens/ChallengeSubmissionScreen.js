@@ -19,8 +19,8 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { CameraView, useCameraPermissions, useMicrophonePermissions } from 'expo-camera';
 import * as ImagePicker from 'expo-image-picker';
 import { useTheme } from '../context/ThemeContext';
+import { useApp } from '../context/AppContext';
 import api from '../services/api';
-import { EXERCISES } from '../constants/exercises';
 import { Colors, Spacing, Typography, BorderRadius, Shadows } from '../constants/colors';
 import CustomAlert, { useCustomAlert } from '../components/CustomAlert';
 
@@ -38,7 +38,10 @@ const FormSection = ({ title, children, required, theme, styles }) => (
 export default function ChallengeSubmissionScreen({ navigation, route }) {
   const insets = useSafeAreaInsets();
   const { theme } = useTheme();
+  const { exercises, getExercise } = useApp();
   const { challenge } = route.params;
+  // The server measures the uploaded video and enforces this too
+  const minVideoDuration = challenge?.minVideoDuration ?? 5;
   const isFocused = useIsFocused();
   const [permission, requestPermission] = useCameraPermissions();
   const [micPermission, requestMicPermission] = useMicrophonePermissions();
@@ -63,7 +66,6 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
   const [showExerciseSelector, setShowExerciseSelector] = useState(false);
   const [videoSource, setVideoSource] = useState('camera');
   const [blurFaces, setBlurFaces] = useState(false);
-  const [blurring, setBlurring] = useState(false); 
 
   const recordingTimerRef = useRef(null);
   const recordingRef = useRef(false);
@@ -72,9 +74,10 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
   const styles = createStyles(theme);
 
+  // Challenge exercises may have been retired from the catalog since it started
   const availableExercises = challenge?.challengeType === 'exercise'
-    ? EXERCISES.filter(ex => challenge.exercises?.includes(ex.id))
-    : EXERCISES;
+    ? (challenge.exercises || []).map(getExercise).filter(Boolean)
+    : exercises;
 
   const resetCamera = useCallback(() => {
     setCameraError('');
@@ -141,10 +144,10 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
 
   const applyVideoSelection = (uri, durationSeconds, source) => {
     if (!uri) return false;
-    if (durationSeconds < 5) {
+    if (durationSeconds < minVideoDuration) {
       showAlert({
         title: 'Video Too Short',
-        message: 'Video must be at least 5 seconds long. Please try again.',
+        message: `Video must be at least ${minVideoDuration} seconds long. Please try again.`,
         icon: 'warning',
         buttons: [{ text: 'OK', style: 'default' }]
       });
@@ -185,7 +188,7 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
       if (!result.canceled && result.assets && result.assets.length > 0) {
         const asset = result.assets[0];
         const durationSeconds = resolveDurationSeconds(asset.duration);
-        applyVideoSelection(asset.uri, durationSeconds || 5, 'camera');
+        applyVideoSelection(asset.uri, durationSeconds || minVideoDuration, 'camera');
       }
     } catch (error) {
       console.error('Error recording with system camera:', error);
@@ -358,7 +361,7 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
       if (!result.canceled && result.assets && result.assets.length > 0) {
         const asset = result.assets[0];
         const durationSeconds = resolveDurationSeconds(asset.duration);
-        applyVideoSelection(asset.uri, durationSeconds || 5, 'gallery');
+        applyVideoSelection(asset.uri, durationSeconds || minVideoDuration, 'gallery');
       }
     } catch (error) {
       console.error('Error picking video:', error);
@@ -395,28 +398,6 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
       const uploadResponse = await api.uploadVideo(videoUri);
       if (!uploadResponse.success) throw new Error('Upload failed');
 
-      let finalVideoUrl = uploadResponse.data.videoUrl;
-      let finalServerVideoId = uploadResponse.data.objectName;
-      let originalVideoUrl = null; // Store original for admin view
-
-      if (blurFaces) {
-        setBlurring(true);
-        try {
-          const blurResponse = await api.blurVideo(finalVideoUrl);
-          if (blurResponse.success && blurResponse.data?.blurredVideoUrl) {
-            originalVideoUrl = blurResponse.data.originalVideoUrl || finalVideoUrl;
-            finalVideoUrl = blurResponse.data.blurredVideoUrl;
-            if (blurResponse.data?.objectName) {
-              finalServerVideoId = blurResponse.data.objectName;
-            }
-          }
-        } catch (blurError) {
-          console.warn('[SUBMIT] Blur error:', blurError.message);
-        } finally {
-          setBlurring(false);
-        }
-      }
-
       let value = 0;
       switch (challenge?.metricType) {
         case 'reps': value = parseInt(reps) || 0; break;
@@ -434,9 +415,10 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
         reps: parseInt(reps) || 0,
         weight: parseFloat(weight) || 0,
         duration: parseInt(duration) || 0,
-        videoUrl: finalVideoUrl,
-        originalVideoUrl: originalVideoUrl, // Original unblurred URL (admin only)
-        serverVideoId: finalServerVideoId,
+        videoUrl: uploadResponse.data.videoUrl,
+        serverVideoId: uploadResponse.data.objectName,
+        // The server keeps this video private and publishes a blurred copy
+        blurFaces,
         value,
         notes: notes.trim(),
       });
@@ -444,7 +426,9 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
       if (response.success) {
         showAlert({
           title: 'Entry Submitted',
-          message: 'Your entry is now pending admin approval. XP will be confirmed once verified.',
+          message: blurFaces
+            ? 'Your entry is now pending admin approval. Your video stays private until faces are blurred, and XP will be confirmed once verified.'
+            : 'Your entry is now pending admin approval. XP will be confirmed once verified.',
           icon: 'success',
           buttons: [{ text: 'Done', style: 'default', onPress: () => navigation.goBack() }]
         });
@@ -710,13 +694,6 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
             <Text style={[styles.blurToggleText, blurFaces ? { color: '#fff' } : { color: theme.textMuted }]}>
               {blurFaces ? "FACE BLUR: ON" : "FACE BLUR: OFF"}
             </Text>
-            {blurring && (
-              <ActivityIndicator
-                size="small"
-                color="#fff"
-                style={{ marginLeft: 8 }}
-              />
-            )}
           </TouchableOpacity>
         )}
 
@@ -724,12 +701,12 @@ export default function ChallengeSubmissionScreen({ navigation, route }) {
             style={[
                 styles.submitBtn, 
                 { backgroundColor: theme.primary, shadowColor: theme.primary },
-                (!videoUri || submitting || blurring) && styles.submitBtnDisabled
+                (!videoUri || submitting) && styles.submitBtnDisabled
             ]}
             onPress={handleSubmit}
-            disabled={submitting || !videoUri || blurring}
+            disabled={submitting || !videoUri}
         >
-            {submitting || blurring ? (
+            {submitting ? (
                 <ActivityIndicator color="#fff" />
             ) : (
                 <Text style={styles.submitBtnText}>DEPLOY ENTRY</Text>
@@ -16,16 +16,20 @@ import { useTheme } from '../context/ThemeContext';
 import { SKINS, Typography, Spacing, BorderRadius } from '../constants/colors';
 import api from '../services/api';
 import CustomAlert, { useCustomAlert } from '../components/CustomAlert';
+import DuelComposerModal from '../components/DuelComposerModal';
 
 const FILTERS = [
   { key: 'active', label: 'LIVE' },
   { key: 'ended', label: 'PAST' },
   { key: 'all', label: 'ALL' },
+  { key: 'duels', label: 'DUELS' },
 ];
 
-export default function CompeteScreen({ navigation }) {
+const DUEL_METRIC_LABELS = { reps: 'REPS', weight: 'WEIGHT', duration: 'TIME' };
+
+export default function CompeteScreen({ navigation, route }) {
   const insets = useSafeAreaInsets();
-  const { user } = useApp();
+  const { user, getExercise } = useApp();
   const { theme, skin } = useTheme();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
   
@@ -34,15 +38,30 @@ export default function CompeteScreen({ navigation }) {
   const [challenges, setChallenges] = useState([]);
   const [selectedFilter, setSelectedFilter] = useState('active');
   const [joining, setJoining] = useState(null);
+  const [duels, setDuels] = useState([]);
+  const [duelBusy, setDuelBusy] = useState(null);
+  const [showDuelComposer, setShowDuelComposer] = useState(false);
   const getChallengeId = (challenge) => challenge?.id || challenge?._id || null;
 
   useEffect(() => {
     loadChallenges();
   }, [selectedFilter]);
 
+  // Duel notifications open the DUELS tab
+  useEffect(() => {
+    if (route?.params?.filter) {
+      setSelectedFilter(route.params.filter);
+    }
+  }, [route?.params?.filter, route?.params?.duelId]);
+
   const loadChallenges = async () => {
     try {
       setLoading(true);
+      if (selectedFilter === 'duels') {
+        const duelResponse = await api.getDuels();
+        setDuels(duelResponse.success ? duelResponse.data || [] : []);
+        return;
+      }
       const response = await api.getChallenges({
         region: user?.region || 'global',
         includeExpired: selectedFilter !== 'active' ? 'true' : 'false',
@@ -129,6 +148,35 @@ export default function CompeteScreen({ navigation }) {
     }
   };
 
+  const handleDuelAction = async (duel, action) => {
+    try {
+      setDuelBusy(duel.id);
+      const response = action === 'cancel'
+        ? await api.cancelDuel(duel.id)
+        : await api.respondToDuel(duel.id, action === 'accept');
+      if (response.success) {
+        await loadChallenges();
+        if (action === 'accept') {
+          showAlert({
+            title: "Duel On!",
+            message: "Get your best entry in before the deadline.",
+            icon: 'success',
+            buttons: [{ text: 'OK', style: 'default' }]
+          });
+        }
+      }
+    } catch (err) {
+      showAlert({
+        title: "Error",
+        message: err.message || "Could not update the duel.",
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+    } finally {
+      setDuelBusy(null);
+    }
+  };
+
   const getTimeRemaining = (endDate) => {
     const now = new Date();
     const end = new Date(endDate);
@@ -238,6 +286,160 @@ export default function CompeteScreen({ navigation }) {
     );
   };
 
+  const renderDuelResult = (duel, isChallenger) => {
+    if (duel.status !== 'completed') {
+      const labels = {
+        declined: 'Declined',
+        cancelled: 'Cancelled',
+        expired: 'Expired: no result',
+      };
+      return <Text style={styles.duelMuted}>{labels[duel.status]}</Text>;
+    }
+
+    const myScore = isChallenger ? duel.challengerScore : duel.opponentScore;
+    const theirScore = isChallenger ? duel.opponentScore : duel.challengerScore;
+    const ratingChange = isChallenger ? duel.challengerRatingChange : duel.opponentRatingChange;
+    let outcome = 'DRAW';
+    let color = theme.textMain;
+    if (duel.winnerId === user?.id) {
+      outcome = 'WON';
+      color = '#00d4aa';
+    } else if (duel.winnerId) {
+      outcome = 'LOST';
+      color = theme.danger;
+    }
+
+    return (
+      <View style={styles.duelResultRow}>
+        <Text style={[styles.duelOutcome, { color }]}>{outcome}</Text>
+        <Text style={styles.duelScore}>{myScore ?? '–'} : {theirScore ?? '–'}</Text>
+        <Text style={[styles.duelRating, { color }]}>
+          {ratingChange > 0 ? '+' : ''}{ratingChange} ELO
+        </Text>
+      </View>
+    );
+  };
+
+  const renderDuelCard = (duel) => {
+    const isChallenger = duel.challenger?.id === user?.id;
+    const other = isChallenger ? duel.opponent : duel.challenger;
+    const timeInfo = getTimeRemaining(duel.deadline);
+    const busy = duelBusy === duel.id;
+
+    return (
+      <View
+        key={duel.id}
+        style={[styles.challengeCard, { backgroundColor: theme.bgCard, borderColor: duel.status === 'active' ? theme.primary : 'rgba(255,255,255,0.05)' }]}
+      >
+        <View style={styles.cardHeader}>
+          <View style={styles.headerLeft}>
+            <View style={[styles.iconContainer, { backgroundColor: 'rgba(255, 0, 60, 0.1)' }]}>
+              <Ionicons name="flash" size={20} color={theme.danger} />
+            </View>
+            <View style={styles.headerInfo}>
+              <Text style={styles.cardTitle} numberOfLines={1}>VS {other?.name || 'Unknown'}</Text>
+              <View style={styles.metaRow}>
+                <Text style={styles.metaText}>{(getExercise(duel.exercise)?.name || duel.exercise).toUpperCase()}</Text>
+                <Text style={styles.metaDot}>•</Text>
+                <Text style={styles.metaText}>{DUEL_METRIC_LABELS[duel.metricType]}</Text>
+                {['pending', 'active'].includes(duel.status) && (
+                  <>
+                    <Text style={styles.metaDot}>•</Text>
+                    <Text style={[styles.metaText, timeInfo.expired && { color: theme.danger }]}>{timeInfo.text}</Text>
+                  </>
+                )}
+              </View>
+            </View>
+          </View>
+          <View style={[styles.rewardBadge, { borderColor: theme.gold }]}>
+            <Text style={[styles.rewardText, { color: theme.gold }]}>{other?.duelRating ?? 1200}</Text>
+          </View>
+        </View>
+
+        {duel.status === 'pending' && !isChallenger && (
+          <View style={styles.cardFooter}>
+            <Text style={styles.duelMuted}>{duel.requiresVideo ? 'Video required' : 'No video required'}</Text>
+            <View style={styles.duelActions}>
+              <TouchableOpacity
+                style={[styles.joinBtn, { borderWidth: 1, borderColor: 'rgba(255,255,255,0.2)' }]}
+                onPress={() => handleDuelAction(duel, 'decline')}
+                disabled={busy}
+              >
+                <Text style={[styles.joinBtnText, { color: '#fff' }]}>DECLINE</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.joinBtn, { backgroundColor: theme.primary }]}
+                onPress={() => handleDuelAction(duel, 'accept')}
+                disabled={busy}
+              >
+                {busy ? <ActivityIndicator size="small" color="#fff" /> : <Text style={[styles.joinBtnText, { color: '#fff' }]}>ACCEPT</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {duel.status === 'pending' && isChallenger && (
+          <View style={styles.cardFooter}>
+            <Text style={styles.duelMuted}>Waiting for {other?.name || 'them'} to answer</Text>
+            <TouchableOpacity
+              style={[styles.joinBtn, { borderWidth: 1, borderColor: 'rgba(255,255,255,0.2)' }]}
+              onPress={() => handleDuelAction(duel, 'cancel')}
+              disabled={busy}
+            >
+              {busy ? <ActivityIndicator size="small" color="#fff" /> : <Text style={[styles.joinBtnText, { color: '#fff' }]}>CANCEL</Text>}
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {duel.status === 'active' && (
+          <View style={styles.cardFooter}>
+            <Text style={styles.duelMuted}>Best single entry wins</Text>
+            <TouchableOpacity
+              style={[styles.joinBtn, { backgroundColor: theme.primary }]}
+              onPress={() => navigation.navigate('ChallengeSubmission', { challenge: duel.challenge })}
+              disabled={timeInfo.expired || !duel.challenge}
+            >
+              <Text style={[styles.joinBtnText, { color: '#fff' }]}>{timeInfo.expired ? 'SETTLING' : 'SUBMIT'}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!['pending', 'active'].includes(duel.status) && renderDuelResult(duel, isChallenger)}
+      </View>
+    );
+  };
+
+  const renderDuels = () => (
+    <>
+      {user?.duelRecord && (
+        <View style={styles.duelRecordRow}>
+          <Text style={styles.duelRecordText}>
+            {user.duelRecord.wins}W  {user.duelRecord.losses}L  {user.duelRecord.draws}D
+          </Text>
+          <Text style={[styles.duelRecordText, { color: theme.gold }]}>{user.duelRecord.rating} ELO</Text>
+        </View>
+      )}
+      <TouchableOpacity
+        style={[styles.newDuelBtn, { backgroundColor: theme.primary }]}
+        onPress={() => setShowDuelComposer(true)}
+      >
+        <Ionicons name="flash" size={16} color="#fff" />
+        <Text style={styles.newDuelBtnText}>NEW DUEL</Text>
+      </TouchableOpacity>
+      {duels.length > 0 ? (
+        duels.map(renderDuelCard)
+      ) : (
+        <View style={styles.emptyContainer}>
+          <View style={[styles.emptyIconContainer, { backgroundColor: 'rgba(255,255,255,0.05)' }]}>
+            <Ionicons name="flash-outline" size={48} color={theme.textMuted} />
+          </View>
+          <Text style={styles.emptyText}>NO DUELS YET</Text>
+          <Text style={styles.emptySubtext}>Call someone out, one on one.</Text>
+        </View>
+      )}
+    </>
+  );
+
   const styles = createStyles(theme);
 
   return (
@@ -282,7 +484,7 @@ export default function CompeteScreen({ navigation }) {
           refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={theme.primary} />}
           showsVerticalScrollIndicator={false}
         >
-          {challenges.length > 0 ? (
+          {selectedFilter === 'duels' ? renderDuels() : challenges.length > 0 ? (
             challenges.map((challenge, index) => renderChallengeCard(challenge, index))
           ) : (
             <View style={styles.emptyContainer}>
@@ -296,6 +498,12 @@ export default function CompeteScreen({ navigation }) {
         </ScrollView>
       )}
 
+      <DuelComposerModal
+        visible={showDuelComposer}
+        onClose={() => setShowDuelComposer(false)}
+        onCreated={() => loadChallenges()}
+      />
+
       {/* Custom Alert */}
       <CustomAlert {...alertConfig} onClose={hideAlert} />
     </View>
@@ -508,5 +716,59 @@ function createStyles(theme) {
         fontSize: 12,
         color: '#666',
       },
+      duelRecordRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+      },
+      duelRecordText: {
+        ...Typography.monoSmall,
+        fontSize: 12,
+        color: theme.textMain,
+        letterSpacing: 1,
+      },
+      newDuelBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderRadius: 12,
+        paddingVertical: 14,
+        marginBottom: 16,
+      },
+      newDuelBtnText: {
+        fontSize: 12,
+        fontWeight: '800',
+        color: '#fff',
+        letterSpacing: 1,
+        marginLeft: 8,
+      },
+      duelActions: {
+        flexDirection: 'row',
+        gap: 8,
+      },
+      duelMuted: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#666',
+      },
+      duelResultRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+      },
+      duelOutcome: {
+        fontSize: 13,
+        fontWeight: '800',
+        letterSpacing: 1,
+      },
+      duelScore: {
+        fontSize: 16,
+        fontWeight: '800',
+        color: '#fff',
+      },
+      duelRating: {
+        fontSize: 12,
+        fontWeight: '800',
+      },
     });
 }
@@ -31,6 +31,18 @@ const getRankStyle = (rank) => {
   return { color: '#444' };
 };
 
+// Week-over-week movement from the server's daily rank snapshots
+const RankMovement = ({ change, rankChange, styles }) => {
+  if (change !== 'up' && change !== 'down') return null;
+  const color = change === 'up' ? '#10B981' : '#EF4444';
+  return (
+    <View style={styles.movementRow}>
+      <Ionicons name={change === 'up' ? 'caret-up' : 'caret-down'} size={8} color={color} />
+      <Text style={[styles.movementText, { color }]}>{Math.abs(rankChange)}</Text>
+    </View>
+  );
+};
+
 export default function LeaderboardScreen() {
   const insets = useSafeAreaInsets();
   const navigation = useNavigation();
@@ -64,6 +76,8 @@ export default function LeaderboardScreen() {
           weightClass: entry.weightClass,
           weightClassLabel: entry.weightClassLabel || getWeightClassLabel(entry.weightClass),
           rank: entry.rank,
+          change: entry.change,
+          rankChange: entry.rankChange,
           isCurrentUser: user && entry.id === user.id,
         }));
         setEntries(leaderboardData);
@@ -212,6 +226,7 @@ export default function LeaderboardScreen() {
                   <Text style={[styles.rankNumText, { color: rankStyle.color }]}>
                     {item.rank}
                   </Text>
+                  <RankMovement change={item.change} rankChange={item.rankChange} styles={styles} />
                 </View>
                 
                 <View style={[styles.athleteCol, { flex: 1.2 }]}>
@@ -270,6 +285,7 @@ export default function LeaderboardScreen() {
           >
             <View style={styles.rankNumCol}>
               <Text style={[styles.rankNumText, { color: theme.primary }]}>{currentUserRank.rank}</Text>
+              <RankMovement change={currentUserRank.change} rankChange={currentUserRank.rankChange} styles={styles} />
             </View>
             <View style={[styles.athleteCol, { flex: 1.2 }]}>
               <View style={[styles.listAvatarFallback, { backgroundColor: theme.primary }]}>
@@ -390,6 +406,8 @@ function createStyles(theme, insets) {
     
     rankNumCol: { width: 24, alignItems: 'center', marginRight: 8 },
     rankNumText: { fontSize: 11, fontWeight: '900' },
+    movementRow: { flexDirection: 'row', alignItems: 'center', marginTop: 2 },
+    movementText: { fontSize: 8, fontWeight: '800', marginLeft: 1 },
     
     athleteCol: { flexDirection: 'row', alignItems: 'center' },
     listAvatar: { width: 32, height: 32, borderRadius: 16, borderWidth: 1, borderColor: 'rgba(255,255,255,0.1)' },
@@ -17,6 +17,7 @@ import CustomAlert, { useCustomAlert } from '../components/CustomAlert';
 import AccoladePickerModal from '../components/AccoladePickerModal';
 import AdminProfileEditModal from '../components/AdminProfileEditModal';
 import TutorialModal from '../components/TutorialModal';
+import DuelComposerModal from '../components/DuelComposerModal';
 
 // Conditional import for expo-video-thumbnails (not available on web)
 let VideoThumbnails;
@@ -113,6 +114,8 @@ export default function ProfileScreen({ route, navigation }) {
   const videoRef = useRef(null);
   const thumbnailRequestsRef = useRef(new Set());
 
+  const [showDuelComposer, setShowDuelComposer] = useState(false);
+
   // Edit Profile Modal state
   const [showEditProfileModal, setShowEditProfileModal] = useState(false);
   const [savingProfile, setSavingProfile] = useState(false);
@@ -145,6 +148,7 @@ export default function ProfileScreen({ route, navigation }) {
   });
   const [loadingInviteCodes, setLoadingInviteCodes] = useState(false);
   const [generatingInviteCode, setGeneratingInviteCode] = useState(false);
+  const [exportingData, setExportingData] = useState(false);
 
   // Change password modal state
   const [showChangePasswordModal, setShowChangePasswordModal] = useState(false);
@@ -800,6 +804,66 @@ export default function ProfileScreen({ route, navigation }) {
     }
   };
 
+  const handleExportData = async (format) => {
+    if (exportingData) return;
+    setExportingData(true);
+    try {
+      const response = await api.exportMyData(format);
+      const filename = `unyield-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      if (Platform.OS === 'web') {
+        const blob = new Blob([response.data], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+      } else {
+        await Share.share({ title: filename, message: response.data });
+      }
+    } catch (error) {
+      showAlert({
+        title: 'Export Failed',
+        message: error.message || 'Could not download your data. Please try again.',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }],
+      });
+    } finally {
+      setExportingData(false);
+    }
+  };
+
+  const handleDownloadData = () => {
+    showAlert({
+      title: 'Download My Data',
+      message: 'Export your profile, workouts, submissions and notifications.',
+      icon: 'info',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'CSV', style: 'default', onPress: () => handleExportData('csv') },
+        { text: 'JSON', style: 'default', onPress: () => handleExportData('json') },
+      ]
+    });
+  };
+
+  const handleSignOut = async () => {
+    const result = await signOut();
+    if (!result.pendingWrites) return;
+
+    showAlert({
+      title: 'Unsynced Changes',
+      message: `${result.pendingWrites} change${result.pendingWrites === 1 ? '' : 's'} made offline haven't reached the server yet. Signing out now will lose them.`,
+      icon: 'cloud-offline',
+      buttons: [
+        { text: 'Stay Signed In', style: 'cancel' },
+        { text: 'Sign Out Anyway', style: 'destructive', onPress: async () => {
+            await signOut({ discardPending: true });
+        }}
+      ]
+    });
+  };
+
   const handleDeleteAccount = () => {
     showAlert({
       title: 'Delete Account',
@@ -950,6 +1014,7 @@ export default function ProfileScreen({ route, navigation }) {
     verified_athlete: { label: 'VERIFIED ATHLETE', color: '#F59E0B', icon: 'checkmark-circle' },
     founding_member: { label: 'FOUNDER', color: '#D4AF37', icon: 'star' }, // Gold instead of pink
     challenge_master: { label: 'CHALLENGE MASTER', color: '#6366F1', icon: 'trophy' },
+    challenge_admin: { label: 'CHALLENGE ADMIN', color: '#4F46E5', icon: 'flag' },
   };
 
   return (
@@ -1062,6 +1127,31 @@ export default function ProfileScreen({ route, navigation }) {
           </View>
         </View>
 
+        {/* Duel Record */}
+        {viewedUser?.duelRecord && (
+          <View style={styles.duelRecord}>
+            <Ionicons name="flash" size={16} color={theme.primary} />
+            <View style={styles.duelRecordInfo}>
+              <Text style={styles.infoLabel}>DUEL RECORD</Text>
+              <Text style={styles.duelRecordValue}>
+                {viewedUser.duelRecord.wins}W - {viewedUser.duelRecord.losses}L - {viewedUser.duelRecord.draws}D
+              </Text>
+            </View>
+            <View style={styles.duelRating}>
+              <Text style={[styles.duelRecordValue, { color: theme.primary }]}>{viewedUser.duelRecord.rating}</Text>
+              <Text style={styles.infoLabel}>ELO</Text>
+            </View>
+            {!isOwnProfile && viewedUser?.username && (
+              <TouchableOpacity
+                style={[styles.duelButton, { backgroundColor: theme.primary }]}
+                onPress={() => setShowDuelComposer(true)}
+              >
+                <Text style={styles.duelButtonText}>DUEL</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
         {/* Info Grid - Interactive */}
         <View style={styles.infoGrid}>
            <TouchableOpacity 
@@ -1349,7 +1439,42 @@ export default function ProfileScreen({ route, navigation }) {
                  <Text style={[styles.settingText, { color: '#9b2c2c' }]}>Debug Notifications</Text>
               </TouchableOpacity>
 
-              <TouchableOpacity style={styles.settingItem} onPress={signOut}>
+              {currentUser?.provider === 'anonymous' && (
+                <TouchableOpacity
+                  style={styles.settingItem}
+                  onPress={() => {
+                    setShowSettingsModal(false);
+                    navigation.navigate('UpgradeAccount');
+                  }}
+                >
+                   <Ionicons name="person-add-outline" size={20} color="#fff" />
+                   <Text style={styles.settingText}>Create Account</Text>
+                </TouchableOpacity>
+              )}
+
+              {currentUser?.provider === 'email' && currentUser?.emailVerified === false && (
+                <TouchableOpacity
+                  style={styles.settingItem}
+                  onPress={() => {
+                    setShowSettingsModal(false);
+                    navigation.navigate('VerifyEmail');
+                  }}
+                >
+                   <Ionicons name="mail-unread-outline" size={20} color="#fff" />
+                   <Text style={styles.settingText}>Verify Email</Text>
+                </TouchableOpacity>
+              )}
+
+              <TouchableOpacity style={styles.settingItem} onPress={handleDownloadData} disabled={exportingData}>
+                 {exportingData ? (
+                   <ActivityIndicator size="small" color="#fff" />
+                 ) : (
+                   <Ionicons name="download-outline" size={20} color="#fff" />
+                 )}
+                 <Text style={styles.settingText}>Download My Data</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.settingItem} onPress={handleSignOut}>
                  <Ionicons name="log-out" size={20} color="#ff003c" />
                  <Text style={[styles.settingText, { color: '#ff003c' }]}>Sign Out</Text>
               </TouchableOpacity>
@@ -1592,6 +1717,15 @@ export default function ProfileScreen({ route, navigation }) {
         </TouchableOpacity>
       </Modal>
 
+      {!isOwnProfile && (
+        <DuelComposerModal
+          visible={showDuelComposer}
+          onClose={() => setShowDuelComposer(false)}
+          onCreated={() => navigation.navigate('Compete', { filter: 'duels' })}
+          opponentUsername={viewedUser?.username || ''}
+        />
+      )}
+
       {/* Admin Modals - only shown when viewing other user's profile as admin */}
       {!isOwnProfile && isAdmin && (
         <>
@@ -1665,6 +1799,14 @@ const styles = StyleSheet.create({
   statLabel: { fontSize: 10, fontWeight: '800', color: '#555', letterSpacing: 1 },
   statDivider: { width: 1, height: 24, backgroundColor: 'rgba(255,255,255,0.1)' },
 
+  // Duel Record
+  duelRecord: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#0f0f0f', marginHorizontal: 20, marginTop: 16, borderRadius: 12, padding: 12, borderWidth: 1, borderColor: 'rgba(255,255,255,0.05)' },
+  duelRecordInfo: { flex: 1, marginLeft: 12 },
+  duelRecordValue: { fontSize: 13, fontWeight: '800', color: '#fff' },
+  duelRating: { alignItems: 'center', marginHorizontal: 12 },
+  duelButton: { paddingHorizontal: 14, paddingVertical: 8, borderRadius: 8 },
+  duelButtonText: { fontSize: 11, fontWeight: '800', color: '#fff', letterSpacing: 1 },
+
   // Info Grid - Responsive
   infoGrid: {
     flexDirection: 'row',
@@ -9,7 +9,7 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useWorkout } from '../context/WorkoutContext';
-import { useApp, EXERCISES } from '../context/AppContext';
+import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { SKINS } from '../constants/colors';
 import ScreenHeader from '../components/ScreenHeader';
@@ -19,7 +19,7 @@ export default function SessionDetailScreen({ navigation, route }) {
   const insets = useSafeAreaInsets();
   const { theme } = useTheme();
   const { sessions, deleteSession } = useWorkout();
-  const { weightUnit } = useApp();
+  const { weightUnit, getExercise } = useApp();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
 
   const sessionId = route.params?.sessionId;
@@ -107,10 +107,6 @@ export default function SessionDetailScreen({ navigation, route }) {
     });
   };
 
-  const getExercise = (exerciseId) => {
-    return EXERCISES.find(e => e.id === exerciseId);
-  };
-
   const styles = createStyles(theme);
 
   return (
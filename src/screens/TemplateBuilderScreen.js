@@ -12,7 +12,6 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useWorkout, TRACKING_TYPES } from '../context/WorkoutContext';
 import { useApp } from '../context/AppContext';
-import { EXERCISES, EXERCISE_CATEGORIES } from '../constants/exercises';
 import { useTheme } from '../context/ThemeContext';
 import { SKINS } from '../constants/colors';
 import ScreenHeader from '../components/ScreenHeader';
@@ -23,6 +22,7 @@ export default function TemplateBuilderScreen({ navigation, route }) {
   const { theme, skin } = useTheme();
   const isDark = skin === SKINS.operator || skin === SKINS.midnight;
   const { templates, createTemplate, updateTemplate } = useWorkout();
+  const { exercises: catalogExercises, exerciseCategories } = useApp();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
 
   const templateId = route.params?.templateId;
@@ -50,9 +50,9 @@ export default function TemplateBuilderScreen({ navigation, route }) {
 
   // Filter exercises by category
   const filteredExercises = useMemo(() => {
-    if (selectedCategory === 'all') return EXERCISES;
-    return EXERCISES.filter(e => e.category === selectedCategory);
-  }, [selectedCategory]);
+    if (selectedCategory === 'all') return catalogExercises;
+    return catalogExercises.filter(e => e.category === selectedCategory);
+  }, [selectedCategory, catalogExercises]);
 
   const handleAddExercise = (exercise) => {
     const newExercise = {
@@ -60,7 +60,7 @@ export default function TemplateBuilderScreen({ navigation, route }) {
       exerciseId: exercise.id,
       exerciseName: exercise.name,
       orderIndex: exercises.length,
-      trackingType: TRACKING_TYPES.STRENGTH,
+      trackingType: exercise.trackingType || TRACKING_TYPES.STRENGTH,
       defaultSets: 3,
       targetRepRange: '8-10',
       restSeconds: 90,
@@ -316,7 +316,7 @@ export default function TemplateBuilderScreen({ navigation, route }) {
                   All
                 </Text>
               </TouchableOpacity>
-              {Object.entries(EXERCISE_CATEGORIES).map(([key, label]) => (
+              {Object.entries(exerciseCategories).map(([key, label]) => (
                 <TouchableOpacity
                   key={key}
                   style={[
@@ -5,7 +5,6 @@ import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useApp, calcPoints } from '../context/AppContext';
-import { EXERCISES, EXERCISE_CATEGORIES } from '../constants/exercises';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { SKINS } from '../constants/colors';
@@ -120,7 +119,7 @@ const calculateProgressiveOverload = (logs) => {
 export default function TrainingReportScreen({ navigation }) {
   const insets = useSafeAreaInsets();
   const { theme, skin } = useTheme();
-  const { user, logs, weightUnit, deleteLog, deleteAllLogs, addLog, updateLog } = useApp();
+  const { user, logs, weightUnit, deleteLog, deleteAllLogs, addLog, updateLog, exercises, exerciseCategories, getExercise } = useApp();
   const { refreshUser } = useAuth();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
   const isDark = skin === SKINS.operator || skin === SKINS.midnight;
@@ -129,7 +128,7 @@ export default function TrainingReportScreen({ navigation }) {
   const [refreshing, setRefreshing] = useState(false);
   const [showAddLogModal, setShowAddLogModal] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('all');
-  const [selectedExercise, setSelectedExercise] = useState(EXERCISES[0].id);
+  const [selectedExercise, setSelectedExercise] = useState(exercises[0]?.id);
   const [logReps, setLogReps] = useState('');
   const [logWeight, setLogWeight] = useState('');
   const [savingLog, setSavingLog] = useState(false);
@@ -152,9 +151,9 @@ export default function TrainingReportScreen({ navigation }) {
 
   // Filter exercises by category
   const filteredExercises = useMemo(() => {
-    if (selectedCategory === 'all') return EXERCISES;
-    return EXERCISES.filter(e => e.category === selectedCategory);
-  }, [selectedCategory]);
+    if (selectedCategory === 'all') return exercises;
+    return exercises.filter(e => e.category === selectedCategory);
+  }, [selectedCategory, exercises]);
 
   // Refresh logs when screen comes into focus
   useFocusEffect(
@@ -249,7 +248,7 @@ export default function TrainingReportScreen({ navigation }) {
 
     setSavingLog(true);
     try {
-      const exercise = EXERCISES.find(e => e.id === selectedExercise);
+      const exercise = getExercise(selectedExercise);
       // Personal logs grant 0 XP (only competition logs grant XP)
       const points = 0;
 
@@ -274,7 +273,7 @@ export default function TrainingReportScreen({ navigation }) {
       setLogReps('');
       setLogWeight('');
       setShowAddLogModal(false);
-      setSelectedExercise(EXERCISES[0].id);
+      setSelectedExercise(exercises[0]?.id);
       setSelectedCategory('all');
 
       showAlert({
@@ -939,18 +938,18 @@ export default function TrainingReportScreen({ navigation }) {
                     style={[styles.pill, selectedCategory === 'all' && styles.pillActive]}
                     onPress={() => {
                       setSelectedCategory('all');
-                      setSelectedExercise(EXERCISES[0].id);
+                      setSelectedExercise(exercises[0]?.id);
                     }}
                   >
                     <Text style={[styles.pillText, selectedCategory === 'all' && styles.pillTextActive]}>ALL</Text>
                   </TouchableOpacity>
-                  {Object.entries(EXERCISE_CATEGORIES).map(([key, label]) => (
+                  {Object.entries(exerciseCategories).map(([key, label]) => (
                     <TouchableOpacity
                       key={key}
                       style={[styles.pill, selectedCategory === key && styles.pillActive]}
                       onPress={() => {
                         setSelectedCategory(key);
-                        const firstInCategory = EXERCISES.find(e => e.category === key);
+                        const firstInCategory = exercises.find(e => e.category === key);
                         if (firstInCategory) setSelectedExercise(firstInCategory.id);
                       }}
                     >
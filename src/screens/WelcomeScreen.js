@@ -17,7 +17,7 @@ import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { SKINS } from '../constants/colors';
 
-export default function WelcomeScreen() {
+export default function WelcomeScreen({ navigation }) {
   const insets = useSafeAreaInsets();
   const { theme, skin } = useTheme();
   const isDark = skin === SKINS.operator || skin === SKINS.midnight;
@@ -27,6 +27,7 @@ export default function WelcomeScreen() {
     signUpWithEmail,
     signInWithGoogle,
     signInWithApple,
+    signInAnonymous,
     loading,
   } = useAuth();
 
@@ -102,6 +103,14 @@ export default function WelcomeScreen() {
     }
   };
 
+  const handleGuestSignIn = async () => {
+    setLocalError('');
+    const result = await signInAnonymous();
+    if (!result?.success) {
+      setLocalError(result?.error || 'Could not start a guest session');
+    }
+  };
+
   return (
     <View style={[styles.container, { backgroundColor: theme.bgDeep }]}>
       <KeyboardAvoidingView
@@ -182,6 +191,11 @@ export default function WelcomeScreen() {
                   </>
                 )}
               </TouchableOpacity>
+
+              {/* Guest - can create a full account later from settings */}
+              <TouchableOpacity onPress={handleGuestSignIn} disabled={loading} style={styles.guestButton}>
+                <Text style={[styles.switchLink, { color: theme.textMuted }]}>Continue as Guest</Text>
+              </TouchableOpacity>
             </View>
           )}
 
@@ -264,6 +278,15 @@ export default function WelcomeScreen() {
                   />
                 </View>
 
+                {mode === 'signin' && (
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate('ForgotPassword', { email: email.trim() })}
+                    style={styles.forgotButton}
+                  >
+                    <Text style={[styles.switchLink, { color: theme.primary }]}>Forgot password?</Text>
+                  </TouchableOpacity>
+                )}
+
                 {/* Error inside form */}
                 {localError ? (
                   <View style={[styles.errorContainer, { backgroundColor: `${theme.danger}15` }]}>
@@ -484,6 +507,14 @@ function createStyles(theme, isDark) {
       fontSize: 16,
       fontWeight: '700',
     },
+    forgotButton: {
+      alignSelf: 'flex-end',
+      marginBottom: 12,
+    },
+    guestButton: {
+      alignSelf: 'center',
+      marginTop: 16,
+    },
     switchContainer: {
       flexDirection: 'row',
       justifyContent: 'center',
@@ -8,7 +8,7 @@ import { CameraView, useCameraPermissions, useMicrophonePermissions } from 'expo
 import { Video, ResizeMode, AVPlaybackStatus } from 'expo-av';
 import * as ImagePicker from 'expo-image-picker';
 
-import { useApp, EXERCISES, LS_GEMINI_KEY, calcPoints, calcStrengthRatio, formatStrengthRatio, MAX_REPS, MAX_WEIGHT_KG, MAX_WEIGHT_LBS } from '../context/AppContext';
+import { useApp, LS_GEMINI_KEY, calcPoints, calcStrengthRatio, formatStrengthRatio, MAX_REPS, MAX_WEIGHT_KG, MAX_WEIGHT_LBS } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { SKINS } from '../constants/colors';
 import api from '../services/api';
@@ -132,10 +132,10 @@ export default function WorkoutSubmitScreen({ navigation }) {
   const insets = useSafeAreaInsets();
   const { theme, skin } = useTheme();
   const isDark = skin === SKINS.operator || skin === SKINS.midnight;
-  const { user, addLog, weightUnit, toggleWeightUnit } = useApp();
+  const { user, addLog, weightUnit, toggleWeightUnit, exercises, getExercise } = useApp();
   const isFocused = useIsFocused();
 
-  const [exerciseId, setExerciseId] = useState(EXERCISES[0].id);
+  const [exerciseId, setExerciseId] = useState(exercises[0]?.id);
   const [reps, setReps] = useState(0);
   const [weight, setWeight] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -152,7 +152,6 @@ export default function WorkoutSubmitScreen({ navigation }) {
   const [micPermission, requestMicPermission] = useMicrophonePermissions();
   const [videoSource, setVideoSource] = useState('camera'); // 'camera' or 'gallery'
   const [blurFaces, setBlurFaces] = useState(false);
-  const [blurring, setBlurring] = useState(false);
   const [cameraReady, setCameraReady] = useState(false);
   const [cameraError, setCameraError] = useState('');
   const [cameraKey, setCameraKey] = useState(0);
@@ -274,7 +273,7 @@ export default function WorkoutSubmitScreen({ navigation }) {
     }
   };
 
-  const exercise = useMemo(() => EXERCISES.find((x) => x.id === exerciseId) || EXERCISES[0], [exerciseId]);
+  const exercise = useMemo(() => getExercise(exerciseId) || exercises[0], [exerciseId, getExercise, exercises]);
   const hasValidWeight = user?.weight && user.weight > 0;
 
   // Calculate strength ratio instead of points
@@ -293,7 +292,7 @@ export default function WorkoutSubmitScreen({ navigation }) {
 
   const points = useMemo(() => calcPoints(exercise, reps, weight, user?.streak || 0), [exercise, reps, weight, user]);
   const canSubmitVideo = hasRecording && !!recordingUri && recordSeconds >= 5 && hasValidWeight;
-  const isSubmitDisabled = isSubmitting || blurring || (reps <= 0 && exercise.name !== 'Run (Km)') || !canSubmitVideo;
+  const isSubmitDisabled = isSubmitting || (reps <= 0 && exercise.name !== 'Run (Km)') || !canSubmitVideo;
 
   const adjustReps = (delta) => {
     setReps((prev) => Math.max(0, prev + delta));
@@ -600,33 +599,10 @@ export default function WorkoutSubmitScreen({ navigation }) {
         });
 
         if (uploadResponse.success && uploadResponse.data) {
-          let serverVideoUrl = uploadResponse.data.videoUrl;
-          let originalVideoUrl = null; // Store original for admin view
+          const serverVideoUrl = uploadResponse.data.videoUrl;
           console.log('[WORKOUT SUBMIT] ✓ Step 1 complete - Video uploaded successfully');
           console.log('[WORKOUT SUBMIT] serverVideoUrl:', serverVideoUrl);
 
-          // Step 1.5: Blur faces if enabled
-          if (blurFaces) {
-            console.log('[WORKOUT SUBMIT] Blurring faces...');
-            setBlurring(true);
-
-            try {
-              const blurResponse = await api.blurVideo(serverVideoUrl);
-
-              if (blurResponse.success && blurResponse.data?.blurredVideoUrl) {
-                originalVideoUrl = blurResponse.data.originalVideoUrl || serverVideoUrl;
-                serverVideoUrl = blurResponse.data.blurredVideoUrl;
-                console.log('[WORKOUT SUBMIT] Faces blurred:', blurResponse.data.facesFound || blurResponse.data.facesDetected);
-              } else {
-                console.warn('[WORKOUT SUBMIT] Blur failed, using original video');
-              }
-            } catch (blurError) {
-              console.warn('[WORKOUT SUBMIT] Blur error:', blurError.message);
-            } finally {
-              setBlurring(false);
-            }
-          }
-
           // Step 2: Submit video metadata with the server URL
           console.log('[WORKOUT SUBMIT] Step 2: Submitting video metadata...', {
             exercise: exercise.name,
@@ -634,7 +610,7 @@ export default function WorkoutSubmitScreen({ navigation }) {
             weight: weightInKg,
             duration: recordSeconds,
             videoUrl: serverVideoUrl,
-            originalVideoUrl: originalVideoUrl
+            blurFaces,
           });
 
           console.log('[WORKOUT SUBMIT] About to call api.submitVideo...');
@@ -643,8 +619,9 @@ export default function WorkoutSubmitScreen({ navigation }) {
             reps,
             weight: weightInKg,
             duration: recordSeconds,
-            videoUrl: serverVideoUrl, // Blurred video URL (public)
-            originalVideoUrl: originalVideoUrl, // Original unblurred URL (admin only)
+            videoUrl: serverVideoUrl,
+            // The server keeps this video private and publishes a blurred copy
+            blurFaces,
             thumbnailUrl: null,
           });
 
@@ -770,7 +747,7 @@ export default function WorkoutSubmitScreen({ navigation }) {
         {/* Exercise selector */}
         <View style={styles.exerciseSelector}>
           <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.pillScroller}>
-            {EXERCISES.map((x) => {
+            {exercises.map((x) => {
               const active = x.id === exerciseId;
               return (
                 <TouchableOpacity
@@ -882,13 +859,6 @@ export default function WorkoutSubmitScreen({ navigation }) {
             ]}>
               {blurFaces ? "FACE BLUR: ON" : "FACE BLUR: OFF"}
             </Text>
-            {blurring && (
-              <ActivityIndicator
-                size="small"
-                color={theme.bgDeep}
-                style={{ marginLeft: 8 }}
-              />
-            )}
           </TouchableOpacity>
         )}
 
@@ -903,7 +873,7 @@ export default function WorkoutSubmitScreen({ navigation }) {
           disabled={isSubmitDisabled}
         >
           <Text style={styles.submitText}>
-            {isSubmitting || blurring ? 'TRANSMITTING...' :
+            {isSubmitting ? 'TRANSMITTING...' :
              !recordingUri ? 'RECORD REQUIRED (5s MIN)' :
              !canSubmitVideo ? `KEEP RECORDING (${5 - recordSeconds}s)` :
              'TRANSMIT LOG'}
@@ -383,6 +383,12 @@ export default function AdminDashboardScreen({ navigation }) {
                   color={C.info}
                   onPress={() => navigation.navigate('AdminAnalytics')}
                 />
+                <QuickAction
+                  title="Jobs"
+                  icon="layers"
+                  color={C.warning}
+                  onPress={() => navigation.navigate('AdminJobs')}
+                />
                 <QuickAction
                   title="Logs"
                   icon="receipt"
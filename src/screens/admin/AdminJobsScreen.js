@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Modal, RefreshControl } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import CustomAlert, { useCustomAlert } from '../../components/CustomAlert';
+import api from '../../services/api';
+import {
+  ADMIN_COLORS,
+  ADMIN_SPACING,
+  ADMIN_RADIUS,
+  ADMIN_TYPOGRAPHY,
+  ADMIN_SHADOWS,
+  ADMIN_SURFACES,
+} from '../../constants/adminTheme';
+
+const C = ADMIN_COLORS;
+const S = ADMIN_SPACING;
+const R = ADMIN_RADIUS;
+const T = ADMIN_TYPOGRAPHY;
+
+const STATUS_FILTERS = ['all', 'pending', 'running', 'completed', 'dead'];
+
+const STATUS_COLORS = {
+  pending: C.warning,
+  running: C.info,
+  completed: C.success,
+  dead: C.danger,
+};
+
+export default function AdminJobsScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+  const { alertConfig, showAlert, hideAlert } = useCustomAlert();
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('dead');
+
+  const loadJobs = async () => {
+    try {
+      const queryParams = statusFilter !== 'all' ? `?status=${statusFilter}` : '';
+      const response = await api.get(`/api/admin/jobs${queryParams}`);
+      if (response?.success) {
+        setJobs(response.data.jobs);
+        setCounts(response.data.counts.byStatus);
+      }
+    } catch (err) {
+      console.error('Error loading jobs:', err);
+      showAlert({
+        title: 'Error',
+        message: 'Failed to load jobs',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    loadJobs();
+  }, [statusFilter]);
+
+  const handleRetry = async (job) => {
+    try {
+      const response = await api.post(`/api/admin/jobs/${job.id}/retry`);
+      if (response?.success) {
+        setSelectedJob(null);
+        loadJobs();
+        showAlert({
+          title: 'Requeued',
+          message: `${job.type} will run again shortly`,
+          icon: 'success',
+          buttons: [{ text: 'OK', style: 'default' }]
+        });
+      }
+    } catch (err) {
+      showAlert({
+        title: 'Error',
+        message: err.message || 'Failed to retry job',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+    }
+  };
+
+  const JobCard = ({ job, onPress }) => (
+    <TouchableOpacity style={styles.jobCard} onPress={() => onPress(job)}>
+      <View style={styles.jobHeader}>
+        <Text style={styles.jobType}>{job.type}</Text>
+        <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[job.status] || C.textSubtle }]}>
+          <Text style={styles.statusText}>{job.status}</Text>
+        </View>
+      </View>
+      <Text style={styles.jobMeta}>
+        Attempt {job.attempts}/{job.maxAttempts}
+        {job.status === 'pending' && job.attempts > 0 ? ` · retries ${new Date(job.runAt).toLocaleTimeString()}` : ''}
+      </Text>
+      {job.lastError ? (
+        <Text style={styles.jobError} numberOfLines={2}>{job.lastError}</Text>
+      ) : null}
+      <Text style={styles.jobDate}>{new Date(job.createdAt).toLocaleString()}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: insets.top + 16 }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={20} color={C.white} />
+        </TouchableOpacity>
+        <Text style={styles.pageTitle}>Background Jobs</Text>
+        <View style={styles.headerRight} />
+      </View>
+
+      {counts && (
+        <View style={styles.countsRow}>
+          {STATUS_FILTERS.filter(status => status !== 'all').map(status => (
+            <View key={status} style={styles.countItem}>
+              <Text style={[styles.countValue, { color: STATUS_COLORS[status] }]}>{counts[status] || 0}</Text>
+              <Text style={styles.countLabel}>{status}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <View style={styles.filterContainer}>
+        {STATUS_FILTERS.map(status => (
+          <TouchableOpacity
+            key={status}
+            style={[styles.filterChip, statusFilter === status && styles.filterChipActive]}
+            onPress={() => setStatusFilter(status)}
+          >
+            <Text style={[styles.filterChipText, statusFilter === status && styles.filterChipTextActive]}>
+              {status.charAt(0).toUpperCase() + status.slice(1)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={C.accent} />
+        </View>
+      ) : jobs.length === 0 ? (
+        <View style={styles.centerContainer}>
+          <Ionicons name="checkmark-circle-outline" size={64} color={C.success} />
+          <Text style={styles.emptyText}>No jobs found</Text>
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scroll}
+          contentContainerStyle={styles.scrollContent}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={() => {
+                setRefreshing(true);
+                loadJobs();
+              }}
+              tintColor={C.accent}
+            />
+          }
+        >
+          {jobs.map(job => (
+            <JobCard key={job.id} job={job} onPress={setSelectedJob} />
+          ))}
+        </ScrollView>
+      )}
+
+      <Modal visible={!!selectedJob} transparent animationType="fade">
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            {selectedJob && (
+              <>
+                <Text style={styles.modalTitle}>{selectedJob.type}</Text>
+                <Text style={styles.modalMeta}>
+                  {selectedJob.status} · attempt {selectedJob.attempts}/{selectedJob.maxAttempts}
+                </Text>
+                {selectedJob.lastError ? (
+                  <>
+                    <Text style={styles.modalLabel}>Last error:</Text>
+                    <Text style={styles.modalError}>{selectedJob.lastError}</Text>
+                  </>
+                ) : null}
+                <Text style={styles.modalLabel}>Payload:</Text>
+                <ScrollView style={styles.payloadBox}>
+                  <Text style={styles.payloadText}>{JSON.stringify(selectedJob.payload, null, 2)}</Text>
+                </ScrollView>
+                {selectedJob.status === 'dead' && (
+                  <TouchableOpacity style={styles.retryButton} onPress={() => handleRetry(selectedJob)}>
+                    <Ionicons name="refresh" size={18} color={C.white} />
+                    <Text style={styles.retryButtonText}>Retry Job</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={styles.closeButton} onPress={() => setSelectedJob(null)}>
+                  <Text style={styles.closeButtonText}>Close</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </View>
+      </Modal>
+
+      {/* Custom Alert */}
+      <CustomAlert {...alertConfig} onClose={hideAlert} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: ADMIN_SURFACES.page,
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: S.xl,
+    paddingBottom: S.md,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: C.border,
+  },
+  backButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    backgroundColor: C.card,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: S.md,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  pageTitle: {
+    ...T.h2,
+    flex: 1,
+  },
+  headerRight: {
+    width: 34,
+  },
+  countsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: S.xl,
+    paddingTop: S.md,
+  },
+  countItem: { alignItems: 'center', flex: 1 },
+  countValue: { fontSize: 18, fontWeight: '700' },
+  countLabel: { fontSize: 10, color: C.textSubtle, textTransform: 'uppercase', letterSpacing: 0.6 },
+  filterContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: S.xl,
+    marginTop: S.sm,
+    marginBottom: S.sm,
+    gap: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    backgroundColor: C.card,
+    borderRadius: R.pill,
+    borderWidth: 1,
+    borderColor: C.border,
+    minHeight: 24,
+    justifyContent: 'center',
+  },
+  filterChipActive: {
+    backgroundColor: C.accentSoft,
+    borderColor: C.accent,
+  },
+  filterChipText: {
+    fontSize: 11,
+    color: C.textSubtle,
+    fontWeight: '600',
+  },
+  filterChipTextActive: {
+    color: C.accent,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: S.xl,
+  },
+  emptyText: {
+    marginTop: S.md,
+    ...T.bodyMuted,
+  },
+  scroll: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: S.xl,
+    paddingBottom: S.xxl,
+  },
+  jobCard: {
+    backgroundColor: C.card,
+    borderRadius: R.lg,
+    padding: S.md,
+    marginBottom: S.md,
+    borderWidth: 1,
+    borderColor: C.border,
+    ...ADMIN_SHADOWS.soft,
+  },
+  jobHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: S.sm,
+  },
+  jobType: { fontSize: 14, fontWeight: '600', color: C.text, flex: 1 },
+  statusBadge: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: R.md },
+  statusText: {
+    fontSize: 9,
+    fontWeight: '700',
+    color: C.white,
+    textTransform: 'uppercase',
+    letterSpacing: 0.6,
+  },
+  jobMeta: { fontSize: 11, color: C.textSubtle, marginBottom: 6 },
+  jobError: { fontSize: 12, color: C.danger, lineHeight: 17, marginBottom: 6 },
+  jobDate: { fontSize: 10, color: C.textSubtle },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.75)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  modalContent: {
+    backgroundColor: C.card,
+    borderRadius: R.lg,
+    padding: S.lg,
+    width: '100%',
+    maxWidth: 420,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  modalTitle: { ...T.h2, marginBottom: 4 },
+  modalMeta: { fontSize: 11, color: C.textSubtle, marginBottom: S.md },
+  modalLabel: { ...T.caption, marginBottom: 4 },
+  modalError: { fontSize: 13, color: C.danger, marginBottom: 12, lineHeight: 18 },
+  payloadBox: {
+    maxHeight: 180,
+    backgroundColor: C.panel,
+    borderRadius: R.md,
+    padding: S.sm,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  payloadText: { fontSize: 11, color: C.text },
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: R.md,
+    gap: 6,
+    backgroundColor: C.accent,
+    marginBottom: 4,
+  },
+  retryButtonText: { fontSize: 12, fontWeight: '700', color: C.white },
+  closeButton: { padding: 12, alignItems: 'center' },
+  closeButtonText: { fontSize: 12, color: C.textSubtle },
+});
@@ -160,11 +160,9 @@ export default function AdminSendNotificationScreen({ route, navigation }) {
                 message: payload.message,
               });
               const recipientCount = response?.data?.recipientCount || 0;
-              const pushSent = response?.data?.pushSent || 0;
-              const pushAttempted = response?.data?.pushAttempted || 0;
               showAlert({
-                title: 'Broadcast Sent',
-                message: `Delivered to ${recipientCount} user(s). Push sent: ${pushSent}/${pushAttempted}.`,
+                title: 'Broadcast Queued',
+                message: `Sending to ${recipientCount} user(s) in the background.`,
                 icon: 'success',
                 buttons: [
                   {
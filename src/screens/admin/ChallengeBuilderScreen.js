@@ -14,7 +14,7 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import CustomAlert, { useCustomAlert } from '../../components/CustomAlert';
 import api from '../../services/api';
-import { EXERCISES, EXERCISE_CATEGORIES } from '../../constants/exercises';
+import { useApp } from '../../context/AppContext';
 import {
   ADMIN_COLORS,
   ADMIN_SPACING,
@@ -29,10 +29,25 @@ const S = ADMIN_SPACING;
 const R = ADMIN_RADIUS;
 const T = ADMIN_TYPOGRAPHY;
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// FREQ and INTERVAL of a template's recurrence rule
+const parseRepeat = (rrule) => {
+  const parts = Object.fromEntries((rrule || '').split(';').map(part => part.split('=')));
+  return {
+    repeat: parts.FREQ ? parts.FREQ.toLowerCase() : 'none',
+    interval: parts.INTERVAL || '1',
+  };
+};
+
 export default function ChallengeBuilderScreen({ navigation, route }) {
   const insets = useSafeAreaInsets();
   const { alertConfig, showAlert, hideAlert } = useCustomAlert();
-  const { challenge, isEdit } = route.params || {};
+  const { exercises, exerciseCategories, getExercise } = useApp();
+  const { challenge: editedChallenge, template, isEdit } = route.params || {};
+  // Templates fill the same form; their schedule gives the dates
+  const challenge = editedChallenge || template;
+  const templateStart = template?.nextStartAt || template?.startsAt;
   const [saving, setSaving] = useState(false);
   const getChallengeId = (item) => item?.id || item?._id || null;
 
@@ -44,8 +59,14 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
   const [customMetricName, setCustomMetricName] = useState(challenge?.customMetricName || '');
   const [metricType, setMetricType] = useState(challenge?.metricType || 'reps');
   const [target, setTarget] = useState(challenge?.target?.toString() || '');
-  const [startDate, setStartDate] = useState(challenge?.startDate ? new Date(challenge.startDate) : new Date());
-  const [endDate, setEndDate] = useState(challenge?.endDate ? new Date(challenge.endDate) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+  const [startDate, setStartDate] = useState(
+    templateStart ? new Date(templateStart) : challenge?.startDate ? new Date(challenge.startDate) : new Date()
+  );
+  const [endDate, setEndDate] = useState(
+    template
+      ? new Date((templateStart ? new Date(templateStart).getTime() : Date.now()) + template.durationHours * HOUR_MS)
+      : challenge?.endDate ? new Date(challenge.endDate) : new Date(Date.now() + 7 * 24 * HOUR_MS)
+  );
   const [regionScope, setRegionScope] = useState(challenge?.regionScope || 'global');
   const [reward, setReward] = useState(challenge?.reward?.toString() || '100');
   const [rules, setRules] = useState(challenge?.rules || '');
@@ -53,6 +74,10 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
   const [winnerCriteria, setWinnerCriteria] = useState(challenge?.winnerCriteria || 'first_to_complete');
   const [requiresVideo, setRequiresVideo] = useState(challenge?.requiresVideo !== false);
   const [maxParticipants, setMaxParticipants] = useState(challenge?.maxParticipants?.toString() || '0');
+  const [teamMode, setTeamMode] = useState(challenge?.teamMode === true);
+  const [saveAsTemplate, setSaveAsTemplate] = useState(!!template);
+  const [repeat, setRepeat] = useState(parseRepeat(template?.rrule).repeat);
+  const [repeatInterval, setRepeatInterval] = useState(parseRepeat(template?.rrule).interval);
 
   // UI state
   const [showExerciseSelector, setShowExerciseSelector] = useState(false);
@@ -139,10 +164,28 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
         winnerCriteria,
         requiresVideo,
         maxParticipants: parseInt(maxParticipants) || 0,
+        teamMode,
+      };
+
+      // Repeating challenges and templates are saved as a template; the
+      // first challenge comes from the schedule or is created straight away
+      const { startDate: start, endDate: end, ...templateFields } = challengeData;
+      const templateData = {
+        ...templateFields,
+        durationHours: Math.max(1, Math.round((endDate - startDate) / HOUR_MS)),
+        rrule: repeat === 'none' ? null : `FREQ=${repeat.toUpperCase()};INTERVAL=${parseInt(repeatInterval) || 1}`,
+        startsAt: repeat === 'none' ? null : start,
       };
 
       let response;
-      if (isEdit && challenge) {
+      if (template) {
+        response = await api.updateChallengeTemplate(template.id, templateData);
+      } else if (!isEdit && (saveAsTemplate || repeat !== 'none')) {
+        response = await api.createChallengeTemplate(templateData);
+        if (response.success && repeat === 'none') {
+          response = await api.instantiateChallengeTemplate(response.data.id, start);
+        }
+      } else if (isEdit && challenge) {
         const challengeId = getChallengeId(challenge);
         if (!challengeId) {
           throw new Error('Challenge ID is missing.');
@@ -155,7 +198,11 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
       if (response.success) {
         showAlert({
           title: 'Success',
-          message: isEdit ? 'Challenge updated successfully' : 'Challenge created successfully',
+          message: template
+            ? 'Template updated. Changes apply to challenges created from now on.'
+            : repeat !== 'none'
+              ? 'Series created. Each challenge is created a day before it starts.'
+              : isEdit ? 'Challenge updated successfully' : 'Challenge created successfully',
           icon: 'success',
           buttons: [{
             text: 'OK',
@@ -184,8 +231,7 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
   };
 
   const getFilteredExercises = () => {
-    if (!EXERCISES || !Array.isArray(EXERCISES)) return [];
-    return EXERCISES.filter(ex => ex.category === selectedCategory);
+    return exercises.filter(ex => ex.category === selectedCategory);
   };
 
   return (
@@ -195,7 +241,7 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
         <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
           <Ionicons name="arrow-back" size={20} color={C.white} />
         </TouchableOpacity>
-        <Text style={styles.pageTitle}>{isEdit ? 'Edit Challenge' : 'Create Challenge'}</Text>
+        <Text style={styles.pageTitle}>{template ? 'Edit Template' : isEdit ? 'Edit Challenge' : 'Create Challenge'}</Text>
         <TouchableOpacity
           style={[styles.saveButton, saving && styles.saveButtonDisabled]}
           onPress={handleSave}
@@ -266,7 +312,7 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
             </View>
             <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.exercisesScroll}>
               {selectedExercises.map(exId => {
-                const exercise = EXERCISES.find(e => e.id === exId);
+                const exercise = getExercise(exId);
                 return exercise ? (
                   <View key={exId} style={styles.exerciseChip}>
                     <Text style={styles.exerciseChipText}>{exercise.name}</Text>
@@ -440,6 +486,81 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
             </TouchableOpacity>
           </View>
         </View>
+
+        {/* Team Mode */}
+        <View style={styles.section}>
+          <View style={styles.toggleRow}>
+            <Text style={styles.sectionTitle}>Team Challenge</Text>
+            <TouchableOpacity
+              style={[styles.toggle, teamMode && styles.toggleActive]}
+              onPress={() => setTeamMode(!teamMode)}
+            >
+              <Ionicons
+                name={teamMode ? "checkmark" : "close"}
+                size={20}
+                color={teamMode ? C.black : C.textSubtle}
+              />
+            </TouchableOpacity>
+          </View>
+          <Text style={[styles.optionDesc, { marginTop: 6 }]}>Approved entries add up for each team. Players need a team to join.</Text>
+        </View>
+
+        {/* Template & Repeat - not for challenges that already exist */}
+        {(!isEdit || template) && (
+          <View style={styles.section}>
+            {!template && (
+              <View style={styles.toggleRow}>
+                <Text style={styles.sectionTitle}>Save as Template</Text>
+                <TouchableOpacity
+                  style={[styles.toggle, (saveAsTemplate || repeat !== 'none') && styles.toggleActive]}
+                  onPress={() => setSaveAsTemplate(!saveAsTemplate)}
+                  disabled={repeat !== 'none'}
+                >
+                  <Ionicons
+                    name={saveAsTemplate || repeat !== 'none' ? "checkmark" : "close"}
+                    size={20}
+                    color={saveAsTemplate || repeat !== 'none' ? C.black : C.textSubtle}
+                  />
+                </TouchableOpacity>
+              </View>
+            )}
+            <Text style={[styles.sectionTitle, { marginTop: 12 }]}>Repeat</Text>
+            <View style={styles.metricSelector}>
+              {['none', 'weekly', 'monthly'].map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.metricButton, repeat === option && styles.metricButtonActive]}
+                  onPress={() => setRepeat(option)}
+                >
+                  <Text style={[styles.metricButtonText, repeat === option && styles.metricButtonTextActive]}>
+                    {option === 'none' ? 'Never' : option.charAt(0).toUpperCase() + option.slice(1)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {repeat !== 'none' && (
+              <>
+                <View style={[styles.targetInputContainer, { marginTop: 10 }]}>
+                  <Text style={styles.targetUnit}>Every</Text>
+                  <TextInput
+                    style={[styles.targetInput, { marginHorizontal: 8 }]}
+                    placeholder="1"
+                    placeholderTextColor={C.textSubtle}
+                    value={repeatInterval}
+                    onChangeText={setRepeatInterval}
+                    keyboardType="numeric"
+                  />
+                  <Text style={styles.targetUnit}>{repeat === 'weekly' ? 'week(s)' : 'month(s)'}</Text>
+                </View>
+                <Text style={[styles.optionDesc, { marginTop: 6 }]}>
+                  {repeat === 'weekly'
+                    ? `Starts every ${startDate.toLocaleDateString(undefined, { weekday: 'long' })} and runs as long as the dates above.`
+                    : `Starts on day ${startDate.getDate()} of the month and runs as long as the dates above.`}
+                </Text>
+              </>
+            )}
+          </View>
+        )}
       </ScrollView>
 
       {/* Date Pickers */}
@@ -479,7 +600,7 @@ export default function ChallengeBuilderScreen({ navigation, route }) {
 
             {/* Category Tabs */}
             <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryScroll}>
-              {Object.entries(EXERCISE_CATEGORIES).map(([key, label]) => (
+              {Object.entries(exerciseCategories).map(([key, label]) => (
                 <TouchableOpacity
                   key={key}
                   style={[styles.categoryTab, selectedCategory === key && styles.categoryTabActive]}
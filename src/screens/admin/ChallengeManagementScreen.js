@@ -38,8 +38,9 @@ export default function ChallengeManagementScreen({ navigation }) {
   const getChallengeId = (item) => item?.id || item?._id || null;
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [activeTab, setActiveTab] = useState('challenges'); // 'challenges' or 'queue'
+  const [activeTab, setActiveTab] = useState('challenges'); // 'challenges', 'templates' or 'queue'
   const [challenges, setChallenges] = useState([]);
+  const [templates, setTemplates] = useState([]);
   const [submissions, setSubmissions] = useState([]);
   const [selectedFilter, setSelectedFilter] = useState('active');
   const [selectedSubmission, setSelectedSubmission] = useState(null);
@@ -51,11 +52,33 @@ export default function ChallengeManagementScreen({ navigation }) {
   useEffect(() => {
     if (activeTab === 'challenges') {
       loadChallenges();
+    } else if (activeTab === 'templates') {
+      loadTemplates();
     } else {
       loadSubmissionsQueue();
     }
   }, [activeTab, selectedFilter]);
 
+  const loadTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getChallengeTemplates();
+      setTemplates(response.success ? response.data || [] : []);
+    } catch (err) {
+      console.error('Error loading templates:', err);
+      showAlert({
+        title: 'Error',
+        message: err.message || 'Failed to load templates',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+      setTemplates([]);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
   const loadChallenges = async () => {
     try {
       setLoading(true);
@@ -127,6 +150,8 @@ export default function ChallengeManagementScreen({ navigation }) {
     setRefreshing(true);
     if (activeTab === 'challenges') {
       loadChallenges();
+    } else if (activeTab === 'templates') {
+      loadTemplates();
     } else {
       loadSubmissionsQueue();
     }
@@ -212,6 +237,133 @@ export default function ChallengeManagementScreen({ navigation }) {
     }
   };
 
+  const finalizeChallenge = async (challenge, force) => {
+    try {
+      const response = await api.finalizeChallenge(getChallengeId(challenge), { force });
+      if (response.success) {
+        const winner = response.data.placements.find(placement => placement.winner);
+        showAlert({
+          title: 'Challenge Finalised',
+          message: winner
+            ? `${winner.name || 'The winner'} won "${challenge.title}"`
+            : `"${challenge.title}" ended without a winner`,
+          icon: 'success',
+          buttons: [{ text: 'OK', style: 'default' }]
+        });
+        loadChallenges();
+      }
+    } catch (err) {
+      showAlert({
+        title: 'Error',
+        message: err.message || 'Failed to finalise challenge',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+    }
+  };
+
+  const handleFinalizeChallenge = (challenge) => {
+    const pending = challenge.pendingSubmissions || 0;
+    showAlert({
+      title: 'Finalise Challenge',
+      message: pending > 0
+        ? `"${challenge.title}" still has ${pending} pending submission(s). Finalising now leaves them out and freezes the standings.`
+        : `Close "${challenge.title}", freeze the standings and award the results? This cannot be undone.`,
+      icon: 'warning',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Finalise',
+          style: 'destructive',
+          onPress: () => finalizeChallenge(challenge, pending > 0),
+        },
+      ]
+    });
+  };
+
+  const handleToggleTemplate = async (template) => {
+    try {
+      const response = await api.updateChallengeTemplate(template.id, {
+        isActive: !template.isActive,
+      });
+      if (response.success) {
+        loadTemplates();
+      }
+    } catch (err) {
+      showAlert({
+        title: 'Error',
+        message: err.message || 'Failed to update template',
+        icon: 'error',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+    }
+  };
+
+  const handleInstantiateTemplate = (template) => {
+    showAlert({
+      title: 'Create Challenge',
+      message: `Start a new "${template.title}" challenge now? It runs for ${template.durationHours} hours.`,
+      icon: 'info',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Create',
+          onPress: async () => {
+            try {
+              const response = await api.instantiateChallengeTemplate(template.id);
+              if (response.success) {
+                showAlert({
+                  title: 'Success',
+                  message: `"${response.data.title}" #${response.data.seriesIndex} created`,
+                  icon: 'success',
+                  buttons: [{ text: 'OK', style: 'default' }]
+                });
+                loadTemplates();
+              }
+            } catch (err) {
+              showAlert({
+                title: 'Error',
+                message: err.message || 'Failed to create challenge',
+                icon: 'error',
+                buttons: [{ text: 'OK', style: 'default' }]
+              });
+            }
+          },
+        },
+      ]
+    });
+  };
+
+  const handleDeleteTemplate = (template) => {
+    showAlert({
+      title: 'Delete Template',
+      message: `Delete "${template.title}"? No more challenges will be created from it. Challenges already created are kept.`,
+      icon: 'warning',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const response = await api.deleteChallengeTemplate(template.id);
+              if (response.success) {
+                loadTemplates();
+              }
+            } catch (err) {
+              showAlert({
+                title: 'Error',
+                message: err.message || 'Failed to delete template',
+                icon: 'error',
+                buttons: [{ text: 'OK', style: 'default' }]
+              });
+            }
+          },
+        },
+      ]
+    });
+  };
+
   const handleVerifySubmission = async (submission, action) => {
     if (action === 'reject' && !rejectionReason.trim()) {
       showAlert({
@@ -273,6 +425,7 @@ export default function ChallengeManagementScreen({ navigation }) {
   const getStatusLabel = (challenge) => {
     const now = new Date();
     const endDate = new Date(challenge.endDate);
+    if (challenge.finalizedAt) return 'Finalised';
     if (!challenge.isActive) return 'Inactive';
     if (endDate < now) return 'Ended';
     return 'Active';
@@ -296,8 +449,23 @@ export default function ChallengeManagementScreen({ navigation }) {
       <View style={styles.cardStats}>
         <View style={styles.statItem}>
           <Ionicons name="people" size={16} color={C.textSubtle} />
-          <Text style={styles.statText}>{challenge.participantCount || 0}</Text>
+          <Text style={styles.statText}>
+            {challenge.participantCount || 0}
+            {challenge.maxParticipants > 0 ? `/${challenge.maxParticipants}` : ''}
+          </Text>
         </View>
+        {challenge.teamMode && (
+          <View style={styles.statItem}>
+            <Ionicons name="shield" size={16} color={C.textSubtle} />
+            <Text style={styles.statText}>Teams</Text>
+          </View>
+        )}
+        {challenge.waitlistCount > 0 && (
+          <View style={styles.statItem}>
+            <Ionicons name="hourglass" size={16} color={C.textSubtle} />
+            <Text style={styles.statText}>{challenge.waitlistCount} waiting</Text>
+          </View>
+        )}
         {challenge.pendingSubmissions > 0 && (
           <View style={styles.statItem}>
             <Ionicons name="time" size={16} color={C.warning} />
@@ -318,13 +486,24 @@ export default function ChallengeManagementScreen({ navigation }) {
           <Ionicons name="pencil" size={18} color={C.white} />
           <Text style={styles.actionButtonText}>Edit</Text>
         </TouchableOpacity>
-        <TouchableOpacity
-          style={[styles.actionButton, { backgroundColor: C.surface }]}
-          onPress={() => handleToggleActive(challenge)}
-        >
-          <Ionicons name={challenge.isActive ? "pause" : "play"} size={18} color={C.white} />
-          <Text style={styles.actionButtonText}>{challenge.isActive ? 'Deactivate' : 'Activate'}</Text>
-        </TouchableOpacity>
+        {!challenge.finalizedAt && (
+          <TouchableOpacity
+            style={[styles.actionButton, { backgroundColor: C.surface }]}
+            onPress={() => handleToggleActive(challenge)}
+          >
+            <Ionicons name={challenge.isActive ? "pause" : "play"} size={18} color={C.white} />
+            <Text style={styles.actionButtonText}>{challenge.isActive ? 'Deactivate' : 'Activate'}</Text>
+          </TouchableOpacity>
+        )}
+        {!challenge.finalizedAt && (
+          <TouchableOpacity
+            style={[styles.actionButton, { backgroundColor: C.surface }]}
+            onPress={() => handleFinalizeChallenge(challenge)}
+          >
+            <Ionicons name="flag" size={18} color={C.white} />
+            <Text style={styles.actionButtonText}>Finalise</Text>
+          </TouchableOpacity>
+        )}
         <TouchableOpacity
           style={[styles.actionButton, { backgroundColor: C.accent }]}
           onPress={() => handleDeleteChallenge(challenge)}
@@ -336,6 +515,70 @@ export default function ChallengeManagementScreen({ navigation }) {
     );
   };
 
+  const renderTemplateCard = (template) => (
+    <View key={template.id} style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Text style={styles.cardTitle}>{template.title}</Text>
+        <View style={[styles.statusBadge, { backgroundColor: template.isActive ? C.success : C.warning }]}>
+          <Text style={styles.statusText}>{template.isActive ? 'Active' : 'Paused'}</Text>
+        </View>
+      </View>
+
+      <Text style={styles.cardDescription} numberOfLines={2}>
+        {template.description}
+      </Text>
+
+      <View style={styles.cardStats}>
+        <View style={styles.statItem}>
+          <Ionicons name="repeat" size={16} color={C.textSubtle} />
+          <Text style={styles.statText}>{template.recurrence || 'No repeat'}</Text>
+        </View>
+        <View style={styles.statItem}>
+          <Ionicons name="layers" size={16} color={C.textSubtle} />
+          <Text style={styles.statText}>{template.instanceCount} created</Text>
+        </View>
+        {template.isActive && template.nextStartAt && (
+          <View style={styles.statItem}>
+            <Ionicons name="calendar" size={16} color={C.textSubtle} />
+            <Text style={styles.statText}>Next {new Date(template.nextStartAt).toLocaleDateString()}</Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.cardActions}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('AdminChallengeBuilder', { template })}
+        >
+          <Ionicons name="pencil" size={18} color={C.white} />
+          <Text style={styles.actionButtonText}>Edit</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, { backgroundColor: C.surface }]}
+          onPress={() => handleInstantiateTemplate(template)}
+        >
+          <Ionicons name="add" size={18} color={C.white} />
+          <Text style={styles.actionButtonText}>Create Now</Text>
+        </TouchableOpacity>
+        {template.rrule && (
+          <TouchableOpacity
+            style={[styles.actionButton, { backgroundColor: C.surface }]}
+            onPress={() => handleToggleTemplate(template)}
+          >
+            <Ionicons name={template.isActive ? "pause" : "play"} size={18} color={C.white} />
+            <Text style={styles.actionButtonText}>{template.isActive ? 'Pause' : 'Resume'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.actionButton, { backgroundColor: C.accent }]}
+          onPress={() => handleDeleteTemplate(template)}
+        >
+          <Ionicons name="trash" size={18} color={C.white} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
   const renderSubmissionCard = (submission) => (
     <View key={submission.id} style={styles.card}>
       <View style={styles.cardHeader}>
@@ -428,6 +671,14 @@ export default function ChallengeManagementScreen({ navigation }) {
             Challenges
           </Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'templates' && styles.tabActive]}
+          onPress={() => setActiveTab('templates')}
+        >
+          <Text style={[styles.tabText, activeTab === 'templates' && styles.tabTextActive]}>
+            Templates
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity
           style={[styles.tab, activeTab === 'queue' && styles.tabActive]}
           onPress={() => setActiveTab('queue')}
@@ -478,6 +729,16 @@ export default function ChallengeManagementScreen({ navigation }) {
                 <Text style={styles.emptySubtext}>Create a new challenge to get started</Text>
               </View>
             )
+          ) : activeTab === 'templates' ? (
+            templates.length > 0 ? (
+              templates.map(renderTemplateCard)
+            ) : (
+              <View style={styles.centerContainer}>
+                <Ionicons name="repeat" size={64} color={C.textSubtle} />
+                <Text style={styles.emptyText}>No templates yet</Text>
+                <Text style={styles.emptySubtext}>Save a challenge as a template, or make it repeat</Text>
+              </View>
+            )
           ) : (
             submissions.length > 0 ? (
               submissions.map(renderSubmissionCard)
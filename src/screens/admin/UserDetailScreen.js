@@ -31,7 +31,7 @@ const T = ADMIN_TYPOGRAPHY;
 
 const REGIONS = ['Global', 'London', 'Manchester', 'Birmingham', 'Leeds', 'Glasgow'];
 const GOALS = ['Hypertrophy', 'Leanness', 'Performance'];
-const ACCOLADES = ['admin', 'community_support', 'beta', 'staff', 'verified_athlete', 'founding_member', 'challenge_master'];
+const ACCOLADES = ['admin', 'community_support', 'beta', 'staff', 'verified_athlete', 'founding_member', 'challenge_master', 'challenge_admin'];
 
 // Accolade display labels
 const ACCOLADE_LABELS = {
@@ -42,8 +42,17 @@ const ACCOLADE_LABELS = {
   verified_athlete: 'VERIFIED ATHLETE',
   founding_member: 'FOUNDER',
   challenge_master: 'CHALLENGE MASTER',
+  challenge_admin: 'CHALLENGE ADMIN',
 };
 
+// Ban lengths offered in the ban panel; null means permanent
+const BAN_DURATIONS = [
+  { label: '1 DAY', days: 1 },
+  { label: '7 DAYS', days: 7 },
+  { label: '30 DAYS', days: 30 },
+  { label: 'PERMANENT', days: null },
+];
+
 const getAccoladeLabel = (accolade) => ACCOLADE_LABELS[accolade] || accolade.replace('_', ' ').toUpperCase();
 
 export default function UserDetailScreen({ route, navigation }) {
@@ -60,6 +69,9 @@ export default function UserDetailScreen({ route, navigation }) {
   const [editField, setEditField] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [showAccoladePicker, setShowAccoladePicker] = useState(false);
+  const [banDays, setBanDays] = useState(7);
+  const [banReason, setBanReason] = useState('');
+  const [banSaving, setBanSaving] = useState(false);
 
   const loadUserData = async () => {
     try {
@@ -255,6 +267,84 @@ export default function UserDetailScreen({ route, navigation }) {
     });
   };
 
+  const handleBanUser = () => {
+    const reason = banReason.trim();
+    if (!reason) {
+      showAlert({
+        title: 'Reason Required',
+        message: 'Enter a reason for the ban. The user will see it when they try to sign in.',
+        icon: 'warning',
+        buttons: [{ text: 'OK', style: 'default' }]
+      });
+      return;
+    }
+
+    const lengthText = banDays ? `for ${banDays} day${banDays === 1 ? '' : 's'}` : 'permanently';
+    showAlert({
+      title: 'Ban User',
+      message: `Ban @${userData?.username || 'this user'} ${lengthText}? They will be signed out on all devices.`,
+      icon: 'warning',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Ban',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setBanSaving(true);
+              const body = banDays ? { reason, durationDays: banDays } : { reason };
+              await api.post(`/api/admin/users/${userId}/ban`, body);
+              setBanReason('');
+              await loadUserData();
+            } catch (err) {
+              console.error('Error banning user:', err);
+              showAlert({
+                title: 'Error',
+                message: err.message || 'Failed to ban user',
+                icon: 'error',
+                buttons: [{ text: 'OK', style: 'default' }]
+              });
+            } finally {
+              setBanSaving(false);
+            }
+          },
+        },
+      ]
+    });
+  };
+
+  const handleUnbanUser = () => {
+    showAlert({
+      title: 'Lift Ban',
+      message: 'Allow this user to sign in again?',
+      icon: 'info',
+      buttons: [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Lift Ban',
+          style: 'default',
+          onPress: async () => {
+            try {
+              setBanSaving(true);
+              await api.post(`/api/admin/users/${userId}/unban`);
+              await loadUserData();
+            } catch (err) {
+              console.error('Error unbanning user:', err);
+              showAlert({
+                title: 'Error',
+                message: err.message || 'Failed to lift ban',
+                icon: 'error',
+                buttons: [{ text: 'OK', style: 'default' }]
+              });
+            } finally {
+              setBanSaving(false);
+            }
+          },
+        },
+      ]
+    });
+  };
+
   const handleSendNotification = () => {
     showAlert({
       title: 'Send Notification',
@@ -518,6 +608,94 @@ export default function UserDetailScreen({ route, navigation }) {
           </TouchableOpacity>
         </View>
 
+        {/* Ban Panel */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Account Status</Text>
+          {userData.ban ? (
+            <View style={[styles.infoCard, styles.banCardActive]}>
+              <View style={styles.banStatusRow}>
+                <Ionicons name="ban" size={18} color={C.danger} />
+                <Text style={styles.banStatusText}>
+                  {userData.ban.permanent
+                    ? 'Permanently banned'
+                    : `Suspended until ${new Date(userData.ban.bannedUntil).toLocaleString()}`}
+                </Text>
+              </View>
+              {userData.ban.reason ? (
+                <Text style={styles.banReasonText}>Reason: {userData.ban.reason}</Text>
+              ) : null}
+              <Text style={styles.banMetaText}>
+                Since {new Date(userData.ban.bannedAt).toLocaleString()}
+              </Text>
+              <TouchableOpacity
+                style={styles.unbanButton}
+                onPress={handleUnbanUser}
+                disabled={banSaving}
+              >
+                {banSaving ? (
+                  <ActivityIndicator size="small" color={C.success} />
+                ) : (
+                  <>
+                    <Ionicons name="checkmark-circle-outline" size={18} color={C.success} />
+                    <Text style={styles.unbanButtonText}>Lift Ban</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.infoCard}>
+              <View style={styles.banStatusRow}>
+                <Ionicons name="checkmark-circle" size={18} color={C.success} />
+                <Text style={styles.banStatusText}>Active</Text>
+              </View>
+              <View style={[styles.dropdownContainer, styles.banDurations]}>
+                {BAN_DURATIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.label}
+                    style={[
+                      styles.dropdownItem,
+                      banDays === option.days && styles.dropdownItemSelected,
+                    ]}
+                    onPress={() => setBanDays(option.days)}
+                  >
+                    <Text
+                      style={[
+                        styles.dropdownItemText,
+                        banDays === option.days && styles.dropdownItemTextSelected,
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TextInput
+                style={styles.modalInput}
+                value={banReason}
+                onChangeText={setBanReason}
+                placeholder="Reason (shown to the user)"
+                placeholderTextColor={C.textSubtle}
+                maxLength={500}
+                multiline
+              />
+              <TouchableOpacity
+                style={styles.banButton}
+                onPress={handleBanUser}
+                disabled={banSaving}
+              >
+                {banSaving ? (
+                  <ActivityIndicator size="small" color={C.white} />
+                ) : (
+                  <>
+                    <Ionicons name="ban" size={18} color={C.white} />
+                    <Text style={styles.banButtonText}>Ban User</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+
         {/* Video Stats */}
         {userData.videos && (
           <View style={styles.section}>
@@ -810,6 +988,33 @@ const styles = StyleSheet.create({
     gap: 10,
   },
   manageAccoladesText: { fontSize: 13, color: C.accent, fontWeight: '600' },
+  banCardActive: { borderColor: C.danger },
+  banStatusRow: { flexDirection: 'row', alignItems: 'center', gap: 8, marginBottom: S.sm },
+  banStatusText: { fontSize: 13, color: C.text, fontWeight: '700' },
+  banReasonText: { fontSize: 12, color: C.text, marginBottom: 4 },
+  banMetaText: { fontSize: 10, color: C.textSubtle, marginBottom: S.md },
+  banDurations: { marginBottom: S.md },
+  banButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: C.danger,
+    borderRadius: R.md,
+    paddingVertical: 12,
+    gap: 8,
+  },
+  banButtonText: { fontSize: 13, color: C.white, fontWeight: '700' },
+  unbanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: C.success,
+    borderRadius: R.md,
+    paddingVertical: 12,
+    gap: 8,
+  },
+  unbanButtonText: { fontSize: 13, color: C.success, fontWeight: '700' },
   videoStats: {
     flexDirection: 'row',
     backgroundColor: C.card,
@@ -24,7 +24,7 @@ import {
 } from '../../constants/adminTheme';
 
 const REGIONS = ['Global', 'London', 'Manchester', 'Birmingham', 'Leeds', 'Glasgow'];
-const ACCOLADES = ['admin', 'community_support', 'beta', 'staff', 'verified_athlete', 'founding_member', 'challenge_master'];
+const ACCOLADES = ['admin', 'community_support', 'beta', 'staff', 'verified_athlete', 'founding_member', 'challenge_master', 'challenge_admin'];
 
 // Accolade display labels
 const ACCOLADE_LABELS = {
@@ -35,6 +35,7 @@ const ACCOLADE_LABELS = {
   verified_athlete: 'VERIFIED ATHLETE',
   founding_member: 'FOUNDER',
   challenge_master: 'CHALLENGE MASTER',
+  challenge_admin: 'CHALLENGE ADMIN',
 };
 
 const getAccoladeLabel = (accolade) => ACCOLADE_LABELS[accolade] || accolade.replace('_', ' ').toUpperCase();
@@ -414,6 +414,13 @@ export default function VideoModerationScreen({ navigation }) {
         activeOpacity={0.7}
       >
         <View style={styles.videoThumbnail}>
+          {video.previewUrl || video.thumbnailUrl ? (
+            <Image
+              source={{ uri: video.previewUrl || video.thumbnailUrl }}
+              style={styles.videoPreviewImage}
+              resizeMode="cover"
+            />
+          ) : null}
           <Ionicons name="play-circle" size={40} color={C.white} />
           <View style={styles.videoOverlay}>
             <Text style={styles.videoExercise}>{exerciseLabel}</Text>
@@ -448,6 +455,14 @@ export default function VideoModerationScreen({ navigation }) {
                 <Text style={styles.videoDetailText}>{`${weight}kg`}</Text>
               </View>
             ) : null}
+            {video.privacyStatus === 'pending' ? (
+              <View style={styles.videoDetailItem}>
+                <Ionicons name="eye-off" size={14} color={video.privacyError ? C.danger : C.warning} />
+                <Text style={[styles.videoDetailText, { color: video.privacyError ? C.danger : C.warning }]}>
+                  {video.privacyError ? 'Face blur failed' : 'Face blur pending'}
+                </Text>
+              </View>
+            ) : null}
           </View>
 
           <View style={styles.videoActions}>
@@ -654,8 +669,8 @@ export default function VideoModerationScreen({ navigation }) {
                 </TouchableOpacity>
               )}
 
-              {/* Video Player */}
-              {selectedVideo.videoUrl ? (
+              {/* Video Player - privacy pending videos only have the original */}
+              {selectedVideo.videoUrl || (showOriginal && selectedVideo.originalVideoUrl) ? (
                 <Video
                   key={showOriginal ? 'original' : 'blurred'}
                   ref={videoRef}
@@ -668,7 +683,11 @@ export default function VideoModerationScreen({ navigation }) {
               ) : (
                 <View style={styles.noVideoContainer}>
                   <Ionicons name="videocam-off" size={64} color={C.textSubtle} />
-                  <Text style={styles.noVideoText}>Video not available</Text>
+                  <Text style={styles.noVideoText}>
+                    {selectedVideo.privacyStatus !== 'pending' ? 'Video not available' :
+                     selectedVideo.privacyError ? `Face blur failed: ${selectedVideo.privacyError}` :
+                     'Faces are still being blurred'}
+                  </Text>
                 </View>
               )}
 
@@ -1035,6 +1054,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     position: 'relative',
   },
+  videoPreviewImage: {
+    ...StyleSheet.absoluteFillObject,
+  },
   videoOverlay: {
     position: 'absolute',
     bottom: 0,
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTheme } from '../../context/ThemeContext';
+import api from '../../services/api';
+import { createAuthFormStyles } from './authFormStyles';
+
+export default function ForgotPasswordScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+  const { theme } = useTheme();
+  const styles = createAuthFormStyles(theme);
+
+  const [email, setEmail] = useState(route?.params?.email || '');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    setError('');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await api.requestPasswordReset(email.trim());
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Could not send the reset email. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.bgDeep }]}>
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          contentContainerStyle={[styles.contentContainer, { paddingTop: insets.top + 20, paddingBottom: insets.bottom + 20 }]}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={[styles.card, { backgroundColor: theme.bgCard, borderColor: theme.border }]}>
+            <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+              <Ionicons name="arrow-back" size={24} color={theme.textMain} />
+            </TouchableOpacity>
+
+            <Text style={[styles.title, { color: theme.textMain }]}>Forgot Password</Text>
+
+            {sent ? (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  If an account exists for {email.trim()}, we've sent a link to reset your password.
+                  Open it on this phone or paste the code from the email.
+                </Text>
+
+                <TouchableOpacity
+                  onPress={() => navigation.navigate('ResetPassword')}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  <Text style={styles.primaryButtonText}>I Have a Code</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity onPress={handleSubmit} disabled={submitting} style={styles.linkButton}>
+                  <Text style={[styles.linkText, { color: theme.primary }]}>
+                    {submitting ? 'Sending...' : 'Send Again'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  Enter the email you signed up with and we'll send you a reset link.
+                </Text>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="mail-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Email"
+                    placeholderTextColor={theme.textMuted}
+                    value={email}
+                    onChangeText={setEmail}
+                    autoCapitalize="none"
+                    keyboardType="email-address"
+                    textContentType="emailAddress"
+                    autoCorrect={false}
+                  />
+                </View>
+
+                {error ? (
+                  <View style={[styles.errorContainer, { backgroundColor: `${theme.danger}15` }]}>
+                    <Ionicons name="warning-outline" size={16} color={theme.danger} />
+                    <Text style={[styles.errorText, { color: theme.danger }]}>{error}</Text>
+                  </View>
+                ) : null}
+
+                <TouchableOpacity
+                  onPress={handleSubmit}
+                  disabled={submitting}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.primaryButtonText}>Send Reset Link</Text>
+                  )}
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
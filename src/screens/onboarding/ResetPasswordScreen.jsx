@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTheme } from '../../context/ThemeContext';
+import api from '../../services/api';
+import { createAuthFormStyles } from './authFormStyles';
+
+export default function ResetPasswordScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+  const { theme } = useTheme();
+  const styles = createAuthFormStyles(theme);
+
+  // Filled in when the screen is opened from the link in the email
+  const [token, setToken] = useState(route?.params?.token || '');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    setError('');
+    if (!token.trim()) {
+      setError('Paste the code from your reset email');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await api.resetPassword(token.trim(), password);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Could not reset your password. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const goToSignIn = () => {
+    navigation.reset({ index: 0, routes: [{ name: 'Welcome' }] });
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.bgDeep }]}>
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          contentContainerStyle={[styles.contentContainer, { paddingTop: insets.top + 20, paddingBottom: insets.bottom + 20 }]}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={[styles.card, { backgroundColor: theme.bgCard, borderColor: theme.border }]}>
+            {!done && (
+              <TouchableOpacity
+                onPress={() => (navigation.canGoBack() ? navigation.goBack() : goToSignIn())}
+                style={styles.backButton}
+              >
+                <Ionicons name="arrow-back" size={24} color={theme.textMain} />
+              </TouchableOpacity>
+            )}
+
+            <Text style={[styles.title, { color: theme.textMain }]}>
+              {done ? 'Password Updated' : 'Choose a New Password'}
+            </Text>
+
+            {done ? (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  Your password has been reset. Sign in with your new password.
+                </Text>
+                <TouchableOpacity
+                  onPress={goToSignIn}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  <Text style={styles.primaryButtonText}>Back to Sign In</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  Use at least 10 characters with upper and lowercase letters, a number and a symbol.
+                </Text>
+
+                {!route?.params?.token && (
+                  <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                    <Ionicons name="key-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                    <TextInput
+                      style={[styles.input, { color: theme.textMain }]}
+                      placeholder="Reset code"
+                      placeholderTextColor={theme.textMuted}
+                      value={token}
+                      onChangeText={setToken}
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                    />
+                  </View>
+                )}
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="lock-closed-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="New password"
+                    placeholderTextColor={theme.textMuted}
+                    value={password}
+                    onChangeText={setPassword}
+                    secureTextEntry={!showPassword}
+                    textContentType="newPassword"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  <TouchableOpacity onPress={() => setShowPassword(!showPassword)}>
+                    <Ionicons name={showPassword ? 'eye-off-outline' : 'eye-outline'} size={20} color={theme.textMuted} />
+                  </TouchableOpacity>
+                </View>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="lock-closed-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Confirm new password"
+                    placeholderTextColor={theme.textMuted}
+                    value={confirmPassword}
+                    onChangeText={setConfirmPassword}
+                    secureTextEntry={!showPassword}
+                    textContentType="newPassword"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+
+                {error ? (
+                  <View style={[styles.errorContainer, { backgroundColor: `${theme.danger}15` }]}>
+                    <Ionicons name="warning-outline" size={16} color={theme.danger} />
+                    <Text style={[styles.errorText, { color: theme.danger }]}>{error}</Text>
+                  </View>
+                ) : null}
+
+                <TouchableOpacity
+                  onPress={handleSubmit}
+                  disabled={submitting}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.primaryButtonText}>Reset Password</Text>
+                  )}
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
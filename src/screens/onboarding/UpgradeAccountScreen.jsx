@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import { createAuthFormStyles } from './authFormStyles';
+
+// Lets a guest add an email and password without losing their workouts
+export default function UpgradeAccountScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+  const { theme } = useTheme();
+  const { user, upgradeGuestAccount } = useAuth();
+  const styles = createAuthFormStyles(theme);
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [username, setUsername] = useState(user?.username || '');
+  const [inviteCode, setInviteCode] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    setError('');
+    if (!email.trim() || !password) {
+      setError('Please enter an email and password');
+      return;
+    }
+    if (!inviteCode.trim()) {
+      setError('Invite code is required');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await upgradeGuestAccount({
+      email: email.trim(),
+      password,
+      username: username.trim() || undefined,
+      inviteCode: inviteCode.trim().toUpperCase(),
+    });
+    setSubmitting(false);
+
+    if (result.success) {
+      setDone(true);
+    } else {
+      setError(result.error || 'Could not create your account. Please try again.');
+    }
+  };
+
+  const handleClose = () => {
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation.reset({ index: 0, routes: [{ name: 'Main' }] });
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.bgDeep }]}>
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          contentContainerStyle={[styles.contentContainer, { paddingTop: insets.top + 20, paddingBottom: insets.bottom + 20 }]}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={[styles.card, { backgroundColor: theme.bgCard, borderColor: theme.border }]}>
+            <TouchableOpacity onPress={handleClose} style={styles.backButton}>
+              <Ionicons name="arrow-back" size={24} color={theme.textMain} />
+            </TouchableOpacity>
+
+            <Text style={[styles.title, { color: theme.textMain }]}>
+              {done ? 'Account Created' : 'Create Your Account'}
+            </Text>
+
+            {done ? (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  You're all set. Your workouts are saved and you now appear on the leaderboards.
+                  Check your inbox to verify your email.
+                </Text>
+                <TouchableOpacity
+                  onPress={handleClose}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  <Text style={styles.primaryButtonText}>Continue</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  Keep your workouts and start competing. Guest accounts stay off the leaderboards
+                  and are removed after a month without use.
+                </Text>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="mail-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Email"
+                    placeholderTextColor={theme.textMuted}
+                    value={email}
+                    onChangeText={setEmail}
+                    keyboardType="email-address"
+                    textContentType="emailAddress"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="lock-closed-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Password"
+                    placeholderTextColor={theme.textMuted}
+                    value={password}
+                    onChangeText={setPassword}
+                    secureTextEntry={!showPassword}
+                    textContentType="newPassword"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  <TouchableOpacity onPress={() => setShowPassword(!showPassword)}>
+                    <Ionicons name={showPassword ? 'eye-off-outline' : 'eye-outline'} size={20} color={theme.textMuted} />
+                  </TouchableOpacity>
+                </View>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="person-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Username"
+                    placeholderTextColor={theme.textMuted}
+                    value={username}
+                    onChangeText={setUsername}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="ticket-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Invite code"
+                    placeholderTextColor={theme.textMuted}
+                    value={inviteCode}
+                    onChangeText={setInviteCode}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                  />
+                </View>
+
+                {error ? (
+                  <View style={[styles.errorContainer, { backgroundColor: `${theme.danger}15` }]}>
+                    <Ionicons name="warning-outline" size={16} color={theme.danger} />
+                    <Text style={[styles.errorText, { color: theme.danger }]}>{error}</Text>
+                  </View>
+                ) : null}
+
+                <TouchableOpacity
+                  onPress={handleSubmit}
+                  disabled={submitting}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.primaryButtonText}>Create Account</Text>
+                  )}
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
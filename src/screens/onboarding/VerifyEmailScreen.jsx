@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../services/api';
+import { createAuthFormStyles } from './authFormStyles';
+
+export default function VerifyEmailScreen({ navigation, route }) {
+  const insets = useSafeAreaInsets();
+  const { theme } = useTheme();
+  const { user, isAuthenticated, refreshUser } = useAuth();
+  const styles = createAuthFormStyles(theme);
+
+  const linkToken = route?.params?.token || '';
+  const [token, setToken] = useState(linkToken);
+  const [submitting, setSubmitting] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [verified, setVerified] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+
+  const verify = async (value) => {
+    setError('');
+    setNotice('');
+    if (!value.trim()) {
+      setError('Paste the code from your verification email');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await api.verifyEmail(value.trim());
+      setVerified(true);
+      if (isAuthenticated) {
+        await refreshUser();
+      }
+    } catch (err) {
+      setError(err.message || 'Could not verify your email. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Opened from the email link: verify straight away
+  useEffect(() => {
+    if (linkToken) {
+      verify(linkToken);
+    }
+  }, [linkToken]);
+
+  const handleResend = async () => {
+    setError('');
+    setNotice('');
+    setResending(true);
+    try {
+      await api.resendVerificationEmail();
+      setNotice(`We've sent a new link to ${user?.email || 'your email'}.`);
+    } catch (err) {
+      setError(err.message || 'Could not send the email. Please try again.');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation.reset({ index: 0, routes: [{ name: isAuthenticated ? 'Main' : 'Welcome' }] });
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.bgDeep }]}>
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          contentContainerStyle={[styles.contentContainer, { paddingTop: insets.top + 20, paddingBottom: insets.bottom + 20 }]}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={[styles.card, { backgroundColor: theme.bgCard, borderColor: theme.border }]}>
+            <TouchableOpacity onPress={handleClose} style={styles.backButton}>
+              <Ionicons name="arrow-back" size={24} color={theme.textMain} />
+            </TouchableOpacity>
+
+            <Text style={[styles.title, { color: theme.textMain }]}>
+              {verified ? 'Email Verified' : 'Verify Your Email'}
+            </Text>
+
+            {verified ? (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  Thanks, your email address is confirmed.
+                </Text>
+                <TouchableOpacity
+                  onPress={handleClose}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  <Text style={styles.primaryButtonText}>Continue</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={[styles.subtitle, { color: theme.textMuted }]}>
+                  Open the link we emailed you, or paste the code from the email below.
+                </Text>
+
+                <View style={[styles.inputWrapper, { borderColor: theme.border }]}>
+                  <Ionicons name="key-outline" size={20} color={theme.textMuted} style={styles.inputIcon} />
+                  <TextInput
+                    style={[styles.input, { color: theme.textMain }]}
+                    placeholder="Verification code"
+                    placeholderTextColor={theme.textMuted}
+                    value={token}
+                    onChangeText={setToken}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+
+                {error ? (
+                  <View style={[styles.errorContainer, { backgroundColor: `${theme.danger}15` }]}>
+                    <Ionicons name="warning-outline" size={16} color={theme.danger} />
+                    <Text style={[styles.errorText, { color: theme.danger }]}>{error}</Text>
+                  </View>
+                ) : null}
+
+                {notice ? (
+                  <Text style={[styles.subtitle, { color: theme.textMuted }]}>{notice}</Text>
+                ) : null}
+
+                <TouchableOpacity
+                  onPress={() => verify(token)}
+                  disabled={submitting}
+                  activeOpacity={0.85}
+                  style={[styles.primaryButton, { backgroundColor: theme.primary }]}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.primaryButtonText}>Verify Email</Text>
+                  )}
+                </TouchableOpacity>
+
+                {isAuthenticated && (
+                  <TouchableOpacity onPress={handleResend} disabled={resending} style={styles.linkButton}>
+                    <Text style={[styles.linkText, { color: theme.primary }]}>
+                      {resending ? 'Sending...' : 'Send a New Link'}
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
@@ -0,0 +1,92 @@
+import { StyleSheet } from 'react-native';
+
+// Shared layout for the password reset and email verification screens,
+// matching the email form on the Welcome screen
+export function createAuthFormStyles(theme) {
+  return StyleSheet.create({
+    container: { flex: 1 },
+    contentContainer: {
+      flexGrow: 1,
+      justifyContent: 'center',
+      paddingHorizontal: 20,
+    },
+    card: {
+      borderRadius: 24,
+      borderWidth: 1,
+      padding: 24,
+      gap: 12,
+    },
+    backButton: {
+      width: 44,
+      height: 44,
+      borderRadius: 22,
+      alignItems: 'center',
+      justifyContent: 'center',
+      alignSelf: 'flex-start',
+      backgroundColor: theme.bgDeep,
+      borderWidth: 1,
+      borderColor: theme.border,
+      marginBottom: 8,
+    },
+    title: {
+      fontSize: 24,
+      fontWeight: '800',
+      textAlign: 'center',
+    },
+    subtitle: {
+      fontSize: 14,
+      textAlign: 'center',
+      lineHeight: 20,
+      marginBottom: 8,
+    },
+    inputWrapper: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 14,
+      paddingHorizontal: 16,
+      borderRadius: 12,
+      borderWidth: 1,
+      backgroundColor: theme.bgDeep,
+    },
+    inputIcon: {
+      marginRight: 12,
+    },
+    input: {
+      flex: 1,
+      fontSize: 15,
+      fontWeight: '500',
+    },
+    primaryButton: {
+      paddingVertical: 16,
+      paddingHorizontal: 24,
+      borderRadius: 12,
+      alignItems: 'center',
+      marginTop: 8,
+    },
+    primaryButtonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '700',
+    },
+    linkButton: {
+      alignItems: 'center',
+      paddingVertical: 8,
+    },
+    linkText: {
+      fontSize: 14,
+      fontWeight: '700',
+    },
+    errorContainer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: 12,
+      borderRadius: 10,
+      gap: 8,
+    },
+    errorText: {
+      fontSize: 13,
+      fontWeight: '600',
+      flex: 1,
+    },
+  });
+}
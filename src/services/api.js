@@ -1,4 +1,8 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
+import * as Crypto from 'expo-crypto';
+import * as FileSystem from 'expo-file-system/legacy';
 
 // Production API URL (Railway)
 const API_BASE_URL = 'https://unyielding-api-production.up.railway.app';
@@ -7,28 +11,156 @@ const API_BASE_URL = 'https://unyielding-api-production.up.railway.app';
 // const API_BASE_URL = 'http://localhost:3000';
 
 const TOKEN_KEY = 'unyield_auth_token';
+const REFRESH_TOKEN_KEY = 'unyield_refresh_token';
+const OUTBOX_KEY = 'unyield_outbox';
 
 // Upload timeout in milliseconds
 const UPLOAD_TIMEOUT = 120000; // 2 minutes
-const BLUR_TIMEOUT = 300000; // 5 minutes
+const UPLOAD_CHUNK_TIMEOUT = 60000; // 1 minute per chunk
+const UPLOAD_MAX_CHUNK_FAILURES = 5;
+const UPLOAD_RESUME_KEY_PREFIX = 'unyield_upload:';
+
+// Offline outbox retry delays (grows per failed flush, capped)
+const OUTBOX_RETRY_BASE_MS = 15000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Replays answered with these statuses mean the server already moved on
+// (record gone, already applied), so the queued call is dropped as resolved.
+// A 409 that asks us to retry is an earlier attempt still running, not a conflict.
+const OUTBOX_RESOLVED_STATUSES = [404, 409, 410];
+
+// Shown in the signed-in devices list
+function getDeviceName() {
+  return Device.deviceName || Device.modelName || Platform.OS;
+}
+
+const VIDEO_EXTENSION_TO_MIME = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mpeg: 'video/mpeg',
+  mpg: 'video/mpeg',
+  avi: 'video/x-msvideo',
+  wmv: 'video/x-ms-wmv',
+};
+
+const VIDEO_MIME_TO_EXTENSION = {
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'video/mpeg': 'mpeg',
+  'video/x-msvideo': 'avi',
+  'video/x-ms-wmv': 'wmv',
+};
+
+function resolveVideoMeta(uri, mimeType) {
+  const cleanUri = (uri || '').split('?')[0].split('#')[0];
+  const match = cleanUri.match(/\.([a-z0-9]+)$/i);
+  const extFromUri = match ? match[1].toLowerCase() : null;
+  const resolvedMime = mimeType || (extFromUri ? VIDEO_EXTENSION_TO_MIME[extFromUri] : null) || 'video/mp4';
+  const resolvedExt = VIDEO_MIME_TO_EXTENSION[resolvedMime] || extFromUri || 'mp4';
+  return {
+    name: `video.${resolvedExt}`,
+    type: resolvedMime,
+  };
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+// A picked video with its size and a way to read byte ranges from it.
+// Web pickers return blob: URLs; native ones return file URIs.
+async function openVideoFile(fileUri) {
+  if (fileUri.startsWith('blob:')) {
+    let blob;
+    try {
+      blob = await (await fetch(fileUri)).blob();
+    } catch (error) {
+      console.error('[UPLOAD] Failed to fetch blob:', error);
+      throw new Error('Failed to process video file. Please try again.');
+    }
+    return {
+      ...resolveVideoMeta(fileUri, blob.type),
+      size: blob.size,
+      readChunk: async (start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer()),
+    };
+  }
+
+  const info = await FileSystem.getInfoAsync(fileUri);
+  if (!info.exists || !info.size) {
+    throw new Error('Failed to process video file. Please try again.');
+  }
+  return {
+    ...resolveVideoMeta(fileUri),
+    size: info.size,
+    readChunk: async (start, end) => base64ToBytes(await FileSystem.readAsStringAsync(fileUri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: start,
+      length: end - start,
+    })),
+  };
+}
+
+function generateIdempotencyKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
 
 class ApiService {
   constructor() {
     this.token = null;
+    this.refreshToken = null;
+    this.refreshing = null;
+    this.sessionListeners = new Set();
     this.rateLimitUntil = 0;
+    this.outbox = [];
+    this.outboxLoaded = false;
+    this.outboxFlushing = null;
+    this.outboxRetryTimer = null;
+    this.outboxFailures = 0;
+    this.outboxListeners = new Set();
   }
 
   async init() {
     this.token = await AsyncStorage.getItem(TOKEN_KEY);
+    this.refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+    await this.loadOutbox();
+    if (this.token && this.outbox.length > 0) {
+      this.flushOutbox().catch(() => {});
+    }
   }
 
-  async setToken(token) {
+  // Clearing the access token signs out, so the refresh token goes with it
+  async setToken(token, refreshToken) {
     this.token = token;
     if (token) {
       await AsyncStorage.setItem(TOKEN_KEY, token);
     } else {
       await AsyncStorage.removeItem(TOKEN_KEY);
     }
+
+    if (refreshToken !== undefined || !token) {
+      this.refreshToken = refreshToken || null;
+      if (this.refreshToken) {
+        await AsyncStorage.setItem(REFRESH_TOKEN_KEY, this.refreshToken);
+      } else {
+        await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
+      }
+    }
   }
 
   async getToken() {
@@ -38,6 +170,66 @@ class ApiService {
     return this.token;
   }
 
+  async getRefreshToken() {
+    if (!this.refreshToken) {
+      this.refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+    }
+    return this.refreshToken;
+  }
+
+  /**
+   * Swap the refresh token for a new access token. Concurrent callers share
+   * one request, since each refresh token only works once.
+   * @returns {Promise<string|null>} New access token, or null if the session is over
+   */
+  async refreshSession() {
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = (async () => {
+      const refreshToken = await this.getRefreshToken();
+      if (!refreshToken) return null;
+
+      try {
+        const response = await this.request('/api/auth/refresh', {
+          method: 'POST',
+          body: JSON.stringify({ refreshToken }),
+          retries: 0,
+          skipAuthRefresh: true,
+        });
+        await this.setToken(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      } catch (error) {
+        // Offline: keep the refresh token and try again on the next request
+        if (error.isNetworkError) return null;
+
+        await this.setToken(null);
+        this.emitSession({ type: 'expired', error });
+        return null;
+      }
+    })();
+
+    try {
+      return await this.refreshing;
+    } finally {
+      this.refreshing = null;
+    }
+  }
+
+  subscribeSession(listener) {
+    this.sessionListeners.add(listener);
+    return () => this.sessionListeners.delete(listener);
+  }
+
+  emitSession(event) {
+    this.sessionListeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('[AUTH] Session listener error:', error);
+      }
+    });
+  }
+
   parseRetryAfter(value) {
     if (!value) return null;
     const seconds = Number(value);
@@ -60,14 +252,195 @@ class ApiService {
 
   // Clear all auth-related data from storage (for recovery from corrupted state)
   async clearAllAuthData() {
+    // Last chance for queued writes while the session may still work
+    await this.flushOutbox().catch(() => {});
+    if (this.outbox.length > 0) {
+      console.warn(`[OUTBOX] Discarding ${this.outbox.length} unsent write(s) with the signed-out session`);
+    }
     this.token = null;
+    this.refreshToken = null;
+    await this.clearOutbox();
     await AsyncStorage.multiRemove([
       TOKEN_KEY,
+      REFRESH_TOKEN_KEY,
       'unyield_user_data',
       'unyield_seen_onboarding',
     ]);
   }
 
+  // ----------------------------
+  // Offline outbox
+  // ----------------------------
+  // Writes that fail for lack of a connection are stored in order and
+  // replayed later with the same Idempotency-Key, so the server can
+  // recognise a replay of a call it already applied.
+
+  async loadOutbox() {
+    if (this.outboxLoaded) return;
+    try {
+      const saved = JSON.parse(await AsyncStorage.getItem(OUTBOX_KEY));
+      this.outbox = Array.isArray(saved) ? saved : [];
+    } catch {
+      this.outbox = [];
+    }
+    this.outboxLoaded = true;
+  }
+
+  async persistOutbox() {
+    try {
+      await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(this.outbox));
+    } catch (error) {
+      console.error('[OUTBOX] Failed to persist outbox:', error);
+    }
+    this.emitOutbox({ type: 'changed' });
+  }
+
+  async clearOutbox() {
+    if (this.outboxRetryTimer) {
+      clearTimeout(this.outboxRetryTimer);
+      this.outboxRetryTimer = null;
+    }
+    this.outbox = [];
+    this.outboxFailures = 0;
+    await this.persistOutbox();
+  }
+
+  getPendingMutations() {
+    return [...this.outbox];
+  }
+
+  // Listener receives { type: 'changed' | 'synced' | 'failed', entry, response, error, pending }
+  subscribeOutbox(listener) {
+    this.outboxListeners.add(listener);
+    return () => this.outboxListeners.delete(listener);
+  }
+
+  emitOutbox(event) {
+    const payload = { ...event, pending: this.outbox.length };
+    this.outboxListeners.forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error('[OUTBOX] Listener error:', error);
+      }
+    });
+  }
+
+  scheduleOutboxRetry() {
+    if (this.outboxRetryTimer || this.outbox.length === 0) return;
+    const delay = Math.min(OUTBOX_RETRY_BASE_MS * 2 ** this.outboxFailures, OUTBOX_RETRY_MAX_MS);
+    this.outboxRetryTimer = setTimeout(() => {
+      this.outboxRetryTimer = null;
+      this.flushOutbox().catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Send a write, queueing it for later when the device is offline.
+   * Queued calls resolve with { success: true, queued: true, data: null }.
+   * @param {string} endpoint - API path
+   * @param {object} options - { method, body, type, meta }
+   */
+  async mutate(endpoint, { method = 'POST', body, type, meta } = {}) {
+    await this.loadOutbox();
+
+    const entry = {
+      id: generateIdempotencyKey(),
+      idempotencyKey: generateIdempotencyKey(),
+      endpoint,
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      type: type || null,
+      meta: meta || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    // Keep order: while older writes are waiting, newer ones wait behind them
+    const hasBacklog = this.outbox.length > 0;
+    if (!hasBacklog) {
+      try {
+        return await this.sendMutation(entry);
+      } catch (error) {
+        if (!error.isNetworkError) throw error;
+      }
+    }
+
+    this.outbox.push(entry);
+    await this.persistOutbox();
+    console.log(`[OUTBOX] Queued ${method} ${endpoint} (${this.outbox.length} pending)`);
+    if (hasBacklog) {
+      this.flushOutbox().catch(() => {});
+    } else {
+      this.scheduleOutboxRetry();
+    }
+    return { success: true, queued: true, data: null };
+  }
+
+  sendMutation(entry, options = {}) {
+    return this.request(entry.endpoint, {
+      ...options,
+      method: entry.method,
+      body: entry.body,
+      // Lets the server judge dates against when the write was made offline
+      headers: { 'Idempotency-Key': entry.idempotencyKey, 'Queued-At': entry.createdAt },
+    });
+  }
+
+  /**
+   * Replay queued writes in order. Stops at the first call that still
+   * cannot reach the server and leaves it (and everything after it) queued.
+   */
+  async flushOutbox() {
+    await this.loadOutbox();
+    if (this.outboxFlushing) return this.outboxFlushing;
+    if (this.outbox.length === 0 || !(await this.getToken())) {
+      return { success: true, pending: this.outbox.length };
+    }
+
+    this.outboxFlushing = (async () => {
+      while (this.outbox.length > 0) {
+        const entry = this.outbox[0];
+        try {
+          const response = await this.sendMutation(entry, { retries: 0 });
+          this.outbox.shift();
+          await this.persistOutbox();
+          this.emitOutbox({ type: 'synced', entry, response });
+        } catch (error) {
+          const isInProgress = error.status === 409 &&
+            (error.retryAfterMs != null || /still being processed/i.test(error.message));
+          const isTransient = error.isNetworkError || !error.status || isInProgress ||
+            [401, 408, 429].includes(error.status) || error.status >= 500;
+          if (isTransient) {
+            this.outboxFailures += 1;
+            this.scheduleOutboxRetry();
+            return { success: false, pending: this.outbox.length, error: error.message };
+          }
+
+          // The server rejected the write: resolved conflicts are dropped
+          // quietly, anything else is reported so the UI can roll back.
+          this.outbox.shift();
+          await this.persistOutbox();
+          if (OUTBOX_RESOLVED_STATUSES.includes(error.status)) {
+            console.log(`[OUTBOX] Dropped ${entry.method} ${entry.endpoint}: ${error.message}`);
+            this.emitOutbox({ type: 'synced', entry, response: null });
+          } else {
+            console.error(`[OUTBOX] Rejected ${entry.method} ${entry.endpoint}: ${error.message}`);
+            this.emitOutbox({ type: 'failed', entry, error });
+          }
+        }
+      }
+
+      this.outboxFailures = 0;
+      return { success: true, pending: 0 };
+    })();
+
+    try {
+      return await this.outboxFlushing;
+    } finally {
+      this.outboxFlushing = null;
+    }
+  }
+
   async request(endpoint, options = {}) {
     const token = await this.getToken();
     const timeout = options.timeout || 30000; // 30 second default timeout (increased for cold starts)
@@ -83,6 +456,7 @@ class ApiService {
     }
 
     let lastError;
+    let authRefreshed = false;
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
         await this.waitForRateLimit();
@@ -101,7 +475,9 @@ class ApiService {
         // Handle non-JSON responses (like 204 No Content)
         const contentType = response.headers.get('content-type');
         let data;
-        if (contentType && contentType.includes('application/json')) {
+        if (options.responseType === 'text' && response.ok) {
+          data = { success: true, data: await response.text() };
+        } else if (contentType && contentType.includes('application/json')) {
           data = await response.json();
         } else {
           data = { success: response.ok };
@@ -116,11 +492,33 @@ class ApiService {
             continue;
           }
           const waitSeconds = Math.max(1, Math.ceil(waitMs / 1000));
-          throw new Error(data.error || data.message || `Too many requests. Please wait ${waitSeconds}s and try again.`);
+          const rateLimitError = new Error(data.error || data.message || `Too many requests. Please wait ${waitSeconds}s and try again.`);
+          rateLimitError.status = response.status;
+          throw rateLimitError;
+        }
+
+        // Access tokens are short-lived: refresh once and resend. This doesn't
+        // count as one of the retries.
+        if (response.status === 401 && data.error === 'Token expired' && !options.skipAuthRefresh && !authRefreshed) {
+          authRefreshed = true;
+          const refreshedToken = await this.refreshSession();
+          if (refreshedToken) {
+            headers['Authorization'] = `Bearer ${refreshedToken}`;
+            attempt -= 1;
+            continue;
+          }
         }
 
         if (!response.ok) {
-          throw new Error(data.error || data.message || 'Request failed');
+          const requestError = new Error(data.error || data.message || 'Request failed');
+          requestError.status = response.status;
+          requestError.retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'));
+          throw requestError;
+        }
+
+        // Back online: replay anything queued while offline
+        if (this.outbox.length > 0 && !this.outboxFlushing && !options.headers?.['Idempotency-Key']) {
+          this.flushOutbox().catch(() => {});
         }
 
         return data;
@@ -139,10 +537,14 @@ class ApiService {
         }
 
         if (error.name === 'AbortError') {
-          throw new Error('Request timed out. Please check your connection and try again.');
+          const timeoutError = new Error('Request timed out. Please check your connection and try again.');
+          timeoutError.isNetworkError = true;
+          throw timeoutError;
         }
-        if (error.message === 'Network request failed') {
-          throw new Error('Cannot connect to server. Check your network connection.');
+        if (isRetryable) {
+          const networkError = new Error('Cannot connect to server. Check your network connection.');
+          networkError.isNetworkError = true;
+          throw networkError;
         }
         throw error;
       }
@@ -190,10 +592,10 @@ class ApiService {
   async register(email, password, username, inviteCode) {
     const response = await this.request('/api/auth/register', {
       method: 'POST',
-      body: JSON.stringify({ email, password, username, inviteCode }),
+      body: JSON.stringify({ email, password, username, inviteCode, deviceName: getDeviceName() }),
     });
     if (response.data?.token) {
-      await this.setToken(response.data.token);
+      await this.setToken(response.data.token, response.data.refreshToken);
     }
     return response;
   }
@@ -205,10 +607,21 @@ class ApiService {
   async login(email, password) {
     const response = await this.request('/api/auth/login', {
       method: 'POST',
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ email, password, deviceName: getDeviceName() }),
     });
     if (response.data?.token) {
-      await this.setToken(response.data.token);
+      await this.setToken(response.data.token, response.data.refreshToken);
+    }
+    return response;
+  }
+
+  async signInWithOAuth(provider, idToken, { nonce, inviteCode, username, name } = {}) {
+    const response = await this.request(`/api/auth/oauth/${provider}`, {
+      method: 'POST',
+      body: JSON.stringify({ idToken, nonce, inviteCode, username, name, deviceName: getDeviceName() }),
+    });
+    if (response.data?.token) {
+      await this.setToken(response.data.token, response.data.refreshToken);
     }
     return response;
   }
@@ -216,8 +629,24 @@ class ApiService {
   async loginAnonymous() {
     const response = await this.request('/api/auth/anonymous', {
       method: 'POST',
+      body: JSON.stringify({ deviceName: getDeviceName() }),
+    });
+    if (response.data?.token) {
+      await this.setToken(response.data.token, response.data.refreshToken);
+    }
+    return response;
+  }
+
+  // Turn the signed-in guest into a full account. details is
+  // { email, password } or { provider, idToken, nonce }, plus inviteCode
+  // and optionally username and name
+  async upgradeGuestAccount(details) {
+    const response = await this.request('/api/auth/anonymous/upgrade', {
+      method: 'POST',
+      body: JSON.stringify(details),
     });
     if (response.data?.token) {
+      // Same device session, so the refresh token stays as it is
       await this.setToken(response.data.token);
     }
     return response;
@@ -227,12 +656,68 @@ class ApiService {
     return this.request('/api/auth/me');
   }
 
-  async logout() {
+  async requestPasswordReset(email) {
+    return this.request('/api/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  async resetPassword(token, password) {
+    return this.request('/api/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  async verifyEmail(token) {
+    return this.request('/api/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  async resendVerificationEmail() {
+    return this.request('/api/auth/verify-email/resend', {
+      method: 'POST',
+    });
+  }
+
+  async getSessions() {
+    return this.request('/api/auth/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/api/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Sign out. Queued writes are sent first; if some still can't be sent,
+   * this throws (code PENDING_WRITES) unless discardPending is set, so the
+   * user can choose to wait for a connection.
+   * @param {object} [options] - { discardPending }
+   */
+  async logout({ discardPending = false } = {}) {
+    await this.loadOutbox();
+    if (this.outbox.length > 0) {
+      await this.flushOutbox().catch(() => {});
+    }
+    if (this.outbox.length > 0 && !discardPending) {
+      const pendingError = new Error(`${this.outbox.length} change(s) haven't synced yet`);
+      pendingError.code = 'PENDING_WRITES';
+      pendingError.pendingCount = this.outbox.length;
+      throw pendingError;
+    }
+
     try {
       await this.request('/api/auth/logout', { method: 'POST' });
     } catch (e) {
       // Ignore errors on logout
     }
+    // Queued writes belong to this account and must not replay as the next one
+    await this.clearOutbox();
     await this.setToken(null);
   }
 
@@ -257,6 +742,14 @@ class ApiService {
     return this.request(`/api/users/${userId}`);
   }
 
+  async exportMyData(format = 'json') {
+    // Full account export (profile, workouts, submissions, notifications) as raw text
+    return this.request(`/api/users/export?format=${format}`, {
+      responseType: 'text',
+      timeout: 120000,
+    });
+  }
+
   async deleteAccount() {
     const response = await this.request('/api/users/account', {
       method: 'DELETE',
@@ -273,20 +766,76 @@ class ApiService {
   }
 
   // Workout endpoints
+  async getExercises() {
+    // Full exercise catalog, including retired exercises (isActive: false)
+    return this.request('/api/workouts/exercises/list');
+  }
+
   async getWorkouts(params = {}) {
     const query = new URLSearchParams(params).toString();
     return this.request(`/api/workouts${query ? `?${query}` : ''}`);
   }
 
-  async logWorkout(workout) {
-    return this.request('/api/workouts', {
+  async logWorkout(workout, meta = null) {
+    return this.mutate('/api/workouts', {
       method: 'POST',
-      body: JSON.stringify(workout),
+      // Record when it was done, not when a queued copy reaches the server
+      body: { date: new Date().toISOString(), ...workout },
+      type: 'logWorkout',
+      meta,
     });
   }
 
   async deleteWorkout(id) {
-    return this.request(`/api/workouts/${id}`, {
+    return this.mutate(`/api/workouts/${id}`, {
+      method: 'DELETE',
+      type: 'deleteWorkout',
+    });
+  }
+
+  async importWorkouts(csv, { source, unit, mapping, dryRun = false } = {}) {
+    // Import a Strong or Hevy CSV export; dryRun previews the exercise matching
+    return this.request('/api/workouts/import', {
+      method: 'POST',
+      body: JSON.stringify({ csv, source, unit, mapping, dryRun }),
+      timeout: 120000,
+      retries: 0,
+    });
+  }
+
+  // Workout builder endpoints (templates and sessions sync)
+  async getTemplates(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/api/templates${query ? `?${query}` : ''}`);
+  }
+
+  async saveTemplate(template) {
+    return this.request(`/api/templates/${template.id}`, {
+      method: 'PUT',
+      body: JSON.stringify(template),
+    });
+  }
+
+  async deleteTemplate(id) {
+    return this.request(`/api/templates/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getSessions(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/api/sessions${query ? `?${query}` : ''}`);
+  }
+
+  async saveSession(session) {
+    return this.request(`/api/sessions/${session.id}`, {
+      method: 'PUT',
+      body: JSON.stringify(session),
+    });
+  }
+
+  async deleteSession(id) {
+    return this.request(`/api/sessions/${id}`, {
       method: 'DELETE',
     });
   }
@@ -305,6 +854,11 @@ class ApiService {
     return this.request('/api/leaderboard/weight-classes');
   }
 
+  async getRankHistory(userId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/api/leaderboard/history/${userId}${query ? `?${query}` : ''}`);
+  }
+
   // Challenge endpoints
   async getChallenges(params = {}) {
     const query = new URLSearchParams(params).toString();
@@ -312,22 +866,81 @@ class ApiService {
   }
 
   async joinChallenge(id) {
-    return this.request(`/api/challenges/${id}/join`, {
+    return this.mutate(`/api/challenges/${id}/join`, {
       method: 'POST',
+      type: 'joinChallenge',
     });
   }
 
   async leaveChallenge(id) {
-    return this.request(`/api/challenges/${id}/leave`, {
+    return this.mutate(`/api/challenges/${id}/leave`, {
+      method: 'POST',
+      type: 'leaveChallenge',
+    });
+  }
+
+  // Team endpoints
+  async getMyTeam() {
+    return this.request('/api/teams/me');
+  }
+
+  async createTeam(name) {
+    return this.request('/api/teams', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  }
+
+  async inviteToTeam(teamId, username) {
+    return this.request(`/api/teams/${teamId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify({ username }),
+    });
+  }
+
+  async respondToTeamInvite(inviteId, accept) {
+    return this.request(`/api/teams/invites/${inviteId}/${accept ? 'accept' : 'decline'}`, {
+      method: 'POST',
+    });
+  }
+
+  async leaveTeam() {
+    return this.request('/api/teams/leave', {
+      method: 'POST',
+    });
+  }
+
+  // Duel endpoints
+  async getDuels(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/api/duels${query ? `?${query}` : ''}`);
+  }
+
+  async createDuel(duelData) {
+    return this.request('/api/duels', {
+      method: 'POST',
+      body: JSON.stringify(duelData),
+    });
+  }
+
+  async respondToDuel(duelId, accept) {
+    return this.request(`/api/duels/${duelId}/${accept ? 'accept' : 'decline'}`, {
+      method: 'POST',
+    });
+  }
+
+  async cancelDuel(duelId) {
+    return this.request(`/api/duels/${duelId}/cancel`, {
       method: 'POST',
     });
   }
 
   // Challenge submission endpoints
   async submitChallengeEntry(challengeId, entryData) {
-    return this.request(`/api/challenges/${challengeId}/submit`, {
+    return this.mutate(`/api/challenges/${challengeId}/submit`, {
       method: 'POST',
-      body: JSON.stringify(entryData),
+      body: entryData,
+      type: 'submitChallengeEntry',
     });
   }
 
@@ -340,6 +953,10 @@ class ApiService {
     return this.request(`/api/challenges/${challengeId}/top-submissions${query ? `?${query}` : ''}`);
   }
 
+  async getChallengeSeries(templateId) {
+    return this.request(`/api/challenges/series/${templateId}`);
+  }
+
   // Admin challenge endpoints
   async getAdminChallenges(params = {}) {
     const query = new URLSearchParams(params).toString();
@@ -387,6 +1004,13 @@ class ApiService {
     });
   }
 
+  async finalizeChallenge(challengeId, { force = false } = {}) {
+    return this.request(`/api/admin/challenges/${challengeId}/finalize`, {
+      method: 'POST',
+      body: JSON.stringify({ force }),
+    });
+  }
+
   async getChallengeLeaderboard(challengeId, params = {}) {
     const query = new URLSearchParams(params).toString();
     return this.request(`/api/admin/challenges/${challengeId}/leaderboard${query ? `?${query}` : ''}`);
@@ -397,6 +1021,64 @@ class ApiService {
     return this.request(`/api/admin/challenges/pending-submissions${query ? `?${query}` : ''}`);
   }
 
+  // Admin challenge template endpoints
+  async getChallengeTemplates() {
+    return this.request('/api/admin/challenge-templates');
+  }
+
+  async createChallengeTemplate(templateData) {
+    return this.request('/api/admin/challenge-templates', {
+      method: 'POST',
+      body: JSON.stringify(templateData),
+    });
+  }
+
+  async updateChallengeTemplate(templateId, templateData) {
+    return this.request(`/api/admin/challenge-templates/${templateId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(templateData),
+    });
+  }
+
+  async deleteChallengeTemplate(templateId) {
+    return this.request(`/api/admin/challenge-templates/${templateId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async instantiateChallengeTemplate(templateId, startDate) {
+    return this.request(`/api/admin/challenge-templates/${templateId}/instantiate`, {
+      method: 'POST',
+      body: JSON.stringify({ startDate }),
+    });
+  }
+
+  // Admin exercise catalog endpoints
+  async getAdminExercises(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/api/admin/exercises${query ? `?${query}` : ''}`);
+  }
+
+  async createExercise(exerciseData) {
+    return this.request('/api/admin/exercises', {
+      method: 'POST',
+      body: JSON.stringify(exerciseData),
+    });
+  }
+
+  async updateExercise(exerciseId, exerciseData) {
+    return this.request(`/api/admin/exercises/${exerciseId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(exerciseData),
+    });
+  }
+
+  async deleteExercise(exerciseId) {
+    return this.request(`/api/admin/exercises/${exerciseId}`, {
+      method: 'DELETE',
+    });
+  }
+
   async getMyInviteCodes() {
     return this.request('/api/auth/invites');
   }
@@ -443,14 +1125,16 @@ class ApiService {
   }
 
   async markNotificationRead(id) {
-    return this.request(`/api/notifications/${id}/read`, {
+    return this.mutate(`/api/notifications/${id}/read`, {
       method: 'PATCH',
+      type: 'markNotificationRead',
     });
   }
 
   async markAllNotificationsRead() {
-    return this.request('/api/notifications/mark-all-read', {
+    return this.mutate('/api/notifications/mark-all-read', {
       method: 'POST',
+      type: 'markAllNotificationsRead',
     });
   }
 
@@ -473,126 +1157,107 @@ class ApiService {
   }
 
   // Video submission endpoints
+  // Videos go up through the resumable upload API in chunks, each with a
+  // sha256 the server checks. When a chunk fails, the upload carries on from
+  // the last offset the server acknowledged. An upload given up on part way
+  // is remembered per file, so trying the same file again resumes it.
   async uploadVideo(fileUri) {
     console.log('[UPLOAD] Starting video upload...', { fileUri });
 
-    const getExtension = (uri) => {
-      if (!uri) return null;
-      const cleanUri = uri.split('?')[0].split('#')[0];
-      const match = cleanUri.match(/\.([a-z0-9]+)$/i);
-      return match ? match[1].toLowerCase() : null;
-    };
-
-    const extensionToMime = {
-      mp4: 'video/mp4',
-      m4v: 'video/mp4',
-      mov: 'video/quicktime',
-      webm: 'video/webm',
-      mpeg: 'video/mpeg',
-      mpg: 'video/mpeg',
-      avi: 'video/x-msvideo',
-      wmv: 'video/x-ms-wmv',
-    };
-
-    const mimeToExtension = {
-      'video/mp4': 'mp4',
-      'video/quicktime': 'mov',
-      'video/webm': 'webm',
-      'video/mpeg': 'mpeg',
-      'video/x-msvideo': 'avi',
-      'video/x-ms-wmv': 'wmv',
-    };
-
-    const resolveVideoMeta = (uri, mimeType) => {
-      const extFromUri = getExtension(uri);
-      const resolvedMime = mimeType || (extFromUri ? extensionToMime[extFromUri] : null) || 'video/mp4';
-      const resolvedExt = mimeToExtension[resolvedMime] || extFromUri || 'mp4';
-      return {
-        name: `video.${resolvedExt}`,
-        type: resolvedMime,
-      };
-    };
-
-    const formData = new FormData();
+    const file = await openVideoFile(fileUri);
+    const resumeKey = `${UPLOAD_RESUME_KEY_PREFIX}${fileUri}`;
 
-    // Detect if running on web by checking for blob: protocol (web returns blob URLs)
-    const isWeb = fileUri.startsWith('blob:');
-
-    if (isWeb) {
-      // Web: Fetch the blob and append it directly
-      console.log('[UPLOAD] Web platform detected, fetching blob...');
-      try {
-        const response = await fetch(fileUri);
-        const blob = await response.blob();
-        const fileMeta = resolveVideoMeta(fileUri, blob.type);
-        // Append the blob directly with filename
-        formData.append('video', blob, fileMeta.name);
-        console.log('[UPLOAD] Blob fetched and appended to FormData');
-      } catch (error) {
-        console.error('[UPLOAD] Failed to fetch blob:', error);
-        throw new Error('Failed to process video file. Please try again.');
-      }
+    let upload = await this.getResumableUpload(resumeKey, file.size);
+    if (upload) {
+      console.log('[UPLOAD] Resuming upload', { uploadId: upload.uploadId, offset: upload.offset });
     } else {
-      // React Native (iOS/Android): Use the object format
-      const fileMeta = resolveVideoMeta(fileUri);
-      formData.append('video', {
-        uri: fileUri,
-        type: fileMeta.type,
-        name: fileMeta.name,
+      const created = await this.request('/api/videos/uploads', {
+        method: 'POST',
+        body: JSON.stringify({ fileName: file.name, contentType: file.type, size: file.size }),
       });
-      console.log('[UPLOAD] React Native FormData created');
+      upload = created.data;
+      await AsyncStorage.setItem(resumeKey, JSON.stringify({ uploadId: upload.uploadId, size: file.size }));
+      console.log('[UPLOAD] Upload started', { uploadId: upload.uploadId, size: file.size });
     }
 
-    console.log('[UPLOAD] FormData created', { formDataKeys: Array.from(formData.keys()) });
+    const uploadPath = `/api/videos/uploads/${upload.uploadId}`;
+    let offset = upload.offset;
+    let failures = 0;
 
-    // Use fetch directly for multipart/form-data
-    const token = await this.getToken();
-    console.log('[UPLOAD] Token retrieved, starting fetch to', `${API_BASE_URL}/api/videos/upload`);
-
-    // Create a timeout promise
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Upload timed out. Please check your connection and try again.')), UPLOAD_TIMEOUT);
-    });
+    try {
+      while (offset < file.size) {
+        const end = Math.min(offset + upload.chunkSize, file.size);
+        try {
+          const chunk = await file.readChunk(offset, end);
+          const checksum = bytesToBase64(new Uint8Array(
+            await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, chunk)
+          ));
+          const result = await this.request(uploadPath, {
+            method: 'PUT',
+            headers: {
+              'Content-Type': 'application/offset+octet-stream',
+              'Upload-Offset': String(offset),
+              'Upload-Checksum': `sha256 ${checksum}`,
+            },
+            body: chunk,
+            timeout: UPLOAD_CHUNK_TIMEOUT,
+          });
+          offset = result.data.offset;
+          failures = 0;
+        } catch (error) {
+          // 409: the server is at a different offset; 460: the chunk arrived corrupted
+          const resumable = !error.status || error.status >= 500 || [409, 460].includes(error.status);
+          failures += 1;
+          if (!resumable || failures > UPLOAD_MAX_CHUNK_FAILURES) {
+            throw error;
+          }
+          console.warn('[UPLOAD] Chunk failed, resuming from server offset', { offset, error: error.message });
+          await new Promise(resolve => setTimeout(resolve, failures * 1000));
+          const status = await this.request(uploadPath);
+          offset = status.data.offset;
+        }
+      }
+    } catch (error) {
+      console.error('[UPLOAD] Upload failed', { offset, error: error.message });
+      if ([404, 410].includes(error.status)) {
+        await AsyncStorage.removeItem(resumeKey);
+      }
+      throw error;
+    }
 
-    // Race between fetch and timeout
-    const uploadPromise = fetch(`${API_BASE_URL}/api/videos/upload`, {
+    const result = await this.request(`${uploadPath}/complete`, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        // Don't set Content-Type - let fetch set it with the boundary
-      },
-      body: formData,
+      timeout: UPLOAD_TIMEOUT,
     });
+    await AsyncStorage.removeItem(resumeKey);
+    console.log('[UPLOAD] Upload successful', { result });
+    return result;
+  }
 
-    const uploadResponse = await Promise.race([uploadPromise, timeoutPromise]);
-
-    console.log('[UPLOAD] Response received', {
-      status: uploadResponse.status,
-      statusText: uploadResponse.statusText,
-      ok: uploadResponse.ok
-    });
+  // Upload left unfinished for this file, if the server still has it
+  async getResumableUpload(resumeKey, size) {
+    let saved = null;
+    try {
+      saved = JSON.parse(await AsyncStorage.getItem(resumeKey));
+    } catch (error) {
+      saved = null;
+    }
+    if (!saved?.uploadId || saved.size !== size) {
+      return null;
+    }
 
-    // Helper to safely parse JSON
-    const safeJsonParse = async (response) => {
-      try {
-        return await response.json();
-      } catch (e) {
-        // Get response text for debugging
-        const text = await response.text();
-        console.error('[UPLOAD] JSON parse error. Response text:', text.substring(0, 500));
-        throw new Error(`Server returned invalid response. Please try again. (${response.status})`);
+    try {
+      const status = await this.request(`/api/videos/uploads/${saved.uploadId}`);
+      if (!status.data.completed) {
+        return status.data;
+      }
+    } catch (error) {
+      if (![404, 410].includes(error.status)) {
+        throw error;
       }
-    };
-
-    if (!uploadResponse.ok) {
-      const errorData = await safeJsonParse(uploadResponse);
-      console.error('[UPLOAD] Upload failed', errorData);
-      throw new Error(errorData.error || errorData.message || 'Upload failed');
     }
-
-    const result = await safeJsonParse(uploadResponse);
-    console.log('[UPLOAD] Upload successful', { result });
-    return result;
+    await AsyncStorage.removeItem(resumeKey);
+    return null;
   }
 
   async submitVideo(videoData) {
@@ -615,6 +1280,11 @@ class ApiService {
     return this.request(`/api/videos${query}`);
   }
 
+  async getUserRecords(userId) {
+    // Get a user's personal records per exercise
+    return this.request(`/api/users/${userId}/records`);
+  }
+
   async getUserVideos(userId) {
     // Get another user's public videos (approved only)
     return this.request(`/api/users/${userId}/videos`);
@@ -703,65 +1373,6 @@ class ApiService {
       body: JSON.stringify(body),
     });
   }
-
-  // Blur faces in video using the Python faceblurapi service
-  async blurVideo(videoUrl) {
-    console.log('[API] blurVideo called with videoUrl:', videoUrl?.substring(0, 50) + '...');
-
-    const FACE_BLUR_API_URL = process.env.EXPO_PUBLIC_FACE_BLUR_API_URL || 'https://unyield-faceblur-api-production.up.railway.app';
-
-    try {
-      const response = await fetch(`${FACE_BLUR_API_URL}/blur`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ videoUrl }),
-      });
-
-      const data = await response.json();
-      console.log('[API] blurVideo response:', data.success ? 'success' : data.error);
-
-      // Transform response to match expected format
-      if (data.success && data.data) {
-        return {
-          success: true,
-          data: {
-            blurredVideoUrl: data.data.blurredVideoUrl,
-            originalVideoUrl: data.data.originalVideoUrl,
-            facesFound: data.data.facesDetected,
-            facesDetected: data.data.facesDetected,
-            framesProcessed: data.data.framesProcessed,
-            processingTimeMs: data.data.processingTimeMs,
-          }
-        };
-      }
-
-      return data;
-    } catch (error) {
-      console.error('[API] blurVideo error:', error);
-      return { success: false, error: error.message || 'Face blur service unavailable' };
-    }
-  }
-
-  // Detect faces in video without blurring (for testing)
-  async detectFaces(videoUrl) {
-    const FACE_BLUR_API_URL = process.env.EXPO_PUBLIC_FACE_BLUR_API_URL || 'https://unyield-faceblur-api-production.up.railway.app';
-
-    try {
-      const response = await fetch(`${FACE_BLUR_API_URL}/detect`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ videoUrl }),
-      });
-
-      return await response.json();
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
 }
 
 export const api = new ApiService();
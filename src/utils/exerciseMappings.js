@@ -58,15 +58,24 @@ function isHomeLocation(location) {
   return normalized.startsWith('home');
 }
 
+// Exercises tagged with equipment come from the server catalog
+function isHomeExercise(exercise) {
+  if (Array.isArray(exercise.equipment) && exercise.equipment.length > 0) {
+    return exercise.equipment.includes('bodyweight');
+  }
+  return HOME_EXERCISE_IDS.has(exercise.id);
+}
+
 // Get exercises by muscle group and location
-export function getExercisesForQuickWorkout(muscleGroup, location) {
+// Pass the app's cached catalog; the bundled list is only a fallback
+export function getExercisesForQuickWorkout(muscleGroup, location, exercises = EXERCISES) {
   // Start with all exercises
-  let filtered = [...EXERCISES];
+  let filtered = [...exercises];
 
   // Filter by muscle group
   if (muscleGroup === 'full_body') {
     // For full body, include compound exercises + mix from other groups
-    filtered = EXERCISES.filter(ex =>
+    filtered = exercises.filter(ex =>
       ex.category === 'compound' ||
       ex.category === 'legs' ||
       ex.category === 'chest' ||
@@ -74,12 +83,12 @@ export function getExercisesForQuickWorkout(muscleGroup, location) {
     );
   } else {
     // Filter by specific category
-    filtered = EXERCISES.filter(ex => ex.category === muscleGroup);
+    filtered = exercises.filter(ex => ex.category === muscleGroup);
   }
 
   // Filter by location (home vs gym)
   if (isHomeLocation(location)) {
-    filtered = filtered.filter(ex => HOME_EXERCISE_IDS.has(ex.id));
+    filtered = filtered.filter(isHomeExercise);
   }
   // For gym, include all exercises (no filter needed)
 
@@ -90,8 +99,8 @@ export function getExercisesForQuickWorkout(muscleGroup, location) {
 }
 
 // Generate a workout from selected criteria
-export function generateQuickWorkout(muscleGroup, location) {
-  const availableExercises = getExercisesForQuickWorkout(muscleGroup, location);
+export function generateQuickWorkout(muscleGroup, location, exercises = EXERCISES) {
+  const availableExercises = getExercisesForQuickWorkout(muscleGroup, location, exercises);
 
   // Select 4-6 exercises based on intensity and variety
   const exerciseCount = muscleGroup === 'full_body' ? 6 : 5;
@@ -129,7 +138,7 @@ export function generateQuickWorkout(muscleGroup, location) {
     exerciseId: exercise.id,
     name: exercise.name,
     orderIndex: index,
-    trackingType: exercise.category === 'cardio' ? 'time' : 'strength',
+    trackingType: exercise.trackingType || (exercise.category === 'cardio' ? 'time' : 'strength'),
     defaultSets: 3, // Default to 3 sets per exercise
     intensity: exercise.intensity,
   }));
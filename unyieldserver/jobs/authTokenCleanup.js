@@ -0,0 +1,58 @@
+/**
+ * Auth Token Cleanup Job
+ * Runs every hour to delete used and expired password reset and
+ * email verification tokens, and expired or long-revoked device sessions
+ */
+
+const cron = require('node-cron');
+const { purgeExpiredAuthTokens } = require('../services/authTokenService');
+const { purgeExpiredSessions } = require('../services/sessionService');
+
+/**
+ * Remove used and expired auth tokens and dead sessions
+ */
+const processAuthTokenCleanup = async () => {
+  console.log('Starting auth token cleanup job...');
+
+  try {
+    const removed = await purgeExpiredAuthTokens();
+    const removedSessions = await purgeExpiredSessions();
+    console.log(`Auth token cleanup completed: ${removed} tokens, ${removedSessions} sessions removed`);
+  } catch (error) {
+    console.error('Error cleaning up auth tokens:', error);
+  }
+};
+
+/**
+ * Initialize the auth token cleanup cron job
+ * Schedule: Every hour at minute 45
+ */
+const initializeAuthTokenCleanup = () => {
+  // Cron expression: 45 * * * * (every hour, offset from the idempotency key cleanup)
+  cron.schedule('45 * * * *', () => {
+    processAuthTokenCleanup();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Auth token cleanup job scheduled: Every hour');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running auth token cleanup job manually...');
+  processAuthTokenCleanup()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeAuthTokenCleanup,
+  processAuthTokenCleanup,
+};
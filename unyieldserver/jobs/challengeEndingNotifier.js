@@ -53,6 +53,7 @@ const processChallengeEndingNotifications = async () => {
           gte: twentyThreeHoursFromNow,
           lte: twentyFourHoursFromNow,
         },
+        duel: null,
       },
       select: {
         id: true,
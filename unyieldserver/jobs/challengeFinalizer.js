@@ -0,0 +1,61 @@
+/**
+ * Challenge Finalizer Job
+ * Runs every hour to finalise challenges that have ended: freezes their
+ * standings, awards placements and notifies participants
+ */
+
+const cron = require('node-cron');
+const { finalizeEndedChallenges } = require('../services/challengeResultService');
+
+/**
+ * Finalise every challenge past its end date
+ */
+const processChallengeFinalization = async () => {
+  console.log('Starting challenge finalisation job...');
+  const startTime = Date.now();
+
+  try {
+    const finalized = await finalizeEndedChallenges();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`Challenge finalisation job completed in ${duration}s`);
+    console.log(`Challenges finalised: ${finalized}`);
+  } catch (error) {
+    console.error('Error finalising challenges:', error);
+  }
+};
+
+/**
+ * Initialize the challenge finalizer cron job
+ * Schedule: Every hour at minute 5, after the ending notifier
+ */
+const initializeChallengeFinalizer = () => {
+  // Cron expression: 5 * * * * (every hour)
+  cron.schedule('5 * * * *', () => {
+    console.log('Running challenge finalisation job - Hourly check');
+    processChallengeFinalization();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Challenge finalizer job scheduled: Every hour');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running challenge finalisation job manually...');
+  processChallengeFinalization()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeChallengeFinalizer,
+  processChallengeFinalization,
+};
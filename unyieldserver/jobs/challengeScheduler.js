@@ -0,0 +1,61 @@
+/**
+ * Challenge Scheduler Job
+ * Runs every hour to create the next challenge of each recurring template
+ * once it is within a day of starting
+ */
+
+const cron = require('node-cron');
+const { runDueTemplates } = require('../services/challengeTemplateService');
+
+/**
+ * Create every scheduled challenge that is due
+ */
+const processChallengeSchedule = async () => {
+  console.log('Starting challenge scheduler job...');
+  const startTime = Date.now();
+
+  try {
+    const created = await runDueTemplates();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`Challenge scheduler job completed in ${duration}s`);
+    console.log(`Challenges created from templates: ${created}`);
+  } catch (error) {
+    console.error('Error running challenge scheduler:', error);
+  }
+};
+
+/**
+ * Initialize the challenge scheduler cron job
+ * Schedule: Every hour at minute 20
+ */
+const initializeChallengeScheduler = () => {
+  // Cron expression: 20 * * * * (every hour)
+  cron.schedule('20 * * * *', () => {
+    console.log('Running challenge scheduler job - Hourly check');
+    processChallengeSchedule();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Challenge scheduler job scheduled: Every hour');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running challenge scheduler job manually...');
+  processChallengeSchedule()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeChallengeScheduler,
+  processChallengeSchedule,
+};
@@ -0,0 +1,61 @@
+/**
+ * Duel Settler Job
+ * Runs every hour to expire unanswered duels and settle accepted ones whose
+ * deadline has passed
+ */
+
+const cron = require('node-cron');
+const { settleDueDuels } = require('../services/duelService');
+
+/**
+ * Settle every duel past its deadline
+ */
+const processDuelSettlement = async () => {
+  console.log('Starting duel settlement job...');
+  const startTime = Date.now();
+
+  try {
+    const { expired, settled } = await settleDueDuels();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`Duel settlement job completed in ${duration}s`);
+    console.log(`Duels settled: ${settled}, unanswered duels expired: ${expired}`);
+  } catch (error) {
+    console.error('Error settling duels:', error);
+  }
+};
+
+/**
+ * Initialize the duel settler cron job
+ * Schedule: Every hour at minute 10, after the challenge finalizer
+ */
+const initializeDuelSettler = () => {
+  // Cron expression: 10 * * * * (every hour)
+  cron.schedule('10 * * * *', () => {
+    console.log('Running duel settlement job - Hourly check');
+    processDuelSettlement();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Duel settler job scheduled: Every hour');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running duel settlement job manually...');
+  processDuelSettlement()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeDuelSettler,
+  processDuelSettlement,
+};
@@ -0,0 +1,79 @@
+/**
+ * Guest Cleanup Job
+ * Runs every day at 03:15 UTC to delete guest accounts nobody has used
+ * for the retention period, along with their workouts and sessions
+ */
+
+const cron = require('node-cron');
+const prisma = require('../src/prisma');
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const retentionDays = parseNumber(process.env.GUEST_RETENTION_DAYS, 30);
+
+/**
+ * Delete guests with no sign-in or workout since the cutoff
+ */
+const processGuestCleanup = async () => {
+  console.log('Starting guest cleanup job...');
+
+  try {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    // Related records are removed by the schema's cascade deletes
+    const { count } = await prisma.user.deleteMany({
+      where: {
+        provider: 'anonymous',
+        createdAt: { lt: cutoff },
+        OR: [
+          { lastWorkoutDate: null },
+          { lastWorkoutDate: { lt: cutoff } },
+        ],
+        authSessions: {
+          none: { lastUsedAt: { gte: cutoff } },
+        },
+      },
+    });
+
+    console.log(`Guest cleanup completed: ${count} guest accounts removed (idle over ${retentionDays} days)`);
+  } catch (error) {
+    console.error('Error cleaning up guest accounts:', error);
+  }
+};
+
+/**
+ * Initialize the guest cleanup cron job
+ * Schedule: Every day at 03:15 UTC
+ */
+const initializeGuestCleanup = () => {
+  // Cron expression: 15 3 * * * (03:15 every day, a quiet hour)
+  cron.schedule('15 3 * * *', () => {
+    processGuestCleanup();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Guest cleanup job scheduled: Daily at 03:15 UTC');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running guest cleanup job manually...');
+  processGuestCleanup()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeGuestCleanup,
+  processGuestCleanup,
+};
@@ -0,0 +1,55 @@
+/**
+ * Idempotency Key Cleanup Job
+ * Runs every hour to delete stored Idempotency-Key responses past their TTL
+ */
+
+const cron = require('node-cron');
+const { purgeExpiredIdempotencyKeys } = require('../middleware/idempotency');
+
+/**
+ * Remove expired idempotency keys
+ */
+const processIdempotencyKeyCleanup = async () => {
+  console.log('Starting idempotency key cleanup job...');
+
+  try {
+    const removed = await purgeExpiredIdempotencyKeys();
+    console.log(`Idempotency key cleanup completed: ${removed} expired keys removed`);
+  } catch (error) {
+    console.error('Error cleaning up idempotency keys:', error);
+  }
+};
+
+/**
+ * Initialize the idempotency key cleanup cron job
+ * Schedule: Every hour at minute 30
+ */
+const initializeIdempotencyKeyCleanup = () => {
+  // Cron expression: 30 * * * * (every hour, offset from the challenge notifier)
+  cron.schedule('30 * * * *', () => {
+    processIdempotencyKeyCleanup();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Idempotency key cleanup job scheduled: Every hour');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running idempotency key cleanup job manually...');
+  processIdempotencyKeyCleanup()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeIdempotencyKeyCleanup,
+  processIdempotencyKeyCleanup,
+};
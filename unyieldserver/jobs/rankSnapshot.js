@@ -0,0 +1,68 @@
+/**
+ * Rank Snapshot Job
+ * Runs every day at 00:05 UTC to record leaderboard standings for every scope
+ */
+
+const cron = require('node-cron');
+const { captureRankSnapshots, purgeOldSnapshots } = require('../services/rankSnapshotService');
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const retentionDays = parseNumber(process.env.RANK_SNAPSHOT_RETENTION_DAYS, 365);
+
+/**
+ * Record today's standings and drop snapshots past retention
+ */
+const processRankSnapshots = async () => {
+  console.log('Starting rank snapshot job...');
+  const startTime = Date.now();
+
+  try {
+    const written = await captureRankSnapshots();
+    const purged = await purgeOldSnapshots(retentionDays);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`Rank snapshot completed in ${duration}s`);
+    console.log(`Snapshots written: ${written}, Old snapshots removed: ${purged}`);
+  } catch (error) {
+    console.error('Error processing rank snapshots:', error);
+  }
+};
+
+/**
+ * Initialize the rank snapshot cron job
+ * Schedule: Every day at 00:05 UTC
+ */
+const initializeRankSnapshots = () => {
+  // Cron expression: 5 0 * * * (00:05 every day)
+  cron.schedule('5 0 * * *', () => {
+    console.log('Running rank snapshot job - Daily at 00:05 UTC');
+    processRankSnapshots();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Rank snapshot job scheduled: Every day at 00:05 UTC');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running rank snapshot job manually...');
+  processRankSnapshots()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeRankSnapshots,
+  processRankSnapshots,
+};
@@ -0,0 +1,55 @@
+/**
+ * Video Upload Cleanup Job
+ * Runs every hour to delete abandoned resumable uploads and their staged chunks
+ */
+
+const cron = require('node-cron');
+const { purgeExpiredUploads } = require('../services/videoUploadService');
+
+/**
+ * Remove expired resumable uploads
+ */
+const processVideoUploadCleanup = async () => {
+  console.log('Starting video upload cleanup job...');
+
+  try {
+    const removed = await purgeExpiredUploads();
+    console.log(`Video upload cleanup completed: ${removed} expired uploads removed`);
+  } catch (error) {
+    console.error('Error cleaning up video uploads:', error);
+  }
+};
+
+/**
+ * Initialize the video upload cleanup cron job
+ * Schedule: Every hour at minute 50
+ */
+const initializeVideoUploadCleanup = () => {
+  // Cron expression: 50 * * * * (every hour, after the auth token cleanup)
+  cron.schedule('50 * * * *', () => {
+    processVideoUploadCleanup();
+  }, {
+    timezone: 'UTC',
+  });
+
+  console.log('Video upload cleanup job scheduled: Every hour');
+};
+
+// Auto-start if this file is run directly
+if (require.main === module) {
+  console.log('Running video upload cleanup job manually...');
+  processVideoUploadCleanup()
+    .then(() => {
+      console.log('Job completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Job failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  initializeVideoUploadCleanup,
+  processVideoUploadCleanup,
+};
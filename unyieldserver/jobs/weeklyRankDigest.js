@@ -1,20 +1,15 @@
 /**
  * Weekly Rank Digest Job
- * Runs every Sunday at 9:00 AM UTC to send weekly rank change notifications
+ * Runs every Sunday at 9:00 AM UTC to send weekly rank change notifications.
+ * Movement comes from the daily global leaderboard snapshots.
  */
 
 const cron = require('node-cron');
 const prisma = require('../src/prisma');
 const { sendWeeklyRankDigest } = require('../services/notificationService');
+const { getPreviousRanks, MOVEMENT_WINDOW_DAYS } = require('../services/rankSnapshotService');
 
-/**
- * Calculate user rank based on total points
- * @param {number} totalPoints - User's total points
- * @returns {number} Calculated rank (1-99)
- */
-const calculateRank = (totalPoints) => {
-  return Math.max(1, 100 - Math.floor(totalPoints / 250));
-};
+const GLOBAL_SCOPE = { scope: 'global', scopeValue: '' };
 
 /**
  * Process weekly rank digest for all opted-in users
@@ -33,14 +28,19 @@ const processWeeklyRankDigest = async () => {
       select: {
         id: true,
         username: true,
-        totalPoints: true,
-        rank: true,
         lastRankDigestSentAt: true,
       },
     });
 
     console.log(`Found ${users.length} users with weekly digest enabled`);
 
+    // Latest standings and the standings a week before
+    const userIds = users.map((user) => user.id);
+    const [currentRanks, lastWeekRanks] = await Promise.all([
+      getPreviousRanks(userIds, GLOBAL_SCOPE, 0),
+      getPreviousRanks(userIds, GLOBAL_SCOPE, MOVEMENT_WINDOW_DAYS),
+    ]);
+
     let processedCount = 0;
     let skippedCount = 0;
 
@@ -54,14 +54,16 @@ const processWeeklyRankDigest = async () => {
         }
       }
 
-      // Calculate what the user's rank was last week
-      // We'll estimate this by recalculating based on current points
-      // In a real production system, you'd want to store historical rank data
-      const currentRank = user.rank;
-      const estimatedOldRank = calculateRank(user.totalPoints - 50); // Assume ~50 points gained per week
+      // Skip users who weren't on the leaderboard both this week and last
+      const currentRank = currentRanks.get(user.id);
+      const lastWeekRank = lastWeekRanks.get(user.id);
+      if (!currentRank || !lastWeekRank) {
+        skippedCount++;
+        continue;
+      }
 
       // Send weekly digest
-      await sendWeeklyRankDigest(user.id, estimatedOldRank, currentRank);
+      await sendWeeklyRankDigest(user.id, lastWeekRank, currentRank);
       processedCount++;
     }
 
@@ -141,7 +141,7 @@ const isSuperAdmin = (user) => {
 
 /**
  * Middleware to check if user has challenge master privileges
- * Requires user to have 'admin' or 'challenge_master' accolade
+ * Requires user to have 'admin' or 'challenge_admin' accolade
  */
 const requireChallengeMaster = async (req, res, next) => {
   try {
@@ -160,7 +160,7 @@ const requireChallengeMaster = async (req, res, next) => {
     // Check if user has challenge master privileges
     const hasChallengeMasterPrivilege = user.accolades && (
       user.accolades.includes('admin') ||
-      user.accolades.includes('challenge_master')
+      user.accolades.includes('challenge_admin')
     );
 
     if (!hasChallengeMasterPrivilege) {
@@ -176,7 +176,7 @@ const requireChallengeMaster = async (req, res, next) => {
 
 /**
  * Middleware to check if user can moderate challenge submissions
- * Requires user to have 'admin', 'community_support', or 'challenge_master' accolade
+ * Requires user to have 'admin', 'community_support', or 'challenge_admin' accolade
  */
 const requireChallengeModerator = async (req, res, next) => {
   try {
@@ -195,7 +195,7 @@ const requireChallengeModerator = async (req, res, next) => {
     const canModerateChallenges = user.accolades && (
       user.accolades.includes('admin') ||
       user.accolades.includes('community_support') ||
-      user.accolades.includes('challenge_master')
+      user.accolades.includes('challenge_admin')
     );
 
     if (!canModerateChallenges) {
@@ -211,12 +211,12 @@ const requireChallengeModerator = async (req, res, next) => {
 
 /**
  * Helper to check if user is a challenge master
- * Returns true if user has 'admin' or 'challenge_master' accolade
+ * Returns true if user has 'admin' or 'challenge_admin' accolade
  */
 const isChallengeMaster = (user) => {
   return user.accolades && (
     user.accolades.includes('admin') ||
-    user.accolades.includes('challenge_master')
+    user.accolades.includes('challenge_admin')
   );
 };
 
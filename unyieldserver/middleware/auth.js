@@ -1,10 +1,58 @@
 const jwt = require('jsonwebtoken');
+const prisma = require('../src/prisma');
 const { AppError } = require('./errorHandler');
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const { getActiveBan, formatBanMessage } = require('../services/userService');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 const JWT_ALGORITHM = 'HS256';
 
+const ACCOUNT_STATUS_SELECT = {
+  bannedAt: true,
+  bannedUntil: true,
+  banReason: true,
+  sessionsRevokedAt: true,
+};
+
+// Check a verified token against the account: revoked sessions and bans.
+// Returns an AppError to reject with, or null if the token may be used.
+const checkAccountStatus = async (decoded) => {
+  const account = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: {
+      ...ACCOUNT_STATUS_SELECT,
+      ...(decoded.sid && {
+        authSessions: {
+          where: { id: decoded.sid },
+          select: { revokedAt: true },
+        },
+      }),
+    },
+  });
+
+  if (!account) {
+    return null;
+  }
+
+  // The device was signed out (or its session deleted)
+  if (decoded.sid && (account.authSessions.length === 0 || account.authSessions[0].revokedAt)) {
+    return new AppError('Session has been revoked. Please sign in again.', 401);
+  }
+
+  // iat only has second precision, so compare whole seconds; otherwise a
+  // token issued in the same second as the revocation would be rejected too
+  if (account.sessionsRevokedAt && decoded.iat < Math.floor(account.sessionsRevokedAt.getTime() / 1000)) {
+    return new AppError('Session has been revoked. Please sign in again.', 401);
+  }
+
+  const ban = getActiveBan(account);
+  if (ban) {
+    return new AppError(formatBanMessage(ban), 403);
+  }
+
+  return null;
+};
+
 // Verify JWT token
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -13,22 +61,33 @@ const authenticate = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
       algorithms: [JWT_ALGORITHM],
     });
-    req.user = decoded;
-    next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return next(new AppError('Token expired', 401));
     }
     return next(new AppError('Invalid token', 401));
   }
+
+  try {
+    const rejection = await checkAccountStatus(decoded);
+    if (rejection) {
+      return next(rejection);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decoded;
+  next();
 };
 
 // Optional authentication - doesn't fail if no token
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -42,7 +101,8 @@ const optionalAuth = (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET, {
       algorithms: [JWT_ALGORITHM],
     });
-    req.user = decoded;
+    // Revoked or banned sessions are treated as signed out
+    req.user = (await checkAccountStatus(decoded)) ? null : decoded;
   } catch (error) {
     req.user = null;
   }
@@ -50,13 +110,14 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-const generateToken = (user) => {
+// Generate JWT token, tied to a device session when one is given
+const generateToken = (user, sessionId = null) => {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
       provider: user.provider,
+      ...(sessionId && { sid: sessionId }),
     },
     process.env.JWT_SECRET,
     {
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+const { AppError, asyncHandler } = require('./errorHandler');
+
+const MAX_KEY_LENGTH = 255;
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const defaultTtlMs = parseNumber(process.env.IDEMPOTENCY_TTL_HOURS, 24) * 60 * 60 * 1000;
+
+// A pending key whose heartbeat is older than this belongs to a request that
+// died without responding (crash, restart), so a retry may take it over
+const defaultLeaseMs = parseNumber(process.env.IDEMPOTENCY_LEASE_SECONDS, 60) * 1000;
+
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      body: req.body || null,
+      // Multipart uploads (e.g. CSV import) carry their payload outside req.body
+      file: req.file && req.file.buffer
+        ? crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+        : null,
+    }))
+    .digest('hex');
+};
+
+// Claim the key for this request, or return the row that already holds it
+const claimKey = async ({ key, userId, method, path, fingerprint, ttlMs }) => {
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: {
+        key,
+        userId,
+        method,
+        path,
+        fingerprint,
+        expiresAt: new Date(Date.now() + ttlMs),
+      },
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({
+    where: { userId_key: { userId, key } },
+  });
+  return { record: existing, claimed: false };
+};
+
+/**
+ * Create middleware that makes a write endpoint safe to retry.
+ * Requests carrying an Idempotency-Key header store their response; a repeat
+ * with the same key and body gets the stored response instead of running the
+ * handler again. Must run after authenticate, keys are scoped per user.
+ */
+const createIdempotencyMiddleware = ({ ttlMs = defaultTtlMs, leaseMs = defaultLeaseMs } = {}) => asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    throw new AppError(`Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  if (!req.user) {
+    throw new AppError('Authentication required', 401);
+  }
+
+  const request = {
+    key,
+    userId: req.user.id,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    fingerprint: fingerprintRequest(req),
+    ttlMs,
+  };
+
+  let { record, claimed } = await claimKey(request);
+
+  // Expired keys, and pending keys whose lease ran out, are treated as unused
+  const now = Date.now();
+  const isExpired = record && record.expiresAt < new Date(now);
+  const isAbandoned = record && record.statusCode === null && record.heartbeatAt < new Date(now - leaseMs);
+  if (!claimed && (isExpired || isAbandoned)) {
+    await prisma.idempotencyKey.deleteMany({
+      where: isExpired ? { id: record.id } : { id: record.id, statusCode: null },
+    });
+    ({ record, claimed } = await claimKey(request));
+  }
+
+  if (!claimed) {
+    if (!record) {
+      throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+    }
+
+    if (record.fingerprint !== request.fingerprint) {
+      throw new AppError('Idempotency-Key was already used for a different request', 422);
+    }
+
+    if (record.statusCode === null) {
+      res.set('Retry-After', '2');
+      throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+    }
+
+    console.log(`[IDEMPOTENCY] Replaying ${request.method} ${request.path} for key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.statusCode).json(record.responseBody);
+  }
+
+  // Keep the lease fresh while the handler works, so a slow request isn't
+  // taken over by a retry. Bounded by the key's lifetime in case it hangs.
+  const heartbeat = setInterval(() => {
+    if (Date.now() - record.createdAt.getTime() > ttlMs) {
+      clearInterval(heartbeat);
+      return;
+    }
+    prisma.idempotencyKey
+      .updateMany({ where: { id: record.id, statusCode: null }, data: { heartbeatAt: new Date() } })
+      .catch((error) => {
+        console.error('[IDEMPOTENCY] Heartbeat failed:', error.message);
+      });
+  }, Math.max(Math.floor(leaseMs / 3), 1000));
+  heartbeat.unref();
+
+  // Only res.json responses are stored. A response sent any other way
+  // (res.send, res.end) releases the claim so a retry can run; a client abort
+  // mid-handler keeps it, since the handler may still finish and store, and
+  // the lease above frees it once the process running it is gone.
+  let stored = false;
+  res.on('close', () => {
+    if (stored || !res.writableFinished) return;
+    clearInterval(heartbeat);
+    prisma.idempotencyKey
+      .deleteMany({ where: { id: record.id, statusCode: null } })
+      .catch((error) => {
+        console.error('[IDEMPOTENCY] Failed to release key:', error.message);
+      });
+  });
+
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    stored = true;
+    clearInterval(heartbeat);
+    const statusCode = res.statusCode;
+
+    // Server errors are not stored so the client can retry with the same key
+    const save = statusCode >= 500
+      ? prisma.idempotencyKey.deleteMany({ where: { id: record.id } })
+      : prisma.idempotencyKey.update({
+        where: { id: record.id },
+        // Round-trip through JSON so dates are stored the way the client saw them
+        data: { statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) },
+      });
+
+    // Store before sending so a retry never races the first response
+    save
+      .catch((error) => {
+        console.error('[IDEMPOTENCY] Failed to store response:', error.message);
+      })
+      .then(() => originalJson(body));
+
+    return res;
+  };
+
+  return next();
+});
+
+/**
+ * Delete expired idempotency keys
+ * @returns {Promise<number>} Number of rows removed
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+  const result = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+};
+
+const idempotency = createIdempotencyMiddleware();
+
+module.exports = {
+  idempotency,
+  createIdempotencyMiddleware,
+  purgeExpiredIdempotencyKeys,
+};
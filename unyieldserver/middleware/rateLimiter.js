@@ -1,4 +1,6 @@
-const stores = new Map();
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+const store = createRateLimitStore();
 
 const parseNumber = (value, fallback) => {
   const parsed = Number.parseInt(value, 10);
@@ -13,100 +15,132 @@ const getClientIp = (req) => {
   return req.ip || req.connection?.remoteAddress || 'unknown';
 };
 
-const getStore = (name) => {
-  if (!stores.has(name)) {
-    stores.set(name, new Map());
-  }
-  return stores.get(name);
+// How a policy tells callers apart
+const KEY_GENERATORS = {
+  ip: (req) => getClientIp(req),
+  // Signed-in users get their own budget wherever they connect from
+  user: (req) => (req.user?.id ? `user:${req.user.id}` : getClientIp(req)),
+  email: (req) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return `${getClientIp(req)}:${email || 'no-email'}`;
+  },
+};
+
+// Rate limit policies. Each window and limit can be overridden from the
+// environment, e.g. UPLOAD_RATE_LIMIT_WINDOW_MS and UPLOAD_RATE_LIMIT_MAX_REQUESTS.
+const RATE_LIMIT_POLICIES = {
+  global: {
+    envPrefix: 'RATE_LIMIT',
+    windowMs: 15 * 60 * 1000,
+    maxRequests: 500,
+    by: 'ip',
+  },
+  auth: {
+    envPrefix: 'AUTH_RATE_LIMIT',
+    windowMs: 15 * 60 * 1000,
+    maxRequests: 30,
+    by: 'email',
+    message: 'Too many authentication attempts, please try again later',
+  },
+  invite: {
+    envPrefix: 'INVITE_RATE_LIMIT',
+    windowMs: 60 * 60 * 1000,
+    maxRequests: 50,
+    by: 'user',
+    message: 'Too many invite actions, please try again later',
+  },
+  upload: {
+    envPrefix: 'UPLOAD_RATE_LIMIT',
+    windowMs: 60 * 60 * 1000,
+    maxRequests: 20,
+    by: 'user',
+    message: 'Too many video uploads, please try again later',
+  },
+  report: {
+    envPrefix: 'REPORT_RATE_LIMIT',
+    windowMs: 60 * 60 * 1000,
+    maxRequests: 10,
+    by: 'user',
+    message: 'Too many reports, please try again later',
+  },
 };
 
+const resolvePolicy = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  return {
+    ...policy,
+    windowMs: parseNumber(process.env[`${policy.envPrefix}_WINDOW_MS`], policy.windowMs),
+    maxRequests: parseNumber(process.env[`${policy.envPrefix}_MAX_REQUESTS`], policy.maxRequests),
+  };
+};
+
+/**
+ * Create middleware enforcing a sliding-window limit.
+ * The hits in the current fixed window are added to the previous window's
+ * hits, weighted by how much of it still overlaps the sliding window. This
+ * stays smooth at window edges without storing every request time.
+ * Keyed by user must run after authenticate.
+ */
 const createRateLimiter = ({
   name,
   windowMs,
   maxRequests,
-  keyGenerator,
+  by = 'ip',
   message = 'Too many requests, please try again later',
 }) => {
-  const store = getStore(name);
+  const keyGenerator = KEY_GENERATORS[by];
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const now = Date.now();
-    const key = keyGenerator(req);
-    const record = store.get(key);
-
-    if (!record || now - record.startTime > windowMs) {
-      store.set(key, { count: 1, startTime: now });
+    const windowStart = now - (now % windowMs);
+
+    let counts;
+    try {
+      counts = await store.hit(`${name}:${keyGenerator(req)}`, windowStart, windowMs);
+    } catch (error) {
+      // A store outage shouldn't take the API down with it
+      console.error(`Rate limiter "${name}" store error:`, error.message);
       return next();
     }
 
-    if (record.count >= maxRequests) {
-      const retryAfterSeconds = Math.ceil((record.startTime + windowMs - now) / 1000);
-      res.set('Retry-After', String(retryAfterSeconds));
+    const previousWeight = (windowMs - (now - windowStart)) / windowMs;
+    const used = Math.floor(counts.previous * previousWeight) + counts.current;
+    const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+
+    res.set({
+      'RateLimit-Policy': `${maxRequests};w=${Math.round(windowMs / 1000)}`,
+      'RateLimit-Limit': String(maxRequests),
+      'RateLimit-Remaining': String(Math.max(0, maxRequests - used)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (used > maxRequests) {
+      res.set('Retry-After', String(resetSeconds));
       return res.status(429).json({
         success: false,
         error: message,
-        retryAfter: retryAfterSeconds,
+        retryAfter: resetSeconds,
       });
     }
 
-    record.count += 1;
     return next();
   };
 };
 
-const globalWindowMs = parseNumber(process.env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000);
-const globalMaxRequests = parseNumber(process.env.RATE_LIMIT_MAX_REQUESTS, 500);
-const authWindowMs = parseNumber(process.env.AUTH_RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000);
-const authMaxRequests = parseNumber(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS, 30);
-const inviteWindowMs = parseNumber(process.env.INVITE_RATE_LIMIT_WINDOW_MS, 60 * 60 * 1000);
-const inviteMaxRequests = parseNumber(process.env.INVITE_RATE_LIMIT_MAX_REQUESTS, 50);
-
-const rateLimiter = createRateLimiter({
-  name: 'global',
-  windowMs: globalWindowMs,
-  maxRequests: globalMaxRequests,
-  keyGenerator: (req) => getClientIp(req),
-});
-
-const authRateLimiter = createRateLimiter({
-  name: 'auth',
-  windowMs: authWindowMs,
-  maxRequests: authMaxRequests,
-  keyGenerator: (req) => {
-    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
-    return `${getClientIp(req)}:${email || 'no-email'}`;
-  },
-  message: 'Too many authentication attempts, please try again later',
-});
-
-const inviteRateLimiter = createRateLimiter({
-  name: 'invite',
-  windowMs: inviteWindowMs,
-  maxRequests: inviteMaxRequests,
-  keyGenerator: (req) => req.user?.id ? `user:${req.user.id}` : getClientIp(req),
-  message: 'Too many invite actions, please try again later',
-});
-
-// Clean up old entries periodically
-const cleanupTimer = setInterval(() => {
-  const now = Date.now();
-  const maxWindow = Math.max(globalWindowMs, authWindowMs, inviteWindowMs);
-
-  for (const store of stores.values()) {
-    for (const [key, record] of store.entries()) {
-      if (now - record.startTime > maxWindow) {
-        store.delete(key);
-      }
-    }
-  }
-}, 60 * 1000);
+const createPolicyLimiter = (name) => createRateLimiter({ name, ...resolvePolicy(name) });
 
-if (typeof cleanupTimer.unref === 'function') {
-  cleanupTimer.unref();
-}
+const rateLimiter = createPolicyLimiter('global');
+const authRateLimiter = createPolicyLimiter('auth');
+const inviteRateLimiter = createPolicyLimiter('invite');
+const uploadRateLimiter = createPolicyLimiter('upload');
+const reportRateLimiter = createPolicyLimiter('report');
 
 module.exports = {
+  RATE_LIMIT_POLICIES,
+  createRateLimiter,
   rateLimiter,
   authRateLimiter,
   inviteRateLimiter,
+  uploadRateLimiter,
+  reportRateLimiter,
 };
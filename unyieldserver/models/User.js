@@ -12,7 +12,7 @@ const REGIONS = [
 
 const GOALS = ['Hypertrophy', 'Leanness', 'Performance'];
 
-const ACCOLADES = ['admin', 'community_support', 'beta', 'staff', 'verified_athlete', 'founding_member', 'challenge_master'];
+const ACCOLADES = ['admin', 'community_support', 'beta', 'staff', 'verified_athlete', 'founding_member', 'challenge_master', 'challenge_admin'];
 
 const userSchema = new mongoose.Schema({
   email: {
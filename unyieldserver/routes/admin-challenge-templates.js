@@ -0,0 +1,155 @@
+const express = require('express');
+const prisma = require('../src/prisma');
+const { authenticate } = require('../middleware/auth');
+const { requireChallengeMaster, logAdminAction } = require('../middleware/admin');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  formatTemplate,
+  createTemplate,
+  updateTemplate,
+  instantiateTemplate,
+} = require('../services/challengeTemplateService');
+
+const router = express.Router();
+
+// GET /api/admin/challenge-templates - Get all challenge templates
+router.get('/',
+  authenticate,
+  requireChallengeMaster,
+  asyncHandler(async (req, res) => {
+    const templates = await prisma.challengeTemplate.findMany({
+      orderBy: [{ isActive: 'desc' }, { createdAt: 'desc' }],
+    });
+
+    res.json({
+      success: true,
+      data: templates.map(formatTemplate),
+    });
+  })
+);
+
+// GET /api/admin/challenge-templates/:id - Get a template
+router.get('/:id',
+  authenticate,
+  requireChallengeMaster,
+  asyncHandler(async (req, res) => {
+    const template = await prisma.challengeTemplate.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!template) {
+      throw new AppError('Template not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: formatTemplate(template),
+    });
+  })
+);
+
+// POST /api/admin/challenge-templates - Create a template, optionally recurring
+router.post('/',
+  authenticate,
+  requireChallengeMaster,
+  logAdminAction('challenge_template_created', 'challenge_template', null, null),
+  asyncHandler(async (req, res) => {
+    const template = await createTemplate(req.body, req.user.id);
+
+    if (req.adminActionData) {
+      req.adminActionData.targetId = template.id;
+      req.adminActionData.details = {
+        title: template.title,
+        rrule: template.rrule || undefined,
+        durationHours: template.durationHours,
+      };
+    }
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  })
+);
+
+// PATCH /api/admin/challenge-templates/:id - Update a template; applies to instances created from now on
+router.patch('/:id',
+  authenticate,
+  requireChallengeMaster,
+  logAdminAction('challenge_template_updated', 'challenge_template', ':id', null),
+  asyncHandler(async (req, res) => {
+    const template = await updateTemplate(req.params.id, req.body);
+
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        updatedFields: Object.keys(req.body),
+      };
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  })
+);
+
+// DELETE /api/admin/challenge-templates/:id - Delete a template; its challenges are kept
+router.delete('/:id',
+  authenticate,
+  requireChallengeMaster,
+  logAdminAction('challenge_template_deleted', 'challenge_template', ':id', null),
+  asyncHandler(async (req, res) => {
+    const template = await prisma.challengeTemplate.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!template) {
+      throw new AppError('Template not found', 404);
+    }
+
+    await prisma.challengeTemplate.delete({
+      where: { id: req.params.id },
+    });
+
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        title: template.title,
+        instanceCount: template.instanceCount,
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+    });
+  })
+);
+
+// POST /api/admin/challenge-templates/:id/instantiate - Create a challenge from a template now
+router.post('/:id/instantiate',
+  authenticate,
+  requireChallengeMaster,
+  logAdminAction('challenge_created', 'challenge', null, null),
+  asyncHandler(async (req, res) => {
+    const challenge = await instantiateTemplate(req.params.id, {
+      startDate: req.body.startDate,
+      createdById: req.user.id,
+    });
+
+    if (req.adminActionData) {
+      req.adminActionData.targetId = challenge.id;
+      req.adminActionData.details = {
+        title: challenge.title,
+        templateId: challenge.templateId,
+        seriesIndex: challenge.seriesIndex,
+      };
+    }
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+    });
+  })
+);
+
+module.exports = router;
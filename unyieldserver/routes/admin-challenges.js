@@ -4,9 +4,15 @@ const { authenticate } = require('../middleware/auth');
 const { requireChallengeMaster, requireChallengeModerator, logAdminAction } = require('../middleware/admin');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { notifyNewChallenge } = require('../services/notificationService');
+const { signVideoUrls } = require('../services/objectStorage');
+const { finalizeChallenge, getChallengeResult } = require('../services/challengeResultService');
+const { WAITLIST_ORDER, promoteWaitlist } = require('../services/challengeWaitlistService');
 
 const router = express.Router();
 
+// What can still be edited once a challenge's results are written
+const FINALIZED_UPDATES = ['title', 'description', 'rules'];
+
 // GET /api/admin/challenges/pending-submissions - Get all pending submissions across all challenges
 router.get('/pending-submissions',
   authenticate,
@@ -47,7 +53,7 @@ router.get('/pending-submissions',
     console.log('[ADMIN CHALLENGE SERVER] Sending response with', submissions.length, 'submissions');
     res.json({
       success: true,
-      data: submissions.map((s) => ({
+      data: (await Promise.all(submissions.map(signVideoUrls))).map((s) => ({
         id: s.id,
         user: {
           id: s.user.id,
@@ -65,6 +71,11 @@ router.get('/pending-submissions',
         duration: s.duration,
         value: s.value,
         videoUrl: s.videoUrl,
+        thumbnailUrl: s.thumbnailUrl,
+        previewUrl: s.previewUrl,
+        originalVideoUrl: s.originalVideoUrl,
+        privacyStatus: s.privacyStatus,
+        privacyError: s.privacyError,
         status: s.status,
         verifiedBy: s.verifiedBy ? { id: s.verifiedBy.id, name: s.verifiedBy.name } : null,
         verifiedAt: s.verifiedAt,
@@ -97,8 +108,8 @@ router.get('/',
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build query
-    const where = {};
+    // Build query. Duels have their own private challenges and aren't managed here.
+    const where = { duel: null };
 
     if (search) {
       where.OR = [
@@ -133,10 +144,13 @@ router.get('/',
     // Get participant counts for each challenge
     const challengesWithCounts = await Promise.all(
       challenges.map(async (challenge) => {
-        const [participantCount, pendingSubmissions] = await Promise.all([
+        const [participantCount, waitlistCount, pendingSubmissions] = await Promise.all([
           prisma.userChallenge.count({
             where: { challengeId: challenge.id },
           }),
+          prisma.challengeWaitlistEntry.count({
+            where: { challengeId: challenge.id },
+          }),
           prisma.challengeSubmission.count({
             where: {
               challengeId: challenge.id,
@@ -164,11 +178,16 @@ router.get('/',
           completionType: challenge.completionType,
           winnerCriteria: challenge.winnerCriteria,
           maxParticipants: challenge.maxParticipants,
+          teamMode: challenge.teamMode,
+          templateId: challenge.templateId,
+          seriesIndex: challenge.seriesIndex,
           createdBy: challenge.createdBy,
           isActive: challenge.isActive,
+          finalizedAt: challenge.finalizedAt,
           createdAt: challenge.createdAt,
           updatedAt: challenge.updatedAt,
           participantCount,
+          waitlistCount,
           pendingSubmissions,
         };
       })
@@ -223,6 +242,8 @@ router.get('/:id',
       statsMap[s.status] = s._count.id;
     });
 
+    const result = challenge.finalizedAt ? await getChallengeResult(challenge.id) : null;
+
     res.json({
       success: true,
       data: {
@@ -236,10 +257,12 @@ router.get('/:id',
           progress: p.progress,
           completed: p.completed,
           completedAt: p.completedAt,
+          teamId: p.teamId,
           joinedAt: p.createdAt,
         })),
         participantCount: participants.length,
         submissionStats: statsMap,
+        result,
       },
     });
   })
@@ -269,6 +292,7 @@ router.post('/',
       completionType = 'cumulative',
       winnerCriteria = 'first_to_complete',
       maxParticipants = 0,
+      teamMode = false,
     } = req.body;
 
     // Validation
@@ -307,6 +331,7 @@ router.post('/',
         completionType,
         winnerCriteria,
         maxParticipants,
+        teamMode: !!teamMode,
         createdById: req.user.id,
         isActive: true,
       },
@@ -320,10 +345,11 @@ router.post('/',
         challengeType: challenge.challengeType,
         target: challenge.target,
         regionScope: challenge.regionScope,
+        teamMode: challenge.teamMode || undefined,
       };
     }
 
-    // Notify opted-in users of new challenge
+    // Queue notifications to opted-in users of the new challenge
     await notifyNewChallenge(challenge);
 
     res.status(201).json({
@@ -364,6 +390,7 @@ router.patch('/:id',
       'completionType',
       'winnerCriteria',
       'maxParticipants',
+      'teamMode',
       'isActive',
     ];
 
@@ -374,20 +401,43 @@ router.patch('/:id',
       }
     });
 
+    if (challenge.finalizedAt && Object.keys(updates).some((key) => !FINALIZED_UPDATES.includes(key))) {
+      throw new AppError('This challenge has been finalised. Only its title, description and rules can be changed.', 409);
+    }
+
     // Validate end date
     if (updates.endDate && new Date(updates.endDate) <= new Date(challenge.startDate)) {
       throw new AppError('End date must be after start date', 400);
     }
 
-    const updatedChallenge = await prisma.challenge.update({
+    // Entries are tied to a team (or not) when they are made
+    if ('teamMode' in updates) {
+      updates.teamMode = !!updates.teamMode;
+      if (updates.teamMode !== challenge.teamMode
+        && await prisma.userChallenge.count({ where: { challengeId: challenge.id } }) > 0) {
+        throw new AppError('Team mode can\'t be changed once people have joined', 409);
+      }
+    }
+
+    let updatedChallenge = await prisma.challenge.update({
       where: { id: req.params.id },
       data: updates,
     });
 
+    // A higher cap lets people in off the waitlist
+    let promoted = [];
+    if ('maxParticipants' in updates) {
+      promoted = await promoteWaitlist(challenge.id);
+      if (promoted.length > 0) {
+        updatedChallenge = await prisma.challenge.findUnique({ where: { id: challenge.id } });
+      }
+    }
+
     // Add details to admin action
     if (req.adminActionData) {
       req.adminActionData.details = {
         updatedFields: Object.keys(updates),
+        promotedFromWaitlist: promoted.length || undefined,
       };
     }
 
@@ -459,6 +509,7 @@ router.get('/:id/participants',
       throw new AppError('Challenge not found', 404);
     }
 
+    const userSelect = { id: true, name: true, username: true, profileImage: true, region: true };
     const where = { challengeId: challenge.id };
     if (status === 'completed') {
       where.completed = true;
@@ -466,34 +517,70 @@ router.get('/:id/participants',
       where.completed = false;
     }
 
-    const [participants, total] = await Promise.all([
-      prisma.userChallenge.findMany({
+    // "all" lists participants first, then the waitlist in queue order
+    const includeParticipants = status !== 'waitlisted';
+    const includeWaitlist = status === 'all' || status === 'waitlisted';
+
+    const [participantTotal, waitlistTotal] = await Promise.all([
+      includeParticipants ? prisma.userChallenge.count({ where }) : 0,
+      includeWaitlist ? prisma.challengeWaitlistEntry.count({ where: { challengeId: challenge.id } }) : 0,
+    ]);
+    const total = participantTotal + waitlistTotal;
+    const take = parseInt(limit);
+
+    const participants = skip < participantTotal
+      ? await prisma.userChallenge.findMany({
         where,
-        include: {
-          user: {
-            select: { id: true, name: true, username: true, profileImage: true, region: true },
-          },
-        },
+        include: { user: { select: userSelect } },
         orderBy: [{ progress: 'desc' }, { createdAt: 'asc' }],
         skip,
-        take: parseInt(limit),
-      }),
-      prisma.userChallenge.count({ where }),
-    ]);
+        take,
+      })
+      : [];
+
+    const waitlistSkip = Math.max(0, skip - participantTotal);
+    const waitlistTake = take - participants.length;
+    const waitlist = includeWaitlist && waitlistTake > 0
+      ? await prisma.challengeWaitlistEntry.findMany({
+        where: { challengeId: challenge.id },
+        include: { user: { select: userSelect } },
+        orderBy: WAITLIST_ORDER,
+        skip: waitlistSkip,
+        take: waitlistTake,
+      })
+      : [];
 
     res.json({
       success: true,
-      data: participants.map((p) => ({
-        userId: p.user.id,
-        name: p.user.name,
-        username: p.user.username,
-        profileImage: p.user.profileImage,
-        region: p.user.region,
-        progress: p.progress,
-        completed: p.completed,
-        completedAt: p.completedAt,
-        joinedAt: p.createdAt,
-      })),
+      data: [
+        ...participants.map((p) => ({
+          userId: p.user.id,
+          name: p.user.name,
+          username: p.user.username,
+          profileImage: p.user.profileImage,
+          region: p.user.region,
+          status: 'joined',
+          progress: p.progress,
+          completed: p.completed,
+          completedAt: p.completedAt,
+          joinedAt: p.createdAt,
+          waitlistPosition: null,
+        })),
+        ...waitlist.map((entry, index) => ({
+          userId: entry.user.id,
+          name: entry.user.name,
+          username: entry.user.username,
+          profileImage: entry.user.profileImage,
+          region: entry.user.region,
+          status: 'waitlisted',
+          progress: 0,
+          completed: false,
+          completedAt: null,
+          joinedAt: entry.createdAt,
+          waitlistPosition: waitlistSkip + index + 1,
+        })),
+      ],
+      waitlistCount: includeWaitlist ? waitlistTotal : undefined,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -545,7 +632,7 @@ router.get('/:id/submissions',
 
     res.json({
       success: true,
-      data: submissions.map((s) => ({
+      data: (await Promise.all(submissions.map(signVideoUrls))).map((s) => ({
         id: s.id,
         user: {
           id: s.user.id,
@@ -559,6 +646,11 @@ router.get('/:id/submissions',
         duration: s.duration,
         value: s.value,
         videoUrl: s.videoUrl,
+        thumbnailUrl: s.thumbnailUrl,
+        previewUrl: s.previewUrl,
+        originalVideoUrl: s.originalVideoUrl,
+        privacyStatus: s.privacyStatus,
+        privacyError: s.privacyError,
         status: s.status,
         verifiedBy: s.verifiedBy ? { id: s.verifiedBy.id, name: s.verifiedBy.name } : null,
         verifiedAt: s.verifiedAt,
@@ -604,6 +696,10 @@ router.post('/submissions/:id/verify',
       throw new AppError('Submission has already been verified', 400);
     }
 
+    if (submission.challenge.finalizedAt) {
+      throw new AppError('This challenge has been finalised and its standings are frozen', 409);
+    }
+
     const updatedSubmission = await prisma.challengeSubmission.update({
       where: { id: req.params.id },
       data: {
@@ -688,6 +784,57 @@ router.post('/submissions/:id/verify',
   })
 );
 
+// POST /api/admin/challenges/:id/finalize - Close a challenge and award its results
+router.post('/:id/finalize',
+  authenticate,
+  requireChallengeMaster,
+  logAdminAction('challenge_finalized', 'challenge', ':id', null),
+  asyncHandler(async (req, res) => {
+    const { force = false } = req.body;
+
+    const challenge = await prisma.challenge.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!challenge) {
+      throw new AppError('Challenge not found', 404);
+    }
+
+    if (!challenge.finalizedAt && !force) {
+      const pendingCount = await prisma.challengeSubmission.count({
+        where: { challengeId: challenge.id, status: 'pending' },
+      });
+      if (pendingCount > 0) {
+        throw new AppError(
+          `${pendingCount} submission(s) are still pending review. Review them first, or finalise with force to leave them out.`,
+          409
+        );
+      }
+    }
+
+    const alreadyFinalized = !!challenge.finalizedAt;
+    await finalizeChallenge(challenge.id, { finalizedById: req.user.id });
+    const result = await getChallengeResult(challenge.id);
+
+    // Add details to admin action
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        title: challenge.title,
+        alreadyFinalized,
+        winnerId: result.winnerId,
+        participantCount: result.participantCount,
+        force: !!force,
+      };
+    }
+
+    res.json({
+      success: true,
+      message: alreadyFinalized ? 'Challenge was already finalised' : 'Challenge finalised',
+      data: result,
+    });
+  })
+);
+
 // GET /api/admin/challenges/:id/leaderboard - View challenge leaderboard
 router.get('/:id/leaderboard',
   authenticate,
@@ -0,0 +1,184 @@
+const express = require('express');
+const prisma = require('../src/prisma');
+const { authenticate } = require('../middleware/auth');
+const { requireAdmin, logAdminAction } = require('../middleware/admin');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  EXERCISE_CATEGORIES,
+  EQUIPMENT,
+  MUSCLE_GROUPS,
+  getExerciseCatalog,
+  invalidateExerciseCatalog,
+  normalizeExerciseInput,
+  formatExerciseResponse,
+} = require('../services/exerciseService');
+const { TRACKING_TYPES } = require('../services/workoutBuilderService');
+
+const router = express.Router();
+
+// GET /api/admin/exercises - Get the full catalog, including retired exercises
+router.get('/',
+  authenticate,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { category, search } = req.query;
+    let exercises = await getExerciseCatalog({ fresh: true });
+
+    if (category) {
+      exercises = exercises.filter((e) => e.category === category);
+    }
+
+    if (search) {
+      const term = String(search).toLowerCase();
+      exercises = exercises.filter((e) => e.name.toLowerCase().includes(term) || e.id.includes(term));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        exercises: exercises.map(formatExerciseResponse),
+        options: {
+          categories: EXERCISE_CATEGORIES,
+          equipment: EQUIPMENT,
+          muscleGroups: MUSCLE_GROUPS,
+          trackingTypes: TRACKING_TYPES,
+        },
+      },
+    });
+  })
+);
+
+// POST /api/admin/exercises - Add an exercise
+router.post('/',
+  authenticate,
+  requireAdmin,
+  logAdminAction('exercise_created', 'exercise', null, null),
+  asyncHandler(async (req, res) => {
+    const data = normalizeExerciseInput(req.body);
+
+    const existing = await prisma.exercise.findFirst({
+      where: { OR: [{ id: data.id }, { name: data.name }] },
+    });
+
+    if (existing) {
+      throw new AppError('An exercise with this id or name already exists', 409);
+    }
+
+    // New exercises go to the end of the list unless placed explicitly
+    if (data.sortOrder === undefined) {
+      const last = await prisma.exercise.aggregate({ _max: { sortOrder: true } });
+      data.sortOrder = (last._max.sortOrder ?? -1) + 1;
+    }
+
+    const exercise = await prisma.exercise.create({ data });
+    invalidateExerciseCatalog();
+
+    if (req.adminActionData) {
+      req.adminActionData.targetId = exercise.id;
+      req.adminActionData.details = {
+        name: exercise.name,
+        category: exercise.category,
+      };
+    }
+
+    res.status(201).json({
+      success: true,
+      data: formatExerciseResponse(exercise),
+    });
+  })
+);
+
+// PATCH /api/admin/exercises/:id - Update an exercise
+// The id is permanent since workouts, templates and challenges store it
+router.patch('/:id',
+  authenticate,
+  requireAdmin,
+  logAdminAction('exercise_updated', 'exercise', ':id', null),
+  asyncHandler(async (req, res) => {
+    const exercise = await prisma.exercise.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!exercise) {
+      throw new AppError('Exercise not found', 404);
+    }
+
+    const { id, ...body } = req.body;
+    const updates = normalizeExerciseInput(body, { partial: true });
+
+    if (updates.name && updates.name !== exercise.name) {
+      const nameTaken = await prisma.exercise.findUnique({ where: { name: updates.name } });
+      if (nameTaken) {
+        throw new AppError('An exercise with this name already exists', 409);
+      }
+    }
+
+    const updatedExercise = await prisma.exercise.update({
+      where: { id: exercise.id },
+      data: updates,
+    });
+    invalidateExerciseCatalog();
+
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        updatedFields: Object.keys(updates),
+      };
+    }
+
+    res.json({
+      success: true,
+      data: formatExerciseResponse(updatedExercise),
+    });
+  })
+);
+
+// DELETE /api/admin/exercises/:id - Delete an exercise
+// Exercises already used by workouts or challenges can only be retired
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  logAdminAction('exercise_deleted', 'exercise', ':id', null),
+  asyncHandler(async (req, res) => {
+    const exercise = await prisma.exercise.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!exercise) {
+      throw new AppError('Exercise not found', 404);
+    }
+
+    const [workoutCount, challengeCount] = await Promise.all([
+      prisma.workout.count({
+        where: { exercise: { in: [exercise.id, exercise.name] } },
+      }),
+      prisma.challenge.count({
+        where: { exercises: { has: exercise.id } },
+      }),
+    ]);
+
+    if (workoutCount > 0 || challengeCount > 0) {
+      throw new AppError(
+        `Cannot delete an exercise used by ${workoutCount} workouts and ${challengeCount} challenges. Set isActive to false to retire it instead.`,
+        400
+      );
+    }
+
+    await prisma.exercise.delete({
+      where: { id: exercise.id }
+    });
+    invalidateExerciseCatalog();
+
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        name: exercise.name,
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Exercise deleted successfully',
+    });
+  })
+);
+
+module.exports = router;
@@ -3,9 +3,12 @@ const prisma = require('../src/prisma');
 const { authenticate } = require('../middleware/auth');
 const { requireAdmin, requireSuperAdmin, logAdminAction, isSuperAdmin } = require('../middleware/admin');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { REGIONS, GOALS, ACCOLADES } = require('../services/userService');
-const { sendPushNotification } = require('../services/notificationService');
+const { REGIONS, GOALS, ACCOLADES, getActiveBan } = require('../services/userService');
+const { deliverNotification, queueNotificationFanout } = require('../services/notificationService');
+const { JOB_STATUSES, listJobs, getJobCounts, getJob, retryJob } = require('../services/jobQueue');
 const { getWeightClass } = require('../src/utils/strengthRatio');
+const { revokeUserSessions } = require('../services/sessionService');
+const { signVideoUrls } = require('../services/objectStorage');
 
 const router = express.Router();
 
@@ -20,6 +23,14 @@ const VALID_NOTIFICATION_TYPES = new Set([
 ]);
 const DEFAULT_NOTIFICATION_TYPE = 'welcome';
 const NOTIFICATION_CHUNK_SIZE = 50;
+const BAN_REASON_MAX_LENGTH = 500;
+const MAX_BAN_DAYS = 3650;
+
+// Give an appeal or report a playable URL for its video
+const withSignedVideo = async (item) => ({
+  ...item,
+  videoSubmission: await signVideoUrls(item.videoSubmission),
+});
 
 const normalizeNotificationType = (type) => {
   const normalized = String(type || '').trim().toLowerCase();
@@ -32,6 +43,16 @@ const sanitizeNotificationData = (data) => {
   return data;
 };
 
+const buildAdminNotificationData = ({ extraData = {}, recipientMode, requestedType, adminUser }) => ({
+  ...extraData,
+  source: 'admin_panel',
+  recipientMode,
+  screen: 'Notifications',
+  requestedType: requestedType || DEFAULT_NOTIFICATION_TYPE,
+  sentByAdminId: adminUser?.id || null,
+  sentByAdminName: adminUser?.name || null,
+});
+
 const sendAdminNotifications = async ({
   users,
   requestedType,
@@ -45,49 +66,20 @@ const sendAdminNotifications = async ({
   let createdCount = 0;
   let pushAttempted = 0;
   let pushSent = 0;
+  const data = buildAdminNotificationData({ extraData, recipientMode, requestedType, adminUser });
 
   for (let i = 0; i < users.length; i += NOTIFICATION_CHUNK_SIZE) {
     const chunk = users.slice(i, i + NOTIFICATION_CHUNK_SIZE);
     // Process a bounded batch in parallel to avoid overwhelming Expo or DB connections.
-    const chunkResults = await Promise.all(chunk.map(async (user) => {
-      const data = {
-        ...extraData,
-        source: 'admin_panel',
-        recipientMode,
-        screen: 'Notifications',
-        requestedType: requestedType || DEFAULT_NOTIFICATION_TYPE,
-        sentByAdminId: adminUser?.id || null,
-        sentByAdminName: adminUser?.name || null,
-      };
-
-      const notification = await prisma.notification.create({
-        data: {
-          userId: user.id,
-          type: normalizedType,
-          title,
-          message,
-          read: false,
-          data,
-        },
-      });
-
-      if (!user.pushToken) {
-        return { created: true, pushAttempted: false, pushSent: false };
-      }
-
-      const sent = await sendPushNotification(
-        user.pushToken,
-        title,
-        message,
-        data,
-        notification.id
-      );
-
-      return { created: true, pushAttempted: true, pushSent: sent };
-    }));
+    const chunkResults = await Promise.all(chunk.map((user) => deliverNotification(user, {
+      type: normalizedType,
+      title,
+      message,
+      data,
+    })));
 
     for (const result of chunkResults) {
-      if (result.created) createdCount++;
+      createdCount++;
       if (result.pushAttempted) pushAttempted++;
       if (result.pushSent) pushSent++;
     }
@@ -322,6 +314,7 @@ const formatUserDetailResponse = async (user) => {
       total: totalVideos,
       ...videoStats,
     },
+    ban: getActiveBan(user),
   };
 };
 
@@ -439,6 +432,9 @@ router.get('/users/:id', authenticate, requireAdmin, asyncHandler(async (req, re
       streak: true,
       streakBest: true,
       lastWorkoutDate: true,
+      bannedAt: true,
+      bannedUntil: true,
+      banReason: true,
       createdAt: true,
       updatedAt: true,
     },
@@ -563,6 +559,15 @@ router.patch('/users/:id',
       updateData.weightClass = weightKg && weightKg > 0 ? getWeightClass(weightKg) : 'UNCLASSIFIED';
     }
 
+    // A new address has to be verified again; links sent to the old one stop working
+    if (changes.email) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+      await prisma.authToken.deleteMany({
+        where: { userId: user.id, type: 'email_verification' },
+      });
+    }
+
     // Update the request's admin action data with changes
     if (req.adminActionData) {
       req.adminActionData.details = changes;
@@ -708,6 +713,131 @@ router.delete('/users/:id/accolades/:accolade',
     });
 }));
 
+// POST /api/admin/users/:id/ban - Suspend a user for a period, or permanently
+router.post('/users/:id/ban',
+  authenticate,
+  requireAdmin,
+  logAdminAction('user_banned', 'user', ':id', null),
+  asyncHandler(async (req, res) => {
+    const { durationDays, until } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      throw new AppError('A reason is required', 400);
+    }
+    if (reason.length > BAN_REASON_MAX_LENGTH) {
+      throw new AppError(`Reason must be ${BAN_REASON_MAX_LENGTH} characters or fewer`, 400);
+    }
+    if (durationDays !== undefined && durationDays !== null && until !== undefined && until !== null) {
+      throw new AppError('Provide either durationDays or until, not both', 400);
+    }
+
+    // No end date means a permanent ban
+    const now = new Date();
+    let bannedUntil = null;
+    if (durationDays !== undefined && durationDays !== null) {
+      const days = Number(durationDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_BAN_DAYS) {
+        throw new AppError(`durationDays must be between 1 and ${MAX_BAN_DAYS}`, 400);
+      }
+      bannedUntil = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    } else if (until !== undefined && until !== null) {
+      bannedUntil = new Date(until);
+      if (Number.isNaN(bannedUntil.getTime()) || bannedUntil <= now) {
+        throw new AppError('until must be a date in the future', 400);
+      }
+    }
+
+    if (req.params.id === req.user.id) {
+      throw new AppError('Cannot ban your own account', 400);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Only super admins can ban other staff
+    const isStaff = (user.accolades || []).some((a) => a === 'admin' || a === 'community_support');
+    if (isStaff && !isSuperAdmin(req.adminUser)) {
+      throw new AppError('Super admin privileges required to ban staff', 403);
+    }
+
+    // Existing sessions end now; the user can't sign in again until the ban is lifted
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      await revokeUserSessions(tx, user.id, 'banned');
+      return tx.user.update({
+        where: { id: user.id },
+        data: {
+          bannedAt: now,
+          bannedUntil,
+          banReason: reason,
+          sessionsRevokedAt: now,
+        },
+      });
+    });
+
+    const ban = getActiveBan(updatedUser, now);
+
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        reason,
+        permanent: ban.permanent,
+        bannedUntil,
+        previousBan: getActiveBan(user, now),
+      };
+    }
+
+    res.json({
+      success: true,
+      data: { ban },
+    });
+  }));
+
+// POST /api/admin/users/:id/unban - Lift a user's ban
+router.post('/users/:id/unban',
+  authenticate,
+  requireAdmin,
+  logAdminAction('user_unbanned', 'user', ':id', null),
+  asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const ban = getActiveBan(user);
+    if (!ban) {
+      throw new AppError('User is not banned', 400);
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        bannedAt: null,
+        bannedUntil: null,
+        banReason: null,
+      },
+    });
+
+    if (req.adminActionData) {
+      req.adminActionData.details = {
+        reason: typeof req.body.reason === 'string' ? req.body.reason.trim() || null : null,
+        liftedBan: ban,
+      };
+    }
+
+    res.json({
+      success: true,
+      data: { ban: null },
+    });
+  }));
+
 // ============================================================================
 // VIDEO MODERATION (ENHANCED)
 // ============================================================================
@@ -765,7 +895,7 @@ router.get('/videos/pending', authenticate, requireAdmin, asyncHandler(async (re
   res.json({
     success: true,
     data: {
-      videos: videos.map(v => ({
+      videos: (await Promise.all(videos.map(signVideoUrls))).map(v => ({
         id: v.id,
         user: v.user,
         workout: v.workout,
@@ -777,6 +907,10 @@ router.get('/videos/pending', authenticate, requireAdmin, asyncHandler(async (re
         pointsAwarded: v.pointsAwarded,
         videoUrl: v.videoUrl,
         thumbnailUrl: v.thumbnailUrl,
+        previewUrl: v.previewUrl,
+        originalVideoUrl: v.originalVideoUrl,
+        privacyStatus: v.privacyStatus,
+        privacyError: v.privacyError,
         status: v.status,
         verifiedByName: v.verifiedByName,
         verifiedById: v.verifiedById,
@@ -988,7 +1122,7 @@ router.get('/appeals', authenticate, requireAdmin, asyncHandler(async (req, res)
   res.json({
     success: true,
     data: {
-      appeals,
+      appeals: await Promise.all(appeals.map(withSignedVideo)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1033,8 +1167,8 @@ router.get('/appeals/:id', authenticate, requireAdmin, asyncHandler(async (req,
   res.json({
     success: true,
     data: {
-      appeal,
-      userVideoHistory,
+      appeal: await withSignedVideo(appeal),
+      userVideoHistory: await Promise.all(userVideoHistory.map(signVideoUrls)),
     },
   });
 }));
@@ -1151,7 +1285,7 @@ router.get('/reports', authenticate, requireAdmin, asyncHandler(async (req, res)
   res.json({
     success: true,
     data: {
-      reports,
+      reports: await Promise.all(reports.map(withSignedVideo)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1338,47 +1472,105 @@ router.post('/notifications/broadcast',
     const requestedType = String(type || '').trim().toLowerCase();
     const normalizedType = normalizeNotificationType(requestedType);
 
-    // Get all users and send push notifications when tokens exist.
-    const users = await prisma.user.findMany({
-      select: {
-        id: true,
-        pushToken: true,
-      },
-    });
-
-    const result = await sendAdminNotifications({
-      users,
-      requestedType,
-      normalizedType,
+    // Recipients are looked up and notified by a background job
+    const recipientCount = await prisma.user.count();
+    const job = await queueNotificationFanout('all', {
+      type: normalizedType,
       title: titleValue,
       message: messageValue,
-      adminUser: req.adminUser,
-      extraData: sanitizeNotificationData(data),
-      recipientMode: 'broadcast',
+      data: buildAdminNotificationData({
+        extraData: sanitizeNotificationData(data),
+        recipientMode: 'broadcast',
+        requestedType,
+        adminUser: req.adminUser,
+      }),
+      ignorePreferences: true,
     });
 
     if (req.adminActionData) {
       req.adminActionData.details = {
-        recipientCount: users.length,
+        recipientCount,
         requestedType: requestedType || DEFAULT_NOTIFICATION_TYPE,
         storedType: normalizedType,
         title: titleValue,
-        pushAttempted: result.pushAttempted,
-        pushSent: result.pushSent,
+        jobId: job.id,
         broadcast: true,
       };
     }
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Broadcast sent to ${users.length} user(s)`,
+      message: `Broadcast queued for ${recipientCount} user(s)`,
       data: {
-        recipientCount: users.length,
+        recipientCount,
         requestedType: requestedType || DEFAULT_NOTIFICATION_TYPE,
         storedType: normalizedType,
-        pushAttempted: result.pushAttempted,
-        pushSent: result.pushSent,
+        jobId: job.id,
+      },
+    });
+  }));
+
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+// GET /api/admin/jobs - Queued jobs with counts per status and type
+router.get('/jobs', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const { status = '', type = '', page = 1, limit = 50 } = req.query;
+  const take = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const [{ jobs, total }, counts] = await Promise.all([
+    listJobs({ status, type, limit: take, offset: (currentPage - 1) * take }),
+    getJobCounts(),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      counts,
+      statuses: JOB_STATUSES,
+      pagination: {
+        page: currentPage,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take),
       },
+    },
+  });
+}));
+
+// GET /api/admin/jobs/:id - Get a job with its payload, result and last error
+router.get('/jobs/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+  const job = await getJob(req.params.id);
+
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: job,
+  });
+}));
+
+// POST /api/admin/jobs/:id/retry - Requeue a dead job
+router.post('/jobs/:id/retry',
+  authenticate,
+  requireAdmin,
+  logAdminAction('job_retried', 'job', ':id', null),
+  asyncHandler(async (req, res) => {
+    const job = await retryJob(req.params.id);
+
+    if (req.adminActionData) {
+      req.adminActionData.details = { type: job.type, lastError: job.lastError };
+    }
+
+    res.json({
+      success: true,
+      message: 'Job requeued',
+      data: job,
     });
   }));
 
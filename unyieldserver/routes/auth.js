@@ -1,9 +1,30 @@
+const crypto = require('crypto');
 const express = require('express');
 const prisma = require('../src/prisma');
-const { hashPassword, comparePassword, validatePasswordStrength } = require('../services/userService');
-const { generateToken, authenticate } = require('../middleware/auth');
+const {
+  hashPassword,
+  comparePassword,
+  validatePasswordStrength,
+  getActiveBan,
+  formatBanMessage,
+} = require('../services/userService');
+const { authenticate, generateToken } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authRateLimiter, inviteRateLimiter } = require('../middleware/rateLimiter');
+const {
+  consumeAuthToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require('../services/authTokenService');
+const { verifyIdToken } = require('../services/oauthService');
+const { formatDuelRecord } = require('../services/duelService');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+} = require('../services/sessionService');
 
 const router = express.Router();
 const MAX_INVITE_CODES_PER_USER = 3;
@@ -21,6 +42,114 @@ const generateInviteCodeValue = () => {
   return code;
 };
 
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+const validateUsername = (username) => {
+  if (username.length < 3 || username.length > 20) {
+    throw new AppError('Username must be 3-20 characters', 400);
+  }
+
+  // Check if username is valid (alphanumeric and underscores only)
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new AppError('Username can only contain letters, numbers, and underscores', 400);
+  }
+};
+
+// Pick a free username from an email or display name for social sign-ups
+const generateUsername = async (base) => {
+  const stem = String(base || '').toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 15);
+  const candidate = stem.length >= 3 ? stem : 'grinder';
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = attempt === 0 ? candidate : `${candidate}${Math.floor(1000 + Math.random() * 9000)}`;
+    const existing = await prisma.user.findUnique({ where: { username } });
+    if (!existing) return username;
+  }
+  throw new AppError('Could not pick a username. Please choose one.', 409);
+};
+
+// Find an invite code that can still be spent
+const findUnusedInvite = async (tx, normalizedInviteCode) => {
+  const invite = await tx.inviteCode.findUnique({
+    where: { code: normalizedInviteCode }
+  });
+
+  if (!invite) {
+    throw new AppError('Invalid invite code', 400);
+  }
+
+  if (invite.isUsed || invite.usedById) {
+    throw new AppError('Invite code has already been used', 409);
+  }
+
+  return invite;
+};
+
+// Mark an invite code as spent, failing if another sign-up got there first
+const markInviteUsed = async (tx, invite, userId) => {
+  const consumeInviteResult = await tx.inviteCode.updateMany({
+    where: {
+      id: invite.id,
+      isUsed: false,
+      usedById: null,
+    },
+    data: {
+      isUsed: true,
+      usedById: userId,
+      usedAt: new Date(),
+    },
+  });
+
+  if (consumeInviteResult.count !== 1) {
+    throw new AppError('Invite code has already been used', 409);
+  }
+};
+
+// Create a user and spend the invite code in one transaction
+const createUserWithInvite = (normalizedInviteCode, data) => prisma.$transaction(async (tx) => {
+  const invite = await findUnusedInvite(tx, normalizedInviteCode);
+
+  const createdUser = await tx.user.create({
+    data: {
+      ...data,
+      invitedById: invite.createdById,
+    },
+  });
+
+  await markInviteUsed(tx, invite, createdUser.id);
+
+  return createdUser;
+});
+
+// Turn a guest into a full account in place, so its workouts and sessions
+// carry over, and spend the invite code in the same transaction
+const upgradeGuestWithInvite = (normalizedInviteCode, guestId, data, oauthAccount = null) => prisma.$transaction(async (tx) => {
+  const invite = await findUnusedInvite(tx, normalizedInviteCode);
+
+  // Only succeeds once, even if two upgrades race
+  const { count } = await tx.user.updateMany({
+    where: { id: guestId, provider: 'anonymous' },
+    data: {
+      ...data,
+      invitedById: invite.createdById,
+    },
+  });
+
+  if (count !== 1) {
+    throw new AppError('This account has already been upgraded', 409);
+  }
+
+  if (oauthAccount) {
+    await tx.oAuthAccount.create({
+      data: { ...oauthAccount, userId: guestId },
+    });
+  }
+
+  await markInviteUsed(tx, invite, guestId);
+
+  return tx.user.findUnique({ where: { id: guestId } });
+});
+
 const isUserAdmin = (user) => Array.isArray(user?.accolades) && user.accolades.includes('admin');
 
 const getInvitePolicy = (isUnlimitedInvites, totalCodes) => ({
@@ -66,7 +195,9 @@ const formatUserResponse = (user) => ({
   rank: user.rank,
   streak: user.streak,
   streakBest: user.streakBest,
+  duelRecord: formatDuelRecord(user),
   provider: user.provider,
+  emailVerified: user.emailVerified,
 });
 
 // POST /api/auth/register - Register new user
@@ -82,14 +213,7 @@ router.post('/register', authRateLimiter, asyncHandler(async (req, res) => {
     throw new AppError(passwordValidation.message, 400);
   }
 
-  if (username.length < 3 || username.length > 20) {
-    throw new AppError('Username must be 3-20 characters', 400);
-  }
-
-  // Check if username is valid (alphanumeric and underscores only)
-  if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-    throw new AppError('Username can only contain letters, numbers, and underscores', 400);
-  }
+  validateUsername(username);
 
   const normalizedInviteCode = normalizeInviteCode(inviteCode);
   if (normalizedInviteCode.length < INVITE_CODE_LENGTH) {
@@ -115,59 +239,31 @@ router.post('/register', authRateLimiter, asyncHandler(async (req, res) => {
   // Hash password manually (replaces Mongoose pre-save hook)
   const hashedPassword = await hashPassword(password);
 
-  const user = await prisma.$transaction(async (tx) => {
-    const invite = await tx.inviteCode.findUnique({
-      where: { code: normalizedInviteCode }
-    });
-
-    if (!invite) {
-      throw new AppError('Invalid invite code', 400);
-    }
-
-    if (invite.isUsed || invite.usedById) {
-      throw new AppError('Invite code has already been used', 409);
-    }
-
-    const createdUser = await tx.user.create({
-      data: {
-        email: email.toLowerCase(),
-        password: hashedPassword,
-        username: username.toLowerCase(),
-        name: username, // Default name to username, can be changed in onboarding
-        provider: 'email',
-        invitedById: invite.createdById,
-      },
-    });
-
-    const consumeInviteResult = await tx.inviteCode.updateMany({
-      where: {
-        id: invite.id,
-        isUsed: false,
-        usedById: null,
-      },
-      data: {
-        isUsed: true,
-        usedById: createdUser.id,
-        usedAt: new Date(),
-      },
-    });
-
-    if (consumeInviteResult.count !== 1) {
-      throw new AppError('Invite code has already been used', 409);
-    }
-
-    return createdUser;
+  const user = await createUserWithInvite(normalizedInviteCode, {
+    email: email.toLowerCase(),
+    password: hashedPassword,
+    username: username.toLowerCase(),
+    name: username, // Default name to username, can be changed in onboarding
+    provider: 'email',
   });
 
   console.log(`New user registered: ${user.username} (${user.email})`);
 
-  const token = generateToken(user);
+  // A mail outage shouldn't block sign-up; the app can resend later
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`Failed to send verification email to ${user.email}:`, error.message);
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
 
   res.status(201).json({
     success: true,
     data: {
       user: formatUserResponse(user),
       token,
+      refreshToken,
     },
   });
 }));
@@ -212,13 +308,17 @@ router.get('/invites', authenticate, asyncHandler(async (req, res) => {
 router.post('/invites', authenticate, inviteRateLimiter, asyncHandler(async (req, res) => {
   const requester = await prisma.user.findUnique({
     where: { id: req.user.id },
-    select: { accolades: true },
+    select: { accolades: true, provider: true },
   });
 
   if (!requester) {
     throw new AppError('User not found', 404);
   }
 
+  if (requester.provider === 'anonymous') {
+    throw new AppError('Create an account to invite friends', 403);
+  }
+
   const isUnlimitedInvites = isUserAdmin(requester);
 
   const generatedInviteCode = await prisma.$transaction(async (tx) => {
@@ -297,37 +397,296 @@ router.post('/login', authRateLimiter, asyncHandler(async (req, res) => {
     throw new AppError('Invalid email or password', 401);
   }
 
+  const ban = getActiveBan(user);
+  if (ban) {
+    throw new AppError(formatBanMessage(ban), 403);
+  }
+
   console.log(`User logged in: ${user.username} (${user.email})`);
 
-  const token = generateToken(user);
+  const { token, refreshToken } = await createSession(user, req);
 
   res.json({
     success: true,
     data: {
       user: formatUserResponse(user),
       token,
+      refreshToken,
     },
   });
 }));
 
-// GET /api/auth/me - Get current user
-router.get('/me', authenticate, asyncHandler(async (req, res) => {
-  const user = await prisma.user.findUnique({
+// POST /api/auth/oauth/:provider - Sign in with a Google or Apple ID token
+// Matches the linked identity first, then an account with the same verified
+// email. New accounts need an invite code, the same as email sign-up.
+router.post('/oauth/:provider', authRateLimiter, asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const { idToken, nonce, inviteCode, username, name } = req.body;
+
+  const identity = await verifyIdToken(provider, idToken, { nonce });
+  const identityKey = { provider, providerUserId: identity.subject };
+
+  let user;
+  let isNewUser = false;
+
+  const linked = await prisma.oAuthAccount.findUnique({
+    where: { provider_providerUserId: identityKey },
+    include: { user: true },
+  });
+
+  const existing = !linked && identity.email
+    ? await prisma.user.findUnique({ where: { email: identity.email } })
+    : null;
+
+  if (linked) {
+    user = linked.user;
+    await prisma.oAuthAccount.update({
+      where: { id: linked.id },
+      data: { email: identity.email, lastUsedAt: new Date() },
+    });
+  } else if (existing) {
+    if (!identity.emailVerified) {
+      throw new AppError('An account with this email already exists. Sign in with your password first.', 409);
+    }
+
+    // The provider has proven the address. A password on an account that never
+    // verified it may have been set by someone else, so it is dropped.
+    const claimsUnverifiedAccount = !existing.emailVerified;
+
+    user = await prisma.$transaction(async (tx) => {
+      await tx.oAuthAccount.create({
+        data: { ...identityKey, userId: existing.id, email: identity.email },
+      });
+
+      if (!claimsUnverifiedAccount) {
+        return existing;
+      }
+
+      await revokeUserSessions(tx, existing.id, 'email_claimed');
+      return tx.user.update({
+        where: { id: existing.id },
+        data: {
+          password: null,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+        },
+      });
+    });
+
+    console.log(`Linked ${provider} sign-in to user: ${user.username}`);
+  } else {
+    if (!inviteCode) {
+      throw new AppError('An invite code is required to create an account', 403);
+    }
+
+    const normalizedInviteCode = normalizeInviteCode(inviteCode);
+    if (normalizedInviteCode.length < INVITE_CODE_LENGTH) {
+      throw new AppError('Invalid invite code format', 400);
+    }
+
+    let chosenUsername;
+    if (username) {
+      validateUsername(username);
+      const existingUsername = await prisma.user.findUnique({
+        where: { username: username.toLowerCase() }
+      });
+      if (existingUsername) {
+        throw new AppError('Username already taken', 409);
+      }
+      chosenUsername = username.toLowerCase();
+    } else {
+      chosenUsername = await generateUsername(identity.email ? identity.email.split('@')[0] : identity.name);
+    }
+
+    const displayName = String(name || identity.name || chosenUsername).trim().slice(0, 50);
+
+    user = await createUserWithInvite(normalizedInviteCode, {
+      // An unverified address can't be trusted to identify anyone
+      email: identity.emailVerified ? identity.email : null,
+      username: chosenUsername,
+      name: displayName || chosenUsername,
+      provider,
+      emailVerified: identity.emailVerified,
+      emailVerifiedAt: identity.emailVerified ? new Date() : null,
+      oauthAccounts: {
+        create: { ...identityKey, email: identity.email },
+      },
+    });
+    isNewUser = true;
+
+    console.log(`New user registered with ${provider}: ${user.username}`);
+  }
+
+  const ban = getActiveBan(user);
+  if (ban) {
+    throw new AppError(formatBanMessage(ban), 403);
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    data: {
+      user: formatUserResponse(user),
+      token,
+      refreshToken,
+      isNewUser,
+    },
+  });
+}));
+
+// POST /api/auth/anonymous - Start a guest account on this device
+// Guests can train straight away but stay off the leaderboards until they sign up
+router.post('/anonymous', authRateLimiter, asyncHandler(async (req, res) => {
+  const username = await generateUsername(`guest_${crypto.randomBytes(4).toString('hex')}`);
+
+  const user = await prisma.user.create({
+    data: {
+      username,
+      name: 'Guest',
+      provider: 'anonymous',
+    },
+  });
+
+  console.log(`New guest account: ${user.username}`);
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: formatUserResponse(user),
+      token,
+      refreshToken,
+    },
+  });
+}));
+
+// POST /api/auth/anonymous/upgrade - Turn a guest account into a full account
+// Send { email, password } or { provider: 'google' | 'apple', idToken, nonce },
+// plus an invite code. The account keeps its id, so workouts and signed-in
+// devices carry over; the response carries an access token for the new provider.
+router.post('/anonymous/upgrade', authenticate, authRateLimiter, asyncHandler(async (req, res) => {
+  const { provider = 'email', email, password, idToken, nonce, inviteCode, username, name } = req.body;
+
+  const guest = await prisma.user.findUnique({
     where: { id: req.user.id }
   });
 
-  if (!user) {
+  if (!guest) {
     throw new AppError('User not found', 404);
   }
 
+  if (guest.provider !== 'anonymous') {
+    throw new AppError('Only guest accounts can be upgraded', 400);
+  }
+
+  if (!inviteCode) {
+    throw new AppError('An invite code is required to create an account', 403);
+  }
+
+  const normalizedInviteCode = normalizeInviteCode(inviteCode);
+  if (normalizedInviteCode.length < INVITE_CODE_LENGTH) {
+    throw new AppError('Invalid invite code format', 400);
+  }
+
+  const data = {};
+
+  if (username && username.toLowerCase() !== guest.username) {
+    validateUsername(username);
+    const existingUsername = await prisma.user.findUnique({
+      where: { username: username.toLowerCase() }
+    });
+    if (existingUsername) {
+      throw new AppError('Username already taken', 409);
+    }
+    data.username = username.toLowerCase();
+  }
+
+  let oauthAccount = null;
+
+  if (provider === 'email') {
+    if (!email || !password) {
+      throw new AppError('Email and password are required', 400);
+    }
+
+    const passwordValidation = validatePasswordStrength(password);
+    if (!passwordValidation.valid) {
+      throw new AppError(passwordValidation.message, 400);
+    }
+
+    const existingEmail = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+    if (existingEmail) {
+      throw new AppError('Email already in use', 409);
+    }
+
+    Object.assign(data, {
+      email: email.toLowerCase(),
+      password: await hashPassword(password),
+      provider: 'email',
+      emailVerified: false,
+    });
+  } else {
+    const identity = await verifyIdToken(provider, idToken, { nonce });
+    const identityKey = { provider, providerUserId: identity.subject };
+
+    const linked = await prisma.oAuthAccount.findUnique({
+      where: { provider_providerUserId: identityKey },
+    });
+    if (linked) {
+      throw new AppError('This account is already registered. Sign in with it instead.', 409);
+    }
+
+    const existingEmail = identity.email
+      ? await prisma.user.findUnique({ where: { email: identity.email } })
+      : null;
+    if (existingEmail) {
+      throw new AppError('An account with this email already exists. Sign in with it instead.', 409);
+    }
+
+    Object.assign(data, {
+      // An unverified address can't be trusted to identify anyone
+      email: identity.emailVerified ? identity.email : null,
+      provider,
+      emailVerified: identity.emailVerified,
+      emailVerifiedAt: identity.emailVerified ? new Date() : null,
+    });
+    oauthAccount = { ...identityKey, email: identity.email };
+
+    if (!name && identity.name) {
+      data.name = String(identity.name).trim().slice(0, 50) || guest.name;
+    }
+  }
+
+  if (name) {
+    data.name = String(name).trim().slice(0, 50) || guest.name;
+  }
+
+  const user = await upgradeGuestWithInvite(normalizedInviteCode, guest.id, data, oauthAccount);
+
+  console.log(`Guest ${guest.username} upgraded to a ${user.provider} account: ${user.username}`);
+
+  if (user.provider === 'email') {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(`Failed to send verification email to ${user.email}:`, error.message);
+    }
+  }
+
   res.json({
     success: true,
-    data: formatUserResponse(user),
+    data: {
+      user: formatUserResponse(user),
+      token: generateToken(user, req.user.sid || null),
+    },
   });
 }));
 
-// POST /api/auth/refresh - Refresh token
-router.post('/refresh', authenticate, asyncHandler(async (req, res) => {
+// GET /api/auth/me - Get current user
+router.get('/me', authenticate, asyncHandler(async (req, res) => {
   const user = await prisma.user.findUnique({
     where: { id: req.user.id }
   });
@@ -336,22 +695,174 @@ router.post('/refresh', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
-  const token = generateToken(user);
+  res.json({
+    success: true,
+    data: formatUserResponse(user),
+  });
+}));
+
+// POST /api/auth/refresh - Swap a refresh token for a new access token
+// The refresh token is single use; the response carries its replacement
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
 
   res.json({
     success: true,
-    data: { token },
+    data: { token, refreshToken },
   });
 }));
 
-// POST /api/auth/logout - Logout
+// POST /api/auth/logout - Sign out this device
 router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+  if (req.user.sid) {
+    await revokeSession(req.user.sid, 'logout');
+  }
+
   res.json({
     success: true,
     message: 'Logged out successfully',
   });
 }));
 
+// GET /api/auth/sessions - List signed-in devices
+router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id, req.user.sid || null);
+
+  res.json({
+    success: true,
+    data: sessions,
+  });
+}));
+
+// DELETE /api/auth/sessions/:id - Sign out a device
+router.delete('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = await prisma.authSession.findFirst({
+    where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+  });
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await revokeSession(session.id, session.id === req.user.sid ? 'logout' : 'signed_out_remotely');
+
+  res.json({
+    success: true,
+    message: 'Device signed out',
+  });
+}));
+
+// POST /api/auth/forgot-password - Email a password reset link
+// Responds the same way whether or not the account exists
+router.post('/forgot-password', authRateLimiter, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    throw new AppError('Email is required', 400);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email: email.trim().toLowerCase() }
+  });
+
+  // Social sign-in accounts have no password to reset
+  if (user && user.password) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.error(`Failed to send password reset email to ${user.email}:`, error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link is on its way',
+  });
+}));
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', authRateLimiter, asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const passwordValidation = validatePasswordStrength(password);
+  if (!passwordValidation.valid) {
+    throw new AppError(passwordValidation.message, 400);
+  }
+
+  const hashedPassword = await hashPassword(password);
+
+  const user = await prisma.$transaction(async (tx) => {
+    const record = await consumeAuthToken(tx, token, 'password_reset');
+
+    // Whoever had the old password is signed out everywhere
+    await revokeUserSessions(tx, record.userId, 'password_reset');
+
+    // The reset link went to this address, so it's verified too
+    return tx.user.update({
+      where: { id: record.userId },
+      data: {
+        password: hashedPassword,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      },
+    });
+  });
+
+  console.log(`Password reset for user: ${user.username} (${user.email})`);
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. You can now sign in.',
+  });
+}));
+
+// POST /api/auth/verify-email - Confirm an email address with a verification token
+router.post('/verify-email', authRateLimiter, asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const user = await prisma.$transaction(async (tx) => {
+    const record = await consumeAuthToken(tx, token, 'email_verification');
+    return tx.user.update({
+      where: { id: record.userId },
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      },
+    });
+  });
+
+  res.json({
+    success: true,
+    data: formatUserResponse(user),
+  });
+}));
+
+// POST /api/auth/verify-email/resend - Send a new verification link to the current user
+router.post('/verify-email/resend', authenticate, authRateLimiter, asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id }
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!user.email) {
+    throw new AppError('This account has no email address', 400);
+  }
+
+  if (user.emailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  await sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    message: `Verification email sent to ${user.email}`,
+  });
+}));
+
 // GET /api/auth/check-username/:username - Check if username is available
 router.get('/check-username/:username', asyncHandler(async (req, res) => {
   const { username } = req.params;
@@ -1,18 +1,33 @@
 const express = require('express');
 const prisma = require('../src/prisma');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { deleteVideo } = require('../services/objectStorage');
+const { signVideoUrls } = require('../services/objectStorage');
+const { findVideoAsset, deleteVideoAsset } = require('../services/videoProcessingService');
+const { queueFaceBlur } = require('../services/faceBlurService');
+const { createWorkoutWithAggregate, deleteWorkoutWithAggregate } = require('../services/workoutService');
+const { notifyPersonalRecords } = require('../services/notificationService');
+const { RANKED_USER_WHERE } = require('../services/userService');
+const { getChallengeResult } = require('../services/challengeResultService');
+const { joinChallenge, leaveChallenge, getWaitlistPositions } = require('../services/challengeWaitlistService');
+const { getTeamStandings } = require('../services/teamService');
+const { getSeries } = require('../services/challengeTemplateService');
 const { calculateStrengthRatio, getWeightClass } = require('../src/utils/strengthRatio');
 
 const router = express.Router();
 
+// Duels are private to the two users in them; anyone else gets a 404
+const duelParticipants = { select: { challengerId: true, opponentId: true } };
+const canViewChallenge = (challenge, viewer) => !challenge.duel
+  || (viewer != null && [challenge.duel.challengerId, challenge.duel.opponentId].includes(viewer.id));
+
 // GET /api/challenges/user/active - Get user's active challenges (must be before /:id)
 router.get('/user/active', authenticate, asyncHandler(async (req, res) => {
   const now = new Date();
 
   const userChallenges = await prisma.userChallenge.findMany({
-    where: { userId: req.user.id },
+    where: { userId: req.user.id, challenge: { duel: null } },
     include: {
       challenge: {
         where: {
@@ -77,7 +92,7 @@ router.get('/my-submissions', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: submissions.map(s => ({
+    data: (await Promise.all(submissions.map(signVideoUrls))).map(s => ({
       id: s.id,
       challenge: s.challenge,
       exercise: s.exercise,
@@ -95,6 +110,16 @@ router.get('/my-submissions', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// GET /api/challenges/series/:templateId - Get a recurring challenge's instances and my history across them
+router.get('/series/:templateId', optionalAuth, asyncHandler(async (req, res) => {
+  const series = await getSeries(req.params.templateId, req.user?.id);
+
+  res.json({
+    success: true,
+    data: series,
+  });
+}));
+
 // GET /api/challenges - Get all active challenges
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   const { region = 'global', includeExpired = 'false' } = req.query;
@@ -118,6 +143,9 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     where.endDate = { gt: now };
   }
 
+  // Duels run on private challenges of their own
+  where.duel = null;
+
   let challenges = await prisma.challenge.findMany({
     where,
     orderBy: { createdAt: 'desc' },
@@ -137,6 +165,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     });
 
     const ucMap = new Map(userChallenges.map(uc => [uc.challengeId, uc]));
+    const waitlistPositions = await getWaitlistPositions(req.user.id, challenges.map(c => c.id));
 
     challenges = challenges.map(challenge => ({
       id: challenge.id,
@@ -157,13 +186,19 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
       completionType: challenge.completionType,
       winnerCriteria: challenge.winnerCriteria,
       maxParticipants: challenge.maxParticipants,
+      teamMode: challenge.teamMode,
+      templateId: challenge.templateId,
+      seriesIndex: challenge.seriesIndex,
       createdBy: challenge.createdBy,
       isActive: challenge.isActive,
+      finalizedAt: challenge.finalizedAt,
       createdAt: challenge.createdAt,
       updatedAt: challenge.updatedAt,
       joined: ucMap.has(challenge.id),
       progress: ucMap.get(challenge.id)?.progress || 0,
       completed: ucMap.get(challenge.id)?.completed || false,
+      waitlisted: waitlistPositions.has(challenge.id),
+      waitlistPosition: waitlistPositions.get(challenge.id) || null,
     }));
   }
 
@@ -176,10 +211,11 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 // GET /api/challenges/:id - Get specific challenge
 router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   const challenge = await prisma.challenge.findUnique({
-    where: { id: req.params.id }
+    where: { id: req.params.id },
+    include: { duel: duelParticipants },
   });
 
-  if (!challenge) {
+  if (!challenge || !canViewChallenge(challenge, req.user)) {
     throw new AppError('Challenge not found', 404);
   }
 
@@ -202,13 +238,20 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     completionType: challenge.completionType,
     winnerCriteria: challenge.winnerCriteria,
     maxParticipants: challenge.maxParticipants,
+    teamMode: challenge.teamMode,
+    templateId: challenge.templateId,
+    seriesIndex: challenge.seriesIndex,
     createdBy: challenge.createdBy,
     isActive: challenge.isActive,
+    finalizedAt: challenge.finalizedAt,
     createdAt: challenge.createdAt,
     updatedAt: challenge.updatedAt,
     joined: false,
     progress: 0,
     completed: false,
+    waitlisted: false,
+    waitlistPosition: null,
+    teamId: null,
   };
 
   // Add user progress if authenticated
@@ -225,6 +268,11 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     responseData.joined = !!userChallenge;
     responseData.progress = userChallenge?.progress || 0;
     responseData.completed = userChallenge?.completed || false;
+    responseData.teamId = userChallenge?.teamId || null;
+
+    const waitlistPositions = await getWaitlistPositions(req.user.id, [challenge.id]);
+    responseData.waitlisted = waitlistPositions.has(challenge.id);
+    responseData.waitlistPosition = waitlistPositions.get(challenge.id) || null;
   }
 
   // Get participant count
@@ -232,6 +280,9 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     where: { challengeId: challenge.id }
   });
   responseData.participantCount = participantCount;
+  responseData.waitlistCount = await prisma.challengeWaitlistEntry.count({
+    where: { challengeId: challenge.id }
+  });
 
   res.json({
     success: true,
@@ -257,33 +308,31 @@ router.post('/:id/join', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('This challenge has ended', 400);
   }
 
-  const existing = await prisma.userChallenge.findUnique({
-    where: {
-      userId_challengeId: {
-        userId: req.user.id,
-        challengeId: challenge.id,
-      },
-    },
-  });
-
-  if (existing) {
-    throw new AppError('You have already joined this challenge', 400);
+  if (await prisma.duel.findUnique({ where: { challengeId: challenge.id } })) {
+    throw new AppError('Duels are between the two users in them', 403);
   }
 
-  const userChallenge = await prisma.userChallenge.create({
-    data: {
-      userId: req.user.id,
-      challengeId: challenge.id,
-      progress: 0,
-      completed: false,
-    },
-  });
+  // Full challenges put the user on the waitlist instead
+  const joined = await joinChallenge(challenge.id, req.user.id);
+
+  if (joined.waitlisted) {
+    return res.status(202).json({
+      success: true,
+      message: `This challenge is full. You are number ${joined.waitlistPosition} on the waitlist.`,
+      data: {
+        challenge: joined.challenge,
+        waitlisted: true,
+        waitlistPosition: joined.waitlistPosition,
+      },
+    });
+  }
 
   res.status(201).json({
     success: true,
     data: {
-      challenge,
-      userProgress: userChallenge,
+      challenge: joined.challenge,
+      userProgress: joined.userProgress,
+      waitlisted: false,
     },
   });
 }));
@@ -298,38 +347,105 @@ router.post('/:id/leave', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Challenge not found', 404);
   }
 
-  const result = await prisma.userChallenge.delete({
-    where: {
-      userId_challengeId: {
-        userId: req.user.id,
-        challengeId: challenge.id,
-      },
-    },
-  });
+  if (challenge.finalizedAt) {
+    throw new AppError('This challenge has been finalised', 400);
+  }
 
-  if (!result) {
-    throw new AppError('You have not joined this challenge', 400);
+  if (await prisma.duel.findUnique({ where: { challengeId: challenge.id } })) {
+    throw new AppError('You can\'t leave a duel once it has been accepted', 400);
   }
 
+  // A place given up goes to the next user on the waitlist
+  const { waitlisted } = await leaveChallenge(challenge.id, req.user.id);
+
   res.json({
     success: true,
-    message: 'Successfully left the challenge',
+    message: waitlisted ? 'Successfully left the waitlist' : 'Successfully left the challenge',
   });
 }));
 
-// GET /api/challenges/:id/leaderboard - Get challenge leaderboard
-router.get('/:id/leaderboard', asyncHandler(async (req, res) => {
-  const { limit = 20 } = req.query;
+// GET /api/challenges/:id/leaderboard - Get challenge leaderboard (scope=team for team standings)
+router.get('/:id/leaderboard', optionalAuth, asyncHandler(async (req, res) => {
+  const { limit = 20, scope = 'individual' } = req.query;
   const challenge = await prisma.challenge.findUnique({
-    where: { id: req.params.id }
+    where: { id: req.params.id },
+    include: { duel: duelParticipants },
   });
 
-  if (!challenge) {
+  if (!challenge || !canViewChallenge(challenge, req.user)) {
     throw new AppError('Challenge not found', 404);
   }
 
+  if (!['individual', 'team'].includes(scope)) {
+    throw new AppError('scope must be individual or team', 400);
+  }
+
+  // Finalised challenges show the frozen standings
+  const result = challenge.finalizedAt ? await getChallengeResult(challenge.id) : null;
+
+  if (scope === 'team') {
+    if (!challenge.teamMode) {
+      throw new AppError('This is not a team challenge', 400);
+    }
+
+    // The team the user entered with, which is the one their submissions count for
+    let myTeamId = null;
+    if (req.user) {
+      const userChallenge = await prisma.userChallenge.findUnique({
+        where: { userId_challengeId: { userId: req.user.id, challengeId: challenge.id } },
+      });
+      myTeamId = userChallenge?.teamId || null;
+    }
+
+    const standings = result ? (result.teamPlacements || []) : await getTeamStandings(challenge.id, { user: RANKED_USER_WHERE });
+
+    return res.json({
+      success: true,
+      data: {
+        challenge: {
+          id: challenge.id,
+          title: challenge.title,
+          target: challenge.target,
+        },
+        scope: 'team',
+        leaderboard: standings.slice(0, parseInt(limit)),
+        totalTeams: standings.length,
+        myTeamId,
+        final: !!result,
+        finalizedAt: result?.finalizedAt || null,
+      },
+    });
+  }
+
+  if (result) {
+    return res.json({
+      success: true,
+      data: {
+        challenge: {
+          id: challenge.id,
+          title: challenge.title,
+          target: challenge.target,
+        },
+        leaderboard: result.placements.slice(0, parseInt(limit)).map((placement) => ({
+          userId: placement.userId,
+          name: placement.name,
+          progress: placement.progress,
+          score: placement.score,
+          completed: placement.completed,
+          joinedAt: placement.joinedAt,
+          rank: placement.rank,
+          points: placement.points,
+          winner: placement.winner,
+        })),
+        totalParticipants: result.participantCount,
+        final: true,
+        finalizedAt: result.finalizedAt,
+      },
+    });
+  }
+
   const participants = await prisma.userChallenge.findMany({
-    where: { challengeId: challenge.id },
+    where: { challengeId: challenge.id, user: RANKED_USER_WHERE },
     include: {
       user: {
         select: { name: true },
@@ -349,7 +465,7 @@ router.get('/:id/leaderboard', asyncHandler(async (req, res) => {
   }));
 
   const totalParticipants = await prisma.userChallenge.count({
-    where: { challengeId: challenge.id }
+    where: { challengeId: challenge.id, user: RANKED_USER_WHERE }
   });
 
   res.json({
@@ -367,8 +483,8 @@ router.get('/:id/leaderboard', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/challenges/:id/submit - Submit a challenge entry
-router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
-  const { exercise, reps, weight, duration, videoUri, videoUrl, originalVideoUrl, serverVideoId, notes = '' } = req.body;
+router.post('/:id/submit', authenticate, idempotency, asyncHandler(async (req, res) => {
+  const { exercise, reps, weight, duration, videoUri, videoUrl, originalVideoUrl, serverVideoId, blurFaces, notes = '' } = req.body;
 
   const challenge = await prisma.challenge.findUnique({
     where: { id: req.params.id }
@@ -412,6 +528,21 @@ router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Video evidence is required for this challenge', 400);
   }
 
+  // The duration is measured when the upload is processed, so the minimum can
+  // only be checked for videos uploaded through the API
+  // Only videos the caller uploaded can be submitted
+  const videoAsset = await findVideoAsset(req.user.id, [serverVideoId, originalVideoUrl, videoUrl]);
+  const hasVideo = Boolean(videoUrl || originalVideoUrl || serverVideoId);
+  if ((challenge.requiresVideo || blurFaces || hasVideo) && !videoAsset) {
+    throw new AppError('Video not found. Please upload your video again.', 400);
+  }
+  if (videoAsset && videoAsset.durationSeconds < challenge.minVideoDuration) {
+    throw new AppError(
+      `Video must be at least ${challenge.minVideoDuration} seconds long (yours is ${Math.floor(videoAsset.durationSeconds)} seconds)`,
+      400
+    );
+  }
+
   // Calculate the value based on metric type
   let value = 0;
   switch (challenge.metricType) {
@@ -442,22 +573,39 @@ router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('You already have a pending submission. Wait for it to be verified.', 400);
   }
 
-  const submission = await prisma.challengeSubmission.create({
-    data: {
-      userId: req.user.id,
-      challengeId: challenge.id,
-      exercise,
-      reps: reps || 0,
-      weight: weight || 0,
-      duration: duration || 0,
-      videoUri,
-      videoUrl,
-      originalVideoUrl, // Store original unblurred video for admin view
-      serverVideoId,
-      value,
-      notes,
-      submittedAt: new Date(),
-    },
+  // With face blur the upload stays admin-only, and the entry has no public
+  // video until the video.blur job has made the blurred copy
+  const video = blurFaces
+    ? { originalVideoUrl: videoAsset.objectName, privacyStatus: 'pending' }
+    : {
+      // Keep object keys rather than signed URLs, which expire
+      videoUrl: videoAsset?.objectName || null,
+      originalVideoUrl: videoAsset?.objectName || null, // Store original unblurred video for admin view
+      thumbnailUrl: videoAsset?.posterObjectName || null,
+      previewUrl: videoAsset?.previewObjectName || null,
+    };
+
+  const submission = await prisma.$transaction(async (tx) => {
+    const created = await tx.challengeSubmission.create({
+      data: {
+        userId: req.user.id,
+        challengeId: challenge.id,
+        exercise,
+        reps: reps || 0,
+        weight: weight || 0,
+        duration: duration || 0,
+        videoUri,
+        ...video,
+        serverVideoId,
+        value,
+        notes,
+        submittedAt: new Date(),
+      },
+    });
+    if (blurFaces) {
+      await queueFaceBlur(videoAsset.id, { tx });
+    }
+    return created;
   });
 
   // Also create a workout log to update the user's strength ratio for main leaderboard
@@ -476,41 +624,29 @@ router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
-  // Create workout log (this will trigger the strength ratio update)
-  await prisma.workout.create({
-    data: {
-      userId: req.user.id,
-      exercise: exercise || 'Challenge',
-      reps: reps || 0,
-      weight: weight || 0,
-      duration: duration || 0,
-      points: 0, // Deprecated
-      strengthRatio,
-      date: new Date(),
-    },
-  });
-
-  // Recalculate user's aggregate strength ratio
-  const allWorkouts = await prisma.workout.findMany({
-    where: { userId: req.user.id }
-  });
-
-  const totalStrengthRatio = allWorkouts.reduce((sum, w) => sum + (w.strengthRatio || 0), 0);
+  // Create workout log and add it to the user's aggregate strength ratio
   const weightClass = getWeightClass(user?.weight || 0);
-
-  await prisma.user.update({
-    where: { id: req.user.id },
-    data: {
-      strengthRatio: totalStrengthRatio,
-      weightClass,
-    },
-  });
+  const { workout, user: aggregateUser, personalRecords } = await createWorkoutWithAggregate({
+    userId: req.user.id,
+    exercise: exercise || 'Challenge',
+    reps: reps || 0,
+    weight: weight || 0,
+    duration: duration || 0,
+    points: 0, // Deprecated
+    strengthRatio,
+    date: new Date(),
+    // Linked so deleting the submission also takes its ratio back out
+    challengeSubmission: { connect: { id: submission.id } },
+  }, { weightClass });
+  const totalStrengthRatio = aggregateUser.strengthRatio;
+
+  await notifyPersonalRecords(req.user.id, workout, personalRecords);
 
   res.status(201).json({
     success: true,
     message: 'Challenge entry submitted for verification',
     data: {
-      ...submission,
+      ...(await signVideoUrls(submission)),
       strengthRatio: totalStrengthRatio,
       weightClass,
     },
@@ -542,7 +678,7 @@ router.get('/:id/my-submissions', authenticate, asyncHandler(async (req, res) =>
 
   res.json({
     success: true,
-    data: submissions.map((s) => ({
+    data: (await Promise.all(submissions.map(signVideoUrls))).map((s) => ({
       id: s.id,
       exercise: s.exercise,
       reps: s.reps,
@@ -561,13 +697,14 @@ router.get('/:id/my-submissions', authenticate, asyncHandler(async (req, res) =>
 }));
 
 // GET /api/challenges/:id/top-submissions - Get top submissions for a challenge
-router.get('/:id/top-submissions', asyncHandler(async (req, res) => {
+router.get('/:id/top-submissions', optionalAuth, asyncHandler(async (req, res) => {
   const { limit = 10 } = req.query;
   const challenge = await prisma.challenge.findUnique({
-    where: { id: req.params.id }
+    where: { id: req.params.id },
+    include: { duel: duelParticipants },
   });
 
-  if (!challenge) {
+  if (!challenge || !canViewChallenge(challenge, req.user)) {
     throw new AppError('Challenge not found', 404);
   }
 
@@ -627,16 +764,23 @@ router.delete('/submissions/:id', authenticate, asyncHandler(async (req, res) =>
     throw new AppError('Cannot delete an approved submission', 400);
   }
 
-  // Delete from Object Storage
-  if (submission.videoUrl) {
+  // Delete from Object Storage, along with any blurred copy
+  if (submission.originalVideoUrl || submission.videoUrl) {
     try {
-      await deleteVideo(submission.videoUrl);
+      await deleteVideoAsset(submission.userId, submission.originalVideoUrl || submission.videoUrl, {
+        challengeSubmissionId: submission.id,
+      });
       console.log('[CHALLENGE SUBMISSION] Deleted video from storage');
     } catch (storageErr) {
       console.log('[CHALLENGE SUBMISSION] Storage deletion error (continuing):', storageErr.message);
     }
   }
 
+  // Remove the workout log it created from the user's strength ratio
+  if (submission.workoutId) {
+    await deleteWorkoutWithAggregate(submission.workoutId);
+  }
+
   // Delete the submission
   await prisma.challengeSubmission.delete({
     where: { id: req.params.id }
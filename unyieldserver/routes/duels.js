@@ -0,0 +1,90 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  getDuel,
+  listDuels,
+  createDuel,
+  respondToDuel,
+  cancelDuel,
+} = require('../services/duelService');
+
+const router = express.Router();
+
+// GET /api/duels - Get my duels (status=open for pending and active, status=history for the rest)
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !['open', 'history'].includes(status)) {
+    throw new AppError('status must be open or history', 400);
+  }
+
+  const duels = await listDuels(req.user.id, { status });
+
+  res.json({
+    success: true,
+    data: duels,
+  });
+}));
+
+// POST /api/duels - Challenge another user to a duel
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const { opponentId, opponentUsername, exercise, metricType, deadline, requiresVideo } = req.body;
+
+  if (!opponentId && !opponentUsername) {
+    throw new AppError('opponentId or opponentUsername is required', 400);
+  }
+
+  if (!exercise || !deadline) {
+    throw new AppError('exercise and deadline are required', 400);
+  }
+
+  const duel = await createDuel(req.user.id, { opponentId, opponentUsername, exercise, metricType, deadline, requiresVideo });
+
+  res.status(201).json({
+    success: true,
+    data: duel,
+  });
+}));
+
+// GET /api/duels/:id - Get a duel I'm in
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const duel = await getDuel(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: duel,
+  });
+}));
+
+// POST /api/duels/:id/accept - Accept a duel (opponent only)
+router.post('/:id/accept', authenticate, asyncHandler(async (req, res) => {
+  const duel = await respondToDuel(req.params.id, req.user.id, true);
+
+  res.json({
+    success: true,
+    data: duel,
+  });
+}));
+
+// POST /api/duels/:id/decline - Decline a duel (opponent only)
+router.post('/:id/decline', authenticate, asyncHandler(async (req, res) => {
+  const duel = await respondToDuel(req.params.id, req.user.id, false);
+
+  res.json({
+    success: true,
+    data: duel,
+  });
+}));
+
+// POST /api/duels/:id/cancel - Withdraw a duel before it is answered (challenger only)
+router.post('/:id/cancel', authenticate, asyncHandler(async (req, res) => {
+  await cancelDuel(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Duel cancelled',
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const prisma = require('../src/prisma');
 const { optionalAuth } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { getWeightClassLabel, formatStrengthRatio } = require('../src/utils/strengthRatio');
+const { RANKED_USER_WHERE } = require('../services/userService');
+const {
+  SNAPSHOT_SCOPES,
+  resolveScope,
+  rankByRatio,
+  getPreviousRanks,
+  describeMovement,
+  getRankHistory,
+} = require('../services/rankSnapshotService');
 
 const router = express.Router();
 
@@ -12,8 +21,8 @@ const router = express.Router();
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   const { region = 'Global', weightClass, limit = 50, offset = 0 } = req.query;
 
-  // Build where clause
-  const where = {};
+  // Build where clause (guest accounts are never ranked)
+  const where = { ...RANKED_USER_WHERE };
 
   // Region filter
   if (region !== 'Global') {
@@ -46,13 +55,27 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
         totalPoints: true,
         weeklyPoints: true,
       },
-      orderBy: { strengthRatio: 'desc' },
+      orderBy: [{ strengthRatio: 'desc' }, { id: 'asc' }],
       skip: parseInt(offset),
       take: parseInt(limit),
     }),
     prisma.user.count({ where }),
   ]);
 
+  // Week-over-week movement from the daily rank snapshots
+  const scope = resolveScope({ region, weightClass });
+  const previousRanks = scope
+    ? await getPreviousRanks([...users.map((user) => user.id), ...(req.user ? [req.user.id] : [])], scope)
+    : new Map();
+
+  // Ties share a rank, the same rule the snapshots use. A page can open
+  // partway through a tie, so its first rank is counted.
+  const pageOffset = parseInt(offset);
+  const firstRank = pageOffset > 0 && users.length > 0
+    ? await prisma.user.count({ where: { ...where, strengthRatio: { gt: users[0].strengthRatio || 0 } } }) + 1
+    : pageOffset + 1;
+  const ranks = rankByRatio(users, pageOffset, firstRank);
+
   // Add ranks and format response
   const leaderboard = users.map((user, index) => ({
     id: user.id,
@@ -67,7 +90,8 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     ratioDisplay: formatStrengthRatio(user.strengthRatio),
     streak: user.streak,
     accolades: user.accolades || [],
-    rank: parseInt(offset) + index + 1,
+    rank: ranks[index],
+    ...describeMovement(ranks[index], previousRanks.get(user.id)),
     // Legacy field for backward compatibility
     points: Math.round((user.strengthRatio || 0) * 100),
   }));
@@ -84,7 +108,8 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 
       // Check if user qualifies for this filtered view
       const userQualifies = (!weightClass || currentUser.weightClass === weightClass.toUpperCase()) &&
-                           currentUser.weightClass !== 'UNCLASSIFIED';
+                           currentUser.weightClass !== 'UNCLASSIFIED' &&
+                           currentUser.provider !== 'anonymous';
 
       let userPosition = 0;
       if (userQualifies) {
@@ -96,6 +121,8 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
         });
       }
 
+      const currentRank = userQualifies ? userPosition + 1 : null;
+
       currentUserRank = {
         id: currentUser.id,
         username: currentUser.username,
@@ -109,7 +136,8 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
         ratioDisplay: formatStrengthRatio(userRatio),
         streak: currentUser.streak,
         accolades: currentUser.accolades || [],
-        rank: userQualifies ? userPosition + 1 : null,
+        rank: currentRank,
+        ...describeMovement(currentRank, previousRanks.get(currentUser.id)),
         points: Math.round(userRatio * 100),
         disqualified: !userQualifies,
       };
@@ -129,11 +157,58 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+// GET /api/leaderboard/history/:userId - Get a user's daily rank history
+// Supports ?scope=global|region|weight_class and ?days=30 (max 365)
+router.get('/history/:userId', optionalAuth, asyncHandler(async (req, res) => {
+  const { scope = 'global' } = req.query;
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+  if (!SNAPSHOT_SCOPES.includes(scope)) {
+    throw new AppError(`Invalid scope. Must be one of: ${SNAPSHOT_SCOPES.join(', ')}`, 400);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.params.userId },
+    select: { id: true, username: true, region: true, weightClass: true },
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const history = await getRankHistory(user.id, scope, days);
+  const latest = history[history.length - 1];
+
+  // Movement over the last week, measured from the latest snapshot
+  let movement = describeMovement(null, undefined);
+  if (latest) {
+    const previousRanks = await getPreviousRanks([user.id], {
+      scope,
+      scopeValue: latest.scopeValue,
+    });
+    movement = describeMovement(latest.rank, previousRanks.get(user.id));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      userId: user.id,
+      username: user.username,
+      scope,
+      scopeValue: latest ? latest.scopeValue : null,
+      days,
+      currentRank: latest ? latest.rank : null,
+      ...movement,
+      history,
+    },
+  });
+}));
+
 // GET /api/leaderboard/top - Get top users
 router.get('/top', asyncHandler(async (req, res) => {
   const { count = 10, region = 'Global' } = req.query;
 
-  const where = region !== 'Global' ? { region } : {};
+  const where = region !== 'Global' ? { ...RANKED_USER_WHERE, region } : { ...RANKED_USER_WHERE };
 
   const users = await prisma.user.findMany({
     where,
@@ -172,7 +247,7 @@ router.get('/top', asyncHandler(async (req, res) => {
 router.get('/weekly', optionalAuth, asyncHandler(async (req, res) => {
   const { region = 'Global', limit = 50 } = req.query;
 
-  const where = region !== 'Global' ? { region } : {};
+  const where = region !== 'Global' ? { ...RANKED_USER_WHERE, region } : { ...RANKED_USER_WHERE };
 
   const users = await prisma.user.findMany({
     where,
@@ -212,7 +287,7 @@ router.get('/weekly', optionalAuth, asyncHandler(async (req, res) => {
 router.get('/monthly', optionalAuth, asyncHandler(async (req, res) => {
   const { region = 'Global' } = req.query;
 
-  const where = region !== 'Global' ? { region } : {};
+  const where = region !== 'Global' ? { ...RANKED_USER_WHERE, region } : { ...RANKED_USER_WHERE };
 
   // Get top 3 users for monthly podium
   const users = await prisma.user.findMany({
@@ -306,7 +381,7 @@ router.get('/around-me', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  const where = region !== 'Global' ? { region } : {};
+  const where = region !== 'Global' ? { ...RANKED_USER_WHERE, region } : { ...RANKED_USER_WHERE };
 
   // Get users above current user
   const usersAbove = await prisma.user.findMany({
@@ -388,7 +463,7 @@ router.get('/weight-classes', asyncHandler(async (req, res) => {
   const counts = await Promise.all(
     weightClasses.map(async (wc) => {
       const count = await prisma.user.count({
-        where: { weightClass: wc.id }
+        where: { ...RANKED_USER_WHERE, weightClass: wc.id }
       });
       return { ...wc, userCount: count };
     })
@@ -396,7 +471,7 @@ router.get('/weight-classes', asyncHandler(async (req, res) => {
 
   // Also get count of unclassified users
   const unclassifiedCount = await prisma.user.count({
-    where: { weightClass: 'UNCLASSIFIED' }
+    where: { ...RANKED_USER_WHERE, weightClass: 'UNCLASSIFIED' }
   });
 
   res.json({
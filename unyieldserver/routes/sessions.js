@@ -0,0 +1,221 @@
+const express = require('express');
+const prisma = require('../src/prisma');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  SESSION_STATUSES,
+  parseDate,
+  resolveUpdatedAt,
+  normalizeId,
+  normalizeSessionInput,
+  normalizeSessionExercises,
+  sessionInclude,
+  formatSessionResponse,
+} = require('../services/workoutBuilderService');
+
+const router = express.Router();
+
+// Drop template links that don't point at one of the user's own templates
+const resolveTemplateId = async (templateId, userId) => {
+  if (!templateId) return null;
+  const template = await prisma.workoutTemplate.findUnique({
+    where: { id: templateId },
+    select: { userId: true },
+  });
+  return template && template.userId === userId ? templateId : null;
+};
+
+// Write a session and replace its exercises and sets in one transaction
+const saveSession = async ({ id, userId, existing, body }) => {
+  const data = normalizeSessionInput(body);
+  const exercises = normalizeSessionExercises(body.exercises);
+  const updatedAt = resolveUpdatedAt(body.updatedAt);
+  data.templateId = await resolveTemplateId(data.templateId, userId);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      if (existing) {
+        await tx.sessionExercise.deleteMany({ where: { sessionId: id } });
+        return tx.workoutSession.update({
+          where: { id },
+          data: {
+            ...data,
+            deletedAt: null,
+            updatedAt,
+            exercises: { create: exercises },
+          },
+          include: sessionInclude,
+        });
+      }
+
+      return tx.workoutSession.create({
+        data: {
+          ...data,
+          id,
+          userId,
+          createdAt: parseDate(body.createdAt, 'createdAt') || undefined,
+          updatedAt,
+          exercises: { create: exercises },
+        },
+        include: sessionInclude,
+      });
+    });
+  } catch (error) {
+    // Exercise or set ids already used by another session
+    if (error.code === 'P2002') {
+      throw new AppError('Session contains duplicate exercise or set ids', 409);
+    }
+    throw error;
+  }
+};
+
+// GET /api/sessions - Get user's workout sessions
+// Pass ?since=<serverTime> to pull only changes, including deletions
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const { status, limit } = req.query;
+  const since = parseDate(req.query.since, 'since');
+  const serverTime = new Date();
+
+  const where = { userId: req.user.id };
+  if (since) {
+    where.syncedAt = { gt: since };
+  } else {
+    where.deletedAt = null;
+  }
+
+  if (status) {
+    if (!SESSION_STATUSES.includes(status)) {
+      throw new AppError(`Invalid status. Must be one of: ${SESSION_STATUSES.join(', ')}`, 400);
+    }
+    where.status = status;
+  }
+
+  const sessions = await prisma.workoutSession.findMany({
+    where,
+    orderBy: { startedAt: 'desc' },
+    // Sync pulls need every change, so only cap the page when asked to
+    take: limit ? Math.min(parseInt(limit) || 50, 500) : undefined,
+    include: sessionInclude,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(formatSessionResponse),
+      serverTime,
+    },
+  });
+}));
+
+// GET /api/sessions/:id - Get a single session with exercises and sets
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = await prisma.workoutSession.findUnique({
+    where: { id: req.params.id },
+    include: sessionInclude,
+  });
+
+  if (!session || session.deletedAt) {
+    throw new AppError('Session not found', 404);
+  }
+
+  if (session.userId !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  res.json({
+    success: true,
+    data: formatSessionResponse(session),
+  });
+}));
+
+// POST /api/sessions - Create a session
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const id = normalizeId(req.body.id);
+
+  if (id) {
+    const existing = await prisma.workoutSession.findUnique({ where: { id } });
+    if (existing) {
+      throw new AppError('Session already exists', 409);
+    }
+  }
+
+  const session = await saveSession({
+    id,
+    userId: req.user.id,
+    existing: null,
+    body: req.body,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: formatSessionResponse(session),
+  });
+}));
+
+// PUT /api/sessions/:id - Create or update a session
+// Older copies than the one stored are ignored and the stored copy is returned
+router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+  const id = normalizeId(req.params.id);
+  const updatedAt = resolveUpdatedAt(req.body.updatedAt);
+
+  const existing = await prisma.workoutSession.findUnique({
+    where: { id },
+    include: sessionInclude,
+  });
+
+  if (existing && existing.userId !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  if (existing && existing.updatedAt > updatedAt) {
+    return res.json({
+      success: true,
+      data: formatSessionResponse(existing),
+      applied: false,
+    });
+  }
+
+  const session = await saveSession({
+    id,
+    userId: req.user.id,
+    existing,
+    body: { ...req.body, updatedAt },
+  });
+
+  res.json({
+    success: true,
+    data: formatSessionResponse(session),
+    applied: true,
+  });
+}));
+
+// DELETE /api/sessions/:id - Delete a session
+// Soft deleted so other devices pick up the deletion on their next sync
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = await prisma.workoutSession.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  if (session.userId !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  if (!session.deletedAt) {
+    const now = new Date();
+    await prisma.workoutSession.update({
+      where: { id: session.id },
+      data: { deletedAt: now, updatedAt: now },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Session deleted',
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getStorageDriver } = require('../services/objectStorage');
+
+const router = express.Router();
+
+// GET /api/storage/videos/... - Serve a file from the local storage driver
+// Only answers signed, unexpired URLs issued by the local driver
+router.get('/*', asyncHandler(async (req, res) => {
+  const storage = getStorageDriver();
+  if (storage.name !== 'local') {
+    throw new AppError('Not found', 404);
+  }
+
+  const key = req.params[0];
+  const filePath = storage.verifySignedUrl(key, req.query.expires, req.query.signature);
+  if (!filePath) {
+    throw new AppError('This link is invalid or has expired', 403);
+  }
+
+  // sendFile handles Range requests, which video players rely on
+  res.sendFile(filePath, { maxAge: 0 }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode || 404).json({ success: false, error: 'File not found' });
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const prisma = require('../src/prisma');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  getTeam,
+  getMembership,
+  createTeam,
+  inviteToTeam,
+  respondToInvite,
+  leaveTeam,
+  removeMember,
+  transferCaptaincy,
+} = require('../services/teamService');
+
+const router = express.Router();
+
+// GET /api/teams/me - Get my team and the invites waiting for me (must be before /:id)
+router.get('/me', authenticate, asyncHandler(async (req, res) => {
+  const membership = await getMembership(req.user.id);
+
+  const invites = await prisma.teamInvite.findMany({
+    where: { userId: req.user.id, status: 'pending' },
+    include: {
+      team: { select: { id: true, name: true } },
+      invitedBy: { select: { id: true, name: true } },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: {
+      team: membership ? await getTeam(membership.teamId) : null,
+      role: membership?.role || null,
+      invites: invites.map((invite) => ({
+        id: invite.id,
+        team: invite.team,
+        invitedBy: invite.invitedBy,
+        createdAt: invite.createdAt,
+      })),
+    },
+  });
+}));
+
+// POST /api/teams - Start a team and become its captain
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const team = await createTeam(req.user.id, req.body.name);
+
+  res.status(201).json({
+    success: true,
+    data: team,
+  });
+}));
+
+// POST /api/teams/leave - Leave my team
+router.post('/leave', authenticate, asyncHandler(async (req, res) => {
+  await leaveTeam(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'You have left your team',
+  });
+}));
+
+// POST /api/teams/invites/:inviteId/accept - Join the team that invited me
+router.post('/invites/:inviteId/accept', authenticate, asyncHandler(async (req, res) => {
+  const team = await respondToInvite(req.params.inviteId, req.user.id, true);
+
+  res.json({
+    success: true,
+    data: team,
+  });
+}));
+
+// POST /api/teams/invites/:inviteId/decline - Decline a team invite
+router.post('/invites/:inviteId/decline', authenticate, asyncHandler(async (req, res) => {
+  await respondToInvite(req.params.inviteId, req.user.id, false);
+
+  res.json({
+    success: true,
+    message: 'Invite declined',
+  });
+}));
+
+// GET /api/teams/:id - Get a team and its members
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const team = await getTeam(req.params.id);
+
+  if (!team) {
+    throw new AppError('Team not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: team,
+  });
+}));
+
+// POST /api/teams/:id/invites - Invite a user by userId or username (captain only)
+router.post('/:id/invites', authenticate, asyncHandler(async (req, res) => {
+  const { userId, username } = req.body;
+
+  if (!userId && !username) {
+    throw new AppError('userId or username is required', 400);
+  }
+
+  const invite = await inviteToTeam(req.params.id, req.user.id, { userId, username });
+
+  res.status(201).json({
+    success: true,
+    data: invite,
+  });
+}));
+
+// DELETE /api/teams/:id/members/:userId - Remove a member (captain only)
+router.delete('/:id/members/:userId', authenticate, asyncHandler(async (req, res) => {
+  await removeMember(req.params.id, req.user.id, req.params.userId);
+
+  res.json({
+    success: true,
+    message: 'Member removed',
+  });
+}));
+
+// POST /api/teams/:id/captain - Hand the captaincy to another member (captain only)
+router.post('/:id/captain', authenticate, asyncHandler(async (req, res) => {
+  if (!req.body.userId) {
+    throw new AppError('userId is required', 400);
+  }
+
+  const team = await transferCaptaincy(req.params.id, req.user.id, req.body.userId);
+
+  res.json({
+    success: true,
+    data: team,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const prisma = require('../src/prisma');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  parseDate,
+  resolveUpdatedAt,
+  normalizeId,
+  normalizeTemplateInput,
+  formatTemplateResponse,
+} = require('../services/workoutBuilderService');
+
+const router = express.Router();
+
+// GET /api/templates - Get user's workout templates
+// Pass ?since=<serverTime> to pull only changes, including deletions
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const since = parseDate(req.query.since, 'since');
+  const serverTime = new Date();
+
+  const where = { userId: req.user.id };
+  if (since) {
+    where.syncedAt = { gt: since };
+  } else {
+    where.deletedAt = null;
+  }
+
+  const templates = await prisma.workoutTemplate.findMany({
+    where,
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: {
+      templates: templates.map(formatTemplateResponse),
+      serverTime,
+    },
+  });
+}));
+
+// GET /api/templates/:id - Get a single template
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const template = await prisma.workoutTemplate.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!template || template.deletedAt) {
+    throw new AppError('Template not found', 404);
+  }
+
+  if (template.userId !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  res.json({
+    success: true,
+    data: formatTemplateResponse(template),
+  });
+}));
+
+// POST /api/templates - Create a template
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const id = normalizeId(req.body.id);
+  const data = normalizeTemplateInput(req.body);
+
+  if (id) {
+    const existing = await prisma.workoutTemplate.findUnique({ where: { id } });
+    if (existing) {
+      throw new AppError('Template already exists', 409);
+    }
+  }
+
+  const template = await prisma.workoutTemplate.create({
+    data: {
+      ...data,
+      id,
+      userId: req.user.id,
+      createdAt: parseDate(req.body.createdAt, 'createdAt') || undefined,
+      updatedAt: resolveUpdatedAt(req.body.updatedAt),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: formatTemplateResponse(template),
+  });
+}));
+
+// PUT /api/templates/:id - Create or update a template
+// Older copies than the one stored are ignored and the stored copy is returned
+router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+  const id = normalizeId(req.params.id);
+  const data = normalizeTemplateInput(req.body);
+  const updatedAt = resolveUpdatedAt(req.body.updatedAt);
+
+  const existing = await prisma.workoutTemplate.findUnique({ where: { id } });
+
+  if (existing && existing.userId !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  if (existing && existing.updatedAt > updatedAt) {
+    return res.json({
+      success: true,
+      data: formatTemplateResponse(existing),
+      applied: false,
+    });
+  }
+
+  const template = existing
+    ? await prisma.workoutTemplate.update({
+      where: { id },
+      data: { ...data, deletedAt: null, updatedAt },
+    })
+    : await prisma.workoutTemplate.create({
+      data: {
+        ...data,
+        id,
+        userId: req.user.id,
+        createdAt: parseDate(req.body.createdAt, 'createdAt') || undefined,
+        updatedAt,
+      },
+    });
+
+  res.json({
+    success: true,
+    data: formatTemplateResponse(template),
+    applied: true,
+  });
+}));
+
+// DELETE /api/templates/:id - Delete a template
+// Soft deleted so other devices pick up the deletion on their next sync
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const template = await prisma.workoutTemplate.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!template) {
+    throw new AppError('Template not found', 404);
+  }
+
+  if (template.userId !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  if (!template.deletedAt) {
+    const now = new Date();
+    await prisma.workoutTemplate.update({
+      where: { id: template.id },
+      data: { deletedAt: now, updatedAt: now },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Template deleted',
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const prisma = require('../src/prisma');
 const { REGIONS, GOALS, FITNESS_LEVELS } = require('../services/userService');
+const { signVideoUrls } = require('../services/objectStorage');
 const { authenticate } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { getWeightClass } = require('../src/utils/strengthRatio');
+const { getPersonalRecords } = require('../services/personalRecordService');
+const { getExerciseCatalog } = require('../services/exerciseService');
+const { EXPORT_FORMATS, writeUserExport } = require('../services/exportService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { formatDuelRecord } = require('../services/duelService');
 
 const router = express.Router();
 
@@ -31,7 +37,9 @@ const formatUserResponse = (user) => ({
   rank: user.rank,
   streak: user.streak,
   streakBest: user.streakBest,
+  duelRecord: formatDuelRecord(user),
   provider: user.provider,
+  emailVerified: user.emailVerified,
   createdAt: user.createdAt,
 });
 
@@ -187,10 +195,13 @@ router.patch('/password', authenticate, asyncHandler(async (req, res) => {
   // Hash new password
   const hashedPassword = await hashPassword(newPassword);
 
-  // Update password
-  await prisma.user.update({
-    where: { id: req.user.id },
-    data: { password: hashedPassword }
+  // Update password and sign out every other device
+  await prisma.$transaction(async (tx) => {
+    await revokeUserSessions(tx, req.user.id, 'password_changed', { exceptSessionId: req.user.sid });
+    await tx.user.update({
+      where: { id: req.user.id },
+      data: { password: hashedPassword }
+    });
   });
 
   console.log(`Password changed for user: ${user.username}`);
@@ -271,6 +282,61 @@ router.get('/goals', asyncHandler(async (req, res) => {
   });
 }));
 
+// GET /api/users/export - Download everything tied to the account (JSON or CSV)
+router.get('/export', authenticate, asyncHandler(async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new AppError(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, username: true },
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const owner = (user.username || user.id).replace(/[^a-zA-Z0-9_-]/g, '');
+  const day = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="unyield-export-${owner}-${day}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  // Respect backpressure and stop reading once the client goes away
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (closed) return reject(new Error('Client closed the export'));
+    if (res.write(chunk)) return resolve();
+    // Whichever fires first removes the other, so listeners don't pile up
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client closed the export'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+
+  try {
+    await writeUserExport(req.user.id, format, write);
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the error handler can't respond
+    if (!res.headersSent) throw error;
+    console.error(`Data export failed for user ${req.user.id}:`, error.message);
+    res.destroy(error);
+  }
+}));
+
 // DELETE /api/users/account - Delete user account completely
 router.delete('/account', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -319,10 +385,37 @@ router.get('/:id', asyncHandler(async (req, res) => {
       strengthRatio: user.strengthRatio,
       totalPoints: user.totalPoints,
       streak: user.streak,
+      duelRecord: formatDuelRecord(user),
     },
   });
 }));
 
+// GET /api/users/:id/records - Get a user's personal records per exercise
+router.get('/:id/records', asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.params.id },
+    select: { id: true },
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [records, catalog] = await Promise.all([
+    getPersonalRecords(user.id),
+    getExerciseCatalog(),
+  ]);
+  const findName = (exercise) => catalog.find((e) => e.id === exercise || e.name === exercise)?.name;
+
+  res.json({
+    success: true,
+    data: records.map((record) => ({
+      ...record,
+      exerciseName: findName(record.exercise) || record.exercise,
+    })),
+  });
+}));
+
 // GET /api/users/:id/videos - Get public videos of a specific user (approved only)
 router.get('/:id/videos', asyncHandler(async (req, res) => {
   const user = await prisma.user.findUnique({
@@ -413,7 +506,7 @@ router.get('/:id/videos', asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: combinedVideos,
+    data: await Promise.all(combinedVideos.map(signVideoUrls)),
   });
 }));
 
@@ -4,8 +4,31 @@ const fs = require('fs');
 const path = require('path');
 const prisma = require('../src/prisma');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { uploadRateLimiter, reportRateLimiter } = require('../middleware/rateLimiter');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { uploadVideo, deleteVideo } = require('../services/objectStorage');
+const {
+  toStorageRef,
+  signVideoUrls,
+} = require('../services/objectStorage');
+const {
+  MAX_CHUNK_BYTES,
+  isAllowedVideo,
+  parseChecksumHeader,
+  formatUpload,
+  createUpload,
+  getUpload,
+  writeChunk,
+  completeUpload,
+  abortUpload,
+} = require('../services/videoUploadService');
+const {
+  processVideo,
+  formatVideoAsset,
+  findVideoAsset,
+  deleteVideoAsset,
+} = require('../services/videoProcessingService');
+const { queueFaceBlur } = require('../services/faceBlurService');
 
 const router = express.Router();
 
@@ -31,29 +54,7 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     // Accept video files only
-    const allowedMimes = [
-      'video/mp4',
-      'video/mpeg',
-      'video/quicktime',
-      'video/webm',
-      'video/x-msvideo',
-      'video/x-ms-wmv',
-    ];
-    const allowedExtensions = [
-      '.mp4',
-      '.m4v',
-      '.mov',
-      '.webm',
-      '.mpeg',
-      '.mpg',
-      '.avi',
-      '.wmv',
-    ];
-    const extension = path.extname(file.originalname || '').toLowerCase();
-    const hasAllowedExtension = allowedExtensions.includes(extension);
-    const hasAllowedMime = allowedMimes.includes(file.mimetype) || (file.mimetype || '').startsWith('video/');
-
-    if (hasAllowedMime || hasAllowedExtension) {
+    if (isAllowedVideo(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       req.fileValidationError = 'Invalid file type. Only video files are allowed.';
@@ -70,8 +71,17 @@ const canVerify = (user) => {
   );
 };
 
-// POST /api/videos/upload - Upload video file to Oracle Cloud Object Storage
-router.post('/upload', authenticate, upload.single('video'), asyncHandler(async (req, res) => {
+// The unblurred original is only for the owner and admins
+const hideOriginalVideo = (submission, user) => {
+  if (submission.userId === user.id || (user.accolades && user.accolades.includes('admin'))) {
+    return submission;
+  }
+  return { ...submission, originalVideoUrl: null };
+};
+
+// POST /api/videos/upload - Upload a video file and queue it to be normalised with a poster and preview
+// Returns short-lived URLs for playback and the objectName to submit
+router.post('/upload', authenticate, uploadRateLimiter, upload.single('video'), asyncHandler(async (req, res) => {
   console.log('[UPLOAD ROUTE] Upload request received');
   console.log('[UPLOAD ROUTE] User:', req.user?.id);
   console.log('[UPLOAD ROUTE] File present:', !!req.file);
@@ -85,43 +95,122 @@ router.post('/upload', authenticate, upload.single('video'), asyncHandler(async
   }
 
   try {
-    console.log('[UPLOAD ROUTE] Reading file from disk...');
-    const fileBuffer = fs.readFileSync(req.file.path);
-    console.log('[UPLOAD ROUTE] File read from disk, size:', fileBuffer.length);
-
-    console.log('[UPLOAD ROUTE] Calling uploadVideo service...');
-    const uploadResult = await uploadVideo(
-      fileBuffer,
-      req.file.originalname,
-      req.file.mimetype
-    );
-
-    // Clean up temp file
-    fs.unlinkSync(req.file.path);
-    console.log('[UPLOAD ROUTE] Temp file cleaned up');
-
-    const { objectName, publicUrl } = uploadResult;
+    console.log('[UPLOAD ROUTE] Processing video...');
+    const asset = await processVideo(req.file.path, {
+      userId: req.user.id,
+      fileName: req.file.originalname,
+      contentType: req.file.mimetype,
+    });
 
     res.status(201).json({
       success: true,
-      data: {
-        videoUrl: publicUrl,
-        objectName: objectName,
-        size: req.file.size,
-        mimetype: req.file.mimetype,
-      },
+      data: await formatVideoAsset(asset),
     });
-
   } catch (error) {
     console.error('[UPLOAD ROUTE] Upload error:', error.message);
+    if (error.isOperational) {
+      throw error;
+    }
     throw new AppError(`Video upload failed: ${error.message}`, 500);
+  } finally {
+    // Clean up temp file
+    fs.promises.rm(req.file.path, { force: true }).catch(() => {});
   }
 }));
 
+// Resumable uploads: open with POST /uploads, send chunks with PUT at the
+// offset the server last acknowledged, then POST /uploads/:uploadId/complete.
+// Every response carries Upload-Offset so an interrupted client knows where to resume.
+const sendUploadState = (res, upload, status = 200) => {
+  res.set({
+    'Upload-Offset': String(upload.receivedBytes),
+    'Upload-Length': String(upload.size),
+  });
+  res.status(status).json({
+    success: true,
+    data: formatUpload(upload),
+  });
+};
+
+// POST /api/videos/uploads - Start a resumable upload
+router.post('/uploads', authenticate, uploadRateLimiter, asyncHandler(async (req, res) => {
+  const { fileName, contentType, size, checksum } = req.body;
+  const upload = await createUpload(req.user.id, {
+    fileName,
+    contentType,
+    size: Number(size),
+    checksum,
+  });
+
+  sendUploadState(res, upload, 201);
+}));
+
+// GET /api/videos/uploads/:uploadId - Current offset of a resumable upload (also answers HEAD)
+router.get('/uploads/:uploadId', authenticate, asyncHandler(async (req, res) => {
+  const upload = await getUpload(req.user.id, req.params.uploadId);
+  sendUploadState(res, upload);
+}));
+
+// PUT /api/videos/uploads/:uploadId - Append a chunk
+// Headers: Upload-Offset (where the chunk starts), Upload-Checksum ("sha256 <base64>")
+router.put(
+  '/uploads/:uploadId',
+  authenticate,
+  express.raw({ type: () => true, limit: MAX_CHUNK_BYTES }),
+  asyncHandler(async (req, res) => {
+    const offset = Number.parseInt(req.get('upload-offset'), 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new AppError('Upload-Offset header is required', 400);
+    }
+
+    let upload = await getUpload(req.user.id, req.params.uploadId);
+    let nextOffset = null;
+    if (offset === upload.receivedBytes) {
+      nextOffset = await writeChunk(upload, offset, req.body, parseChecksumHeader(req.get('upload-checksum')));
+    }
+
+    if (nextOffset === null) {
+      upload = await getUpload(req.user.id, req.params.uploadId);
+      res.set('Upload-Offset', String(upload.receivedBytes));
+      return res.status(409).json({
+        success: false,
+        error: `Upload offset mismatch. Resume from ${upload.receivedBytes}.`,
+        offset: upload.receivedBytes,
+      });
+    }
+
+    sendUploadState(res, { ...upload, receivedBytes: nextOffset });
+  })
+);
+
+// POST /api/videos/uploads/:uploadId/complete - Assemble the chunks, then process and store the video
+// Returns the same shape as /upload
+router.post('/uploads/:uploadId/complete', authenticate, asyncHandler(async (req, res) => {
+  const upload = await getUpload(req.user.id, req.params.uploadId);
+  const asset = await completeUpload(upload);
+
+  res.status(201).json({
+    success: true,
+    data: await formatVideoAsset(asset),
+  });
+}));
+
+// DELETE /api/videos/uploads/:uploadId - Abandon a resumable upload
+router.delete('/uploads/:uploadId', authenticate, asyncHandler(async (req, res) => {
+  const upload = await getUpload(req.user.id, req.params.uploadId);
+  await abortUpload(upload);
+
+  res.json({
+    success: true,
+    message: 'Upload cancelled',
+  });
+}));
+
 // POST /api/videos - Submit a video for verification
-router.post('/', authenticate, asyncHandler(async (req, res) => {
+router.post('/', authenticate, idempotency, asyncHandler(async (req, res) => {
   console.log('[SUBMIT ROUTE] Video submission request received');
-  const { exercise, reps, weight, duration, videoUrl, originalVideoUrl, thumbnailUrl } = req.body;
+  const { exercise, reps, weight, duration, objectName, originalVideoUrl, thumbnailUrl, blurFaces } = req.body;
+  const videoUrl = objectName || req.body.videoUrl;
 
   if (!exercise || !reps) {
     console.error('[SUBMIT ROUTE] Missing exercise or reps');
@@ -139,29 +228,52 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
   });
   const isAdmin = user.accolades && user.accolades.includes('admin');
 
-  const submission = await prisma.videoSubmission.create({
-    data: {
-      userId: req.user.id,
-      exercise,
-      reps,
-      weight: weight || 0,
-      duration,
-      videoUrl,
-      originalVideoUrl, // Store original unblurred video for admin view
-      thumbnailUrl,
-      status: isAdmin ? 'approved' : 'pending',
-      ...(isAdmin && {
-        verifiedByName: 'UNYIELD',
-        verifiedAt: new Date(),
-      }),
-    },
+  // Only videos the caller uploaded can be submitted; poster and preview
+  // come from processing the upload
+  const videoAsset = await findVideoAsset(req.user.id, [originalVideoUrl, videoUrl]);
+  if (!videoAsset) {
+    throw new AppError('Video not found. Please upload your video again.', 400);
+  }
+
+  // With face blur the upload stays admin-only, and the submission has no
+  // public video until the video.blur job has made the blurred copy
+  const video = blurFaces
+    ? { originalVideoUrl: videoAsset.objectName, privacyStatus: 'pending' }
+    : {
+      // Keep object keys rather than signed URLs, which expire
+      videoUrl: videoAsset.objectName,
+      originalVideoUrl: videoAsset.objectName, // Store original unblurred video for admin view
+      thumbnailUrl: videoAsset.posterObjectName || toStorageRef(thumbnailUrl),
+      previewUrl: videoAsset.previewObjectName || null,
+    };
+
+  const submission = await prisma.$transaction(async (tx) => {
+    const created = await tx.videoSubmission.create({
+      data: {
+        userId: req.user.id,
+        exercise,
+        reps,
+        weight: weight || 0,
+        duration,
+        ...video,
+        status: isAdmin ? 'approved' : 'pending',
+        ...(isAdmin && {
+          verifiedByName: 'UNYIELD',
+          verifiedAt: new Date(),
+        }),
+      },
+    });
+    if (blurFaces) {
+      await queueFaceBlur(videoAsset.id, { tx });
+    }
+    return created;
   });
 
   console.log('[SUBMIT ROUTE] Submission saved successfully:', submission.id);
 
   res.status(201).json({
     success: true,
-    data: submission,
+    data: await signVideoUrls(submission),
     autoVerified: isAdmin,
   });
 }));
@@ -187,7 +299,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: submissions,
+    data: await Promise.all(submissions.map(signVideoUrls)),
   });
 }));
 
@@ -201,8 +313,9 @@ router.get('/queue', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('You do not have permission to verify videos', 403);
   }
 
+  // Submissions still waiting on their face blur have nothing to watch yet
   const submissions = await prisma.videoSubmission.findMany({
-    where: { status: 'pending' },
+    where: { status: 'pending', privacyStatus: { not: 'pending' } },
     orderBy: { createdAt: 'asc' },
     take: 50,
     include: {
@@ -214,7 +327,7 @@ router.get('/queue', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: submissions,
+    data: await Promise.all(submissions.map((submission) => signVideoUrls(hideOriginalVideo(submission, user)))),
   });
 }));
 
@@ -242,7 +355,10 @@ router.get('/appeals/queue', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: appeals,
+    data: await Promise.all(appeals.map(async (appeal) => ({
+      ...appeal,
+      videoSubmission: await signVideoUrls(appeal.videoSubmission),
+    }))),
   });
 }));
 
@@ -270,7 +386,10 @@ router.get('/reports/queue', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: reports,
+    data: await Promise.all(reports.map(async (report) => ({
+      ...report,
+      videoSubmission: await signVideoUrls(report.videoSubmission),
+    }))),
   });
 }));
 
@@ -322,7 +441,7 @@ router.post('/:id/verify', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: updatedSubmission,
+    data: await signVideoUrls(hideOriginalVideo(updatedSubmission, user)),
   });
 }));
 
@@ -344,9 +463,13 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Video submission not found', 404);
   }
 
+  const viewer = submission.userId === req.user.id
+    ? req.user
+    : await prisma.user.findUnique({ where: { id: req.user.id }, select: { id: true, accolades: true } });
+
   res.json({
     success: true,
-    data: submission,
+    data: await signVideoUrls(hideOriginalVideo(submission, viewer)),
   });
 }));
 
@@ -365,9 +488,11 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('You can only delete your own video submissions', 403);
   }
 
-  // Delete from Object Storage
-  if (submission.videoUrl) {
-    await deleteVideo(submission.videoUrl);
+  // Delete from Object Storage, along with any blurred copy
+  if (submission.originalVideoUrl || submission.videoUrl) {
+    await deleteVideoAsset(submission.userId, submission.originalVideoUrl || submission.videoUrl, {
+      videoSubmissionId: submission.id,
+    });
   }
 
   // Delete the submission (cascade will delete reports and appeals)
@@ -382,7 +507,7 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // POST /api/videos/:id/report - Report a suspicious video
-router.post('/:id/report', authenticate, asyncHandler(async (req, res) => {
+router.post('/:id/report', authenticate, reportRateLimiter, asyncHandler(async (req, res) => {
   const { reportType, reason } = req.body;
 
   if (!reportType || !reason) {
@@ -605,56 +730,4 @@ router.post('/reports/:id/review', authenticate, asyncHandler(async (req, res) =
   });
 }));
 
-// POST /api/videos/blur - Blur faces in a video (proxies to faceblurapi service)
-router.post('/blur', authenticate, asyncHandler(async (req, res) => {
-  const { videoUrl } = req.body;
-
-  if (!videoUrl) {
-    throw new AppError('videoUrl is required', 400);
-  }
-
-  try {
-    // Call the faceblurapi service
-    const FACE_BLUR_API_URL = process.env.FACE_BLUR_API_URL || 'https://unyield-faceblur-api-production.up.railway.app';
-
-    const response = await fetch(`${FACE_BLUR_API_URL}/blur`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ videoUrl }),
-    });
-
-    const data = await response.json();
-
-    if (!response.ok || !data.success) {
-      throw new AppError(data.error || 'Face blur service failed', 502);
-    }
-
-    res.json({
-      success: true,
-      data: {
-        blurredVideoUrl: data.data.blurredVideoUrl,
-        originalVideoUrl: data.data.originalVideoUrl,
-        facesFound: data.data.facesDetected || 0,
-        facesDetected: data.data.facesDetected || 0,
-        framesProcessed: data.data.framesProcessed || 0,
-      }
-    });
-
-  } catch (error) {
-    console.error('[BLUR] Error:', error.message);
-
-    // Fallback to original video if blur service is down
-    return res.json({
-      success: true,
-      data: {
-        blurredVideoUrl: videoUrl,
-        originalVideoUrl: videoUrl,
-        facesFound: 0,
-        facesDetected: 0,
-      },
-      message: 'Face blur service unavailable - original video used'
-    });
-  }
-}));
-
 module.exports = router;
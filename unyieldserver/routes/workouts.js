@@ -1,19 +1,72 @@
 const express = require('express');
+const multer = require('multer');
 const prisma = require('../src/prisma');
-const { EXERCISES, calcPoints, computeStreak } = require('../services/workoutService');
+const {
+  computeStreak,
+  createWorkoutWithAggregate,
+  deleteWorkoutWithAggregate,
+} = require('../services/workoutService');
 const { updateRank } = require('../services/userService');
-const { checkAndNotifyStreakMilestone, checkAndNotifyRankUp } = require('../services/notificationService');
+const { getExerciseCatalog, formatExerciseResponse } = require('../services/exerciseService');
+const { planImport, createImportedWorkouts } = require('../services/workoutImportService');
+const {
+  checkAndNotifyStreakMilestone,
+  checkAndNotifyRankUp,
+  notifyPersonalRecords,
+} = require('../services/notificationService');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { calculateStrengthRatio, getWeightClass } = require('../src/utils/strengthRatio');
 
 const router = express.Router();
 
-// GET /api/workouts/exercises/list - Get available exercises (must be before /:id)
+// Strong and Hevy exports are small text files, so keep them in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+  },
+});
+
+// Workouts logged offline are replayed later; keep their original date within
+// this window of when the app queued them (Queued-At), which may itself be a
+// while ago if the device stayed offline
+const MAX_BACKDATE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_QUEUE_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Resolve the workout date sent by the app, falling back to now
+const resolveWorkoutDate = (value, queuedAtValue) => {
+  const now = new Date();
+  if (!value) return now;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError('Date must be a valid date', 400);
+  }
+  if (date > now) return now;
+
+  let loggedAt = now;
+  const queuedAt = queuedAtValue ? new Date(queuedAtValue) : null;
+  if (queuedAt && !Number.isNaN(queuedAt.getTime()) && queuedAt < now) {
+    if (now - queuedAt > MAX_QUEUE_AGE_MS) {
+      throw new AppError('Workouts queued offline expire after 30 days', 400);
+    }
+    loggedAt = queuedAt;
+  }
+  if (loggedAt - date > MAX_BACKDATE_MS) {
+    throw new AppError('Workouts can only be logged up to 7 days late', 400);
+  }
+  return date;
+};
+
+// GET /api/workouts/exercises/list - Get the exercise catalog (must be before /:id)
+// Retired exercises are included with isActive: false so old logs still resolve
 router.get('/exercises/list', asyncHandler(async (req, res) => {
+  const exercises = await getExerciseCatalog();
+
   res.json({
     success: true,
-    data: EXERCISES,
+    data: exercises.map(formatExerciseResponse),
   });
 }));
 
@@ -51,8 +104,9 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // POST /api/workouts - Log a new workout
-router.post('/', authenticate, asyncHandler(async (req, res) => {
+router.post('/', authenticate, idempotency, asyncHandler(async (req, res) => {
   const { exercise, reps, weight, duration, notes } = req.body;
+  const workoutDate = resolveWorkoutDate(req.body.date, req.get('Queued-At'));
 
   if (!exercise) {
     throw new AppError('Exercise is required', 400);
@@ -91,34 +145,24 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
   // Calculate legacy points (kept for backward compatibility, set to 0 for new system)
   const points = 0; // Deprecated - strengthRatio is now used
 
-  // Create workout
-  const workout = await prisma.workout.create({
-    data: {
-      userId: req.user.id,
-      exercise,
-      reps,
-      weight: weight || null,
-      duration: duration || null,
-      points,
-      strengthRatio,
-      notes: notes || null,
-      date: new Date(),
-    },
-  });
-
-  // Update user stats
-  const { streak, best } = await computeStreak(req.user.id);
-
-  // Update user's weight class and aggregate strength ratio
   const userWeightClass = getWeightClass(user.weight);
 
-  // Get all user's approved workouts to recalculate aggregate strength ratio
-  const allWorkouts = await prisma.workout.findMany({
-    where: { userId: req.user.id }
-  });
+  // Create workout and add it to the user's aggregate strength ratio
+  const { workout, user: aggregateUser, personalRecords } = await createWorkoutWithAggregate({
+    userId: req.user.id,
+    exercise,
+    reps,
+    weight: weight || null,
+    duration: duration || null,
+    points,
+    strengthRatio,
+    notes: notes || null,
+    date: workoutDate,
+  }, { weightClass: userWeightClass });
+  const totalStrengthRatio = aggregateUser.strengthRatio;
 
-  // Aggregate all strength ratios
-  const totalStrengthRatio = allWorkouts.reduce((sum, w) => sum + (w.strengthRatio || 0), 0);
+  // Update user stats
+  const { streak, best } = await computeStreak(req.user.id);
 
   // Calculate weekly points (legacy - for backward compatibility)
   const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
@@ -136,11 +180,11 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
     data: {
       totalPoints: 0, // Deprecated
       weeklyPoints,
-      strengthRatio: totalStrengthRatio,
-      weightClass: userWeightClass,
       streak,
       streakBest: Math.max(user.streakBest, best),
-      lastWorkoutDate: workout.date,
+      lastWorkoutDate: user.lastWorkoutDate && user.lastWorkoutDate > workout.date
+        ? user.lastWorkoutDate
+        : workout.date,
     },
   });
 
@@ -149,6 +193,8 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
     await checkAndNotifyStreakMilestone(req.user.id, updatedUser.streak);
   }
 
+  await notifyPersonalRecords(req.user.id, workout, personalRecords);
+
   res.status(201).json({
     success: true,
     data: {
@@ -158,6 +204,44 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
       totalStrengthRatio,
       streak: updatedUser.streak,
       weightClass: userWeightClass,
+      personalRecords,
+    },
+  });
+}));
+
+// POST /api/workouts/import - Import history from a Strong or Hevy CSV export
+// Send the file as multipart "file" or the text as "csv". With dryRun the
+// response previews the exercise matching without creating anything.
+router.post('/import', authenticate, importUpload.single('file'), idempotency, asyncHandler(async (req, res) => {
+  const { source, unit } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+  // Multipart forms can only send the mapping as a JSON string
+  let { mapping } = req.body;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new AppError('mapping must be valid JSON', 400);
+    }
+  }
+
+  const { workouts, ...preview } = await planImport(req.user.id, {
+    csv,
+    source: source ? String(source).toLowerCase() : undefined,
+    unit: unit ? String(unit).toLowerCase() : undefined,
+    mapping,
+  });
+
+  const created = dryRun ? 0 : await createImportedWorkouts(req.user.id, workouts);
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: {
+      ...preview,
+      dryRun,
+      created,
     },
   });
 }));
@@ -225,9 +309,8 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
-  await prisma.workout.delete({
-    where: { id: req.params.id }
-  });
+  // Remove the workout and subtract it from the aggregate strength ratio
+  await deleteWorkoutWithAggregate(workout.id);
 
   res.json({
     success: true,
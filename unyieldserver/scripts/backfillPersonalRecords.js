@@ -0,0 +1,60 @@
+/**
+ * Backfill Personal Records
+ *
+ * Fills in Workout.e1rm for workouts logged before it was stored and
+ * rebuilds every user's PersonalRecord rows from their workout history.
+ * Safe to run more than once.
+ *
+ * Run: node unyieldserver/scripts/backfillPersonalRecords.js
+ */
+
+const prisma = require('../src/prisma');
+const { estimateOneRepMax, recomputePersonalRecords } = require('../services/personalRecordService');
+
+async function backfillPersonalRecords() {
+  console.log('='.repeat(60));
+  console.log('Backfilling e1RM and personal records');
+  console.log('='.repeat(60));
+
+  try {
+    const missing = await prisma.workout.findMany({
+      where: { e1rm: null, weight: { gt: 0 } },
+      select: { id: true, weight: true, reps: true },
+    });
+
+    let estimated = 0;
+    for (const workout of missing) {
+      const e1rm = estimateOneRepMax(workout.weight, workout.reps);
+      if (e1rm === null) continue;
+      await prisma.workout.update({
+        where: { id: workout.id },
+        data: { e1rm },
+      });
+      estimated++;
+    }
+    console.log(`\nWorkouts given an e1RM: ${estimated}`);
+
+    const pairs = await prisma.workout.groupBy({
+      by: ['userId', 'exercise'],
+    });
+
+    for (const { userId, exercise } of pairs) {
+      await prisma.$transaction((tx) => recomputePersonalRecords(tx, userId, exercise));
+    }
+    console.log(`Exercise histories rebuilt: ${pairs.length}`);
+
+    return pairs.length;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillPersonalRecords()
+  .then(() => {
+    console.log('\nBackfill complete');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\nBackfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,72 @@
+/**
+ * Migrate Challenge Masters to Challenge Admins
+ *
+ * The challenge_master accolade used to grant challenge management. It is now
+ * the badge challenge winners earn, and challenge_admin grants the access.
+ * This gives challenge_admin to challenge_master holders who never won a
+ * finalised challenge, so existing challenge staff keep their access. Holders
+ * who have also won one can't be told apart from plain winners; they are
+ * listed for an admin to check by hand. Safe to run again.
+ *
+ * Run: node unyieldserver/scripts/migrateChallengeAdmins.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const prisma = require('../src/prisma');
+
+async function migrateChallengeAdmins() {
+  console.log('='.repeat(60));
+  console.log('Granting challenge_admin to challenge_master holders');
+  console.log('='.repeat(60));
+
+  try {
+    const [holders, results] = await Promise.all([
+      prisma.user.findMany({
+        where: {
+          accolades: { has: 'challenge_master' },
+          NOT: { accolades: { has: 'challenge_admin' } },
+        },
+        select: { id: true, email: true, accolades: true },
+      }),
+      prisma.challengeResult.findMany({
+        where: { winnerId: { not: null } },
+        select: { winnerId: true },
+      }),
+    ]);
+
+    const winnerIds = new Set(results.map((result) => result.winnerId));
+    const users = holders.filter((user) => !winnerIds.has(user.id));
+    const winners = holders.filter((user) => winnerIds.has(user.id));
+
+    for (const user of users) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { accolades: [...user.accolades, 'challenge_admin'] },
+      });
+      console.log(`${user.email || user.id}: challenge_admin granted`);
+    }
+
+    console.log(`${users.length} user(s) migrated`);
+
+    if (winners.length > 0) {
+      console.log(`\n${winners.length} holder(s) skipped because they won a challenge; grant challenge_admin by hand if they are staff:`);
+      for (const user of winners) {
+        console.log(`  ${user.email || user.id}`);
+      }
+    }
+    return users.length;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateChallengeAdmins()
+  .then(() => {
+    console.log('\nMigration complete');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\nMigration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+/**
+ * Migrate Video URLs to Storage Keys
+ *
+ * Submissions used to store year-long pre-authenticated URLs. This rewrites
+ * every URL issued by the configured storage driver to its object key, so
+ * playback URLs are signed on read instead. URLs from elsewhere are left alone.
+ * Safe to run more than once.
+ *
+ * Run: node unyieldserver/scripts/migrateVideoUrlsToKeys.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const prisma = require('../src/prisma');
+const { toStorageRef } = require('../services/objectStorage');
+
+const MODELS = [
+  { model: 'videoSubmission', fields: ['videoUrl', 'originalVideoUrl', 'thumbnailUrl'] },
+  { model: 'challengeSubmission', fields: ['videoUrl', 'originalVideoUrl'] },
+];
+
+async function migrateVideoUrlsToKeys() {
+  console.log('='.repeat(60));
+  console.log('Migrating stored video URLs to storage keys');
+  console.log('='.repeat(60));
+
+  try {
+    let total = 0;
+
+    for (const { model, fields } of MODELS) {
+      const rows = await prisma[model].findMany({
+        where: { OR: fields.map((field) => ({ [field]: { startsWith: 'http' } })) },
+        select: { id: true, ...Object.fromEntries(fields.map((field) => [field, true])) },
+      });
+
+      let updated = 0;
+      for (const row of rows) {
+        const data = {};
+        for (const field of fields) {
+          const ref = toStorageRef(row[field]);
+          if (ref && ref !== row[field]) {
+            data[field] = ref;
+          }
+        }
+
+        if (Object.keys(data).length > 0) {
+          await prisma[model].update({ where: { id: row.id }, data });
+          updated++;
+        }
+      }
+
+      console.log(`${model}: ${updated} of ${rows.length} rows with URLs migrated`);
+      total += updated;
+    }
+
+    return total;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateVideoUrlsToKeys()
+  .then(() => {
+    console.log('\nMigration complete');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\nMigration failed:', error);
+    process.exit(1);
+  });
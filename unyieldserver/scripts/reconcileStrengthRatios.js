@@ -0,0 +1,84 @@
+/**
+ * Reconcile Strength Ratio Aggregates
+ *
+ * User.strengthRatio is kept incrementally as workouts are created and deleted.
+ * This script rebuilds every user's aggregate from their workout history and
+ * reports any drift. By default it only reports; pass --fix to write the
+ * rebuilt values.
+ *
+ * Run: node unyieldserver/scripts/reconcileStrengthRatios.js [--fix] [--tolerance=0.001]
+ */
+
+const prisma = require('../src/prisma');
+
+const args = process.argv.slice(2);
+const shouldFix = args.includes('--fix');
+const toleranceArg = args.find((arg) => arg.startsWith('--tolerance='));
+const tolerance = toleranceArg ? Number.parseFloat(toleranceArg.split('=')[1]) : 0.001;
+
+async function reconcileStrengthRatios() {
+  console.log('='.repeat(60));
+  console.log(`Reconciling strength ratio aggregates (${shouldFix ? 'fix' : 'report only'})`);
+  console.log('='.repeat(60));
+
+  try {
+    const [users, sums] = await Promise.all([
+      prisma.user.findMany({
+        select: { id: true, username: true, strengthRatio: true },
+      }),
+      prisma.workout.groupBy({
+        by: ['userId'],
+        where: { imported: false },
+        _sum: { strengthRatio: true },
+      }),
+    ]);
+
+    const expectedByUser = new Map(sums.map((row) => [row.userId, row._sum.strengthRatio || 0]));
+    const drifted = [];
+
+    for (const user of users) {
+      const stored = user.strengthRatio || 0;
+      const expected = expectedByUser.get(user.id) || 0;
+      const drift = stored - expected;
+
+      if (Math.abs(drift) > tolerance) {
+        drifted.push({ user, stored, expected, drift });
+      }
+    }
+
+    console.log(`\nUsers checked: ${users.length}`);
+    console.log(`Users with drift > ${tolerance}: ${drifted.length}\n`);
+
+    for (const { user, stored, expected, drift } of drifted) {
+      const sign = drift > 0 ? '+' : '';
+      console.log(`  ${user.username || user.id}: stored ${stored.toFixed(3)}, expected ${expected.toFixed(3)} (${sign}${drift.toFixed(3)})`);
+    }
+
+    if (shouldFix && drifted.length > 0) {
+      for (const { user, expected } of drifted) {
+        await prisma.user.update({
+          where: { id: user.id },
+          data: { strengthRatio: expected },
+        });
+      }
+      console.log(`\nUpdated ${drifted.length} users`);
+    } else if (drifted.length > 0) {
+      console.log('\nRun again with --fix to write the rebuilt values');
+    }
+
+    return drifted.length;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+reconcileStrengthRatios()
+  .then((driftCount) => {
+    console.log('\nReconciliation complete');
+    // Non-zero exit when drift was found and left in place, for use in checks
+    process.exit(driftCount > 0 && !shouldFix ? 2 : 0);
+  })
+  .catch((error) => {
+    console.error('\nReconciliation failed:', error);
+    process.exit(1);
+  });
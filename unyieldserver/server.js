@@ -15,6 +15,11 @@ if (!process.env.JWT_SECRET || process.env.JWT_SECRET.length < MIN_JWT_SECRET_LE
   console.warn(`[SECURITY WARNING] ${message}`);
 }
 
+// Fail fast on mail settings that would silently drop account email
+if (process.env.NODE_ENV === 'production') {
+  require('./services/mailer').getMailTransport();
+}
+
 // Connect to PostgreSQL
 connectDB();
 
@@ -22,22 +27,57 @@ connectDB();
 if (process.env.NODE_ENV === 'production') {
   const { initializeWeeklyRankDigest } = require('./jobs/weeklyRankDigest');
   const { initializeChallengeEndingNotifier } = require('./jobs/challengeEndingNotifier');
+  const { initializeChallengeFinalizer } = require('./jobs/challengeFinalizer');
+  const { initializeDuelSettler } = require('./jobs/duelSettler');
+  const { initializeChallengeScheduler } = require('./jobs/challengeScheduler');
+  const { initializeIdempotencyKeyCleanup } = require('./jobs/idempotencyKeyCleanup');
+  const { initializeRankSnapshots } = require('./jobs/rankSnapshot');
+  const { initializeAuthTokenCleanup } = require('./jobs/authTokenCleanup');
+  const { initializeGuestCleanup } = require('./jobs/guestCleanup');
+  const { initializeVideoUploadCleanup } = require('./jobs/videoUploadCleanup');
 
   initializeWeeklyRankDigest();
   initializeChallengeEndingNotifier();
+  initializeChallengeFinalizer();
+  initializeDuelSettler();
+  initializeChallengeScheduler();
+  initializeIdempotencyKeyCleanup();
+  initializeRankSnapshots();
+  initializeAuthTokenCleanup();
+  initializeGuestCleanup();
+  initializeVideoUploadCleanup();
   console.log('Scheduled jobs initialized');
 }
 
+// Background jobs run in this process unless JOB_WORKER_INLINE=false, which
+// deployments with a separate worker (npm run worker) set. Tests drive the
+// queue themselves.
+const { registerJobHandlers } = require('./services/jobHandlers');
+const { startWorker } = require('./services/jobQueue');
+
+registerJobHandlers();
+const runJobsInline = process.env.JOB_WORKER_INLINE
+  ? process.env.JOB_WORKER_INLINE === 'true'
+  : process.env.NODE_ENV !== 'test';
+const inlineWorker = runJobsInline ? startWorker() : null;
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const workoutRoutes = require('./routes/workouts');
+const templateRoutes = require('./routes/templates');
+const sessionRoutes = require('./routes/sessions');
 const leaderboardRoutes = require('./routes/leaderboard');
 const challengeRoutes = require('./routes/challenges');
+const teamRoutes = require('./routes/teams');
+const duelRoutes = require('./routes/duels');
 const notificationRoutes = require('./routes/notifications');
 const videoRoutes = require('./routes/videos');
 const adminRoutes = require('./routes/admin');
 const adminChallengeRoutes = require('./routes/admin-challenges');
+const adminExerciseRoutes = require('./routes/admin-exercises');
+const adminChallengeTemplateRoutes = require('./routes/admin-challenge-templates');
+const storageRoutes = require('./routes/storage');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -124,7 +164,8 @@ const corsOptions = {
     return callback(null, false);
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'Queued-At', 'Upload-Offset', 'Upload-Checksum'],
+  exposedHeaders: ['Upload-Offset', 'Upload-Length'],
   credentials: false,
   maxAge: 86400,
 };
@@ -203,8 +244,12 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       workouts: '/api/workouts',
+      templates: '/api/templates',
+      sessions: '/api/sessions',
       leaderboard: '/api/leaderboard',
       challenges: '/api/challenges',
+      teams: '/api/teams',
+      duels: '/api/duels',
       notifications: '/api/notifications',
       videos: '/api/videos',
       admin: '/api/admin',
@@ -235,12 +280,19 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/workouts', workoutRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/sessions', sessionRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/challenges', challengeRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/duels', duelRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/challenges', adminChallengeRoutes);
+app.use('/api/admin/exercises', adminExerciseRoutes);
+app.use('/api/admin/challenge-templates', adminChallengeTemplateRoutes);
+app.use('/api/storage', storageRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -267,6 +319,9 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   server.close(async () => {
     console.log('HTTP server closed.');
+    if (inlineWorker) {
+      await inlineWorker.stop();
+    }
     await disconnectDB();
     console.log('Database connection closed.');
     process.exit(0);
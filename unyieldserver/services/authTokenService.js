@@ -0,0 +1,160 @@
+/**
+ * Auth Token Service
+ * Single-use tokens for password reset and email verification, and the
+ * emails that carry them. Tokens are random and only their HMAC is stored,
+ * so a database read alone can't be used to reset a password.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { sendMail } = require('./mailer');
+
+const AUTH_TOKEN_TYPES = ['password_reset', 'email_verification'];
+
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 48 * 60 * 60 * 1000, // 48 hours
+};
+
+const TOKEN_BYTES = 32;
+
+// Deep links open the matching screen in the app
+const getAppLinkBase = () => process.env.APP_LINK_BASE || 'unyield://';
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token as sent to the user
+ * @returns {string} Hex HMAC-SHA256
+ */
+const hashToken = (token) => {
+  const secret = process.env.AUTH_TOKEN_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(token).digest('hex');
+};
+
+/**
+ * Issue a new token, replacing any the user already has of the same type
+ * @param {string} userId - User ID
+ * @param {string} type - password_reset | email_verification
+ * @returns {Promise<{token: string, expiresAt: Date}>} Token to send, and when it expires
+ */
+const createAuthToken = async (userId, type) => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[type]);
+
+  await prisma.$transaction([
+    prisma.authToken.deleteMany({ where: { userId, type } }),
+    prisma.authToken.create({
+      data: { userId, type, tokenHash: hashToken(token), expiresAt },
+    }),
+  ]);
+
+  return { token, expiresAt };
+};
+
+/**
+ * Use up a token. Each token works once, even under concurrent requests.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {string} token - Token from the email
+ * @param {string} type - password_reset | email_verification
+ * @returns {Promise<object>} The token record
+ */
+const consumeAuthToken = async (tx, token, type) => {
+  if (!token || typeof token !== 'string') {
+    throw new AppError('Token is required', 400);
+  }
+
+  const record = await tx.authToken.findUnique({
+    where: { tokenHash: hashToken(token.trim()) },
+  });
+
+  if (!record || record.type !== type || record.usedAt || record.expiresAt < new Date()) {
+    throw new AppError('This link is invalid or has expired', 400);
+  }
+
+  const { count } = await tx.authToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count !== 1) {
+    throw new AppError('This link is invalid or has expired', 400);
+  }
+
+  return record;
+};
+
+/**
+ * Email a password reset link
+ * @param {object} user - User record
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const { token } = await createAuthToken(user.id, 'password_reset');
+  const link = `${getAppLinkBase()}reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your UNYIELD password',
+    text: [
+      `Hi ${user.name || user.username},`,
+      '',
+      'Someone asked to reset the password for your UNYIELD account.',
+      `Open this link on your phone to choose a new one: ${link}`,
+      '',
+      `Or paste this code into the app: ${token}`,
+      '',
+      'The link expires in 1 hour. If you didn\'t ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Email an address verification link
+ * @param {object} user - User record
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token } = await createAuthToken(user.id, 'email_verification');
+  const link = `${getAppLinkBase()}verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your UNYIELD email',
+    text: [
+      `Hi ${user.name || user.username},`,
+      '',
+      `Confirm this is your email address: ${link}`,
+      '',
+      `Or paste this code into the app: ${token}`,
+      '',
+      'The link expires in 48 hours.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Delete tokens that have expired or been used
+ * @returns {Promise<number>} Number of tokens removed
+ */
+const purgeExpiredAuthTokens = async () => {
+  const result = await prisma.authToken.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { usedAt: { not: null } },
+      ],
+    },
+  });
+  return result.count;
+};
+
+module.exports = {
+  AUTH_TOKEN_TYPES,
+  hashToken,
+  createAuthToken,
+  consumeAuthToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  purgeExpiredAuthTokens,
+};
@@ -0,0 +1,354 @@
+/**
+ * Challenge Result Service
+ * Closes a challenge and decides its winner. Finalising freezes the standings
+ * into a ChallengeResult, awards placement points and the challenge_master
+ * badge to the winner, and tells every participant where they finished.
+ *
+ * Standings come from approved submissions in the order they were submitted,
+ * not the order they were moderated, so a slow review never costs anyone a
+ * place. Ties go to whoever reached the score first, then whoever joined
+ * first, then the lower user id, so the same data always gives the same
+ * order. Finalising twice is harmless: the first run claims the challenge and
+ * later runs return its result.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyUser } = require('./notificationService');
+const { RANKED_USER_WHERE } = require('./userService');
+const { buildTeamStandings } = require('./teamService');
+
+// Share of the challenge reward paid to 1st, 2nd and 3rd, on top of the
+// reward each participant already got for reaching the target
+const PLACEMENT_REWARD_SHARES = [1, 0.5, 0.25];
+const WINNER_ACCOLADE = 'challenge_master';
+// Entries still waiting for moderation hold up finalising for this long
+const PENDING_GRACE_HOURS = 72;
+// Challenges that ended longer ago than this are left for an admin to close,
+// so turning the finaliser on doesn't hand out awards for old challenges
+const AUTO_FINALIZE_MAX_AGE_DAYS = 14;
+
+const ordinal = (n) => {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+const compareTimes = (a, b) => {
+  if (a && b) return a - b;
+  if (a) return -1;
+  if (b) return 1;
+  return 0;
+};
+
+/**
+ * Replay one participant's approved submissions in submission order
+ * @returns {object} Score for the challenge's winnerCriteria, when it was
+ *   reached, and when the target was first reached
+ */
+const scoreParticipant = (challenge, participant, submissions) => {
+  let total = 0;
+  let best = 0;
+  let bestAt = null;
+  let totalAt = null;
+  let progress = 0;
+  let progressAt = null;
+  let targetAt = null;
+
+  for (const submission of submissions) {
+    total += submission.value;
+    if (submission.value > 0) totalAt = submission.submittedAt;
+    if (submission.value > best) {
+      best = submission.value;
+      bestAt = submission.submittedAt;
+    }
+
+    // Same progress rules as approving a submission
+    let next;
+    if (challenge.completionType === 'cumulative') {
+      next = progress + submission.value;
+    } else if (challenge.completionType === 'best_effort') {
+      next = Math.max(progress, submission.value);
+    } else {
+      next = submission.value;
+    }
+    if (next !== progress) {
+      progress = next;
+      progressAt = submission.submittedAt;
+    }
+    if (!targetAt && progress >= challenge.target) {
+      targetAt = submission.submittedAt;
+    }
+  }
+
+  // Completions recorded without a replayable submission still count
+  if (!targetAt && participant.completed) {
+    targetAt = participant.completedAt;
+  }
+
+  const scores = {
+    first_to_complete: { score: progress, reachedAt: progressAt },
+    highest_total: { score: total, reachedAt: totalAt },
+    best_single: { score: best, reachedAt: bestAt },
+  };
+
+  return { ...scores[challenge.winnerCriteria], completedAt: targetAt };
+};
+
+/**
+ * Rank a challenge's participants
+ * @param {object} challenge - Challenge with target, completionType, winnerCriteria and reward
+ * @param {Array<object>} participants - UserChallenge rows
+ * @param {Array<object>} submissions - Approved submissions with userId, value and submittedAt
+ * @returns {Array<object>} Placements, best first
+ */
+const buildStandings = (challenge, participants, submissions) => {
+  const byUser = new Map();
+  for (const submission of submissions) {
+    if (!byUser.has(submission.userId)) byUser.set(submission.userId, []);
+    byUser.get(submission.userId).push(submission);
+  }
+  for (const list of byUser.values()) {
+    list.sort((a, b) => compareTimes(a.submittedAt, b.submittedAt) || a.id.localeCompare(b.id));
+  }
+
+  const racing = challenge.winnerCriteria === 'first_to_complete';
+  const entries = participants.map((participant) => ({
+    userId: participant.userId,
+    progress: participant.progress,
+    joinedAt: participant.createdAt,
+    ...scoreParticipant(challenge, participant, byUser.get(participant.userId) || []),
+  }));
+
+  entries.sort((a, b) => {
+    if (racing && (a.completedAt || b.completedAt)) {
+      const finished = compareTimes(a.completedAt, b.completedAt);
+      if (!a.completedAt || !b.completedAt || finished !== 0) return finished;
+    }
+    return (b.score - a.score)
+      || compareTimes(a.reachedAt, b.reachedAt)
+      || compareTimes(a.joinedAt, b.joinedAt)
+      || a.userId.localeCompare(b.userId);
+  });
+
+  return entries.map((entry, index) => {
+    const rank = index + 1;
+    // A race is only won by finishing it; otherwise any score places
+    const placed = racing ? !!entry.completedAt : entry.score > 0;
+    const share = placed ? PLACEMENT_REWARD_SHARES[index] || 0 : 0;
+    return {
+      rank,
+      userId: entry.userId,
+      score: entry.score,
+      progress: entry.progress,
+      completed: !!entry.completedAt,
+      completedAt: entry.completedAt,
+      reachedAt: entry.reachedAt,
+      joinedAt: entry.joinedAt,
+      points: Math.round((challenge.reward || 0) * share),
+      winner: rank === 1 && placed,
+    };
+  });
+};
+
+/**
+ * Tell each participant where they finished. Claims the result first so a
+ * re-run never notifies anyone twice.
+ */
+const notifyPlacements = async (challenge, result) => {
+  const { count } = await prisma.challengeResult.updateMany({
+    where: { id: result.id, notifiedAt: null },
+    data: { notifiedAt: new Date() },
+  });
+  if (count === 0) return 0;
+
+  const data = { screen: 'ChallengeDetail', challengeId: challenge.id };
+  for (const placement of result.placements) {
+    let title = 'Challenge Results';
+    let message = `"${challenge.title}" has ended. You finished ${ordinal(placement.rank)} of ${result.participantCount}.`;
+    if (placement.winner) {
+      title = 'Challenge Won!';
+      message = `You won "${challenge.title}"! +${placement.points} points and the Challenge Master badge.`;
+    } else if (placement.points > 0) {
+      message = `You finished ${ordinal(placement.rank)} in "${challenge.title}"! +${placement.points} points.`;
+    }
+    await notifyUser(placement.userId, 'challenge_complete', title, message, data);
+  }
+
+  return result.placements.length;
+};
+
+/**
+ * Finalise a challenge: freeze the standings, award placements and notify
+ * participants
+ * @param {string} challengeId - Challenge ID
+ * @param {object} [options] - finalizedById when an admin closes it early
+ * @returns {Promise<object>} ChallengeResult, from this run or an earlier one
+ */
+const finalizeChallenge = async (challengeId, { finalizedById = null } = {}) => {
+  const challenge = await prisma.challenge.findUnique({ where: { id: challengeId }, include: { duel: { select: { id: true } } } });
+  if (!challenge) {
+    throw new AppError('Challenge not found', 404);
+  }
+  if (challenge.duel) {
+    throw new AppError('Duels are settled when their deadline passes', 400);
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.challenge.updateMany({
+      where: { id: challengeId, finalizedAt: null },
+      data: { finalizedAt: new Date(), isActive: false },
+    });
+    if (count === 0) return null;
+
+    const participants = await tx.userChallenge.findMany({
+      where: { challengeId, user: RANKED_USER_WHERE },
+    });
+    const submissions = await tx.challengeSubmission.findMany({
+      where: { challengeId, status: 'approved', userId: { in: participants.map((p) => p.userId) } },
+      select: { id: true, userId: true, value: true, submittedAt: true },
+    });
+    const placements = buildStandings(challenge, participants, submissions);
+    const winner = placements.find((placement) => placement.winner);
+
+    // Team names are copied in so the standings survive a team being renamed or disbanded
+    let teamPlacements = null;
+    if (challenge.teamMode) {
+      const teamIds = [...new Set(participants.map((p) => p.teamId).filter(Boolean))];
+      const teams = await tx.team.findMany({ where: { id: { in: teamIds } }, select: { id: true, name: true } });
+      const users = await tx.user.findMany({
+        where: { id: { in: participants.map((p) => p.userId) } },
+        select: { id: true, name: true },
+      });
+      teamPlacements = buildTeamStandings(
+        participants,
+        submissions,
+        new Map(teams.map((team) => [team.id, team])),
+        new Map(users.map((user) => [user.id, user])),
+      );
+    }
+
+    for (const placement of placements) {
+      if (placement.points > 0) {
+        await tx.user.update({
+          where: { id: placement.userId },
+          data: { totalPoints: { increment: placement.points } },
+        });
+      }
+    }
+
+    if (winner) {
+      const user = await tx.user.findUnique({ where: { id: winner.userId }, select: { accolades: true } });
+      if (!user.accolades.includes(WINNER_ACCOLADE)) {
+        await tx.user.update({
+          where: { id: winner.userId },
+          data: { accolades: [...user.accolades, WINNER_ACCOLADE] },
+        });
+      }
+    }
+
+    return tx.challengeResult.create({
+      data: {
+        challengeId,
+        winnerCriteria: challenge.winnerCriteria,
+        placements,
+        teamPlacements: teamPlacements ?? undefined,
+        winnerId: winner?.userId || null,
+        participantCount: placements.length,
+        finalizedById,
+      },
+    });
+  }, { timeout: 60000 });
+
+  if (created) {
+    console.log(`finalizeChallenge: "${challenge.title}" finalised with ${created.participantCount} participants, winner ${created.winnerId || 'none'}`);
+  }
+
+  // An earlier run may have stopped before notifying
+  const result = created || await prisma.challengeResult.findUnique({ where: { challengeId } });
+  if (result) {
+    await notifyPlacements(challenge, result);
+  }
+  return result;
+};
+
+/**
+ * Finalise every challenge past its end date, within the last
+ * AUTO_FINALIZE_MAX_AGE_DAYS. Waits for pending entries to be moderated, for
+ * up to PENDING_GRACE_HOURS.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Challenges finalised
+ */
+const finalizeEndedChallenges = async (now = new Date()) => {
+  const graceCutoff = new Date(now.getTime() - PENDING_GRACE_HOURS * 60 * 60 * 1000);
+  const oldestEnd = new Date(now.getTime() - AUTO_FINALIZE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+  const due = await prisma.challenge.findMany({
+    where: {
+      finalizedAt: null,
+      endDate: { gte: oldestEnd, lte: now },
+      duel: null,
+      OR: [
+        { endDate: { lte: graceCutoff } },
+        { challengeSubmissions: { none: { status: 'pending' } } },
+      ],
+    },
+    select: { id: true, title: true },
+    orderBy: { endDate: 'asc' },
+  });
+
+  let finalized = 0;
+  for (const challenge of due) {
+    try {
+      await finalizeChallenge(challenge.id);
+      finalized++;
+    } catch (error) {
+      console.error(`finalizeEndedChallenges: Failed to finalise "${challenge.title}":`, error);
+    }
+  }
+  return finalized;
+};
+
+/**
+ * Get a challenge's final standings with participant names
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise<object|null>} Result, or null if not finalised
+ */
+const getChallengeResult = async (challengeId) => {
+  const result = await prisma.challengeResult.findUnique({ where: { challengeId } });
+  if (!result) return null;
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: result.placements.map((placement) => placement.userId) } },
+    select: { id: true, name: true, username: true, profileImage: true },
+  });
+  const usersById = new Map(users.map((user) => [user.id, user]));
+
+  return {
+    challengeId: result.challengeId,
+    winnerCriteria: result.winnerCriteria,
+    winnerId: result.winnerId,
+    participantCount: result.participantCount,
+    finalizedAt: result.createdAt,
+    finalizedById: result.finalizedById,
+    placements: result.placements.map((placement) => {
+      const user = usersById.get(placement.userId);
+      return {
+        ...placement,
+        name: user?.name || null,
+        username: user?.username || null,
+        profileImage: user?.profileImage || null,
+      };
+    }),
+    teamPlacements: result.teamPlacements || null,
+  };
+};
+
+module.exports = {
+  PLACEMENT_REWARD_SHARES,
+  PENDING_GRACE_HOURS,
+  AUTO_FINALIZE_MAX_AGE_DAYS,
+  buildStandings,
+  finalizeChallenge,
+  finalizeEndedChallenges,
+  getChallengeResult,
+};
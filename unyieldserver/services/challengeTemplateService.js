@@ -0,0 +1,536 @@
+/**
+ * Challenge Template Service
+ * Saved challenge definitions that admins create challenges from, instead of
+ * rebuilding the same challenge by hand. A template can carry a recurrence
+ * rule, a small RRULE subset:
+ *
+ *   FREQ=WEEKLY;INTERVAL=1;BYDAY=MO     every Monday
+ *   FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=1 the 1st of every month
+ *
+ * startsAt plays the part of DTSTART: the first instance starts on the first
+ * matching day on or after it, at its time of day (UTC). Each instance runs
+ * for durationHours. The scheduler creates instances SCHEDULE_LEAD_HOURS
+ * before they start so people can join ahead. All challenges made from a
+ * template form its series, numbered by seriesIndex.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyNewChallenge } = require('./notificationService');
+
+const SCHEDULE_LEAD_HOURS = 24;
+const RRULE_FREQUENCIES = ['WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_INTERVAL = 12;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Copied from the template onto every instance
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'challengeType',
+  'exercises',
+  'customMetricName',
+  'metricType',
+  'target',
+  'regionScope',
+  'reward',
+  'requiresVideo',
+  'minVideoDuration',
+  'rules',
+  'completionType',
+  'winnerCriteria',
+  'maxParticipants',
+  'teamMode',
+];
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO" (an "RRULE:" prefix is allowed)
+ * @returns {{freq: string, interval: number, byDay: number|null, byMonthDay: number|null}}
+ */
+const parseRRule = (rrule) => {
+  const parts = {};
+  for (const part of String(rrule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      throw new AppError(`Invalid recurrence rule part: ${part}`, 400);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const unknown = Object.keys(parts).filter((key) => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY'].includes(key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unsupported recurrence rule parts: ${unknown.join(', ')}`, 400);
+  }
+
+  if (!RRULE_FREQUENCIES.includes(parts.FREQ)) {
+    throw new AppError(`FREQ must be one of: ${RRULE_FREQUENCIES.join(', ')}`, 400);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new AppError(`INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}`, 400);
+  }
+
+  let byDay = null;
+  if (parts.BYDAY !== undefined) {
+    if (parts.FREQ !== 'WEEKLY' || !WEEKDAYS.includes(parts.BYDAY)) {
+      throw new AppError(`BYDAY must be one of ${WEEKDAYS.join(', ')}, on weekly rules only`, 400);
+    }
+    byDay = WEEKDAYS.indexOf(parts.BYDAY);
+  }
+
+  // Every month has a 28th, so instances never skip a short month
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY !== undefined) {
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (parts.FREQ !== 'MONTHLY' || !Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 28) {
+      throw new AppError('BYMONTHDAY must be from 1 to 28, on monthly rules only', 400);
+    }
+  }
+
+  return { freq: parts.FREQ, interval, byDay, byMonthDay };
+};
+
+/**
+ * Canonical string for a parsed rule
+ */
+const formatRRule = ({ freq, interval, byDay, byMonthDay }) => [
+  `FREQ=${freq}`,
+  `INTERVAL=${interval}`,
+  byDay !== null ? `BYDAY=${WEEKDAYS[byDay]}` : null,
+  byMonthDay !== null ? `BYMONTHDAY=${byMonthDay}` : null,
+].filter(Boolean).join(';');
+
+/**
+ * Start of the first instance: the first matching day on or after startsAt
+ */
+const firstOccurrence = (rule, startsAt) => {
+  const first = new Date(startsAt);
+  if (rule.freq === 'WEEKLY') {
+    const day = rule.byDay ?? first.getUTCDay();
+    first.setUTCDate(first.getUTCDate() + ((day - first.getUTCDay() + 7) % 7));
+    return first;
+  }
+
+  const monthDay = rule.byMonthDay ?? first.getUTCDate();
+  if (monthDay < first.getUTCDate()) {
+    first.setUTCMonth(first.getUTCMonth() + 1, monthDay);
+  } else {
+    first.setUTCDate(monthDay);
+  }
+  return first;
+};
+
+/**
+ * Start of the instance after the one starting at `start`
+ */
+const nextOccurrence = (rule, start) => {
+  const next = new Date(start);
+  if (rule.freq === 'WEEKLY') {
+    next.setUTCDate(next.getUTCDate() + 7 * rule.interval);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + rule.interval);
+  }
+  return next;
+};
+
+/**
+ * Shortest gap between two instances of a rule, in hours
+ */
+const periodHours = (rule) => (rule.freq === 'WEEKLY' ? 7 * 24 : 28 * 24) * rule.interval;
+
+const ordinal = (n) => {
+  const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+};
+
+/**
+ * Human-readable recurrence, e.g. "Every 2 weeks on Monday"
+ * @param {object} template - Template with rrule and startsAt
+ * @returns {string|null}
+ */
+const describeRecurrence = (template) => {
+  if (!template.rrule) return null;
+  const rule = parseRRule(template.rrule);
+  const first = firstOccurrence(rule, template.startsAt || new Date());
+
+  if (rule.freq === 'WEEKLY') {
+    const day = WEEKDAY_NAMES[first.getUTCDay()];
+    return rule.interval === 1 ? `Every ${day}` : `Every ${rule.interval} weeks on ${day}`;
+  }
+  const day = ordinal(first.getUTCDate());
+  return rule.interval === 1 ? `Monthly on the ${day}` : `Every ${rule.interval} months on the ${day}`;
+};
+
+/**
+ * Validate admin input for a template
+ * @param {object} body - Request body
+ * @param {object} [existing] - Template being updated; only fields present in body are changed
+ * @returns {object} Prisma data
+ */
+const normalizeTemplateInput = (body = {}, existing = null) => {
+  const data = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  for (const field of ['rrule', 'startsAt', 'durationHours', 'isActive']) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  const merged = { ...(existing || {}), ...data };
+
+  if (!existing && (!merged.title || !merged.description || !merged.target)) {
+    throw new AppError('Missing required fields', 400);
+  }
+  if (merged.target !== undefined && (!Number.isInteger(Number(merged.target)) || Number(merged.target) <= 0)) {
+    throw new AppError('target must be a positive whole number', 400);
+  }
+  if ((merged.challengeType || 'exercise') === 'exercise' && (!merged.exercises || merged.exercises.length === 0)) {
+    throw new AppError('Exercise-based challenges require at least one exercise', 400);
+  }
+  if (merged.challengeType === 'custom' && !merged.customMetricName) {
+    throw new AppError('Custom challenges require a metric name', 400);
+  }
+
+  if (data.target !== undefined) data.target = Number(data.target);
+  if (data.regionScope !== undefined) data.regionScope = String(data.regionScope).toLowerCase();
+  if (data.teamMode !== undefined) data.teamMode = !!data.teamMode;
+  if (data.isActive !== undefined) data.isActive = !!data.isActive;
+  if (data.challengeType !== undefined) {
+    if (data.challengeType !== 'exercise') data.exercises = [];
+    if (data.challengeType !== 'custom') data.customMetricName = '';
+  }
+
+  const durationHours = Number(merged.durationHours ?? 168);
+  if (!Number.isInteger(durationHours) || durationHours < 1) {
+    throw new AppError('durationHours must be a whole number of hours', 400);
+  }
+  if (data.durationHours !== undefined) data.durationHours = durationHours;
+
+  if (data.rrule === '' || data.rrule === null) {
+    data.rrule = null;
+  } else if (merged.rrule) {
+    const rule = parseRRule(merged.rrule);
+    if (data.rrule !== undefined) data.rrule = formatRRule(rule);
+
+    if (!merged.startsAt || Number.isNaN(new Date(merged.startsAt).getTime())) {
+      throw new AppError('Recurring templates need a valid startsAt', 400);
+    }
+    if (data.startsAt !== undefined) data.startsAt = new Date(data.startsAt);
+
+    const startsAt = new Date(merged.startsAt);
+    if (rule.freq === 'MONTHLY' && rule.byMonthDay === null && startsAt.getUTCDate() > 28) {
+      throw new AppError('Monthly series need BYMONTHDAY or a start on the 1st to 28th', 400);
+    }
+    if (durationHours > periodHours(rule)) {
+      throw new AppError('Each instance must end before the next one starts', 400);
+    }
+  }
+
+  return data;
+};
+
+/**
+ * When the scheduler should next create an instance. A new template also
+ * picks up an occurrence that has already started; a changed schedule only
+ * looks ahead, so it can't repeat an instance that is already running.
+ */
+const scheduleFrom = (template, { includeRunning = false } = {}) => {
+  if (!template.rrule || !template.startsAt) return null;
+  const rule = parseRRule(template.rrule);
+  const now = Date.now();
+  const cutoff = includeRunning ? now - template.durationHours * HOUR_MS : now;
+
+  let start = firstOccurrence(rule, template.startsAt);
+  while (start.getTime() <= cutoff) {
+    start = nextOccurrence(rule, start);
+  }
+  return start;
+};
+
+const formatTemplate = (template) => ({
+  ...template,
+  recurrence: describeRecurrence(template),
+});
+
+/**
+ * Create a template. Recurring templates get their first instance straight
+ * away if it is due.
+ * @param {object} body - Template fields
+ * @param {string} userId - Admin creating it
+ * @returns {Promise<object>} Template
+ */
+const createTemplate = async (body, userId) => {
+  const data = normalizeTemplateInput(body);
+  let template = await prisma.challengeTemplate.create({
+    data: { ...data, createdById: userId },
+  });
+
+  const nextStartAt = scheduleFrom(template, { includeRunning: true });
+  if (nextStartAt) {
+    template = await prisma.challengeTemplate.update({ where: { id: template.id }, data: { nextStartAt } });
+    await runTemplate(template);
+    template = await prisma.challengeTemplate.findUnique({ where: { id: template.id } });
+  }
+
+  return formatTemplate(template);
+};
+
+/**
+ * Update a template. Changes apply to instances created from now on; a
+ * changed recurrence restarts the schedule from its next occurrence.
+ * @param {string} templateId - Template ID
+ * @param {object} body - Fields to change
+ * @returns {Promise<object>} Template
+ */
+const updateTemplate = async (templateId, body) => {
+  const existing = await prisma.challengeTemplate.findUnique({ where: { id: templateId } });
+  if (!existing) {
+    throw new AppError('Template not found', 404);
+  }
+
+  const data = normalizeTemplateInput(body, existing);
+  if (['rrule', 'startsAt', 'isActive'].some((field) => field in data)) {
+    data.nextStartAt = scheduleFrom({ ...existing, ...data });
+  }
+
+  const template = await prisma.challengeTemplate.update({ where: { id: templateId }, data });
+  return formatTemplate(template);
+};
+
+/**
+ * Create one instance of a template. Call inside a transaction.
+ * @returns {Promise<object>} Challenge
+ */
+const createInstance = async (tx, template, startDate, createdById) => {
+  const { instanceCount } = await tx.challengeTemplate.update({
+    where: { id: template.id },
+    data: { instanceCount: { increment: 1 } },
+  });
+
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) fields[field] = template[field];
+
+  return tx.challenge.create({
+    data: {
+      ...fields,
+      startDate,
+      endDate: new Date(startDate.getTime() + template.durationHours * HOUR_MS),
+      templateId: template.id,
+      seriesIndex: instanceCount,
+      createdById: createdById ?? template.createdById,
+      isActive: true,
+    },
+  });
+};
+
+/**
+ * Create an instance of a template now, outside its schedule
+ * @param {string} templateId - Template ID
+ * @param {object} options - { startDate (default now), createdById }
+ * @returns {Promise<object>} Challenge
+ */
+const instantiateTemplate = async (templateId, { startDate, createdById } = {}) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  if (Number.isNaN(start.getTime())) {
+    throw new AppError('Invalid startDate', 400);
+  }
+
+  const challenge = await prisma.$transaction(async (tx) => {
+    const template = await tx.challengeTemplate.findUnique({ where: { id: templateId } });
+    if (!template) {
+      throw new AppError('Template not found', 404);
+    }
+    return createInstance(tx, template, start, createdById);
+  });
+
+  await notifyNewChallenge(challenge);
+  return challenge;
+};
+
+/**
+ * Create the template's next scheduled instance if it is due. Occurrences
+ * that were missed entirely (e.g. the server was down) are skipped rather
+ * than created already over.
+ * @param {object} template - Template with nextStartAt
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} The challenge created, if any
+ */
+const runTemplate = async (template, now = new Date()) => {
+  const rule = parseRRule(template.rrule);
+  const durationMs = template.durationHours * HOUR_MS;
+
+  let start = new Date(template.nextStartAt);
+  while (start.getTime() + durationMs <= now.getTime()) {
+    start = nextOccurrence(rule, start);
+  }
+  const due = start.getTime() <= now.getTime() + SCHEDULE_LEAD_HOURS * HOUR_MS;
+
+  const challenge = await prisma.$transaction(async (tx) => {
+    // Claim this occurrence so two schedulers can't both create it
+    const { count } = await tx.challengeTemplate.updateMany({
+      where: { id: template.id, isActive: true, nextStartAt: template.nextStartAt },
+      data: { nextStartAt: due ? nextOccurrence(rule, start) : start },
+    });
+    if (count === 0 || !due) return null;
+
+    return createInstance(tx, template, start);
+  });
+
+  if (challenge) {
+    await notifyNewChallenge(challenge);
+  }
+  return challenge;
+};
+
+/**
+ * Create every scheduled instance that is due
+ * @param {Date} [now]
+ * @returns {Promise<number>} Challenges created
+ */
+const runDueTemplates = async (now = new Date()) => {
+  const templates = await prisma.challengeTemplate.findMany({
+    where: {
+      isActive: true,
+      rrule: { not: null },
+      nextStartAt: { lte: new Date(now.getTime() + SCHEDULE_LEAD_HOURS * HOUR_MS) },
+    },
+    orderBy: { nextStartAt: 'asc' },
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      if (await runTemplate(template, now)) created++;
+    } catch (error) {
+      console.error(`runDueTemplates: Failed to run template ${template.id}:`, error);
+    }
+  }
+  return created;
+};
+
+const instanceStatus = (challenge, now) => {
+  if (challenge.finalizedAt) return 'finalized';
+  if (new Date(challenge.startDate) > now) return 'upcoming';
+  if (new Date(challenge.endDate) > now) return 'active';
+  return 'ended';
+};
+
+/**
+ * A template's series: its instances, and a user's entries across all of them
+ * @param {string} templateId - Template ID
+ * @param {string} [userId] - Viewer, for their history
+ * @returns {Promise<object>} { series, instances, history, summary }
+ */
+const getSeries = async (templateId, userId) => {
+  const template = await prisma.challengeTemplate.findUnique({ where: { id: templateId } });
+  if (!template) {
+    throw new AppError('Series not found', 404);
+  }
+
+  const now = new Date();
+  const instances = await prisma.challenge.findMany({
+    where: {
+      templateId,
+      OR: [{ isActive: true }, { finalizedAt: { not: null } }],
+    },
+    include: {
+      result: { select: { placements: true, winnerId: true, participantCount: true } },
+      _count: { select: { userChallenges: true } },
+    },
+    orderBy: { seriesIndex: 'desc' },
+  });
+
+  const winnerIds = [...new Set(instances.map((c) => c.result?.winnerId).filter(Boolean))];
+  const winners = winnerIds.length > 0
+    ? await prisma.user.findMany({ where: { id: { in: winnerIds } }, select: { id: true, name: true, username: true } })
+    : [];
+  const winnersById = new Map(winners.map((w) => [w.id, w]));
+
+  const entries = userId
+    ? await prisma.userChallenge.findMany({
+      where: { userId, challengeId: { in: instances.map((c) => c.id) } },
+    })
+    : [];
+  const entriesByChallenge = new Map(entries.map((e) => [e.challengeId, e]));
+
+  const history = [];
+  const summary = { entered: 0, completed: 0, wins: 0, bestRank: null, points: 0 };
+
+  for (const challenge of instances) {
+    const entry = entriesByChallenge.get(challenge.id);
+    if (!entry) continue;
+
+    const placement = (challenge.result?.placements || []).find((p) => p.userId === userId) || null;
+    history.push({
+      challengeId: challenge.id,
+      seriesIndex: challenge.seriesIndex,
+      startDate: challenge.startDate,
+      endDate: challenge.endDate,
+      status: instanceStatus(challenge, now),
+      progress: entry.progress,
+      completed: entry.completed,
+      rank: placement?.rank ?? null,
+      score: placement?.score ?? null,
+      points: placement?.points ?? 0,
+    });
+
+    summary.entered++;
+    if (entry.completed) summary.completed++;
+    if (placement?.rank === 1) summary.wins++;
+    if (placement && (summary.bestRank === null || placement.rank < summary.bestRank)) summary.bestRank = placement.rank;
+    summary.points += placement?.points || 0;
+  }
+
+  return {
+    series: {
+      id: template.id,
+      title: template.title,
+      description: template.description,
+      challengeType: template.challengeType,
+      exercises: template.exercises,
+      metricType: template.metricType,
+      target: template.target,
+      recurrence: describeRecurrence(template),
+      durationHours: template.durationHours,
+      nextStartAt: template.isActive ? template.nextStartAt : null,
+      isActive: template.isActive,
+    },
+    instances: instances.map((challenge) => {
+      const winner = winnersById.get(challenge.result?.winnerId);
+      return {
+        id: challenge.id,
+        title: challenge.title,
+        seriesIndex: challenge.seriesIndex,
+        startDate: challenge.startDate,
+        endDate: challenge.endDate,
+        status: instanceStatus(challenge, now),
+        participantCount: challenge.result?.participantCount ?? challenge._count.userChallenges,
+        winner: winner ? { id: winner.id, name: winner.name, username: winner.username } : null,
+        joined: entriesByChallenge.has(challenge.id),
+      };
+    }),
+    history: userId ? history : null,
+    summary: userId ? summary : null,
+  };
+};
+
+module.exports = {
+  SCHEDULE_LEAD_HOURS,
+  parseRRule,
+  formatRRule,
+  firstOccurrence,
+  nextOccurrence,
+  describeRecurrence,
+  normalizeTemplateInput,
+  formatTemplate,
+  createTemplate,
+  updateTemplate,
+  instantiateTemplate,
+  runTemplate,
+  runDueTemplates,
+  getSeries,
+};
@@ -0,0 +1,235 @@
+/**
+ * Challenge Waitlist Service
+ * Joining and leaving challenges that have a participant cap
+ * (maxParticipants, 0 for no cap). Joins and leaves lock the challenge row
+ * for the length of their transaction, so two people can never take the last
+ * place. Once a challenge is full, joining puts the user on a waitlist; when
+ * a place opens up the longest-waiting user gets it and is notified.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyUser } = require('./notificationService');
+const { getMembership } = require('./teamService');
+
+const WAITLIST_ORDER = [{ createdAt: 'asc' }, { id: 'asc' }];
+
+/**
+ * Lock a challenge row until the transaction ends. Returns the challenge as
+ * it is now, so the cap read after this can't change underneath us.
+ */
+const lockChallenge = async (tx, challengeId) => {
+  await tx.$queryRaw`SELECT id FROM "Challenge" WHERE id = ${challengeId} FOR UPDATE`;
+  const challenge = await tx.challenge.findUnique({ where: { id: challengeId } });
+  if (!challenge) {
+    throw new AppError('Challenge not found', 404);
+  }
+  return challenge;
+};
+
+const isOpen = (challenge) => challenge.isActive
+  && !challenge.finalizedAt
+  && new Date(challenge.endDate) > new Date();
+
+/**
+ * 1-based place in the queue of a waitlist entry
+ */
+const getWaitlistPosition = async (entry, tx = prisma) => {
+  const ahead = await tx.challengeWaitlistEntry.count({
+    where: {
+      challengeId: entry.challengeId,
+      OR: [
+        { createdAt: { lt: entry.createdAt } },
+        { createdAt: entry.createdAt, id: { lt: entry.id } },
+      ],
+    },
+  });
+  return ahead + 1;
+};
+
+/**
+ * Move users off the waitlist into any open places. Call with the challenge
+ * locked.
+ * @returns {Promise<string[]>} IDs of the users who got a place
+ */
+const fillOpenPlaces = async (tx, challenge) => {
+  if (!isOpen(challenge)) return [];
+
+  let openPlaces;
+  if (challenge.maxParticipants > 0) {
+    const participantCount = await tx.userChallenge.count({ where: { challengeId: challenge.id } });
+    openPlaces = challenge.maxParticipants - participantCount;
+    if (openPlaces <= 0) return [];
+  }
+
+  const promoted = [];
+  while (openPlaces === undefined || promoted.length < openPlaces) {
+    const next = await tx.challengeWaitlistEntry.findMany({
+      where: { challengeId: challenge.id },
+      orderBy: WAITLIST_ORDER,
+      take: openPlaces === undefined ? undefined : openPlaces - promoted.length,
+    });
+    if (next.length === 0) break;
+
+    // Team entries go to the team each user is on when they get the place.
+    // Anyone who has since left their team can't enter, so they lose their
+    // spot and the next in line is tried.
+    let eligible = next;
+    const teamIds = new Map();
+    if (challenge.teamMode) {
+      const memberships = await tx.teamMember.findMany({ where: { userId: { in: next.map((entry) => entry.userId) } } });
+      memberships.forEach((membership) => teamIds.set(membership.userId, membership.teamId));
+      eligible = next.filter((entry) => teamIds.has(entry.userId));
+    }
+
+    await tx.userChallenge.createMany({
+      data: eligible.map((entry) => ({
+        userId: entry.userId,
+        challengeId: challenge.id,
+        teamId: teamIds.get(entry.userId) || null,
+        progress: 0,
+        completed: false,
+      })),
+      skipDuplicates: true,
+    });
+    await tx.challengeWaitlistEntry.deleteMany({ where: { id: { in: next.map((entry) => entry.id) } } });
+
+    promoted.push(...eligible.map((entry) => entry.userId));
+  }
+
+  return promoted;
+};
+
+const notifyPromoted = async (challenge, userIds) => {
+  for (const userId of userIds) {
+    await notifyUser(userId, 'challenge_joined', "You're In!", `A place opened up in "${challenge.title}" and you've been moved off the waitlist. Good luck!`, {
+      screen: 'ChallengeDetail',
+      challengeId: challenge.id,
+    });
+  }
+};
+
+/**
+ * Join a challenge, or its waitlist if it is full. Anyone already waiting
+ * keeps their place ahead of new joiners.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User joining
+ * @returns {Promise<object>} waitlisted, and either userProgress or waitlistPosition
+ */
+const joinChallenge = async (challengeId, userId) => {
+  let promoted = [];
+  const joined = await prisma.$transaction(async (tx) => {
+    const challenge = await lockChallenge(tx, challengeId);
+    const key = { userId_challengeId: { userId, challengeId } };
+
+    if (await tx.userChallenge.findUnique({ where: key })) {
+      throw new AppError('You have already joined this challenge', 400);
+    }
+    if (await tx.challengeWaitlistEntry.findUnique({ where: key })) {
+      throw new AppError('You are already on the waitlist for this challenge', 400);
+    }
+
+    let teamId = null;
+    if (challenge.teamMode) {
+      const membership = await getMembership(userId, tx);
+      if (!membership) {
+        throw new AppError('Join a team to enter this team challenge', 400);
+      }
+      teamId = membership.teamId;
+    }
+
+    if (challenge.maxParticipants > 0) {
+      const waiting = await tx.challengeWaitlistEntry.count({ where: { challengeId } });
+      const participantCount = await tx.userChallenge.count({ where: { challengeId } });
+
+      if (waiting > 0 || participantCount >= challenge.maxParticipants) {
+        const entry = await tx.challengeWaitlistEntry.create({ data: { userId, challengeId } });
+        promoted = await fillOpenPlaces(tx, challenge);
+        if (!promoted.includes(userId)) {
+          return { challenge, waitlisted: true, waitlistPosition: await getWaitlistPosition(entry, tx) };
+        }
+        promoted = promoted.filter((id) => id !== userId);
+        return { challenge, waitlisted: false, userProgress: await tx.userChallenge.findUnique({ where: key }) };
+      }
+    }
+
+    const userProgress = await tx.userChallenge.create({
+      data: { userId, challengeId, teamId, progress: 0, completed: false },
+    });
+    return { challenge, waitlisted: false, userProgress };
+  });
+
+  await notifyPromoted(joined.challenge, promoted);
+  return joined;
+};
+
+/**
+ * Leave a challenge or its waitlist. A place given up goes to the next user
+ * waiting.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User leaving
+ * @returns {Promise<{waitlisted: boolean, promoted: string[]}>} whether it was
+ *   the waitlist that was left, and who got the place
+ */
+const leaveChallenge = async (challengeId, userId) => {
+  const left = await prisma.$transaction(async (tx) => {
+    const challenge = await lockChallenge(tx, challengeId);
+
+    const { count: waitlistCount } = await tx.challengeWaitlistEntry.deleteMany({ where: { userId, challengeId } });
+    if (waitlistCount > 0) {
+      return { challenge, waitlisted: true, promoted: [] };
+    }
+
+    const { count } = await tx.userChallenge.deleteMany({ where: { userId, challengeId } });
+    if (count === 0) {
+      throw new AppError('You have not joined this challenge', 400);
+    }
+
+    return { challenge, waitlisted: false, promoted: await fillOpenPlaces(tx, challenge) };
+  });
+
+  await notifyPromoted(left.challenge, left.promoted);
+  return { waitlisted: left.waitlisted, promoted: left.promoted };
+};
+
+/**
+ * Fill any open places from the waitlist, e.g. after the cap is raised
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise<string[]>} IDs of the users who got a place
+ */
+const promoteWaitlist = async (challengeId) => {
+  const { challenge, promoted } = await prisma.$transaction(async (tx) => {
+    const locked = await lockChallenge(tx, challengeId);
+    return { challenge: locked, promoted: await fillOpenPlaces(tx, locked) };
+  });
+
+  await notifyPromoted(challenge, promoted);
+  return promoted;
+};
+
+/**
+ * A user's place on the waitlists of several challenges
+ * @param {string} userId - User ID
+ * @param {string[]} challengeIds - Challenges to check
+ * @returns {Promise<Map<string, number>>} challengeId -> position
+ */
+const getWaitlistPositions = async (userId, challengeIds) => {
+  const entries = await prisma.challengeWaitlistEntry.findMany({
+    where: { userId, challengeId: { in: challengeIds } },
+  });
+
+  const positions = new Map();
+  for (const entry of entries) {
+    positions.set(entry.challengeId, await getWaitlistPosition(entry));
+  }
+  return positions;
+};
+
+module.exports = {
+  WAITLIST_ORDER,
+  joinChallenge,
+  leaveChallenge,
+  promoteWaitlist,
+  getWaitlistPosition,
+  getWaitlistPositions,
+};
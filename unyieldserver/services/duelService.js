@@ -0,0 +1,440 @@
+/**
+ * Duel Service
+ * Head-to-head duels between two users. The challenger picks an exercise,
+ * a metric, a deadline and whether video is required; the opponent accepts
+ * or declines. Accepting creates a private two-person challenge, so both
+ * sides submit and get verified exactly like any other challenge entry.
+ *
+ * At the deadline the best approved entry on each side decides the duel and
+ * both duel ratings move by Elo. Like challenge finalisation, settling waits
+ * for pending entries to be moderated, for up to PENDING_GRACE_HOURS.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyUser } = require('./notificationService');
+const { findExercise } = require('./exerciseService');
+const { PENDING_GRACE_HOURS } = require('./challengeResultService');
+
+const DUEL_K_FACTOR = 32;
+const DUEL_METRICS = ['reps', 'weight', 'duration'];
+const MIN_DUEL_HOURS = 1;
+const MAX_DUEL_DAYS = 30;
+const OPEN_STATUSES = ['pending', 'active'];
+
+const DUELIST_SELECT = { id: true, name: true, username: true, profileImage: true, duelRating: true };
+
+const METRIC_LABELS = { reps: 'reps', weight: 'weight', duration: 'time' };
+
+/**
+ * Elo rating change for player A after a game against B
+ * @param {number} ratingA - A's rating before the duel
+ * @param {number} ratingB - B's rating before the duel
+ * @param {number} scoreA - 1 for a win, 0.5 for a draw, 0 for a loss
+ * @returns {number} Whole-point change for A; B's change is the negative
+ */
+const calculateEloChange = (ratingA, ratingB, scoreA) => {
+  const expectedA = 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+  return Math.round(DUEL_K_FACTOR * (scoreA - expectedA));
+};
+
+/**
+ * A user's duel record as shown on their profile
+ */
+const formatDuelRecord = (user) => ({
+  rating: user.duelRating ?? 1200,
+  wins: user.duelWins || 0,
+  losses: user.duelLosses || 0,
+  draws: user.duelDraws || 0,
+});
+
+const formatDuel = (duel) => ({
+  id: duel.id,
+  status: duel.status,
+  exercise: duel.exercise,
+  metricType: duel.metricType,
+  requiresVideo: duel.requiresVideo,
+  deadline: duel.deadline,
+  challenger: duel.challenger,
+  opponent: duel.opponent,
+  challenge: duel.challenge
+    ? {
+      id: duel.challenge.id,
+      title: duel.challenge.title,
+      challengeType: duel.challenge.challengeType,
+      exercises: duel.challenge.exercises,
+      metricType: duel.challenge.metricType,
+      target: duel.challenge.target,
+      endDate: duel.challenge.endDate,
+      requiresVideo: duel.challenge.requiresVideo,
+      minVideoDuration: duel.challenge.minVideoDuration,
+    }
+    : null,
+  challengerScore: duel.challengerScore,
+  opponentScore: duel.opponentScore,
+  winnerId: duel.winnerId,
+  challengerRatingChange: duel.challengerRatingChange,
+  opponentRatingChange: duel.opponentRatingChange,
+  respondedAt: duel.respondedAt,
+  settledAt: duel.settledAt,
+  createdAt: duel.createdAt,
+});
+
+const DUEL_INCLUDE = {
+  challenger: { select: DUELIST_SELECT },
+  opponent: { select: DUELIST_SELECT },
+  challenge: true,
+};
+
+/**
+ * Get a duel. Only the two duelists can see it.
+ * @param {string} duelId - Duel ID
+ * @param {string} userId - Viewer
+ * @returns {Promise<object>}
+ */
+const getDuel = async (duelId, userId) => {
+  const duel = await prisma.duel.findUnique({ where: { id: duelId }, include: DUEL_INCLUDE });
+  if (!duel || (duel.challengerId !== userId && duel.opponentId !== userId)) {
+    throw new AppError('Duel not found', 404);
+  }
+  return formatDuel(duel);
+};
+
+/**
+ * List a user's duels, newest first
+ * @param {string} userId - User ID
+ * @param {object} [options] - status: 'open' for pending and active, 'history' for the rest
+ * @returns {Promise<Array<object>>}
+ */
+const listDuels = async (userId, { status } = {}) => {
+  const where = { OR: [{ challengerId: userId }, { opponentId: userId }] };
+  if (status === 'open') {
+    where.status = { in: OPEN_STATUSES };
+  } else if (status === 'history') {
+    where.status = { notIn: OPEN_STATUSES };
+  }
+
+  const duels = await prisma.duel.findMany({
+    where,
+    include: DUEL_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+    take: 50,
+  });
+  return duels.map(formatDuel);
+};
+
+/**
+ * Challenge another user to a duel
+ * @param {string} challengerId - User issuing the challenge
+ * @param {object} input - opponentId or opponentUsername, exercise, metricType, deadline, requiresVideo
+ * @returns {Promise<object>} Duel
+ */
+const createDuel = async (challengerId, {
+  opponentId,
+  opponentUsername,
+  exercise,
+  metricType = 'reps',
+  deadline,
+  requiresVideo = true,
+}) => {
+  if (!DUEL_METRICS.includes(metricType)) {
+    throw new AppError(`metricType must be one of: ${DUEL_METRICS.join(', ')}`, 400);
+  }
+
+  const catalogExercise = exercise ? await findExercise(exercise) : null;
+  if (!catalogExercise || catalogExercise.isActive === false) {
+    throw new AppError('Pick an exercise from the catalog', 400);
+  }
+
+  const deadlineDate = new Date(deadline);
+  const now = Date.now();
+  if (Number.isNaN(deadlineDate.getTime())
+    || deadlineDate.getTime() < now + MIN_DUEL_HOURS * 60 * 60 * 1000
+    || deadlineDate.getTime() > now + MAX_DUEL_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(`The deadline must be between ${MIN_DUEL_HOURS} hour and ${MAX_DUEL_DAYS} days away`, 400);
+  }
+
+  const [challenger, opponent] = await Promise.all([
+    prisma.user.findUnique({ where: { id: challengerId }, select: { id: true, name: true, provider: true } }),
+    opponentId
+      ? prisma.user.findUnique({ where: { id: opponentId }, select: { id: true, provider: true } })
+      : prisma.user.findUnique({ where: { username: String(opponentUsername || '').trim() }, select: { id: true, provider: true } }),
+  ]);
+  if (!opponent) {
+    throw new AppError('User not found', 404);
+  }
+  if (opponent.id === challengerId) {
+    throw new AppError('You can\'t duel yourself', 400);
+  }
+  if (challenger.provider === 'anonymous' || opponent.provider === 'anonymous') {
+    throw new AppError('Duels are for registered users only', 403);
+  }
+
+  const open = await prisma.duel.findFirst({
+    where: {
+      status: { in: OPEN_STATUSES },
+      OR: [
+        { challengerId, opponentId: opponent.id },
+        { challengerId: opponent.id, opponentId: challengerId },
+      ],
+    },
+  });
+  if (open) {
+    throw new AppError('You already have an open duel with this user', 409);
+  }
+
+  const duel = await prisma.duel.create({
+    data: {
+      challengerId,
+      opponentId: opponent.id,
+      exercise: catalogExercise.id,
+      metricType,
+      requiresVideo: !!requiresVideo,
+      deadline: deadlineDate,
+    },
+    include: DUEL_INCLUDE,
+  });
+
+  await notifyUser(opponent.id, 'duel_challenge', 'Duel Challenge', `${challenger.name} challenged you to a ${catalogExercise.name} duel. Do you accept?`, {
+    screen: 'Compete',
+    filter: 'duels',
+    duelId: duel.id,
+  });
+
+  return formatDuel(duel);
+};
+
+/**
+ * Accept or decline a duel. Accepting sets up the private challenge both
+ * sides submit their entries to.
+ * @param {string} duelId - Duel ID
+ * @param {string} userId - The opponent
+ * @param {boolean} accept - true to accept
+ * @returns {Promise<object>} Duel
+ */
+const respondToDuel = async (duelId, userId, accept) => {
+  const duel = await prisma.duel.findUnique({ where: { id: duelId }, include: DUEL_INCLUDE });
+  if (!duel || duel.opponentId !== userId) {
+    throw new AppError('Duel not found', 404);
+  }
+  const exercise = await findExercise(duel.exercise);
+
+  await prisma.$transaction(async (tx) => {
+    const now = new Date();
+    const { count } = await tx.duel.updateMany({
+      where: { id: duelId, status: 'pending', deadline: { gt: now } },
+      data: { status: accept ? 'active' : 'declined', respondedAt: now },
+    });
+    if (count === 0) {
+      throw new AppError('This duel can no longer be answered', 409);
+    }
+    if (!accept) return;
+
+    const challenge = await tx.challenge.create({
+      data: {
+        title: `${duel.challenger.name} vs ${duel.opponent.name}`,
+        description: `Duel: best single ${exercise?.name || duel.exercise} entry by ${METRIC_LABELS[duel.metricType]} wins.`,
+        challengeType: 'exercise',
+        exercises: [duel.exercise],
+        metricType: duel.metricType,
+        target: 1,
+        startDate: now,
+        endDate: duel.deadline,
+        reward: 0,
+        requiresVideo: duel.requiresVideo,
+        completionType: 'best_effort',
+        winnerCriteria: 'best_single',
+        maxParticipants: 2,
+        createdById: duel.challengerId,
+      },
+    });
+    await tx.userChallenge.createMany({
+      data: [duel.challengerId, duel.opponentId].map((id) => ({ userId: id, challengeId: challenge.id, progress: 0, completed: false })),
+    });
+    await tx.duel.update({ where: { id: duelId }, data: { challengeId: challenge.id } });
+  });
+
+  await notifyUser(
+    duel.challengerId,
+    'duel_challenge',
+    accept ? 'Duel Accepted' : 'Duel Declined',
+    accept
+      ? `${duel.opponent.name} accepted your duel. Get your entry in before the deadline!`
+      : `${duel.opponent.name} declined your duel.`,
+    { screen: 'Compete', filter: 'duels', duelId },
+  );
+
+  return getDuel(duelId, userId);
+};
+
+/**
+ * Withdraw a duel the opponent hasn't answered yet
+ * @param {string} duelId - Duel ID
+ * @param {string} userId - The challenger
+ */
+const cancelDuel = async (duelId, userId) => {
+  const duel = await prisma.duel.findUnique({ where: { id: duelId } });
+  if (!duel || duel.challengerId !== userId) {
+    throw new AppError('Duel not found', 404);
+  }
+
+  const { count } = await prisma.duel.updateMany({
+    where: { id: duelId, status: 'pending' },
+    data: { status: 'cancelled' },
+  });
+  if (count === 0) {
+    throw new AppError('Only duels that haven\'t been answered can be cancelled', 409);
+  }
+};
+
+/**
+ * Settle an accepted duel: close its challenge, compare the best approved
+ * entries and update both records. Settling twice is harmless.
+ * @param {string} duelId - Duel ID
+ * @returns {Promise<object|null>} The settled duel, or null if it was already settled
+ */
+const settleDuel = async (duelId) => {
+  const settled = await prisma.$transaction(async (tx) => {
+    const duel = await tx.duel.findUnique({ where: { id: duelId } });
+    const now = new Date();
+
+    const { count } = await tx.duel.updateMany({
+      where: { id: duelId, status: 'active' },
+      data: { status: 'completed', settledAt: now },
+    });
+    if (count === 0) return null;
+
+    const best = new Map();
+    if (duel.challengeId) {
+      await tx.challenge.update({
+        where: { id: duel.challengeId },
+        data: { finalizedAt: now, isActive: false },
+      });
+      const approved = await tx.challengeSubmission.findMany({
+        where: { challengeId: duel.challengeId, status: 'approved' },
+        select: { userId: true, value: true },
+      });
+      for (const submission of approved) {
+        best.set(submission.userId, Math.max(best.get(submission.userId) ?? 0, submission.value));
+      }
+    }
+
+    const challengerScore = best.get(duel.challengerId) ?? null;
+    const opponentScore = best.get(duel.opponentId) ?? null;
+
+    // Nobody showed up: no result, no rating change
+    if (challengerScore === null && opponentScore === null) {
+      return tx.duel.update({ where: { id: duelId }, data: { status: 'expired' } });
+    }
+
+    let scoreA = 0.5;
+    if ((challengerScore ?? -1) > (opponentScore ?? -1)) scoreA = 1;
+    if ((challengerScore ?? -1) < (opponentScore ?? -1)) scoreA = 0;
+
+    const [challenger, opponent] = await Promise.all([
+      tx.user.findUnique({ where: { id: duel.challengerId }, select: { duelRating: true } }),
+      tx.user.findUnique({ where: { id: duel.opponentId }, select: { duelRating: true } }),
+    ]);
+    const change = calculateEloChange(challenger.duelRating, opponent.duelRating, scoreA);
+
+    const outcome = (score) => {
+      if (score === 1) return { duelWins: { increment: 1 } };
+      if (score === 0) return { duelLosses: { increment: 1 } };
+      return { duelDraws: { increment: 1 } };
+    };
+    await tx.user.update({
+      where: { id: duel.challengerId },
+      data: { duelRating: { increment: change }, ...outcome(scoreA) },
+    });
+    await tx.user.update({
+      where: { id: duel.opponentId },
+      data: { duelRating: { increment: -change }, ...outcome(1 - scoreA) },
+    });
+
+    return tx.duel.update({
+      where: { id: duelId },
+      data: {
+        challengerScore,
+        opponentScore,
+        winnerId: scoreA === 1 ? duel.challengerId : scoreA === 0 ? duel.opponentId : null,
+        challengerRatingChange: change,
+        opponentRatingChange: -change,
+      },
+    });
+  }, { timeout: 60000 });
+
+  if (!settled) return null;
+
+  const data = { screen: 'Compete', filter: 'duels', duelId };
+  for (const [userId, ratingChange] of [
+    [settled.challengerId, settled.challengerRatingChange],
+    [settled.opponentId, settled.opponentRatingChange],
+  ]) {
+    let title = 'Duel Drawn';
+    let message = `Your duel ended level. Rating ${ratingChange >= 0 ? '+' : ''}${ratingChange}.`;
+    if (settled.status === 'expired') {
+      title = 'Duel Expired';
+      message = 'Neither of you had an approved entry by the deadline, so the duel was called off.';
+    } else if (settled.winnerId === userId) {
+      title = 'Duel Won!';
+      message = `You won your duel! Rating +${ratingChange}.`;
+    } else if (settled.winnerId) {
+      title = 'Duel Lost';
+      message = `You lost your duel. Rating ${ratingChange}.`;
+    }
+    await notifyUser(userId, 'duel_result', title, message, data);
+  }
+
+  return settled;
+};
+
+/**
+ * Expire unanswered duels and settle accepted ones past their deadline
+ * @param {Date} [now]
+ * @returns {Promise<{expired: number, settled: number}>}
+ */
+const settleDueDuels = async (now = new Date()) => {
+  const { count: expired } = await prisma.duel.updateMany({
+    where: { status: 'pending', deadline: { lte: now } },
+    data: { status: 'expired' },
+  });
+
+  const graceCutoff = new Date(now.getTime() - PENDING_GRACE_HOURS * 60 * 60 * 1000);
+  const due = await prisma.duel.findMany({
+    where: {
+      status: 'active',
+      deadline: { lte: now },
+      OR: [
+        { deadline: { lte: graceCutoff } },
+        { challengeId: null },
+        { challenge: { challengeSubmissions: { none: { status: 'pending' } } } },
+      ],
+    },
+    select: { id: true },
+    orderBy: { deadline: 'asc' },
+  });
+
+  let settled = 0;
+  for (const duel of due) {
+    try {
+      if (await settleDuel(duel.id)) settled++;
+    } catch (error) {
+      console.error(`settleDueDuels: Failed to settle duel ${duel.id}:`, error);
+    }
+  }
+  return { expired, settled };
+};
+
+module.exports = {
+  DUEL_K_FACTOR,
+  DUEL_METRICS,
+  calculateEloChange,
+  formatDuelRecord,
+  getDuel,
+  listDuels,
+  createDuel,
+  respondToDuel,
+  cancelDuel,
+  settleDuel,
+  settleDueDuels,
+};
@@ -0,0 +1,188 @@
+/**
+ * Exercise Service
+ * Reads and validates the exercise catalog. The catalog is seeded from
+ * src/constants/exercises.js on first use and cached in memory between reads.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { TRACKING_TYPES } = require('./workoutBuilderService');
+const {
+  EXERCISE_CATEGORIES,
+  EQUIPMENT,
+  MUSCLE_GROUPS,
+  DEFAULT_EXERCISES,
+} = require('../src/constants/exercises');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const ID_PATTERN = /^[a-z0-9_]+$/;
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 100;
+
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * Insert any default exercises missing from the catalog
+ * @returns {Promise<number>} Number of exercises added
+ */
+const seedDefaultExercises = async () => {
+  const result = await prisma.exercise.createMany({
+    data: DEFAULT_EXERCISES.map((exercise, index) => ({ ...exercise, sortOrder: index })),
+    skipDuplicates: true,
+  });
+  return result.count;
+};
+
+/**
+ * Get the full catalog, including retired exercises
+ * @param {object} [options] - { fresh: skip the cache }
+ * @returns {Promise<Array>} Exercises in display order
+ */
+const getExerciseCatalog = async ({ fresh = false } = {}) => {
+  if (!fresh && cachedCatalog && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedCatalog;
+  }
+
+  const query = { orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }] };
+  let exercises = await prisma.exercise.findMany(query);
+
+  // Fresh databases start with the default catalog
+  if (exercises.length === 0) {
+    await seedDefaultExercises();
+    exercises = await prisma.exercise.findMany(query);
+  }
+
+  cachedCatalog = exercises;
+  cachedAt = Date.now();
+  return exercises;
+};
+
+/**
+ * Drop the cached catalog after an admin change
+ */
+const invalidateExerciseCatalog = () => {
+  cachedCatalog = null;
+};
+
+/**
+ * Find an exercise by id or display name
+ * @param {string} exerciseIdOrName - Exercise ID or name
+ * @returns {Promise<object|null>} Exercise, or null if not in the catalog
+ */
+const findExercise = async (exerciseIdOrName) => {
+  const catalog = await getExerciseCatalog();
+  return catalog.find((e) => e.id === exerciseIdOrName || e.name === exerciseIdOrName) || null;
+};
+
+const normalizeList = (value, allowed, field) => {
+  if (!Array.isArray(value)) {
+    throw new AppError(`${field} must be an array`, 400);
+  }
+  const normalized = [...new Set(value.map((item) => String(item).trim().toLowerCase()))];
+  const invalid = normalized.filter((item) => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new AppError(`Invalid ${field}: ${invalid.join(', ')}. Must be one of: ${allowed.join(', ')}`, 400);
+  }
+  return normalized;
+};
+
+/**
+ * Validate admin input for an exercise
+ * @param {object} body - Request body
+ * @param {object} [options] - { partial: only validate fields that are present }
+ * @returns {object} Prisma data
+ */
+const normalizeExerciseInput = (body = {}, { partial = false } = {}) => {
+  const data = {};
+
+  if (!partial || body.id !== undefined) {
+    const id = String(body.id || '').trim().toLowerCase();
+    if (!id || id.length > MAX_ID_LENGTH || !ID_PATTERN.test(id)) {
+      throw new AppError('Exercise id must be lowercase letters, numbers and underscores', 400);
+    }
+    data.id = id;
+  }
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new AppError(`Exercise name is required and cannot exceed ${MAX_NAME_LENGTH} characters`, 400);
+    }
+    data.name = name;
+  }
+
+  if (!partial || body.category !== undefined) {
+    if (!EXERCISE_CATEGORIES.includes(body.category)) {
+      throw new AppError(`Invalid category. Must be one of: ${EXERCISE_CATEGORIES.join(', ')}`, 400);
+    }
+    data.category = body.category;
+  }
+
+  if (body.muscleGroups !== undefined) {
+    data.muscleGroups = normalizeList(body.muscleGroups, MUSCLE_GROUPS, 'muscleGroups');
+  }
+
+  if (body.equipment !== undefined) {
+    data.equipment = normalizeList(body.equipment, EQUIPMENT, 'equipment');
+  }
+
+  if (body.trackingType !== undefined) {
+    if (!TRACKING_TYPES.includes(body.trackingType)) {
+      throw new AppError(`Invalid trackingType. Must be one of: ${TRACKING_TYPES.join(', ')}`, 400);
+    }
+    data.trackingType = body.trackingType;
+  }
+
+  if (body.intensity !== undefined) {
+    const intensity = Number(body.intensity);
+    if (!Number.isFinite(intensity) || intensity <= 0 || intensity > 20) {
+      throw new AppError('Intensity must be a number between 0 and 20', 400);
+    }
+    data.intensity = intensity;
+  }
+
+  if (body.sortOrder !== undefined) {
+    const sortOrder = Number.parseInt(body.sortOrder, 10);
+    if (!Number.isFinite(sortOrder)) {
+      throw new AppError('sortOrder must be a number', 400);
+    }
+    data.sortOrder = sortOrder;
+  }
+
+  if (body.isActive !== undefined) {
+    data.isActive = Boolean(body.isActive);
+  }
+
+  return data;
+};
+
+/**
+ * Format an exercise for API responses
+ * @param {object} exercise - Exercise record
+ * @returns {object} Exercise response
+ */
+const formatExerciseResponse = (exercise) => ({
+  id: exercise.id,
+  name: exercise.name,
+  category: exercise.category,
+  muscleGroups: exercise.muscleGroups || [],
+  equipment: exercise.equipment || [],
+  trackingType: exercise.trackingType,
+  intensity: exercise.intensity,
+  isActive: exercise.isActive,
+  sortOrder: exercise.sortOrder,
+  updatedAt: exercise.updatedAt,
+});
+
+module.exports = {
+  EXERCISE_CATEGORIES,
+  EQUIPMENT,
+  MUSCLE_GROUPS,
+  seedDefaultExercises,
+  getExerciseCatalog,
+  invalidateExerciseCatalog,
+  findExercise,
+  normalizeExerciseInput,
+  formatExerciseResponse,
+};
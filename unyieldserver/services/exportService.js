@@ -0,0 +1,371 @@
+/**
+ * Export Service
+ * Writes everything tied to an account (profile, training history,
+ * submissions, competition, sign-ins and notifications) as a single JSON or
+ * CSV document. Sections are read in pages so large histories never sit in
+ * memory.
+ */
+
+const prisma = require('../src/prisma');
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const PAGE_SIZE = 500;
+
+// Credentials, push tokens, refresh tokens, storage keys and reviewer ids stay out of exports
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  username: true,
+  name: true,
+  profileImage: true,
+  region: true,
+  goal: true,
+  bio: true,
+  fitnessLevel: true,
+  workoutFrequency: true,
+  preferredDays: true,
+  weight: true,
+  height: true,
+  age: true,
+  accolades: true,
+  provider: true,
+  totalPoints: true,
+  weeklyPoints: true,
+  rank: true,
+  streak: true,
+  streakBest: true,
+  lastWorkoutDate: true,
+  weightClass: true,
+  strengthRatio: true,
+  duelRating: true,
+  duelWins: true,
+  duelLosses: true,
+  duelDraws: true,
+  emailVerified: true,
+  emailVerifiedAt: true,
+  notificationsEnabled: true,
+  notifyRankUp: true,
+  notifyRankDownWeekly: true,
+  notifyStreakMilestone: true,
+  notifyNewChallenges: true,
+  notifyChallengeEnding: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Each section reads rows whose `owner` column is the user, or matching
+// `where(userId)` when ownership is shared. `format` trims rows holding other
+// users' data, with `columns` naming its output for CSV.
+const EXPORT_SECTIONS = [
+  {
+    name: 'workouts',
+    model: 'workout',
+    owner: 'userId',
+    select: {
+      id: true, exercise: true, reps: true, weight: true, duration: true, points: true,
+      strengthRatio: true, e1rm: true, imported: true, notes: true, date: true, createdAt: true,
+    },
+  },
+  {
+    name: 'personalRecords',
+    model: 'personalRecord',
+    owner: 'userId',
+    select: {
+      id: true, exercise: true, type: true, value: true, weight: true, reps: true,
+      workoutId: true, achievedAt: true,
+    },
+  },
+  {
+    name: 'workoutTemplates',
+    model: 'workoutTemplate',
+    owner: 'userId',
+    select: {
+      id: true, name: true, description: true, exercises: true, deletedAt: true,
+      createdAt: true, updatedAt: true,
+    },
+  },
+  {
+    name: 'workoutSessions',
+    model: 'workoutSession',
+    owner: 'userId',
+    select: {
+      id: true, templateId: true, name: true, notes: true, status: true, startedAt: true,
+      finishedAt: true, deletedAt: true, createdAt: true,
+      exercises: {
+        orderBy: { orderIndex: 'asc' },
+        select: {
+          exerciseId: true, orderIndex: true, trackingType: true, notes: true,
+          sets: {
+            orderBy: { setNumber: 'asc' },
+            select: {
+              setNumber: true, reps: true, weight: true, durationSeconds: true,
+              distance: true, completed: true, notes: true,
+            },
+          },
+        },
+      },
+    },
+  },
+  {
+    name: 'videoSubmissions',
+    model: 'videoSubmission',
+    owner: 'userId',
+    select: {
+      id: true, workoutId: true, exercise: true, reps: true, weight: true, duration: true,
+      videoUrl: true, thumbnailUrl: true, status: true, verifiedByName: true, verifiedAt: true,
+      rejectionReason: true, pointsAwarded: true, createdAt: true,
+    },
+  },
+  {
+    name: 'appeals',
+    model: 'appeal',
+    owner: 'userId',
+    select: {
+      id: true, videoSubmissionId: true, reason: true, status: true, reviewedAt: true,
+      reviewNotes: true, createdAt: true,
+    },
+  },
+  {
+    name: 'reports',
+    model: 'report',
+    owner: 'reporterId',
+    select: {
+      id: true, videoSubmissionId: true, reportType: true, reason: true, status: true,
+      reviewedAt: true, actionTaken: true, createdAt: true,
+    },
+  },
+  {
+    name: 'challenges',
+    model: 'userChallenge',
+    owner: 'userId',
+    select: {
+      id: true, challengeId: true, teamId: true, progress: true, completed: true,
+      completedAt: true, createdAt: true,
+      challenge: { select: { title: true } },
+    },
+  },
+  {
+    name: 'challengeResults',
+    model: 'challengeResult',
+    where: (userId) => ({ challenge: { userChallenges: { some: { userId } } } }),
+    select: {
+      id: true, challengeId: true, winnerCriteria: true, placements: true, winnerId: true,
+      participantCount: true, createdAt: true,
+      challenge: { select: { title: true } },
+    },
+    columns: ['id', 'challengeId', 'challenge', 'winnerCriteria', 'participantCount', 'placement', 'won', 'createdAt'],
+    format: ({ placements, winnerId, ...row }, userId) => ({
+      ...row,
+      placement: (placements || []).find((placement) => placement.userId === userId) || null,
+      won: winnerId === userId,
+    }),
+  },
+  {
+    name: 'challengeWaitlist',
+    model: 'challengeWaitlistEntry',
+    owner: 'userId',
+    select: {
+      id: true, challengeId: true, createdAt: true,
+      challenge: { select: { title: true } },
+    },
+  },
+  {
+    name: 'duels',
+    model: 'duel',
+    where: (userId) => ({ OR: [{ challengerId: userId }, { opponentId: userId }] }),
+    select: {
+      id: true, challengerId: true, opponentId: true, exercise: true, metricType: true,
+      requiresVideo: true, deadline: true, status: true, challengeId: true,
+      challengerScore: true, opponentScore: true, winnerId: true,
+      challengerRatingChange: true, opponentRatingChange: true, respondedAt: true,
+      settledAt: true, createdAt: true,
+    },
+  },
+  {
+    name: 'teamMemberships',
+    model: 'teamMember',
+    owner: 'userId',
+    select: {
+      id: true, teamId: true, role: true, joinedAt: true,
+      team: { select: { name: true } },
+    },
+  },
+  {
+    name: 'teamInvites',
+    model: 'teamInvite',
+    where: (userId) => ({ OR: [{ userId }, { invitedById: userId }] }),
+    select: {
+      id: true, teamId: true, userId: true, invitedById: true, status: true,
+      createdAt: true, respondedAt: true,
+      team: { select: { name: true } },
+    },
+  },
+  {
+    name: 'challengeSubmissions',
+    model: 'challengeSubmission',
+    owner: 'userId',
+    select: {
+      id: true, challengeId: true, exercise: true, reps: true, weight: true, duration: true,
+      value: true, videoUrl: true, status: true, verifiedAt: true, rejectionReason: true,
+      notes: true, workoutId: true, submittedAt: true, createdAt: true,
+    },
+  },
+  {
+    name: 'notifications',
+    model: 'notification',
+    owner: 'userId',
+    select: {
+      id: true, type: true, title: true, message: true, read: true, readAt: true,
+      data: true, createdAt: true,
+    },
+  },
+  {
+    name: 'rankHistory',
+    model: 'rankSnapshot',
+    owner: 'userId',
+    select: {
+      id: true, scope: true, scopeValue: true, rank: true, strengthRatio: true,
+      totalInScope: true, takenAt: true,
+    },
+  },
+  {
+    name: 'videoUploads',
+    model: 'videoUpload',
+    owner: 'userId',
+    select: {
+      id: true, fileName: true, contentType: true, size: true, receivedBytes: true,
+      completedAt: true, createdAt: true, expiresAt: true,
+    },
+  },
+  {
+    name: 'videoAssets',
+    model: 'videoAsset',
+    owner: 'userId',
+    select: {
+      id: true, status: true, durationSeconds: true, width: true, height: true,
+      sizeBytes: true, createdAt: true, updatedAt: true,
+    },
+  },
+  {
+    name: 'oauthAccounts',
+    model: 'oAuthAccount',
+    owner: 'userId',
+    select: {
+      id: true, provider: true, providerUserId: true, email: true, createdAt: true,
+      lastUsedAt: true,
+    },
+  },
+  {
+    name: 'sessions',
+    model: 'authSession',
+    owner: 'userId',
+    select: {
+      id: true, deviceName: true, userAgent: true, ipAddress: true, createdAt: true,
+      lastUsedAt: true, expiresAt: true, revokedAt: true, revokedReason: true,
+    },
+  },
+];
+
+/**
+ * Read a section page by page
+ * @param {object} section - Entry from EXPORT_SECTIONS
+ * @param {string} userId - Account being exported
+ * @returns {AsyncGenerator<Array>} Pages of rows in id order
+ */
+async function* readSection(section, userId) {
+  let cursor = null;
+
+  while (true) {
+    const rows = await prisma[section.model].findMany({
+      where: section.where ? section.where(userId) : { [section.owner]: userId },
+      select: section.select,
+      orderBy: { id: 'asc' },
+      take: PAGE_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (rows.length > 0) {
+      yield section.format ? rows.map((row) => section.format(row, userId)) : rows;
+    }
+    if (rows.length < PAGE_SIZE) return;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Format a single CSV cell. Nested values are written as JSON, and text
+ * that a spreadsheet would read as a formula is prefixed with a quote.
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvRow = (columns, row) => `${columns.map((column) => toCsvCell(row[column])).join(',')}\n`;
+
+/**
+ * Write a user's data export
+ * @param {string} userId - Account being exported
+ * @param {string} format - json | csv
+ * @param {Function} write - Async writer for each chunk of output
+ * @returns {Promise<void>}
+ */
+const writeUserExport = async (userId, format, write) => {
+  const profile = await prisma.user.findUnique({
+    where: { id: userId },
+    select: PROFILE_SELECT,
+  });
+  const exportedAt = new Date().toISOString();
+
+  if (format === 'csv') {
+    // One block per section: a "# name" line, a header row, then the rows
+    const profileColumns = Object.keys(PROFILE_SELECT);
+    await write(`# exportedAt,${exportedAt}\n\n# profile\n${profileColumns.join(',')}\n`);
+    await write(toCsvRow(profileColumns, profile));
+
+    for (const section of EXPORT_SECTIONS) {
+      const columns = section.columns || Object.keys(section.select);
+      await write(`\n# ${section.name}\n${columns.join(',')}\n`);
+      for await (const rows of readSection(section, userId)) {
+        await write(rows.map((row) => toCsvRow(columns, row)).join(''));
+      }
+    }
+    return;
+  }
+
+  await write(`{"exportedAt":${JSON.stringify(exportedAt)},"profile":${JSON.stringify(profile)}`);
+
+  for (const section of EXPORT_SECTIONS) {
+    await write(`,${JSON.stringify(section.name)}:[`);
+    let first = true;
+    for await (const rows of readSection(section, userId)) {
+      const chunk = rows.map((row) => JSON.stringify(row)).join(',');
+      await write(first ? chunk : `,${chunk}`);
+      first = false;
+    }
+    await write(']');
+  }
+
+  await write('}');
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_SECTIONS,
+  writeUserExport,
+};
@@ -0,0 +1,442 @@
+/**
+ * Face Blur Service
+ * Blurs faces in submitted videos in-process. A submission made with face
+ * blur keeps its original video private and queues a video.blur job, which
+ * samples frames with ffmpeg, finds faces with face-api on tfjs-node, and
+ * re-encodes the video with every face region blurred. Only then does the
+ * submission get a public video; if the blur gives up, it stays "privacy
+ * pending" for an admin to retry rather than publishing the original.
+ *
+ * The detector is pluggable like the storage drivers:
+ *   detect(framePath) - faces in a JPEG frame, as boxes relative to its
+ *     size: [{ x, y, width, height, score }] with values 0-1
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { enqueueJob } = require('./jobQueue');
+const { uploadVideoFile, downloadVideo, deleteVideo } = require('./objectStorage');
+const {
+  SCALE_FILTER,
+  ENCODE_OPTIONS,
+  runFfmpeg,
+  probeVideo,
+  createPosterAndPreview,
+} = require('./videoProcessingService');
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const parseFraction = (value, fallback) => {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 && parsed < 1 ? parsed : fallback;
+};
+
+const BLUR_JOB = 'video.blur';
+const DETECTORS = ['ssd', 'tiny'];
+// ssd is slower but finds small and side-on faces that tiny misses
+const FACE_BLUR_DETECTOR = DETECTORS.includes(process.env.FACE_BLUR_DETECTOR) ? process.env.FACE_BLUR_DETECTOR : 'ssd';
+const FACE_BLUR_MIN_CONFIDENCE = parseFraction(process.env.FACE_BLUR_MIN_CONFIDENCE, 0.4);
+// Box blur radius in pixels, capped to what each face region can take
+const FACE_BLUR_STRENGTH = parseNumber(process.env.FACE_BLUR_STRENGTH, 24);
+const FACE_BLUR_SAMPLE_FPS = parseNumber(process.env.FACE_BLUR_SAMPLE_FPS, 4);
+const FACE_BLUR_MODEL_DIR = process.env.FACE_BLUR_MODEL_DIR
+  || path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+// Frames are sampled at this width; detection doesn't need more
+const SAMPLE_WIDTH = 640;
+// Grow each face box by this share of its size so hair and chin are covered
+const FACE_PADDING = 0.35;
+// A face region is only blurred for this long before it is re-fitted, so a
+// moving head doesn't leave a smear across the frame
+const MAX_REGION_SECONDS = 2;
+
+/**
+ * Detector backed by face-api on tfjs-node. The native modules and model
+ * weights load on first use, so processes that never blur don't pay for them.
+ * @param {object} options - kind ('ssd' or 'tiny'), minConfidence, modelDir
+ * @returns {object} Face detector
+ */
+const createFaceApiDetector = ({
+  kind = FACE_BLUR_DETECTOR,
+  minConfidence = FACE_BLUR_MIN_CONFIDENCE,
+  modelDir = FACE_BLUR_MODEL_DIR,
+} = {}) => {
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        const faceapi = require('@vladmandic/face-api');
+        const net = kind === 'tiny' ? faceapi.nets.tinyFaceDetector : faceapi.nets.ssdMobilenetv1;
+        await net.loadFromDisk(modelDir);
+        console.log(`[BLUR] Loaded ${kind} face detector from ${modelDir}`);
+
+        const options = kind === 'tiny'
+          ? new faceapi.TinyFaceDetectorOptions({ inputSize: 416, scoreThreshold: minConfidence })
+          : new faceapi.SsdMobilenetv1Options({ minConfidence });
+        return { faceapi, options };
+      })().catch((error) => {
+        // Let the next job try again
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  };
+
+  return {
+    async detect(framePath) {
+      const { faceapi, options } = await load();
+      const image = faceapi.tf.node.decodeImage(await fs.promises.readFile(framePath), 3);
+      try {
+        const detections = await faceapi.detectAllFaces(image, options);
+        return detections.map((detection) => ({
+          x: detection.relativeBox.x,
+          y: detection.relativeBox.y,
+          width: detection.relativeBox.width,
+          height: detection.relativeBox.height,
+          score: detection.score,
+        }));
+      } finally {
+        image.dispose();
+      }
+    },
+  };
+};
+
+let faceDetector = null;
+
+/**
+ * Detector used by video.blur jobs
+ * @returns {object} Face detector
+ */
+const getFaceDetector = () => {
+  if (!faceDetector) {
+    faceDetector = createFaceApiDetector();
+  }
+  return faceDetector;
+};
+
+/**
+ * Replace the face detector (null goes back to face-api)
+ * @param {object|null} detector - Face detector
+ */
+const setFaceDetector = (detector) => {
+  faceDetector = detector;
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const padBox = ({ x, y, width, height }) => {
+  const left = clamp(x - width * FACE_PADDING);
+  const top = clamp(y - height * FACE_PADDING);
+  return {
+    x: left,
+    y: top,
+    width: clamp(x + width * (1 + FACE_PADDING)) - left,
+    height: clamp(y + height * (1 + FACE_PADDING)) - top,
+  };
+};
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width
+  && a.y < b.y + b.height && b.y < a.y + a.height;
+
+const unionBox = (a, b) => {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+};
+
+/**
+ * Turn per-frame detections into regions to blur. A face seen in nearby
+ * frames joins one region covering everywhere it was, and each region is
+ * blurred from one sample interval before it was first seen to one after it
+ * was last seen, so the frames between samples are covered too.
+ * @param {Array<{time: number, faces: Array<object>}>} samples - Detections per sampled frame
+ * @param {number} interval - Seconds between samples
+ * @returns {Array<{x: number, y: number, width: number, height: number, start: number, end: number}>}
+ */
+const buildBlurRegions = (samples, interval) => {
+  const regions = [];
+
+  samples.forEach(({ time, faces }) => {
+    faces.forEach((face) => {
+      const box = padBox(face);
+      const region = regions.find((candidate) => time - candidate.lastSeen <= interval * 2
+        && time - candidate.firstSeen < MAX_REGION_SECONDS
+        && overlaps(candidate.box, box));
+
+      if (region) {
+        region.box = unionBox(region.box, box);
+        region.lastSeen = time;
+      } else {
+        regions.push({ box, firstSeen: time, lastSeen: time });
+      }
+    });
+  });
+
+  return regions.map(({ box, firstSeen, lastSeen }) => ({
+    ...box,
+    start: Math.max(0, firstSeen - interval),
+    end: lastSeen + interval,
+  }));
+};
+
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * ffmpeg filter graph that scales like the transcode and blurs each region
+ * while it is on screen. Regions are relative, so they line up whatever the
+ * output size or rotation.
+ * @param {Array<object>} regions - From buildBlurRegions
+ * @param {number} strength - Blur radius in pixels
+ * @returns {string} Graph with the result on [v]
+ */
+const buildBlurFilter = (regions, strength) => {
+  if (regions.length === 0) {
+    return `[0:v]${SCALE_FILTER}[v]`;
+  }
+
+  const labels = regions.map((region, index) => `[f${index}]`);
+  const graph = [`[0:v]${SCALE_FILTER},split=${regions.length + 1}[base]${labels.join('')}`];
+
+  regions.forEach((region, index) => {
+    const x = round(region.x);
+    const y = round(region.y);
+    const input = index === 0 ? 'base' : `v${index - 1}`;
+    const output = index === regions.length - 1 ? 'v' : `v${index}`;
+
+    graph.push(
+      `[f${index}]crop=w=iw*${round(region.width)}:h=ih*${round(region.height)}:x=iw*${x}:y=ih*${y},`
+      + `boxblur=luma_radius='min(${strength},min(w,h)/2)':luma_power=2`
+      + `:chroma_radius='min(${strength},min(cw,ch)/2)':chroma_power=2[b${index}]`
+    );
+    graph.push(
+      `[${input}][b${index}]overlay=x=main_w*${x}:y=main_h*${y}`
+      + `:enable='between(t,${round(region.start)},${round(region.end)})'[${output}]`
+    );
+  });
+
+  return graph.join(';');
+};
+
+const sampleFrames = async (inputPath, frameDir) => {
+  await runFfmpeg(
+    ffmpeg(inputPath).outputOptions([
+      '-vf', `fps=${FACE_BLUR_SAMPLE_FPS},scale='min(${SAMPLE_WIDTH},iw)':-2`,
+      '-q:v', '3',
+    ]),
+    path.join(frameDir, 'frame-%05d.jpg')
+  );
+
+  const frames = (await fs.promises.readdir(frameDir)).filter((name) => name.endsWith('.jpg')).sort();
+  // The fps filter puts the first sample at 0s and one every 1/fps after
+  return frames.map((name, index) => ({
+    path: path.join(frameDir, name),
+    time: index / FACE_BLUR_SAMPLE_FPS,
+  }));
+};
+
+const renderBlurredVideo = (inputPath, outputPath, regions) => runFfmpeg(
+  ffmpeg(inputPath)
+    .videoCodec('libx264')
+    .audioCodec('aac')
+    .outputOptions([
+      '-filter_complex', buildBlurFilter(regions, FACE_BLUR_STRENGTH),
+      '-map', '[v]',
+      '-map', '0:a:0?',
+      ...ENCODE_OPTIONS,
+    ])
+    .format('mp4'),
+  outputPath
+);
+
+/**
+ * Queue a face blur for a submitted video
+ * @param {string} assetId - VideoAsset ID of the original video
+ * @param {object} options - tx to enqueue inside a transaction
+ * @returns {Promise<object>} Job record
+ */
+const queueFaceBlur = (assetId, { tx } = {}) => enqueueJob(BLUR_JOB, { assetId }, { tx });
+
+// Submissions of this video still waiting on their blur
+const pendingSubmissionsOf = (asset) => ({
+  originalVideoUrl: asset.objectName,
+  privacyStatus: 'pending',
+});
+
+/**
+ * Make the blurred copy of a video and its poster and preview
+ * @param {object} asset - VideoAsset record
+ * @returns {Promise<object>} Stored keys and detection counts
+ */
+const createBlurredCopy = async (asset) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'unyield-blur-'));
+  const baseName = path.parse(asset.objectName.split('/').pop()).name.replace(/^\d+-[0-9a-f]+-/, '');
+  const files = {
+    source: path.join(workDir, 'source'),
+    frames: path.join(workDir, 'frames'),
+    video: path.join(workDir, 'blurred.mp4'),
+    poster: path.join(workDir, 'poster.jpg'),
+    preview: path.join(workDir, 'preview.gif'),
+  };
+  const stored = [];
+
+  try {
+    await downloadVideo(asset.objectName, files.source);
+    await fs.promises.mkdir(files.frames);
+
+    let frames;
+    try {
+      frames = await sampleFrames(files.source, files.frames);
+    } catch (error) {
+      console.error(`[BLUR] ffmpeg error sampling ${asset.objectName}:`, error.message);
+      throw new AppError('Could not read this video', 422);
+    }
+
+    const detector = getFaceDetector();
+    const samples = [];
+    let facesDetected = 0;
+    for (const frame of frames) {
+      const faces = await detector.detect(frame.path);
+      facesDetected += faces.length;
+      samples.push({ time: frame.time, faces });
+    }
+    const regions = buildBlurRegions(samples, 1 / FACE_BLUR_SAMPLE_FPS);
+
+    let output;
+    try {
+      await renderBlurredVideo(files.source, files.video, regions);
+      output = await probeVideo(files.video);
+      await createPosterAndPreview(files.video, files.poster, files.preview, output.durationSeconds);
+    } catch (error) {
+      console.error(`[BLUR] ffmpeg error blurring ${asset.objectName}:`, error.message);
+      throw new AppError('Could not blur this video', 422);
+    }
+
+    const video = await uploadVideoFile(files.video, `${baseName}-blurred.mp4`, 'video/mp4');
+    stored.push(video.objectName);
+    const poster = await uploadVideoFile(files.poster, `${baseName}-blurred-poster.jpg`, 'image/jpeg');
+    stored.push(poster.objectName);
+    const preview = await uploadVideoFile(files.preview, `${baseName}-blurred-preview.gif`, 'image/gif');
+    stored.push(preview.objectName);
+
+    return {
+      blurredObjectName: video.objectName,
+      blurredPosterObjectName: poster.objectName,
+      blurredPreviewObjectName: preview.objectName,
+      facesDetected,
+      regionsBlurred: regions.length,
+      framesSampled: frames.length,
+    };
+  } catch (error) {
+    await Promise.all(stored.map(deleteVideo));
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Blur the faces in a video and publish the blurred copy on the submissions
+ * waiting for it. Handler for video.blur jobs.
+ * @param {object} payload - assetId (VideoAsset of the original video)
+ * @returns {Promise<object|null>} Summary for the job record
+ */
+const blurVideoAsset = async ({ assetId }) => {
+  let asset = await prisma.videoAsset.findUnique({ where: { id: assetId } });
+  if (!asset) return null;
+
+  const waiting = await Promise.all([prisma.videoSubmission, prisma.challengeSubmission]
+    .map((model) => model.count({ where: pendingSubmissionsOf(asset) })));
+  if (waiting[0] + waiting[1] === 0) {
+    // Deleted before the job ran, or published by an earlier job
+    return null;
+  }
+
+  let summary = null;
+  // Another submission of the same video may already have been blurred
+  if (!asset.blurredObjectName) {
+    summary = await createBlurredCopy(asset);
+    const keys = {
+      blurredObjectName: summary.blurredObjectName,
+      blurredPosterObjectName: summary.blurredPosterObjectName,
+      blurredPreviewObjectName: summary.blurredPreviewObjectName,
+    };
+
+    const { count } = await prisma.videoAsset.updateMany({
+      where: { id: asset.id, blurredObjectName: null },
+      data: keys,
+    });
+    if (count === 0) {
+      // Deleted while blurring, or another job got there first
+      await Promise.all(Object.values(keys).map(deleteVideo));
+      asset = await prisma.videoAsset.findUnique({ where: { id: assetId } });
+      if (!asset?.blurredObjectName) return null;
+    } else {
+      asset = { ...asset, ...keys };
+    }
+  }
+
+  const published = await Promise.all([prisma.videoSubmission, prisma.challengeSubmission]
+    .map((model) => model.updateMany({
+      where: pendingSubmissionsOf(asset),
+      data: {
+        videoUrl: asset.blurredObjectName,
+        thumbnailUrl: asset.blurredPosterObjectName,
+        previewUrl: asset.blurredPreviewObjectName,
+        privacyStatus: 'blurred',
+        privacyError: null,
+      },
+    })));
+
+  console.log(`[BLUR] Published ${asset.blurredObjectName} on ${published[0].count + published[1].count} submission(s)`
+    + (summary ? ` (${summary.regionsBlurred} region(s) from ${summary.facesDetected} detection(s))` : ''));
+  return {
+    objectName: asset.objectName,
+    blurredObjectName: asset.blurredObjectName,
+    facesDetected: summary?.facesDetected ?? null,
+    regionsBlurred: summary?.regionsBlurred ?? null,
+    framesSampled: summary?.framesSampled ?? null,
+  };
+};
+
+/**
+ * Record why a blur gave up on the submissions still waiting for it. They
+ * stay privacy pending, with no public video, until an admin retries the job.
+ * @param {object} payload - assetId
+ * @param {Error} error - Last failure
+ */
+const markFaceBlurFailed = async ({ assetId }, error) => {
+  const asset = await prisma.videoAsset.findUnique({ where: { id: assetId } });
+  if (!asset) return;
+
+  await Promise.all([prisma.videoSubmission, prisma.challengeSubmission]
+    .map((model) => model.updateMany({
+      where: pendingSubmissionsOf(asset),
+      data: { privacyError: (error?.message || 'Face blur failed').slice(0, 500) },
+    })));
+};
+
+module.exports = {
+  BLUR_JOB,
+  createFaceApiDetector,
+  getFaceDetector,
+  setFaceDetector,
+  buildBlurRegions,
+  buildBlurFilter,
+  queueFaceBlur,
+  blurVideoAsset,
+  markFaceBlurFailed,
+};
@@ -0,0 +1,31 @@
+/**
+ * Job Handlers
+ * Every job type the queue knows how to run. Both the API process and
+ * worker.js register these, so either can run any job.
+ */
+
+const { registerJobHandler } = require('./jobQueue');
+const { TRANSCODE_JOB, transcodeVideoAsset, markVideoAssetFailed } = require('./videoProcessingService');
+const { BLUR_JOB, blurVideoAsset, markFaceBlurFailed } = require('./faceBlurService');
+const {
+  NOTIFICATION_FANOUT_JOB,
+  NOTIFICATION_BATCH_JOB,
+  fanOutNotification,
+  sendNotificationBatch,
+} = require('./notificationService');
+
+const registerJobHandlers = () => {
+  registerJobHandler(TRANSCODE_JOB, ({ assetId }) => transcodeVideoAsset(assetId), {
+    maxAttempts: 3,
+    onDead: ({ assetId }) => markVideoAssetFailed(assetId),
+  });
+  // Until the blur is done the submission has no public video
+  registerJobHandler(BLUR_JOB, blurVideoAsset, {
+    maxAttempts: 3,
+    onDead: markFaceBlurFailed,
+  });
+  registerJobHandler(NOTIFICATION_FANOUT_JOB, fanOutNotification);
+  registerJobHandler(NOTIFICATION_BATCH_JOB, sendNotificationBatch, { maxAttempts: 3 });
+};
+
+module.exports = { registerJobHandlers };
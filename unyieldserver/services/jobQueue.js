@@ -0,0 +1,441 @@
+/**
+ * Job Queue
+ * Background work kept in Postgres, so it survives restarts and any number of
+ * workers can share it. Request handlers enqueue a job and return straight
+ * away; a worker (the API process itself unless JOB_WORKER_INLINE is false,
+ * or worker.js) claims due jobs and runs the handler registered for their type.
+ *
+ * A job that throws is retried with exponential backoff. Once it has used up
+ * its attempts it is kept as a dead job with its last error, for the admin
+ * panel to inspect and retry. Errors with a 4xx status (AppError) are not
+ * retried: the input is wrong and running it again won't change that.
+ */
+
+const os = require('os');
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+const DEFAULT_MAX_ATTEMPTS = parseNumber(process.env.JOB_MAX_ATTEMPTS, 5);
+const BACKOFF_BASE_MS = parseNumber(process.env.JOB_BACKOFF_BASE_MS, 10 * 1000);
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// A running job whose lock isn't refreshed within this long is assumed lost
+// with its worker. Workers refresh it several times per timeout while a
+// handler runs, so long jobs (transcodes) are never reaped mid-run.
+const LOCK_TIMEOUT_MS = parseNumber(process.env.JOB_LOCK_TIMEOUT_MS, 15 * 60 * 1000);
+const LOCK_HEARTBEAT_MS = Math.max(1000, Math.floor(LOCK_TIMEOUT_MS / 3));
+const COMPLETED_RETENTION_DAYS = 7;
+const DEAD_RETENTION_DAYS = 30;
+const MAX_ERROR_LENGTH = 2000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. "video.transcode"
+ * @param {Function} run - async (payload, job) => result; the result is stored on the job
+ * @param {object} [options] - maxAttempts for new jobs of this type, and
+ *   onDead(payload, error), called once when a job gives up
+ */
+const registerJobHandler = (type, run, options = {}) => {
+  handlers.set(type, { run, ...options });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {object} payload - JSON payload passed to the handler
+ * @param {object} [options] - runAt (Date, defaults to now), maxAttempts, and
+ *   tx to enqueue inside a Prisma transaction
+ * @returns {Promise<object>} Job record
+ */
+const enqueueJob = async (type, payload = {}, { runAt, maxAttempts, tx = prisma } = {}) => {
+  const job = await tx.job.create({
+    data: {
+      type,
+      payload,
+      maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      runAt: runAt || new Date(),
+    },
+  });
+  console.log(`[JOBS] Enqueued ${type} job ${job.id}`);
+  return job;
+};
+
+/**
+ * Add several jobs of one type in a single insert
+ * @param {string} type - Job type
+ * @param {Array<object>} payloads - One payload per job
+ * @returns {Promise<number>} Number of jobs added
+ */
+const enqueueJobs = async (type, payloads) => {
+  if (payloads.length === 0) return 0;
+
+  const maxAttempts = handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const { count } = await prisma.job.createMany({
+    data: payloads.map((payload) => ({ type, payload, maxAttempts })),
+  });
+  console.log(`[JOBS] Enqueued ${count} ${type} jobs`);
+  return count;
+};
+
+/**
+ * Delay before the next attempt: 10s, 20s, 40s, ... capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const getBackoffMs = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+// Claim the oldest due job this worker can run. Several workers may pick the
+// same candidate; the status guard lets exactly one of them have it.
+const claimNextJob = async () => {
+  const candidates = await prisma.job.findMany({
+    where: {
+      status: 'pending',
+      runAt: { lte: new Date() },
+      type: { in: [...handlers.keys()] },
+    },
+    orderBy: { runAt: 'asc' },
+    take: 5,
+    select: { id: true },
+  });
+
+  for (const { id } of candidates) {
+    const { count } = await prisma.job.updateMany({
+      where: { id, status: 'pending' },
+      data: {
+        status: 'running',
+        lockedAt: new Date(),
+        lockedBy: WORKER_ID,
+        attempts: { increment: 1 },
+      },
+    });
+    if (count === 1) {
+      return prisma.job.findUnique({ where: { id } });
+    }
+  }
+
+  return null;
+};
+
+// Let the handler clean up after a job that has given up
+const notifyDead = async (job, error) => {
+  const onDead = handlers.get(job.type)?.onDead;
+  if (!onDead) return;
+
+  try {
+    await onDead(job.payload, error);
+  } catch (onDeadError) {
+    console.error(`[JOBS] onDead for ${job.type} job ${job.id} failed:`, onDeadError.message);
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  // Only write back if the job is still ours; a reaped job may have moved on
+  const ownJob = { id: job.id, status: 'running', lockedBy: WORKER_ID };
+
+  // Keep the lock fresh while the handler works
+  const heartbeat = setInterval(() => {
+    prisma.job
+      .updateMany({ where: ownJob, data: { lockedAt: new Date() } })
+      .catch((error) => {
+        console.error(`[JOBS] Heartbeat for ${job.type} job ${job.id} failed:`, error.message);
+      });
+  }, LOCK_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    const result = await handler.run(job.payload, job);
+    clearInterval(heartbeat);
+    await prisma.job.updateMany({
+      where: ownJob,
+      data: {
+        status: 'completed',
+        // Prisma rejects a bare null for a Json? column, so no result is left unset
+        result: result ?? undefined,
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: new Date(),
+      },
+    });
+    console.log(`[JOBS] Completed ${job.type} job ${job.id}`);
+  } catch (error) {
+    clearInterval(heartbeat);
+    const permanent = error.statusCode >= 400 && error.statusCode < 500;
+    const dead = permanent || job.attempts >= job.maxAttempts;
+    const { count } = await prisma.job.updateMany({
+      where: ownJob,
+      data: {
+        status: dead ? 'dead' : 'pending',
+        lastError: String(error.message || error).slice(0, MAX_ERROR_LENGTH),
+        lockedAt: null,
+        lockedBy: null,
+        runAt: dead ? undefined : new Date(Date.now() + getBackoffMs(job.attempts)),
+        failedAt: dead ? new Date() : undefined,
+      },
+    });
+
+    if (!dead) {
+      console.warn(`[JOBS] ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), will retry:`, error.message);
+      return;
+    }
+
+    console.error(`[JOBS] ${job.type} job ${job.id} is dead after ${job.attempts} attempt(s):`, error.message);
+    if (count === 1) {
+      await notifyDead(job, error);
+    }
+  }
+};
+
+/**
+ * Claim and run one due job
+ * @returns {Promise<object|null>} The job that ran, or null if none were due
+ */
+const processNextJob = async () => {
+  const job = await claimNextJob();
+  if (!job) return null;
+
+  await runJob(job);
+  return job;
+};
+
+/**
+ * Run due jobs until there are none left (for scripts and tests)
+ * @param {number} [limit] - Stop after this many jobs
+ * @returns {Promise<number>} Number of jobs run
+ */
+const runPendingJobs = async (limit = Infinity) => {
+  let processed = 0;
+  while (processed < limit && await processNextJob()) {
+    processed++;
+  }
+  return processed;
+};
+
+/**
+ * Hand jobs whose worker disappeared back to the queue, or bury them if
+ * they have no attempts left
+ * @returns {Promise<number>} Number of jobs released or buried
+ */
+const releaseStaleJobs = async () => {
+  const staleJobs = await prisma.job.findMany({
+    where: {
+      status: 'running',
+      lockedAt: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    },
+  });
+  const lockLost = `Worker stopped responding (no heartbeat for over ${Math.round(LOCK_TIMEOUT_MS / 60000)} minutes)`;
+
+  let released = 0;
+  for (const job of staleJobs) {
+    const dead = job.attempts >= job.maxAttempts;
+    const { count } = await prisma.job.updateMany({
+      where: { id: job.id, status: 'running', lockedAt: job.lockedAt },
+      data: {
+        status: dead ? 'dead' : 'pending',
+        lastError: lockLost,
+        lockedAt: null,
+        lockedBy: null,
+        runAt: dead ? undefined : new Date(),
+        failedAt: dead ? new Date() : undefined,
+      },
+    });
+    if (count === 0) continue;
+
+    released++;
+    console.warn(`[JOBS] ${job.type} job ${job.id} was abandoned by ${job.lockedBy}${dead ? ' and is out of attempts' : ''}`);
+    if (dead) {
+      await notifyDead(job, new Error(lockLost));
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Delete finished jobs: completed ones after a week, dead ones after a month
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+const purgeFinishedJobs = async () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.job.deleteMany({
+    where: {
+      OR: [
+        { status: 'completed', completedAt: { lt: daysAgo(COMPLETED_RETENTION_DAYS) } },
+        { status: 'dead', failedAt: { lt: daysAgo(DEAD_RETENTION_DAYS) } },
+      ],
+    },
+  });
+  return count;
+};
+
+/**
+ * Start polling for jobs in this process
+ * @param {object} [options] - concurrency (JOB_WORKER_CONCURRENCY, default 1)
+ *   and pollIntervalMs (JOB_POLL_INTERVAL_MS, default 2000)
+ * @returns {{stop: Function}} Call stop() to finish the jobs in hand and exit the loop
+ */
+const startWorker = ({
+  concurrency = parseNumber(process.env.JOB_WORKER_CONCURRENCY, 1),
+  pollIntervalMs = parseNumber(process.env.JOB_POLL_INTERVAL_MS, 2000),
+} = {}) => {
+  let running = true;
+  const sleepers = new Set();
+
+  const idle = () => new Promise((resolve) => {
+    const wake = () => {
+      clearTimeout(timer);
+      sleepers.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, pollIntervalMs);
+    sleepers.add(wake);
+  });
+
+  const loop = async () => {
+    while (running) {
+      let job = null;
+      try {
+        job = await processNextJob();
+      } catch (error) {
+        console.error('[JOBS] Worker error:', error.message);
+      }
+      if (!job && running) {
+        await idle();
+      }
+    }
+  };
+
+  const maintain = async () => {
+    try {
+      await releaseStaleJobs();
+      await purgeFinishedJobs();
+    } catch (error) {
+      console.error('[JOBS] Maintenance error:', error.message);
+    }
+  };
+  const maintenance = setInterval(maintain, 60 * 1000);
+  maintain();
+
+  const loops = Array.from({ length: concurrency }, loop);
+  console.log(`[JOBS] Worker ${WORKER_ID} started (${concurrency} slot(s), types: ${[...handlers.keys()].join(', ')})`);
+
+  return {
+    async stop() {
+      running = false;
+      clearInterval(maintenance);
+      sleepers.forEach((wake) => wake());
+      await Promise.all(loops);
+      console.log(`[JOBS] Worker ${WORKER_ID} stopped`);
+    },
+  };
+};
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<object|null>} Job record
+ */
+const getJob = (id) => prisma.job.findUnique({ where: { id } });
+
+/**
+ * Page through jobs for the admin panel, newest first
+ * @param {object} filters - status, type, limit, offset
+ * @returns {Promise<{jobs: Array, total: number}>}
+ */
+const listJobs = async ({ status, type, limit = 50, offset = 0 } = {}) => {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${JOB_STATUSES.join(', ')}`, 400);
+  }
+
+  const where = {
+    ...(status && { status }),
+    ...(type && { type }),
+  };
+  const [jobs, total] = await Promise.all([
+    prisma.job.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.job.count({ where }),
+  ]);
+
+  return { jobs, total };
+};
+
+/**
+ * Count jobs per status, overall and per type
+ * @returns {Promise<{byStatus: object, byType: object}>}
+ */
+const getJobCounts = async () => {
+  const groups = await prisma.job.groupBy({
+    by: ['type', 'status'],
+    _count: { id: true },
+  });
+
+  const emptyCounts = () => Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+  const byStatus = emptyCounts();
+  const byType = {};
+  for (const group of groups) {
+    byStatus[group.status] += group._count.id;
+    byType[group.type] = byType[group.type] || emptyCounts();
+    byType[group.type][group.status] = group._count.id;
+  }
+
+  return { byStatus, byType };
+};
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {string} id - Job ID
+ * @returns {Promise<object>} Job record
+ */
+const retryJob = async (id) => {
+  const { count } = await prisma.job.updateMany({
+    where: { id, status: 'dead' },
+    data: {
+      status: 'pending',
+      attempts: 0,
+      runAt: new Date(),
+      failedAt: null,
+    },
+  });
+
+  if (count === 0) {
+    const job = await getJob(id);
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+    throw new AppError(`Only dead jobs can be retried (this one is ${job.status})`, 409);
+  }
+
+  return getJob(id);
+};
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  enqueueJobs,
+  getBackoffMs,
+  processNextJob,
+  runPendingJobs,
+  releaseStaleJobs,
+  purgeFinishedJobs,
+  startWorker,
+  getJob,
+  listJobs,
+  getJobCounts,
+  retryJob,
+};
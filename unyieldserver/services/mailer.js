@@ -0,0 +1,128 @@
+/**
+ * Mailer
+ * Sends account email through a pluggable transport. A transport is any
+ * object with `name` and `send(message)`. Two ship with the server:
+ * - smtp: delivers through an SMTP server (SMTP_HOST, SMTP_PORT, ...)
+ * - file: writes each message as JSON to MAIL_FILE_DIR for local testing
+ * MAIL_TRANSPORT picks one; without it, SMTP is used when SMTP_HOST is set.
+ * Production refuses the file transport, since nobody would ever read the mail.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['smtp', 'file'];
+const DEFAULT_FROM = 'UNYIELD <no-reply@unyield.app>';
+
+/**
+ * Create an SMTP transport
+ * @param {object} [options] - host, port, secure, user, pass (default to SMTP_* env vars)
+ * @returns {object} Transport
+ */
+const createSmtpTransport = (options = {}) => {
+  const port = Number.parseInt(options.port || process.env.SMTP_PORT || '587', 10);
+  const user = options.user || process.env.SMTP_USER;
+
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port,
+    secure: options.secure ?? (process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465),
+    auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+/**
+ * Create a transport that writes messages to disk instead of sending them
+ * @param {object} [options] - directory (defaults to MAIL_FILE_DIR)
+ * @returns {object} Transport
+ */
+const createFileTransport = (options = {}) => {
+  const directory = options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'unyield-mail');
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.writeFile(
+        path.join(directory, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { id };
+    },
+  };
+};
+
+let transport = null;
+
+const createDefaultTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+  if (!MAIL_TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+  }
+  if (process.env.NODE_ENV === 'production' && (name !== 'smtp' || !process.env.SMTP_HOST)) {
+    throw new Error('Production requires MAIL_TRANSPORT=smtp with SMTP_HOST set');
+  }
+  return name === 'smtp' ? createSmtpTransport() : createFileTransport();
+};
+
+/**
+ * Get the active transport, creating it from the environment on first use
+ * @returns {object} Transport
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (another provider, or a test double)
+ * @param {object|null} nextTransport - Transport, or null to go back to the environment default
+ */
+const setMailTransport = (nextTransport) => {
+  if (nextTransport && typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must have a send(message) function');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<{id: string}>} Transport message ID
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Email requires to, subject and text');
+  }
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createSmtpTransport,
+  createFileTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
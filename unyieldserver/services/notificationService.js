@@ -1,12 +1,28 @@
 /**
  * Notification Service
- * Handles all notification creation and push notification delivery via Expo
+ * Handles all notification creation and push notification delivery via Expo.
+ * Notifications for many users go through the job queue: a notification.fanout
+ * job finds the recipients and splits them into notification.batch jobs.
  */
 
 const { Expo } = require('expo-server-sdk');
 const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { getExercise } = require('./workoutService');
+const { enqueueJob, enqueueJobs } = require('./jobQueue');
 const PUSH_CHANNEL_ID = 'unyield_high_priority';
 
+const NOTIFICATION_FANOUT_JOB = 'notification.fanout';
+const NOTIFICATION_BATCH_JOB = 'notification.batch';
+// Users per batch job; a batch is also what a retry sends again
+const NOTIFICATION_BATCH_SIZE = 50;
+
+// Who a fan-out notification goes to
+const FANOUT_AUDIENCES = {
+  all: {},
+  new_challenge: { notificationsEnabled: true, notifyNewChallenges: true },
+};
+
 // Create Expo client
 const expo = new Expo();
 
@@ -226,42 +242,118 @@ const checkAndNotifyRankUp = async (userId, oldRank, newRank) => {
 };
 
 /**
- * Notify all opted-in users of a new challenge
- * @param {object} challenge - Challenge object
- * @returns {Promise<number>} Number of users notified
+ * Create a notification and push it, without checking the user's preferences
+ * (for notifications sent by admins)
+ * @param {object} user - User with id and pushToken
+ * @param {object} notification - type, title, message, data
+ * @returns {Promise<{pushAttempted: boolean, pushSent: boolean}>}
  */
-const notifyNewChallenge = async (challenge) => {
-  try {
-    // Find all users with new challenge notifications enabled
-    const users = await prisma.user.findMany({
-      where: {
-        notificationsEnabled: true,
-        notifyNewChallenges: true,
-      },
-      select: {
-        id: true,
-      },
+const deliverNotification = async (user, { type, title, message, data = {} }) => {
+  const notification = await prisma.notification.create({
+    data: {
+      userId: user.id,
+      type,
+      title,
+      message,
+      read: false,
+      data,
+    },
+  });
+
+  if (!user.pushToken) {
+    return { pushAttempted: false, pushSent: false };
+  }
+
+  const pushSent = await sendPushNotification(user.pushToken, title, message, data, notification.id);
+  return { pushAttempted: true, pushSent };
+};
+
+/**
+ * Queue a notification for every user in an audience
+ * @param {string} audience - Key of FANOUT_AUDIENCES
+ * @param {object} notification - type, title, message, data, and
+ *   ignorePreferences to deliver it like an admin notification
+ * @returns {Promise<object>} Fan-out job
+ */
+const queueNotificationFanout = (audience, notification) => enqueueJob(NOTIFICATION_FANOUT_JOB, {
+  audience,
+  ...notification,
+});
+
+/**
+ * Split a fan-out into batch jobs. Handler for notification.fanout jobs.
+ * @param {object} payload - audience plus the notification
+ * @returns {Promise<{recipients: number, batches: number}>}
+ */
+const fanOutNotification = async ({ audience, ...notification }) => {
+  const where = FANOUT_AUDIENCES[audience];
+  if (!where) {
+    throw new AppError(`Unknown notification audience "${audience}"`, 400);
+  }
+
+  const users = await prisma.user.findMany({ where, select: { id: true } });
+  const batches = [];
+  for (let i = 0; i < users.length; i += NOTIFICATION_BATCH_SIZE) {
+    batches.push({
+      ...notification,
+      userIds: users.slice(i, i + NOTIFICATION_BATCH_SIZE).map((user) => user.id),
     });
+  }
 
-    const title = 'New Challenge!';
-    const message = `New challenge "${challenge.title}" is now available! Check it out.`;
+  await enqueueJobs(NOTIFICATION_BATCH_JOB, batches);
+  console.log(`fanOutNotification: Queued "${notification.title}" for ${users.length} users in ${batches.length} batches`);
+  return { recipients: users.length, batches: batches.length };
+};
 
-    let notifiedCount = 0;
-    for (const user of users) {
-      const notification = await notifyUser(user.id, 'new_challenge', title, message, {
-        screen: 'ChallengeDetail',
-        challengeId: challenge.id,
-      });
-      if (notification) {
-        notifiedCount++;
-      }
+/**
+ * Notify one batch of users. Handler for notification.batch jobs.
+ * @param {object} payload - userIds, type, title, message, data, ignorePreferences
+ * @returns {Promise<{notified: number, pushAttempted: number, pushSent: number}>}
+ */
+const sendNotificationBatch = async ({ userIds, ignorePreferences = false, ...notification }) => {
+  const counts = { notified: 0, pushAttempted: 0, pushSent: 0 };
+
+  if (!ignorePreferences) {
+    for (const userId of userIds) {
+      const created = await notifyUser(userId, notification.type, notification.title, notification.message, notification.data);
+      if (created) counts.notified++;
     }
+    return counts;
+  }
 
-    console.log(`notifyNewChallenge: Notified ${notifiedCount} users of new challenge ${challenge.id}`);
-    return notifiedCount;
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds } },
+    select: { id: true, pushToken: true },
+  });
+  // Same bounded parallelism as a batch of admin notifications
+  const results = await Promise.all(users.map((user) => deliverNotification(user, notification)));
+  for (const result of results) {
+    counts.notified++;
+    if (result.pushAttempted) counts.pushAttempted++;
+    if (result.pushSent) counts.pushSent++;
+  }
+  return counts;
+};
+
+/**
+ * Queue notifications to all opted-in users of a new challenge
+ * @param {object} challenge - Challenge object
+ * @returns {Promise<object|null>} Fan-out job, or null if it couldn't be queued
+ */
+const notifyNewChallenge = async (challenge) => {
+  try {
+    return await queueNotificationFanout('new_challenge', {
+      type: 'new_challenge',
+      title: 'New Challenge!',
+      message: `New challenge "${challenge.title}" is now available! Check it out.`,
+      data: {
+        screen: 'ChallengeDetail',
+        challengeId: challenge.id,
+      },
+    });
   } catch (error) {
     console.error('notifyNewChallenge error:', error);
-    return 0;
+    return null;
   }
 };
 
@@ -355,13 +447,71 @@ const sendWeeklyRankDigest = async (userId, oldRank, newRank) => {
   }
 };
 
+// Which record headlines the notification when a workout sets several
+const RECORD_PRIORITY = ['best_e1rm', 'max_weight', 'best_volume', 'max_reps'];
+
+const describeRecord = ({ type, value }) => {
+  switch (type) {
+    case 'best_e1rm': return `${value}kg estimated 1RM`;
+    case 'max_weight': return `${value}kg top weight`;
+    case 'best_volume': return `${value}kg volume in one set`;
+    default: return `${value} reps`;
+  }
+};
+
+/**
+ * Notify a user of personal records set by a workout.
+ * The first log of an exercise sets its records silently.
+ * @param {string} userId - User ID
+ * @param {object} workout - Workout that set the records
+ * @param {Array} records - Records from updatePersonalRecords ({ type, value, previousValue })
+ * @returns {Promise<boolean>} True if a notification was sent
+ */
+const notifyPersonalRecords = async (userId, workout, records = []) => {
+  try {
+    const beaten = records
+      .filter((record) => record.previousValue !== null)
+      .sort((a, b) => RECORD_PRIORITY.indexOf(a.type) - RECORD_PRIORITY.indexOf(b.type));
+
+    if (beaten.length === 0) {
+      return false;
+    }
+
+    const exerciseName = (await getExercise(workout.exercise))?.name || workout.exercise;
+    const title = 'New Personal Record!';
+    const message = `${exerciseName}: ${describeRecord(beaten[0])}${beaten.length > 1 ? ` and ${beaten.length - 1} more PR${beaten.length > 2 ? 's' : ''}` : ''}. Keep it up!`;
+
+    await notifyUser(userId, 'personal_record', title, message, {
+      screen: 'Profile',
+      userId,
+      workoutId: workout.id,
+      exercise: workout.exercise,
+      records: beaten.map((record) => record.type),
+    });
+
+    console.log(`notifyPersonalRecords: Notified user ${userId} of ${beaten.length} record(s) on ${workout.exercise}`);
+    return true;
+  } catch (error) {
+    console.error('notifyPersonalRecords error:', error);
+    return false;
+  }
+};
+
 module.exports = {
+  NOTIFICATION_FANOUT_JOB,
+  NOTIFICATION_BATCH_JOB,
+  NOTIFICATION_BATCH_SIZE,
   notifyUser,
   sendPushNotification,
+  deliverNotification,
+  queueNotificationFanout,
+  fanOutNotification,
+  sendNotificationBatch,
   checkAndNotifyStreakMilestone,
   checkAndNotifyRankUp,
   notifyNewChallenge,
   notifyChallengeEndingSoon,
   sendWeeklyRankDigest,
+  notifyPersonalRecords,
   STREAK_MILESTONES,
 };
@@ -0,0 +1,201 @@
+/**
+ * OAuth Service
+ * Verifies Google and Apple ID tokens against the provider's published
+ * signing keys (JWKS). Key sets are swappable so tests can sign tokens
+ * with a local key and run without network access.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+
+const OAUTH_PROVIDERS = ['google', 'apple'];
+
+const PROVIDER_CONFIG = {
+  google: {
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    audienceEnv: 'GOOGLE_CLIENT_IDS',
+  },
+  apple: {
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    audienceEnv: 'APPLE_CLIENT_IDS',
+  },
+};
+
+const ID_TOKEN_ALGORITHMS = ['RS256'];
+const KEY_SET_CACHE_MS = 6 * 60 * 60 * 1000; // 6 hours
+const KEY_SET_MIN_REFRESH_MS = 60 * 1000; // unknown kids refetch at most once a minute
+const KEY_SET_FETCH_TIMEOUT_MS = 5000;
+
+const toKeyMap = (jwks) => {
+  const keys = new Map();
+  for (const jwk of jwks?.keys || []) {
+    if (jwk.kty !== 'RSA' || !jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  return keys;
+};
+
+/**
+ * Key set backed by a fixed JWKS document
+ * @param {object} jwks - { keys: [...] }
+ * @returns {object} Key set with getKey(kid)
+ */
+const createLocalKeySet = (jwks) => {
+  const keys = toKeyMap(jwks);
+  return {
+    getKey: async (kid) => keys.get(kid) || null,
+  };
+};
+
+/**
+ * Key set fetched from a JWKS URL and cached. Providers rotate keys, so an
+ * unknown kid triggers a refetch.
+ * @param {string} uri - JWKS URL
+ * @returns {object} Key set with getKey(kid)
+ */
+const createRemoteKeySet = (uri) => {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let loading = null;
+
+  const load = async () => {
+    const response = await fetch(uri, { signal: AbortSignal.timeout(KEY_SET_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch signing keys from ${uri} (${response.status})`);
+    }
+    keys = toKeyMap(await response.json());
+    fetchedAt = Date.now();
+  };
+
+  return {
+    getKey: async (kid) => {
+      const age = Date.now() - fetchedAt;
+      if (age > KEY_SET_CACHE_MS || (!keys.has(kid) && age > KEY_SET_MIN_REFRESH_MS)) {
+        if (!loading) {
+          loading = load().finally(() => {
+            loading = null;
+          });
+        }
+        await loading;
+      }
+      return keys.get(kid) || null;
+    },
+  };
+};
+
+const keySets = new Map();
+
+/**
+ * Get the key set for a provider, creating the remote one on first use
+ * @param {string} provider - google | apple
+ * @returns {object} Key set
+ */
+const getProviderKeySet = (provider) => {
+  if (!keySets.has(provider)) {
+    keySets.set(provider, createRemoteKeySet(PROVIDER_CONFIG[provider].jwksUri));
+  }
+  return keySets.get(provider);
+};
+
+/**
+ * Replace a provider's key set (a local JWKS in tests)
+ * @param {string} provider - google | apple
+ * @param {object|null} keySet - Key set, or null to go back to the provider's JWKS URL
+ */
+const setProviderKeySet = (provider, keySet) => {
+  if (!PROVIDER_CONFIG[provider]) {
+    throw new Error(`Unknown OAuth provider "${provider}"`);
+  }
+  if (keySet) {
+    keySets.set(provider, keySet);
+  } else {
+    keySets.delete(provider);
+  }
+};
+
+const getAudiences = (provider) => (
+  (process.env[PROVIDER_CONFIG[provider].audienceEnv] || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean)
+);
+
+// Apple's email_verified is sometimes the string "true"
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Verify an ID token and return the identity it asserts
+ * @param {string} provider - google | apple
+ * @param {string} idToken - ID token from the provider's sign-in SDK
+ * @param {object} [options] - nonce the client sent to the provider (raw or SHA-256 hex)
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>}
+ */
+const verifyIdToken = async (provider, idToken, { nonce } = {}) => {
+  if (!PROVIDER_CONFIG[provider]) {
+    throw new AppError(`Unsupported sign-in provider. Must be one of: ${OAUTH_PROVIDERS.join(', ')}`, 400);
+  }
+  if (!idToken || typeof idToken !== 'string') {
+    throw new AppError('ID token is required', 400);
+  }
+
+  const audiences = getAudiences(provider);
+  if (audiences.length === 0) {
+    throw new AppError(`${provider} sign-in is not configured`, 503);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  let key;
+  try {
+    key = await getProviderKeySet(provider).getKey(decoded.header.kid);
+  } catch (error) {
+    console.error(`Failed to load ${provider} signing keys:`, error.message);
+    throw new AppError(`Could not verify ${provider} sign-in right now. Please try again.`, 503);
+  }
+  if (!key) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: PROVIDER_CONFIG[provider].issuers,
+      audience: audiences,
+    });
+  } catch (error) {
+    throw new AppError(error.name === 'TokenExpiredError' ? 'ID token expired' : 'Invalid ID token', 401);
+  }
+
+  if (nonce) {
+    const hashedNonce = crypto.createHash('sha256').update(String(nonce)).digest('hex');
+    if (claims.nonce !== nonce && claims.nonce !== hashedNonce) {
+      throw new AppError('Invalid ID token', 401);
+    }
+  }
+
+  if (!claims.sub) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: Boolean(claims.email) && isTrue(claims.email_verified),
+    name: claims.name || null,
+  };
+};
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  createLocalKeySet,
+  createRemoteKeySet,
+  setProviderKeySet,
+  verifyIdToken,
+};
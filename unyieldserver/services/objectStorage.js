@@ -1,215 +1,217 @@
-const os = require("oci-objectstorage");
-const { getOCIConfig } = require("../config/oci");
-const { AppError } = require("../middleware/errorHandler");
+/**
+ * Object Storage
+ * Stores video files through a pluggable driver (see storageDrivers.js).
+ * STORAGE_DRIVER picks one of oci, s3 or local; without it, production uses
+ * OCI and everything else uses local disk.
+ *
+ * The database keeps the object key (`videos/...`), not a URL. Readable URLs
+ * are signed on the way out and expire after STORAGE_URL_TTL_SECONDS. Rows
+ * written before this still hold full URLs and are passed through unchanged.
+ */
 
-let _objectStorageClient = null;
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  STORAGE_DRIVERS,
+  KEY_PREFIX,
+  createOciDriver,
+  createS3Driver,
+  createLocalDriver,
+} = require('./storageDrivers');
+
+const URL_TTL_SECONDS = Number.parseInt(process.env.STORAGE_URL_TTL_SECONDS || '3600', 10);
+
+// Fields that hold video references on submissions
+const VIDEO_URL_FIELDS = ['videoUrl', 'originalVideoUrl', 'blurredVideoUrl', 'thumbnailUrl', 'previewUrl'];
+
+let driver = null;
+
+const createDefaultDriver = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? 'oci' : 'local');
+  if (!STORAGE_DRIVERS.includes(name)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+  if (name === 'oci') return createOciDriver();
+  if (name === 's3') return createS3Driver();
+  return createLocalDriver();
+};
 
 /**
- * Get OCI Object Storage client (lazy-loaded)
+ * Get the active driver, creating it from the environment on first use
+ * @returns {object} Driver
  */
-function getObjectStorageClient() {
-  if (!_objectStorageClient) {
-    const { provider } = getOCIConfig();
-    _objectStorageClient = new os.ObjectStorageClient({
-      authenticationDetailsProvider: provider
-    });
+const getStorageDriver = () => {
+  if (!driver) {
+    driver = createDefaultDriver();
   }
-  return _objectStorageClient;
-}
+  return driver;
+};
 
-function getStorageContext() {
-  const { namespace, bucketName } = getOCIConfig();
-  if (!namespace || !bucketName) {
-    throw new Error('Missing required Oracle credentials: namespace or bucketName');
-  }
-  return { objectStorageClient: getObjectStorageClient(), namespace, bucketName };
-}
+/**
+ * Replace the active driver (another backend, or a test double)
+ * @param {object|null} nextDriver - Driver, or null to go back to the environment default
+ */
+const setStorageDriver = (nextDriver) => {
+  driver = nextDriver;
+};
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
 
 /**
- * Upload a video file to Oracle Cloud Object Storage
- * @param {Buffer} fileBuffer - The video file buffer
- * @param {string} fileName - The object name (will be prefixed)
- * @param {string} contentType - MIME type of the video
- * @returns {Promise<{objectName: string, publicUrl: string}>}
+ * Turn a reference from a client into what gets stored: URLs issued by the
+ * active driver become their object key, anything else is kept as given
+ * @param {string|null} ref - Object key or URL
+ * @returns {string|null} Value to store
  */
-async function uploadVideo(fileBuffer, fileName, contentType = 'video/mp4') {
-  console.log('[OCI SERVICE] uploadVideo called', {
-    fileName,
-    contentType,
-    bufferLength: fileBuffer?.length
-  });
+const toStorageRef = (ref) => {
+  if (!ref || !isUrl(ref)) return ref || null;
+  return getStorageDriver().keyFromUrl(ref) || ref;
+};
 
-  try {
-    console.log('[OCI SERVICE] Getting storage context...');
-    const { objectStorageClient, namespace, bucketName } = getStorageContext();
-    console.log('[OCI SERVICE] Storage context retrieved:', {
-      namespace,
-      bucketName,
-      hasClient: !!objectStorageClient
-    });
-
-    // Generate unique object name with user-specific prefix
-    const timestamp = Date.now();
-    const randomSuffix = Math.round(Math.random() * 1E9);
-    const objectName = `videos/${timestamp}-${randomSuffix}-${fileName}`;
-
-    console.log(`[OCI SERVICE] Uploading video: ${objectName} (${fileBuffer.length} bytes)`);
-
-    // Upload the object
-    const putObjectRequest = {
-      namespaceName: namespace,
-      bucketName: bucketName,
-      putObjectBody: fileBuffer,
-      objectName: objectName,
-      contentLength: fileBuffer.length,
-      contentType: contentType
-    };
-
-    console.log('[OCI SERVICE] putObject request prepared, calling OCI SDK...');
-    const uploadResponse = await objectStorageClient.putObject(putObjectRequest);
-    console.log('[OCI SERVICE] putObject returned', {
-      hasResponse: !!uploadResponse,
-      responseType: typeof uploadResponse,
-      responseKeys: uploadResponse ? Object.keys(uploadResponse) : []
-    });
-
-    // OCI putObject returns a response - success is indicated by no exception thrown
-    // opcRequestId might be in different locations or not present in older SDK versions
-    const opcRequestId = uploadResponse?.opcRequestId || uploadResponse?.headers?.['opc-requestid'];
-
-    if (!opcRequestId) {
-      console.warn('[OCI SERVICE] Upload completed but opcRequestId not found in response - this may indicate SDK version difference');
-    }
+/**
+ * Get a short-lived URL for a stored video
+ * @param {string|null} ref - Object key, or a legacy/external URL
+ * @returns {Promise<string|null>} Readable URL
+ */
+const getVideoUrl = async (ref) => {
+  if (!ref) return null;
+  if (isUrl(ref)) return ref;
+  return getStorageDriver().getSignedUrl(ref, URL_TTL_SECONDS);
+};
 
-    console.log(`[OCI SERVICE] Upload successful: ${objectName} (opcRequestId: ${opcRequestId || 'N/A'})`);
+/**
+ * Copy a record with its video references swapped for readable URLs.
+ * A reference that can't be signed comes back null rather than failing the request.
+ * @param {object|null} record - Submission (or any object with video URL fields)
+ * @returns {Promise<object|null>} Record with signed URLs
+ */
+const signVideoUrls = async (record) => {
+  if (!record) return record;
 
-    // Create pre-authenticated request for public access
-    console.log('[OCI SERVICE] Creating pre-authenticated request...');
-    const publicUrl = await createPreAuthenticatedRequest(objectName);
+  const signed = { ...record };
+  await Promise.all(VIDEO_URL_FIELDS.map(async (field) => {
+    if (!record[field]) return;
+    try {
+      signed[field] = await getVideoUrl(record[field]);
+    } catch (error) {
+      console.error(`[STORAGE] Could not sign ${field} (${record[field]}):`, error.message);
+      signed[field] = null;
+    }
+  }));
+  return signed;
+};
+
+const buildObjectName = (fileName) => {
+  const safeName = path.basename(fileName || 'video.mp4').replace(/[^a-zA-Z0-9._-]/g, '_');
+  return `${KEY_PREFIX}${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${safeName}`;
+};
 
-    console.log('[OCI SERVICE] Upload complete, returning:', {
-      objectName,
-      publicUrl: publicUrl?.substring(0, 50) + '...'
-    });
+const storeVideo = async (body, size, fileName, contentType) => {
+  const storage = getStorageDriver();
+  const objectName = buildObjectName(fileName);
 
-    return {
-      objectName,
-      publicUrl
-    };
+  console.log(`[STORAGE] Uploading ${objectName} (${size} bytes) with ${storage.name} driver`);
 
+  try {
+    await storage.putObject(objectName, body, contentType, size);
   } catch (error) {
-    console.error('[OCI SERVICE] Upload error:', {
-      message: error.message,
-      name: error.name,
-      stack: error.stack?.substring(0, 300)
-    });
+    console.error('[STORAGE] Upload error:', error.message);
     throw new AppError(`Video upload failed: ${error.message}`, 500);
   }
-}
 
-/**
- * Create a pre-authenticated request for an object
- * @param {string} objectName - The object name
- * @returns {Promise<string>} - The public URL
- */
-async function createPreAuthenticatedRequest(objectName) {
-  console.log('[OCI SERVICE] createPreAuthenticatedRequest called for:', objectName);
   try {
-    const { objectStorageClient, namespace, bucketName } = getStorageContext();
-    console.log('[OCI SERVICE] Creating PAR with:', { namespace, bucketName });
-
-    const parRequest = {
-      namespaceName: namespace,
-      bucketName: bucketName,
-      createPreauthenticatedRequestDetails: {
-        name: `video-${Date.now()}`,
-        objectName: objectName,
-        accessType: os.models.CreatePreauthenticatedRequestDetails.AccessType.ObjectRead,
-        timeExpires: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) // 1 year
-      }
-    };
-
-    console.log('[OCI SERVICE] Calling createPreauthenticatedRequest...');
-    const parResponse = await objectStorageClient.createPreauthenticatedRequest(parRequest);
-    console.log('[OCI SERVICE] PAR response:', {
-      hasResponse: !!parResponse,
-      hasPreauthenticatedRequest: !!parResponse?.preauthenticatedRequest
-    });
-
-    if (!parResponse.preauthenticatedRequest) {
-      console.error('[OCI SERVICE] PAR response missing preauthenticatedRequest');
-      throw new AppError('Failed to create public URL for video', 500);
-    }
-
-    const publicUrl = parResponse.preauthenticatedRequest.fullPath;
-    console.log(`[OCI SERVICE] Pre-authenticated request created: ${publicUrl?.substring(0, 50)}...`);
-
-    return publicUrl;
-
+    const url = await storage.getSignedUrl(objectName, URL_TTL_SECONDS);
+    return { objectName, url };
   } catch (error) {
-    console.error('[OCI SERVICE] Pre-authenticated request error:', {
-      message: error.message,
-      name: error.name,
-      stack: error.stack?.substring(0, 200)
-    });
-    // If we can't create PAR, attempt to delete the uploaded object
+    console.error('[STORAGE] Signing error:', error.message);
+    // Without a URL the upload is useless to the client, so don't leave it behind
     try {
-      await deleteVideoFromOCI(objectName);
+      await storage.deleteObject(objectName);
     } catch (deleteError) {
-      console.error('[OCI] Failed to cleanup after PAR error:', deleteError);
+      console.error('[STORAGE] Failed to clean up after signing error:', deleteError.message);
     }
-    throw new AppError(`Failed to create public URL: ${error.message}`, 500);
+    throw new AppError(`Failed to create video URL: ${error.message}`, 500);
   }
+};
+
+/**
+ * Upload a video file
+ * @param {Buffer} fileBuffer - The video file buffer
+ * @param {string} fileName - Original file name, kept in the key for readability
+ * @param {string} contentType - MIME type of the video
+ * @returns {Promise<{objectName: string, url: string}>} Object key and a short-lived URL
+ */
+async function uploadVideo(fileBuffer, fileName, contentType = 'video/mp4') {
+  return storeVideo(fileBuffer, fileBuffer.length, fileName, contentType);
 }
 
 /**
- * Delete a video from Object Storage
- * @param {string} videoUrl - The public URL or object name
+ * Upload a video straight from disk without loading it into memory
+ * @param {string} filePath - Path of the file to upload
+ * @param {string} fileName - Original file name, kept in the key for readability
+ * @param {string} contentType - MIME type of the video
+ * @returns {Promise<{objectName: string, url: string}>} Object key and a short-lived URL
  */
-async function deleteVideo(videoUrl) {
-  try {
-    const { objectStorageClient, namespace, bucketName } = getStorageContext();
-    // Extract object name from URL if it's a full URL
-    let objectName;
-    if (videoUrl.startsWith('http')) {
-      // Parse the URL to get object name
-      const urlParts = videoUrl.split('/');
-      objectName = urlParts.slice(-2).join('/'); // Gets /videos/filename
-    } else {
-      objectName = videoUrl;
-    }
+async function uploadVideoFile(filePath, fileName, contentType = 'video/mp4') {
+  const { size } = await fs.promises.stat(filePath);
+  return storeVideo(fs.createReadStream(filePath), size, fileName, contentType);
+}
 
-    console.log(`[OCI] Deleting video: ${objectName}`);
+/**
+ * Overwrite a stored object with a file from disk, keeping its key
+ * @param {string} objectName - Object key to replace
+ * @param {string} filePath - Path of the new contents
+ * @param {string} contentType - MIME type of the new contents
+ */
+async function replaceVideoFile(objectName, filePath, contentType = 'video/mp4') {
+  const { size } = await fs.promises.stat(filePath);
+  console.log(`[STORAGE] Replacing ${objectName} (${size} bytes)`);
+  await getStorageDriver().putObject(objectName, fs.createReadStream(filePath), contentType, size);
+}
 
-    const deleteRequest = {
-      namespaceName: namespace,
-      bucketName: bucketName,
-      objectName: objectName
-    };
+/**
+ * Copy a stored object to local disk
+ * @param {string} objectName - Object key
+ * @param {string} filePath - Where to write it
+ */
+async function downloadVideo(objectName, filePath) {
+  const body = await getStorageDriver().getObject(objectName);
+  await pipeline(body, fs.createWriteStream(filePath));
+}
 
-    await objectStorageClient.deleteObject(deleteRequest);
-    console.log(`[OCI] Video deleted: ${objectName}`);
+/**
+ * Delete a video from storage
+ * @param {string} ref - Object key, or a URL issued by the active driver
+ */
+async function deleteVideo(ref) {
+  try {
+    const key = toStorageRef(ref);
+    if (!key || isUrl(key)) {
+      console.warn(`[STORAGE] Not deleting ${ref}: not an object in this storage`);
+      return;
+    }
 
+    await getStorageDriver().deleteObject(key);
+    console.log(`[STORAGE] Video deleted: ${key}`);
   } catch (error) {
-    console.error('[OCI] Delete error:', error);
+    console.error('[STORAGE] Delete error:', error.message);
     // Don't throw - allow database deletion to proceed
   }
 }
 
-/**
- * Internal: Delete video from OCI (for rollback)
- */
-async function deleteVideoFromOCI(objectName) {
-  const { objectStorageClient, namespace, bucketName } = getStorageContext();
-  const deleteRequest = {
-    namespaceName: namespace,
-    bucketName: bucketName,
-    objectName: objectName
-  };
-  await objectStorageClient.deleteObject(deleteRequest);
-}
-
 module.exports = {
+  VIDEO_URL_FIELDS,
+  getStorageDriver,
+  setStorageDriver,
+  toStorageRef,
+  getVideoUrl,
+  signVideoUrls,
   uploadVideo,
-  deleteVideo
+  uploadVideoFile,
+  replaceVideoFile,
+  downloadVideo,
+  deleteVideo,
 };
@@ -0,0 +1,191 @@
+/**
+ * Personal Record Service
+ * Estimated one-rep max and per-exercise personal records
+ * (max weight, max reps, best e1RM, best volume)
+ */
+
+const prisma = require('../src/prisma');
+
+const RECORD_TYPES = ['max_weight', 'max_reps', 'best_e1rm', 'best_volume'];
+
+// Response field for each record type
+const RECORD_FIELDS = {
+  max_weight: 'maxWeight',
+  max_reps: 'maxReps',
+  best_e1rm: 'bestE1rm',
+  best_volume: 'bestVolume',
+};
+
+// Rep ranges where the 1RM formulas stay meaningful
+const BRZYCKI_MAX_REPS = 10;
+const E1RM_MAX_REPS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Estimate a one-rep max from a set.
+ * Uses Brzycki up to 10 reps and Epley above that, where Brzycki
+ * starts to overestimate.
+ * @param {number} weight - Weight lifted (kg)
+ * @param {number} reps - Reps performed
+ * @returns {number|null} Estimated 1RM, or null for unweighted or very high rep sets
+ */
+const estimateOneRepMax = (weight, reps) => {
+  if (!weight || weight <= 0 || !reps || reps <= 0 || reps > E1RM_MAX_REPS) {
+    return null;
+  }
+  if (reps === 1) return weight;
+  if (reps <= BRZYCKI_MAX_REPS) {
+    return round(weight * (36 / (37 - reps)));
+  }
+  return round(weight * (1 + reps / 30));
+};
+
+/**
+ * Get the value a workout scores for each record type
+ * @param {object} workout - Workout record
+ * @returns {object} Record type -> value (null when the type doesn't apply)
+ */
+const getRecordValues = (workout) => {
+  const weight = workout.weight || 0;
+  const reps = workout.reps || 0;
+  const e1rm = workout.e1rm ?? estimateOneRepMax(weight, reps);
+
+  return {
+    max_weight: weight > 0 ? weight : null,
+    max_reps: reps > 0 ? reps : null,
+    best_e1rm: e1rm || null,
+    best_volume: weight > 0 && reps > 0 ? round(weight * reps) : null,
+  };
+};
+
+const toRecordData = (workout, value) => ({
+  value,
+  weight: workout.weight || null,
+  reps: workout.reps || 0,
+  workoutId: workout.id,
+  achievedAt: workout.date,
+});
+
+/**
+ * Update a user's records with a newly created workout
+ * @param {object} tx - Prisma transaction client
+ * @param {object} workout - Created workout
+ * @returns {Promise<Array>} Records the workout set: { type, value, previousValue }
+ */
+const updatePersonalRecords = async (tx, workout) => {
+  const values = getRecordValues(workout);
+  const existing = await tx.personalRecord.findMany({
+    where: { userId: workout.userId, exercise: workout.exercise },
+  });
+  const existingByType = new Map(existing.map((record) => [record.type, record]));
+
+  const newRecords = [];
+  for (const type of RECORD_TYPES) {
+    const value = values[type];
+    if (value === null) continue;
+
+    const current = existingByType.get(type);
+    // Ties keep the earlier record
+    if (current && current.value >= value) continue;
+
+    await tx.personalRecord.upsert({
+      where: {
+        userId_exercise_type: { userId: workout.userId, exercise: workout.exercise, type },
+      },
+      create: {
+        userId: workout.userId,
+        exercise: workout.exercise,
+        type,
+        ...toRecordData(workout, value),
+      },
+      update: toRecordData(workout, value),
+    });
+
+    newRecords.push({ type, value, previousValue: current ? current.value : null });
+  }
+
+  return newRecords;
+};
+
+/**
+ * Rebuild a user's records for one exercise from their remaining workouts
+ * @param {object} tx - Prisma transaction client
+ * @param {string} userId - User ID
+ * @param {string} exercise - Exercise as logged
+ * @returns {Promise<void>}
+ */
+const recomputePersonalRecords = async (tx, userId, exercise) => {
+  const workouts = await tx.workout.findMany({
+    where: { userId, exercise },
+    orderBy: { date: 'asc' },
+    select: { id: true, userId: true, exercise: true, weight: true, reps: true, e1rm: true, date: true },
+  });
+
+  const best = {};
+  for (const workout of workouts) {
+    const values = getRecordValues(workout);
+    for (const type of RECORD_TYPES) {
+      const value = values[type];
+      if (value !== null && (!best[type] || value > best[type].value)) {
+        best[type] = { workout, value };
+      }
+    }
+  }
+
+  await tx.personalRecord.deleteMany({ where: { userId, exercise } });
+
+  const data = Object.entries(best).map(([type, { workout, value }]) => ({
+    userId,
+    exercise,
+    type,
+    ...toRecordData(workout, value),
+  }));
+  if (data.length > 0) {
+    await tx.personalRecord.createMany({ data });
+  }
+};
+
+/**
+ * Get a user's personal records grouped by exercise
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} One entry per exercise with a field per record type
+ */
+const getPersonalRecords = async (userId) => {
+  const records = await prisma.personalRecord.findMany({
+    where: { userId },
+    orderBy: [{ exercise: 'asc' }, { type: 'asc' }],
+  });
+
+  const byExercise = new Map();
+  for (const record of records) {
+    if (!byExercise.has(record.exercise)) {
+      byExercise.set(record.exercise, {
+        exercise: record.exercise,
+        maxWeight: null,
+        maxReps: null,
+        bestE1rm: null,
+        bestVolume: null,
+      });
+    }
+
+    byExercise.get(record.exercise)[RECORD_FIELDS[record.type]] = {
+      value: record.value,
+      weight: record.weight,
+      reps: record.reps,
+      workoutId: record.workoutId,
+      achievedAt: record.achievedAt,
+    };
+  }
+
+  return [...byExercise.values()];
+};
+
+module.exports = {
+  RECORD_TYPES,
+  estimateOneRepMax,
+  getRecordValues,
+  updatePersonalRecords,
+  recomputePersonalRecords,
+  getPersonalRecords,
+};
@@ -0,0 +1,226 @@
+/**
+ * Rank Snapshot Service
+ * Records daily leaderboard standings for every scope (global, region,
+ * weight class) and reads them back for rank history and movement.
+ */
+
+const prisma = require('../src/prisma');
+const { RANKED_USER_WHERE } = require('./userService');
+
+const SNAPSHOT_SCOPES = ['global', 'region', 'weight_class'];
+
+// Rank movement compares against the standings from this many days ago
+const MOVEMENT_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Get the start of the UTC day for a date
+ * @param {Date} date - Any date
+ * @returns {Date} Midnight UTC of that day
+ */
+const startOfUtcDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Map leaderboard filters to the snapshot scope they correspond to
+ * @param {object} filters - { region, weightClass }
+ * @returns {{scope: string, scopeValue: string}|null} Scope, or null if no snapshots exist for it
+ */
+const resolveScope = ({ region = 'Global', weightClass } = {}) => {
+  const hasRegion = region && region !== 'Global';
+  if (weightClass && hasRegion) return null;
+  if (weightClass) return { scope: 'weight_class', scopeValue: weightClass.toUpperCase() };
+  if (hasRegion) return { scope: 'region', scopeValue: region };
+  return { scope: 'global', scopeValue: '' };
+};
+
+/**
+ * Rank users sorted by strength ratio. Ties share a rank (1, 2, 2, 4), the
+ * same as counting users with a higher ratio. Used by the snapshots and the
+ * live leaderboard so both agree.
+ * @param {Array} users - Users sorted by strengthRatio desc
+ * @param {number} [offset] - Position of users[0] in the full standings
+ * @param {number} [firstRank] - Rank of users[0] (it may tie the page before)
+ * @returns {number[]} Rank of each user
+ */
+const rankByRatio = (users, offset = 0, firstRank = offset + 1) => {
+  let previousRatio = null;
+  let previousRank = firstRank;
+
+  return users.map((user, index) => {
+    const ratio = user.strengthRatio || 0;
+    let rank = offset + index + 1;
+    if (index === 0) rank = firstRank;
+    else if (ratio === previousRatio) rank = previousRank;
+    previousRatio = ratio;
+    previousRank = rank;
+    return rank;
+  });
+};
+
+/**
+ * Build snapshot rows for a list of users sorted by strength ratio
+ */
+const rankGroup = (users, scope, scopeValue, takenAt) => {
+  const ranks = rankByRatio(users);
+
+  return users.map((user, index) => ({
+    userId: user.id,
+    scope,
+    scopeValue,
+    rank: ranks[index],
+    strengthRatio: user.strengthRatio || 0,
+    totalInScope: users.length,
+    takenAt,
+  }));
+};
+
+const groupBy = (users, key) => {
+  const groups = new Map();
+  for (const user of users) {
+    const value = user[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(user);
+  }
+  return groups;
+};
+
+/**
+ * Capture today's standings for every leaderboard scope.
+ * Running it again on the same day replaces that day's snapshot.
+ * @param {Date} [date] - Day to record (defaults to today)
+ * @returns {Promise<number>} Number of snapshot rows written
+ */
+const captureRankSnapshots = async (date = new Date()) => {
+  const takenAt = startOfUtcDay(date);
+
+  // Same population as the main leaderboard
+  const users = await prisma.user.findMany({
+    where: { ...RANKED_USER_WHERE, weightClass: { not: 'UNCLASSIFIED' } },
+    select: { id: true, region: true, weightClass: true, strengthRatio: true },
+    orderBy: [{ strengthRatio: 'desc' }, { id: 'asc' }],
+  });
+
+  const rows = [...rankGroup(users, 'global', '', takenAt)];
+
+  for (const [region, members] of groupBy(users, 'region')) {
+    if (region === 'Global') continue;
+    rows.push(...rankGroup(members, 'region', region, takenAt));
+  }
+
+  for (const [weightClass, members] of groupBy(users, 'weightClass')) {
+    rows.push(...rankGroup(members, 'weight_class', weightClass, takenAt));
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.rankSnapshot.deleteMany({ where: { takenAt } });
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      await tx.rankSnapshot.createMany({ data: rows.slice(i, i + INSERT_BATCH_SIZE) });
+    }
+  }, { timeout: 60000 });
+
+  return rows.length;
+};
+
+/**
+ * Find the most recent snapshot day on or before a date for a scope
+ */
+const findSnapshotDay = async (scope, scopeValue, onOrBefore) => {
+  const snapshot = await prisma.rankSnapshot.findFirst({
+    where: { scope, scopeValue, takenAt: { lte: onOrBefore } },
+    orderBy: { takenAt: 'desc' },
+    select: { takenAt: true },
+  });
+  return snapshot?.takenAt || null;
+};
+
+/**
+ * Get each user's rank from about a week ago in a scope
+ * @param {string[]} userIds - Users to look up
+ * @param {{scope: string, scopeValue: string}} scope - Leaderboard scope
+ * @param {number} [days] - How far back to compare
+ * @returns {Promise<Map<string, number>>} userId -> previous rank
+ */
+const getPreviousRanks = async (userIds, { scope, scopeValue }, days = MOVEMENT_WINDOW_DAYS) => {
+  if (userIds.length === 0) return new Map();
+
+  const takenAt = await findSnapshotDay(scope, scopeValue, new Date(Date.now() - days * DAY_MS));
+  if (!takenAt) return new Map();
+
+  const snapshots = await prisma.rankSnapshot.findMany({
+    where: { scope, scopeValue, takenAt, userId: { in: userIds } },
+    select: { userId: true, rank: true },
+  });
+  return new Map(snapshots.map((snapshot) => [snapshot.userId, snapshot.rank]));
+};
+
+/**
+ * Describe how a rank moved
+ * @param {number|null} rank - Current rank
+ * @param {number|undefined} previousRank - Earlier rank
+ * @returns {{previousRank: number|null, rankChange: number|null, change: string}} Positive rankChange = moved up
+ */
+const describeMovement = (rank, previousRank) => {
+  if (!rank || !previousRank) {
+    return { previousRank: previousRank || null, rankChange: null, change: 'new' };
+  }
+  const rankChange = previousRank - rank;
+  let change = 'same';
+  if (rankChange > 0) change = 'up';
+  if (rankChange < 0) change = 'down';
+  return { previousRank, rankChange, change };
+};
+
+/**
+ * Get a user's rank history in one scope
+ * @param {string} userId - User ID
+ * @param {string} scope - global | region | weight_class
+ * @param {number} days - Number of days to return
+ * @returns {Promise<Array>} Snapshots, oldest first
+ */
+const getRankHistory = async (userId, scope, days) => {
+  return prisma.rankSnapshot.findMany({
+    where: {
+      userId,
+      scope,
+      takenAt: { gte: startOfUtcDay(new Date(Date.now() - days * DAY_MS)) },
+    },
+    orderBy: { takenAt: 'asc' },
+    select: {
+      takenAt: true,
+      scope: true,
+      scopeValue: true,
+      rank: true,
+      strengthRatio: true,
+      totalInScope: true,
+    },
+  });
+};
+
+/**
+ * Delete snapshots older than the retention window
+ * @param {number} retentionDays - Days of history to keep
+ * @returns {Promise<number>} Number of rows removed
+ */
+const purgeOldSnapshots = async (retentionDays) => {
+  const result = await prisma.rankSnapshot.deleteMany({
+    where: { takenAt: { lt: startOfUtcDay(new Date(Date.now() - retentionDays * DAY_MS)) } },
+  });
+  return result.count;
+};
+
+module.exports = {
+  SNAPSHOT_SCOPES,
+  MOVEMENT_WINDOW_DAYS,
+  startOfUtcDay,
+  resolveScope,
+  rankByRatio,
+  captureRankSnapshots,
+  getPreviousRanks,
+  describeMovement,
+  getRankHistory,
+  purgeOldSnapshots,
+};
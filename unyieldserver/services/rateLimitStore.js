@@ -0,0 +1,187 @@
+/**
+ * Rate Limit Store
+ * Counters behind the sliding-window rate limiter. Each store counts hits
+ * per key and fixed window; the limiter blends the current and previous
+ * window into a sliding estimate. Pick one with RATE_LIMIT_STORE:
+ *   memory   - this process only (default, resets on restart)
+ *   postgres - shared through the RateLimitCounter table
+ *   redis    - shared through Redis at REDIS_URL (needs the `redis` package)
+ *
+ * A store implements:
+ *   hit(key, windowStart, windowMs) -> Promise<{ current, previous }>
+ * counting one hit in the window starting at windowStart and returning the
+ * counts for that window and the one before it.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+
+const MAX_KEY_LENGTH = 255;
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+// Keys may embed an email address; long ones are hashed to fit the column
+const fitKey = (key) => (
+  key.length <= MAX_KEY_LENGTH
+    ? key
+    : `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`
+);
+
+const startPurgeTimer = (purge, intervalMs) => {
+  const timer = setInterval(() => {
+    purge().catch((error) => console.error('Rate limit counter cleanup failed:', error.message));
+  }, intervalMs);
+
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  return timer;
+};
+
+/**
+ * In-process store, fine for a single instance and for tests
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  startPurgeTimer(async () => {
+    const now = Date.now();
+    for (const [id, counter] of counters.entries()) {
+      if (counter.expiresAt <= now) {
+        counters.delete(id);
+      }
+    }
+  }, PURGE_INTERVAL_MS);
+
+  return {
+    name: 'memory',
+    async hit(key, windowStart, windowMs) {
+      const id = `${key}@${windowStart}`;
+      const counter = counters.get(id) || { count: 0, expiresAt: windowStart + 2 * windowMs };
+      counter.count += 1;
+      counters.set(id, counter);
+
+      const previous = counters.get(`${key}@${windowStart - windowMs}`);
+      return { current: counter.count, previous: previous ? previous.count : 0 };
+    },
+  };
+};
+
+// Add one to a counter row, creating it on first use
+const incrementCounter = async (key, windowStart, expiresAt) => {
+  const where = { key_windowStart: { key, windowStart } };
+  const increment = () => prisma.rateLimitCounter.update({
+    where,
+    data: { count: { increment: 1 } },
+  });
+
+  try {
+    return (await increment()).count;
+  } catch (error) {
+    if (error.code !== 'P2025') throw error;
+  }
+
+  try {
+    return (await prisma.rateLimitCounter.create({
+      data: { key, windowStart, count: 1, expiresAt },
+    })).count;
+  } catch (error) {
+    // Another instance created the row first
+    if (error.code !== 'P2002') throw error;
+  }
+
+  return (await increment()).count;
+};
+
+/**
+ * Postgres store, shared by every instance using the same database
+ */
+const createPostgresStore = () => {
+  startPurgeTimer(async () => {
+    await prisma.rateLimitCounter.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+  }, 5 * PURGE_INTERVAL_MS);
+
+  return {
+    name: 'postgres',
+    async hit(key, windowStart, windowMs) {
+      const storedKey = fitKey(key);
+      const [current, previous] = await Promise.all([
+        incrementCounter(storedKey, new Date(windowStart), new Date(windowStart + 2 * windowMs)),
+        prisma.rateLimitCounter.findUnique({
+          where: { key_windowStart: { key: storedKey, windowStart: new Date(windowStart - windowMs) } },
+          select: { count: true },
+        }),
+      ]);
+
+      return { current, previous: previous ? previous.count : 0 };
+    },
+  };
+};
+
+/**
+ * Redis store. Counters expire on their own, so no cleanup is needed.
+ * @param {object} [options] - url, or an already connected node-redis client
+ */
+const createRedisStore = ({ url = process.env.REDIS_URL, client = null } = {}) => {
+  let redis = client;
+
+  if (!redis) {
+    if (!url) {
+      throw new Error('REDIS_URL is required for the redis rate limit store');
+    }
+
+    let createClient;
+    try {
+      ({ createClient } = require('redis'));
+    } catch (error) {
+      throw new Error('The redis rate limit store needs the `redis` package. Run: npm install redis');
+    }
+
+    redis = createClient({ url });
+    redis.on('error', (error) => console.error('Rate limit Redis error:', error.message));
+    redis.connect().catch((error) => console.error('Rate limit Redis connection failed:', error.message));
+  }
+
+  return {
+    name: 'redis',
+    async hit(key, windowStart, windowMs) {
+      const currentKey = `ratelimit:${key}:${windowStart}`;
+      const previousKey = `ratelimit:${key}:${windowStart - windowMs}`;
+
+      const [current, , previous] = await redis
+        .multi()
+        .incr(currentKey)
+        .pExpire(currentKey, 2 * windowMs)
+        .get(previousKey)
+        .exec();
+
+      return { current: Number(current), previous: Number(previous) || 0 };
+    },
+  };
+};
+
+/**
+ * Build the store named by RATE_LIMIT_STORE
+ * @param {string} [type] - memory, postgres or redis
+ * @returns {object} Store
+ */
+const createRateLimitStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'postgres':
+      return createPostgresStore();
+    case 'redis':
+      return createRedisStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}". Use memory, postgres or redis.`);
+  }
+};
+
+module.exports = {
+  createRateLimitStore,
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore,
+};
@@ -0,0 +1,239 @@
+/**
+ * Session Service
+ * Per-device sign-in sessions with rotating refresh tokens. Signing in
+ * creates a session and its first refresh token; each refresh spends the
+ * token and issues a new one. A spent token showing up again means it was
+ * copied, so the whole session is revoked.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { generateToken } = require('../middleware/auth');
+const { hashToken } = require('./authTokenService');
+const { getActiveBan, formatBanMessage } = require('./userService');
+
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const REFRESH_TOKEN_BYTES = 48;
+const DEVICE_NAME_MAX_LENGTH = 100;
+const USER_AGENT_MAX_LENGTH = 500;
+
+// Revoked sessions are kept for a week for troubleshooting before being deleted
+const REVOKED_SESSION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const INVALID_REFRESH_TOKEN = 'Invalid or expired refresh token. Please sign in again.';
+
+const getSessionExpiry = (now = new Date()) => (
+  new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+);
+
+const newRefreshToken = () => crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+
+/**
+ * Describe the device making a request
+ * @param {object} req - Express request
+ * @returns {object} { deviceName, userAgent, ipAddress }
+ */
+const getDeviceInfo = (req) => {
+  const deviceName = req.body?.deviceName || req.get('x-device-name');
+  const userAgent = req.get('user-agent');
+  return {
+    deviceName: typeof deviceName === 'string' ? deviceName.trim().slice(0, DEVICE_NAME_MAX_LENGTH) || null : null,
+    userAgent: userAgent ? userAgent.slice(0, USER_AGENT_MAX_LENGTH) : null,
+    ipAddress: req.ip || null,
+  };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {object} user - User record
+ * @param {object} req - Express request, for device details
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      ...getDeviceInfo(req),
+      lastUsedAt: now,
+      expiresAt: getSessionExpiry(now),
+      refreshTokens: {
+        create: { tokenHash: hashToken(refreshToken) },
+      },
+    },
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why it was revoked
+ * @returns {Promise<boolean>} False if it was already revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return count === 1;
+};
+
+/**
+ * Revoke every session a user has
+ * @param {object} tx - Prisma client or transaction client
+ * @param {string} userId - User ID
+ * @param {string} reason - Why they were revoked
+ * @param {object} [options] - exceptSessionId to keep the current device signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (tx, userId, reason, { exceptSessionId = null } = {}) => {
+  const { count } = await tx.authSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return count;
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {object} req - Express request, for device details
+ * @returns {Promise<{user: object, token: string, refreshToken: string, sessionId: string}>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken.trim()) },
+    include: { session: { include: { user: true } } },
+  });
+
+  if (!record) {
+    throw new AppError(INVALID_REFRESH_TOKEN, 401);
+  }
+
+  const { session } = record;
+  const { user } = session;
+  const now = new Date();
+
+  if (session.revokedAt || session.expiresAt <= now) {
+    throw new AppError(INVALID_REFRESH_TOKEN, 401);
+  }
+
+  // Claim the token; losing the race counts as reuse just like a spent token
+  const claimed = record.rotatedAt ? 0 : (await prisma.refreshToken.updateMany({
+    where: { id: record.id, rotatedAt: null },
+    data: { rotatedAt: now },
+  })).count;
+
+  if (claimed !== 1) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected for user ${user.id}, session ${session.id} revoked`);
+    throw new AppError(INVALID_REFRESH_TOKEN, 401);
+  }
+
+  const ban = getActiveBan(user, now);
+  if (ban) {
+    throw new AppError(formatBanMessage(ban), 403);
+  }
+
+  if (user.sessionsRevokedAt && session.createdAt < user.sessionsRevokedAt) {
+    await revokeSession(session.id, 'sessions_revoked');
+    throw new AppError(INVALID_REFRESH_TOKEN, 401);
+  }
+
+  const nextRefreshToken = newRefreshToken();
+  const { userAgent, ipAddress } = getDeviceInfo(req);
+
+  await prisma.$transaction([
+    prisma.refreshToken.create({
+      data: { sessionId: session.id, tokenHash: hashToken(nextRefreshToken) },
+    }),
+    prisma.authSession.update({
+      where: { id: session.id },
+      data: {
+        lastUsedAt: now,
+        expiresAt: getSessionExpiry(now),
+        userAgent: userAgent || session.userAgent,
+        ipAddress: ipAddress || session.ipAddress,
+      },
+    }),
+  ]);
+
+  return {
+    user,
+    token: generateToken(user, session.id),
+    refreshToken: nextRefreshToken,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * List a user's signed-in devices, most recently used first
+ * @param {string} userId - User ID
+ * @param {string|null} currentSessionId - Session of the requesting device
+ * @returns {Promise<object[]>} Sessions
+ */
+const listActiveSessions = async (userId, currentSessionId = null) => {
+  const sessions = await prisma.authSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+  return sessions.map((session) => ({
+    id: session.id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Delete expired sessions and ones revoked over a week ago
+ * @returns {Promise<number>} Number of sessions removed
+ */
+const purgeExpiredSessions = async () => {
+  const now = new Date();
+  const result = await prisma.authSession.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: now } },
+        { revokedAt: { lt: new Date(now.getTime() - REVOKED_SESSION_RETENTION_MS) } },
+      ],
+    },
+  });
+  return result.count;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  purgeExpiredSessions,
+};
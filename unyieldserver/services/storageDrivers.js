@@ -0,0 +1,312 @@
+/**
+ * Storage Drivers
+ * Backends for video files. A driver is an object with:
+ *   name
+ *   putObject(key, body, contentType, contentLength) - store a Buffer or a
+ *     readable stream of contentLength bytes under key, replacing any object
+ *     already there
+ *   getObject(key) - readable stream of the object's contents
+ *   deleteObject(key)
+ *   getSignedUrl(key, expiresInSeconds) - short-lived read URL
+ *   keyFromUrl(url) - object key for a URL this driver issued, or null
+ * Three ship with the server:
+ * - oci: Oracle Cloud Object Storage, URLs are pre-authenticated requests
+ * - s3: any S3-compatible service (needs @aws-sdk/client-s3 and
+ *   @aws-sdk/s3-request-presigner)
+ * - local: files under STORAGE_LOCAL_DIR, served by /api/storage with an
+ *   HMAC-signed URL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const STORAGE_DRIVERS = ['oci', 's3', 'local'];
+
+// Object keys live under this prefix in every backend
+const KEY_PREFIX = 'videos/';
+
+// Pull `videos/...` out of a URL path; object names are URL-encoded by some backends
+const keyFromPath = (pathname) => {
+  const decoded = decodeURIComponent(pathname);
+  const index = decoded.indexOf(`/${KEY_PREFIX}`);
+  return index === -1 ? null : decoded.slice(index + 1);
+};
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create an Oracle Cloud Object Storage driver
+ * Credentials come from config/oci (ORACLE_SECRET or OCI_* env vars).
+ * @returns {object} Driver
+ */
+const createOciDriver = () => {
+  const os = require('oci-objectstorage');
+  const { getOCIConfig } = require('../config/oci');
+
+  let client = null;
+  // Pre-authenticated requests are API calls, so reuse one while it has
+  // at least half its life left
+  const urlCache = new Map();
+
+  const getContext = () => {
+    const { provider, namespace, bucketName } = getOCIConfig();
+    if (!namespace || !bucketName) {
+      throw new Error('Missing required Oracle credentials: namespace or bucketName');
+    }
+    if (!client) {
+      client = new os.ObjectStorageClient({ authenticationDetailsProvider: provider });
+    }
+    return { namespaceName: namespace, bucketName };
+  };
+
+  return {
+    name: 'oci',
+
+    async putObject(key, body, contentType, contentLength = body.length) {
+      const context = getContext();
+      await client.putObject({
+        ...context,
+        objectName: key,
+        putObjectBody: body,
+        contentLength,
+        contentType,
+      });
+    },
+
+    async getObject(key) {
+      const context = getContext();
+      const response = await client.getObject({ ...context, objectName: key });
+      // Newer SDK versions hand back a web stream
+      return typeof response.value.getReader === 'function'
+        ? Readable.fromWeb(response.value)
+        : response.value;
+    },
+
+    async deleteObject(key) {
+      const context = getContext();
+      urlCache.delete(key);
+      await client.deleteObject({ ...context, objectName: key });
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      const now = Date.now();
+      const cached = urlCache.get(key);
+      if (cached && cached.refreshAt > now) {
+        return cached.url;
+      }
+
+      const context = getContext();
+      const response = await client.createPreauthenticatedRequest({
+        ...context,
+        createPreauthenticatedRequestDetails: {
+          name: `video-${now}`,
+          objectName: key,
+          accessType: os.models.CreatePreauthenticatedRequestDetails.AccessType.ObjectRead,
+          timeExpires: new Date(now + expiresInSeconds * 1000),
+        },
+      });
+
+      if (!response.preauthenticatedRequest) {
+        throw new Error('Object Storage did not return a pre-authenticated request');
+      }
+
+      const url = response.preauthenticatedRequest.fullPath;
+      urlCache.set(key, { url, refreshAt: now + (expiresInSeconds * 1000) / 2 });
+      return url;
+    },
+
+    keyFromUrl(url) {
+      const parsed = parseUrl(url);
+      if (!parsed || !parsed.hostname.endsWith('.oraclecloud.com')) return null;
+      return keyFromPath(parsed.pathname);
+    },
+  };
+};
+
+/**
+ * Create an S3-compatible driver (AWS S3, Cloudflare R2, MinIO, ...)
+ * @param {object} [options] - bucket, region, endpoint, accessKeyId,
+ *   secretAccessKey, forcePathStyle (default to S3_* env vars)
+ * @returns {object} Driver
+ */
+const createS3Driver = (options = {}) => {
+  let s3;
+  let presigner;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+    presigner = require('@aws-sdk/s3-request-presigner');
+  } catch (error) {
+    throw new Error('The s3 storage driver needs the AWS SDK. Run: npm install @aws-sdk/client-s3 @aws-sdk/s3-request-presigner');
+  }
+
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const endpoint = options.endpoint || process.env.S3_ENDPOINT || undefined;
+  const endpointHost = endpoint ? new URL(endpoint).host : null;
+  const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+  const client = new s3.S3Client({
+    region: options.region || process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Without explicit keys the SDK falls back to its usual credential chain
+    credentials: accessKeyId ? {
+      accessKeyId,
+      secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+    } : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async putObject(key, body, contentType, contentLength = body.length) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: contentLength,
+      }));
+    },
+
+    async getObject(key) {
+      const response = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    async deleteObject(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      return presigner.getSignedUrl(
+        client,
+        new s3.GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: expiresInSeconds }
+      );
+    },
+
+    keyFromUrl(url) {
+      const parsed = parseUrl(url);
+      if (!parsed) return null;
+      const ownHost = endpointHost
+        ? parsed.host === endpointHost || parsed.host === `${bucket}.${endpointHost}`
+        : parsed.hostname.endsWith('.amazonaws.com');
+      return ownHost ? keyFromPath(parsed.pathname) : null;
+    },
+  };
+};
+
+/**
+ * Create a driver that keeps files on local disk, for development and tests
+ * @param {object} [options] - directory (STORAGE_LOCAL_DIR), baseUrl
+ *   (STORAGE_PUBLIC_URL), secret (STORAGE_SIGNING_SECRET, falls back to JWT_SECRET)
+ * @returns {object} Driver
+ */
+const createLocalDriver = (options = {}) => {
+  const directory = path.resolve(options.directory || process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'));
+  const baseUrl = (options.baseUrl || process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  const getSecret = () => options.secret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+  const sign = (key, expires) => crypto
+    .createHmac('sha256', getSecret())
+    .update(`${key}\n${expires}`)
+    .digest('base64url');
+
+  // Resolve a key to a path, refusing anything that escapes the directory
+  const resolvePath = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!key.startsWith(KEY_PREFIX) || !filePath.startsWith(`${directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    async putObject(key, body) {
+      const filePath = resolvePath(key);
+      // Write beside the target and rename, so a replaced file is never served half-written
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        if (Buffer.isBuffer(body)) {
+          await fs.promises.writeFile(tempPath, body);
+        } else {
+          await pipeline(body, fs.createWriteStream(tempPath));
+        }
+        await fs.promises.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    async getObject(key) {
+      const filePath = resolvePath(key);
+      // Fail here rather than on the stream's first read
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async deleteObject(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl}/api/storage/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    keyFromUrl(url) {
+      const parsed = parseUrl(url);
+      if (!parsed || !parsed.pathname.startsWith('/api/storage/')) return null;
+      return keyFromPath(parsed.pathname);
+    },
+
+    /**
+     * Check a signed URL's query and return the file path it grants
+     * @returns {string|null} File path, or null if the signature is bad or expired
+     */
+    verifySignedUrl(key, expires, signature) {
+      const expiresAt = Number.parseInt(expires, 10);
+      if (!Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+        return null;
+      }
+
+      const expected = Buffer.from(sign(key, expiresAt));
+      const actual = Buffer.from(signature);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      try {
+        return resolvePath(key);
+      } catch (error) {
+        return null;
+      }
+    },
+  };
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  KEY_PREFIX,
+  createOciDriver,
+  createS3Driver,
+  createLocalDriver,
+};
@@ -0,0 +1,384 @@
+/**
+ * Team Service
+ * Teams (squads) for crew-vs-crew challenges. A user is on at most one team;
+ * its captain invites members and can hand the captaincy on. When a user
+ * enters a team challenge their entry is tied to the team they are on at that
+ * moment, so later team changes don't move points between teams mid-event.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyUser } = require('./notificationService');
+
+const TEAM_NAME_MIN = 3;
+const TEAM_NAME_MAX = 30;
+
+const MEMBER_USER_SELECT = { id: true, name: true, username: true, profileImage: true };
+
+const normalizeTeamName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (trimmed.length < TEAM_NAME_MIN || trimmed.length > TEAM_NAME_MAX) {
+    throw new AppError(`Team name must be ${TEAM_NAME_MIN}-${TEAM_NAME_MAX} characters`, 400);
+  }
+  return trimmed;
+};
+
+const requireRankedUser = async (tx, userId, message) => {
+  const user = await tx.user.findUnique({ where: { id: userId }, select: { id: true, name: true, provider: true } });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  if (user.provider === 'anonymous') {
+    throw new AppError(message, 403);
+  }
+  return user;
+};
+
+const requireCaptain = async (tx, teamId, userId) => {
+  const membership = await tx.teamMember.findUnique({ where: { userId } });
+  if (!membership || membership.teamId !== teamId) {
+    throw new AppError('You are not on this team', 403);
+  }
+  if (membership.role !== 'captain') {
+    throw new AppError('Only the team captain can do that', 403);
+  }
+  return membership;
+};
+
+/**
+ * Get a team with its members, captain first
+ * @param {string} teamId - Team ID
+ * @returns {Promise<object|null>}
+ */
+const getTeam = async (teamId) => {
+  const team = await prisma.team.findUnique({
+    where: { id: teamId },
+    include: {
+      members: {
+        include: { user: { select: MEMBER_USER_SELECT } },
+        orderBy: [{ role: 'asc' }, { joinedAt: 'asc' }],
+      },
+    },
+  });
+  if (!team) return null;
+
+  return {
+    id: team.id,
+    name: team.name,
+    createdAt: team.createdAt,
+    members: team.members.map((member) => ({
+      userId: member.user.id,
+      name: member.user.name,
+      username: member.user.username,
+      profileImage: member.user.profileImage,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    })),
+  };
+};
+
+/**
+ * Get the team a user is on
+ * @param {string} userId - User ID
+ * @param {object} [tx] - Prisma transaction client
+ * @returns {Promise<object|null>} TeamMember row
+ */
+const getMembership = (userId, tx = prisma) => tx.teamMember.findUnique({ where: { userId } });
+
+/**
+ * Create a team captained by its creator
+ * @param {string} userId - Creator
+ * @param {string} name - Team name
+ * @returns {Promise<object>} Team
+ */
+const createTeam = async (userId, name) => {
+  const teamName = normalizeTeamName(name);
+
+  try {
+    const team = await prisma.$transaction(async (tx) => {
+      await requireRankedUser(tx, userId, 'Create an account to start a team');
+      if (await getMembership(userId, tx)) {
+        throw new AppError('You are already on a team. Leave it before starting a new one.', 400);
+      }
+      if (await tx.team.findUnique({ where: { name: teamName } })) {
+        throw new AppError('That team name is taken', 409);
+      }
+
+      return tx.team.create({
+        data: {
+          name: teamName,
+          members: { create: { userId, role: 'captain' } },
+        },
+      });
+    });
+    return getTeam(team.id);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new AppError('That team name is taken', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Invite a user to a team. Only the captain can invite.
+ * @param {string} teamId - Team ID
+ * @param {string} captainId - Inviting captain
+ * @param {object} invitee - userId or username of the user to invite
+ * @returns {Promise<object>} TeamInvite
+ */
+const inviteToTeam = async (teamId, captainId, { userId, username }) => {
+  const { invite, team } = await prisma.$transaction(async (tx) => {
+    await requireCaptain(tx, teamId, captainId);
+
+    const target = userId
+      ? await tx.user.findUnique({ where: { id: userId }, select: { id: true } })
+      : await tx.user.findUnique({ where: { username: String(username || '').trim() }, select: { id: true } });
+    if (!target) {
+      throw new AppError('User not found', 404);
+    }
+    await requireRankedUser(tx, target.id, 'Guests can\'t join teams');
+    if (await getMembership(target.id, tx)) {
+      throw new AppError('That user is already on a team', 400);
+    }
+
+    const existing = await tx.teamInvite.findUnique({ where: { teamId_userId: { teamId, userId: target.id } } });
+    if (existing?.status === 'pending') {
+      throw new AppError('That user already has an invite to this team', 409);
+    }
+
+    const data = { invitedById: captainId, status: 'pending', respondedAt: null, createdAt: new Date() };
+    return {
+      team: await tx.team.findUnique({ where: { id: teamId } }),
+      invite: existing
+        ? await tx.teamInvite.update({ where: { id: existing.id }, data })
+        : await tx.teamInvite.create({ data: { ...data, teamId, userId: target.id } }),
+    };
+  });
+
+  await notifyUser(invite.userId, 'team_invite', 'Team Invite', `You've been invited to join ${team.name}.`, {
+    teamId,
+    inviteId: invite.id,
+  });
+  return invite;
+};
+
+/**
+ * Accept or decline a team invite
+ * @param {string} inviteId - Invite ID
+ * @param {string} userId - Invitee
+ * @param {boolean} accept - true to join the team
+ * @returns {Promise<object|null>} The team joined, or null when declined
+ */
+const respondToInvite = async (inviteId, userId, accept) => {
+  const teamId = await prisma.$transaction(async (tx) => {
+    const invite = await tx.teamInvite.findUnique({ where: { id: inviteId } });
+    if (!invite || invite.userId !== userId) {
+      throw new AppError('Invite not found', 404);
+    }
+
+    const { count } = await tx.teamInvite.updateMany({
+      where: { id: inviteId, status: 'pending' },
+      data: { status: accept ? 'accepted' : 'declined', respondedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new AppError('This invite has already been answered', 409);
+    }
+
+    if (!accept) return null;
+
+    if (await getMembership(userId, tx)) {
+      throw new AppError('You are already on a team. Leave it before joining another.', 400);
+    }
+    await tx.teamMember.create({ data: { teamId: invite.teamId, userId, role: 'member' } });
+    return invite.teamId;
+  });
+
+  return teamId ? getTeam(teamId) : null;
+};
+
+// Someone off a team can't take a place in a team challenge, so their spots
+// on those waitlists go when they leave
+const clearTeamChallengeWaitlists = (tx, userId) => tx.challengeWaitlistEntry.deleteMany({
+  where: { userId, challenge: { teamMode: true } },
+});
+
+/**
+ * Leave your team. A departing captain hands over to the longest-serving
+ * member. An empty team is deleted unless it has challenge entries to keep.
+ * @param {string} userId - Member leaving
+ */
+const leaveTeam = async (userId) => {
+  await prisma.$transaction(async (tx) => {
+    const membership = await getMembership(userId, tx);
+    if (!membership) {
+      throw new AppError('You are not on a team', 400);
+    }
+
+    await tx.teamMember.delete({ where: { id: membership.id } });
+    await clearTeamChallengeWaitlists(tx, userId);
+
+    const next = await tx.teamMember.findFirst({
+      where: { teamId: membership.teamId },
+      orderBy: [{ joinedAt: 'asc' }, { id: 'asc' }],
+    });
+    if (next && membership.role === 'captain') {
+      await tx.teamMember.update({ where: { id: next.id }, data: { role: 'captain' } });
+    }
+
+    if (!next) {
+      const entries = await tx.userChallenge.count({ where: { teamId: membership.teamId } });
+      if (entries === 0) {
+        await tx.team.delete({ where: { id: membership.teamId } });
+      }
+    }
+  });
+};
+
+/**
+ * Remove a member from a team. Only the captain can remove members.
+ * @param {string} teamId - Team ID
+ * @param {string} captainId - Captain removing the member
+ * @param {string} memberId - User to remove
+ */
+const removeMember = async (teamId, captainId, memberId) => {
+  if (memberId === captainId) {
+    throw new AppError('Captains leave their team instead of removing themselves', 400);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await requireCaptain(tx, teamId, captainId);
+    const { count } = await tx.teamMember.deleteMany({ where: { teamId, userId: memberId } });
+    if (count === 0) {
+      throw new AppError('That user is not on this team', 404);
+    }
+    await clearTeamChallengeWaitlists(tx, memberId);
+  });
+};
+
+/**
+ * Make another member the captain
+ * @param {string} teamId - Team ID
+ * @param {string} captainId - Current captain
+ * @param {string} memberId - New captain
+ * @returns {Promise<object>} Team
+ */
+const transferCaptaincy = async (teamId, captainId, memberId) => {
+  await prisma.$transaction(async (tx) => {
+    const captain = await requireCaptain(tx, teamId, captainId);
+    const member = await tx.teamMember.findUnique({ where: { userId: memberId } });
+    if (!member || member.teamId !== teamId) {
+      throw new AppError('That user is not on this team', 404);
+    }
+
+    await tx.teamMember.update({ where: { id: captain.id }, data: { role: 'member' } });
+    await tx.teamMember.update({ where: { id: member.id }, data: { role: 'captain' } });
+  });
+
+  return getTeam(teamId);
+};
+
+/**
+ * Roll approved submissions up to the teams entries were made with. Teams are
+ * ranked by total, then by who reached it first, then by name.
+ * @param {Array<object>} participants - UserChallenge rows with userId, teamId and completed
+ * @param {Array<object>} submissions - Approved submissions with userId, value and submittedAt
+ * @param {Map<string, object>} teamsById - Teams with their names
+ * @param {Map<string, object>} [usersById] - Users for member names
+ * @returns {Array<object>} Team standings, best first
+ */
+const buildTeamStandings = (participants, submissions, teamsById, usersById = new Map()) => {
+  const members = new Map();
+  for (const participant of participants) {
+    if (!participant.teamId) continue;
+    members.set(participant.userId, { ...participant, score: 0, reachedAt: null });
+  }
+
+  for (const submission of submissions) {
+    const member = members.get(submission.userId);
+    if (!member) continue;
+    member.score += submission.value;
+    if (submission.value > 0 && (!member.reachedAt || submission.submittedAt > member.reachedAt)) {
+      member.reachedAt = submission.submittedAt;
+    }
+  }
+
+  const teams = new Map();
+  for (const member of members.values()) {
+    if (!teams.has(member.teamId)) {
+      teams.set(member.teamId, { teamId: member.teamId, score: 0, reachedAt: null, completedCount: 0, members: [] });
+    }
+    const team = teams.get(member.teamId);
+    team.score += member.score;
+    if (member.reachedAt && (!team.reachedAt || member.reachedAt > team.reachedAt)) {
+      team.reachedAt = member.reachedAt;
+    }
+    if (member.completed) team.completedCount++;
+    team.members.push({
+      userId: member.userId,
+      name: usersById.get(member.userId)?.name || null,
+      score: member.score,
+      completed: !!member.completed,
+    });
+  }
+
+  const nameOf = (team) => teamsById.get(team.teamId)?.name || '';
+  return [...teams.values()]
+    .sort((a, b) => (b.score - a.score)
+      || ((a.reachedAt?.getTime?.() ?? Infinity) - (b.reachedAt?.getTime?.() ?? Infinity))
+      || nameOf(a).localeCompare(nameOf(b))
+      || a.teamId.localeCompare(b.teamId))
+    .map((team, index) => ({
+      rank: index + 1,
+      teamId: team.teamId,
+      name: nameOf(team) || null,
+      score: team.score,
+      memberCount: team.members.length,
+      completedCount: team.completedCount,
+      reachedAt: team.reachedAt,
+      members: team.members.sort((a, b) => b.score - a.score || a.userId.localeCompare(b.userId)),
+    }));
+};
+
+/**
+ * Live team standings of a team challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {object} [where] - Extra filter on participants, e.g. ranked users only
+ * @returns {Promise<Array<object>>}
+ */
+const getTeamStandings = async (challengeId, where = {}) => {
+  const participants = await prisma.userChallenge.findMany({
+    where: { challengeId, teamId: { not: null }, ...where },
+    select: { userId: true, teamId: true, completed: true, user: { select: { id: true, name: true } } },
+  });
+  const submissions = await prisma.challengeSubmission.findMany({
+    where: { challengeId, status: 'approved', userId: { in: participants.map((p) => p.userId) } },
+    select: { userId: true, value: true, submittedAt: true },
+  });
+  const teams = await prisma.team.findMany({
+    where: { id: { in: [...new Set(participants.map((p) => p.teamId))] } },
+    select: { id: true, name: true },
+  });
+
+  return buildTeamStandings(
+    participants,
+    submissions,
+    new Map(teams.map((team) => [team.id, team])),
+    new Map(participants.map((p) => [p.userId, p.user])),
+  );
+};
+
+module.exports = {
+  TEAM_NAME_MIN,
+  TEAM_NAME_MAX,
+  getTeam,
+  getMembership,
+  createTeam,
+  inviteToTeam,
+  respondToInvite,
+  leaveTeam,
+  removeMember,
+  transferCaptaincy,
+  buildTeamStandings,
+  getTeamStandings,
+};
@@ -19,6 +19,8 @@ const REGIONS = [
 
 const GOALS = ['Hypertrophy', 'Leanness', 'Performance'];
 
+// challenge_admin grants challenge management; challenge_master is the badge
+// challenge winners earn and grants nothing
 const ACCOLADES = [
   'admin',
   'community_support',
@@ -27,12 +29,16 @@ const ACCOLADES = [
   'verified_athlete',
   'founding_member',
   'challenge_master',
+  'challenge_admin',
 ];
 
 const FITNESS_LEVELS = ['beginner', 'intermediate', 'advanced', 'elite'];
 
 const PROVIDERS = ['email', 'google', 'apple', 'anonymous'];
 
+// Guest accounts can train but don't compete until they sign up
+const RANKED_USER_WHERE = { provider: { not: 'anonymous' } };
+
 /**
  * Hash a password using bcrypt
  * @param {string} password - Plain text password
@@ -137,12 +143,42 @@ const isAdmin = (accolades) => {
   return accolades && accolades.includes('admin');
 };
 
+/**
+ * Get the ban currently in force for a user
+ * @param {object} user - User with bannedAt, bannedUntil and banReason
+ * @param {Date} [now] - Time to check against
+ * @returns {object|null} { bannedAt, bannedUntil, reason, permanent }, or null once a timed ban has run out
+ */
+const getActiveBan = (user, now = new Date()) => {
+  if (!user || !user.bannedAt) return null;
+  if (user.bannedUntil && user.bannedUntil <= now) return null;
+  return {
+    bannedAt: user.bannedAt,
+    bannedUntil: user.bannedUntil,
+    reason: user.banReason || null,
+    permanent: !user.bannedUntil,
+  };
+};
+
+/**
+ * Message shown to a banned user
+ * @param {object} ban - Ban from getActiveBan
+ * @returns {string} Message
+ */
+const formatBanMessage = (ban) => {
+  const base = ban.permanent
+    ? 'This account has been permanently banned'
+    : `This account is suspended until ${ban.bannedUntil.toISOString()}`;
+  return ban.reason ? `${base}. Reason: ${ban.reason}` : base;
+};
+
 module.exports = {
   REGIONS,
   GOALS,
   ACCOLADES,
   FITNESS_LEVELS,
   PROVIDERS,
+  RANKED_USER_WHERE,
   hashPassword,
   comparePassword,
   updateRank,
@@ -151,6 +187,8 @@ module.exports = {
   isValidFitnessLevel,
   isValidAccolade,
   isAdmin,
+  getActiveBan,
+  formatBanMessage,
   validatePasswordStrength,
   PASSWORD_MIN_LENGTH,
 };
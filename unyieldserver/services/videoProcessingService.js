@@ -0,0 +1,399 @@
+/**
+ * Video Processing Service
+ * Runs every uploaded video through ffmpeg. The upload request only probes
+ * the duration and dimensions and stores the file as it came, recording a
+ * VideoAsset so submissions can use the server-measured duration instead of
+ * trusting the client. A video.transcode job then normalises it to H.264/AAC
+ * MP4 at a capped bitrate and size under the same key, and cuts a poster
+ * frame and a short preview GIF for the moderation queue.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { enqueueJob } = require('./jobQueue');
+const {
+  uploadVideoFile,
+  replaceVideoFile,
+  downloadVideo,
+  deleteVideo,
+  getVideoUrl,
+  toStorageRef,
+} = require('./objectStorage');
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || require('@ffmpeg-installer/ffmpeg').path;
+const MAX_BITRATE_KBPS = parseNumber(process.env.VIDEO_MAX_BITRATE_KBPS, 2500);
+// Longest side of the normalised video, in pixels
+const MAX_DIMENSION = parseNumber(process.env.VIDEO_MAX_DIMENSION, 1280);
+const POSTER_WIDTH = 640;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_FPS = 8;
+const PREVIEW_SECONDS = 3;
+
+const TRANSCODE_JOB = 'video.transcode';
+
+ffmpeg.setFfmpegPath(FFMPEG_PATH);
+
+const runFfmpeg = (command, outputPath) => new Promise((resolve, reject) => {
+  command
+    .on('end', resolve)
+    .on('error', reject)
+    .save(outputPath);
+});
+
+/**
+ * Read a video's duration and dimensions. ffprobe isn't bundled, so this
+ * parses the stream summary ffmpeg prints for its input.
+ * @param {string} filePath - Video file
+ * @returns {Promise<{durationSeconds: number, width: number, height: number, codec: string, hasAudio: boolean}>}
+ */
+const probeVideo = (filePath) => new Promise((resolve, reject) => {
+  execFile(FFMPEG_PATH, ['-hide_banner', '-i', filePath], { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+    // ffmpeg exits non-zero when given no output; the summary is still on stderr
+    const output = String(stderr || '');
+    const duration = output.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    const video = output.match(/Stream #\d+:\d+.*?: Video: (\w+).*?, (\d{2,5})x(\d{2,5})/);
+
+    if (!duration || !video) {
+      if (error && error.code === 'ENOENT') {
+        return reject(new Error(`ffmpeg not found at ${FFMPEG_PATH}`));
+      }
+      return reject(new AppError('This file is not a playable video', 422));
+    }
+
+    const [, hours, minutes, seconds] = duration;
+    return resolve({
+      durationSeconds: Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds),
+      codec: video[1],
+      width: Number(video[2]),
+      height: Number(video[3]),
+      hasAudio: /Stream #\d+:\d+.*?: Audio:/.test(output),
+    });
+  });
+});
+
+// Cap the longest side, keeping orientation and even dimensions
+const SCALE_FILTER = `scale='if(gte(iw,ih),min(${MAX_DIMENSION},iw),-2)':'if(gte(iw,ih),-2,min(${MAX_DIMENSION},ih))'`;
+
+// H.264/AAC MP4 at a capped bitrate that streams from the first byte
+const ENCODE_OPTIONS = [
+  '-preset', 'veryfast',
+  '-crf', '23',
+  '-maxrate', `${MAX_BITRATE_KBPS}k`,
+  '-bufsize', `${MAX_BITRATE_KBPS * 2}k`,
+  '-pix_fmt', 'yuv420p',
+  '-b:a', '128k',
+  '-movflags', '+faststart',
+];
+
+const transcodeVideo = (inputPath, outputPath) => runFfmpeg(
+  ffmpeg(inputPath)
+    .videoCodec('libx264')
+    .audioCodec('aac')
+    .outputOptions(['-map', '0:v:0', '-map', '0:a:0?', '-vf', SCALE_FILTER, ...ENCODE_OPTIONS])
+    .format('mp4'),
+  outputPath
+);
+
+const createPoster = (inputPath, outputPath, atSeconds) => runFfmpeg(
+  ffmpeg(inputPath)
+    .seekInput(atSeconds)
+    .outputOptions(['-frames:v', '1', '-vf', `scale=${POSTER_WIDTH}:-2`, '-q:v', '3']),
+  outputPath
+);
+
+const createPreviewGif = (inputPath, outputPath, startSeconds, lengthSeconds) => runFfmpeg(
+  ffmpeg(inputPath)
+    .seekInput(startSeconds)
+    .duration(lengthSeconds)
+    .outputOptions([
+      '-vf', `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+      '-loop', '0',
+    ]),
+  outputPath
+);
+
+/**
+ * Cut a poster frame and a short preview GIF from a video
+ * @param {string} videoPath - Video to cut them from
+ * @param {string} posterPath - Where to write the JPEG poster
+ * @param {string} previewPath - Where to write the GIF preview
+ * @param {number} durationSeconds - Length of the video
+ */
+const createPosterAndPreview = async (videoPath, posterPath, previewPath, durationSeconds) => {
+  await createPoster(videoPath, posterPath, Math.min(1, durationSeconds / 2));
+  const previewLength = Math.min(PREVIEW_SECONDS, durationSeconds);
+  await createPreviewGif(
+    videoPath,
+    previewPath,
+    Math.min(durationSeconds * 0.25, durationSeconds - previewLength),
+    previewLength
+  );
+};
+
+/**
+ * Store an uploaded file and queue it for transcoding
+ * @param {string} inputPath - Uploaded file on local disk (left in place)
+ * @param {object} options - userId (owner), fileName (original name) and
+ *   contentType (as uploaded)
+ * @returns {Promise<object>} VideoAsset record, still processing
+ */
+const processVideo = async (inputPath, { userId, fileName, contentType = 'video/mp4' }) => {
+  const probe = await probeVideo(inputPath);
+  const baseName = path.parse(path.basename(fileName || 'video.mp4')).name || 'video';
+
+  console.log(`[VIDEO] Storing ${fileName} (${probe.codec} ${probe.width}x${probe.height}, ${probe.durationSeconds}s)`);
+
+  // Stored under the key the transcoded MP4 will replace, so the key the
+  // client submits stays valid
+  const video = await uploadVideoFile(inputPath, `${baseName}.mp4`, contentType);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const asset = await tx.videoAsset.create({
+        data: {
+          userId,
+          objectName: video.objectName,
+          durationSeconds: probe.durationSeconds,
+          width: probe.width,
+          height: probe.height,
+          sizeBytes: (await fs.promises.stat(inputPath)).size,
+        },
+      });
+      await enqueueJob(TRANSCODE_JOB, { assetId: asset.id }, { tx });
+      return asset;
+    });
+  } catch (error) {
+    await deleteVideo(video.objectName);
+    throw error;
+  }
+};
+
+/**
+ * Transcode a stored video in place and add its poster and preview.
+ * Handler for video.transcode jobs.
+ * @param {string} assetId - VideoAsset ID
+ * @returns {Promise<object|null>} Summary for the job record
+ */
+const transcodeVideoAsset = async (assetId) => {
+  const asset = await prisma.videoAsset.findUnique({ where: { id: assetId } });
+  if (!asset || asset.status === 'ready') {
+    // Deleted before the job ran, or already done by an earlier attempt
+    return null;
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'unyield-video-'));
+  // Drop the timestamp and random prefix; the poster and preview get their own
+  const baseName = path.parse(asset.objectName.split('/').pop()).name.replace(/^\d+-[0-9a-f]+-/, '');
+  const files = {
+    source: path.join(workDir, 'source'),
+    video: path.join(workDir, 'video.mp4'),
+    poster: path.join(workDir, 'poster.jpg'),
+    preview: path.join(workDir, 'preview.gif'),
+  };
+  const stored = [];
+
+  try {
+    await downloadVideo(asset.objectName, files.source);
+
+    let output;
+    try {
+      await transcodeVideo(files.source, files.video);
+      output = await probeVideo(files.video);
+      await createPosterAndPreview(files.video, files.poster, files.preview, output.durationSeconds);
+    } catch (error) {
+      console.error(`[VIDEO] ffmpeg error for ${asset.objectName}:`, error.message);
+      throw new AppError('Could not process this video', 422);
+    }
+
+    const poster = await uploadVideoFile(files.poster, `${baseName}-poster.jpg`, 'image/jpeg');
+    stored.push(poster.objectName);
+    const preview = await uploadVideoFile(files.preview, `${baseName}-preview.gif`, 'image/gif');
+    stored.push(preview.objectName);
+    await replaceVideoFile(asset.objectName, files.video, 'video/mp4');
+
+    const { count } = await prisma.videoAsset.updateMany({
+      where: { id: asset.id },
+      data: {
+        status: 'ready',
+        posterObjectName: poster.objectName,
+        previewObjectName: preview.objectName,
+        width: output.width,
+        height: output.height,
+        sizeBytes: (await fs.promises.stat(files.video)).size,
+      },
+    });
+    if (count === 0) {
+      // Deleted while transcoding, so the replaced video is an orphan too
+      await Promise.all([...stored, asset.objectName].map(deleteVideo));
+      return null;
+    }
+
+    // Submissions made before the transcode finished get the poster and preview now.
+    // Ones waiting on a face blur get theirs from the blurred copy instead.
+    const submissionsOfVideo = {
+      OR: [{ videoUrl: asset.objectName }, { originalVideoUrl: asset.objectName }],
+      privacyStatus: 'none',
+    };
+    await Promise.all([prisma.videoSubmission, prisma.challengeSubmission].map(async (model) => {
+      await model.updateMany({
+        where: { ...submissionsOfVideo, thumbnailUrl: null },
+        data: { thumbnailUrl: poster.objectName },
+      });
+      await model.updateMany({
+        where: submissionsOfVideo,
+        data: { previewUrl: preview.objectName },
+      });
+    }));
+
+    console.log(`[VIDEO] Transcoded ${asset.objectName} (${output.width}x${output.height})`);
+    return { objectName: asset.objectName, width: output.width, height: output.height };
+  } catch (error) {
+    await Promise.all(stored.map(deleteVideo));
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Record that a video couldn't be transcoded. It stays playable as uploaded,
+ * just without a poster or preview.
+ * @param {string} assetId - VideoAsset ID
+ */
+const markVideoAssetFailed = async (assetId) => {
+  await prisma.videoAsset.updateMany({
+    where: { id: assetId, status: 'processing' },
+    data: { status: 'failed' },
+  });
+};
+
+/**
+ * Upload response for a processed video, with short-lived URLs
+ * @param {object} asset - VideoAsset record
+ * @returns {Promise<object>}
+ */
+const formatVideoAsset = async (asset) => {
+  const [videoUrl, thumbnailUrl, previewUrl] = await Promise.all([
+    getVideoUrl(asset.objectName),
+    getVideoUrl(asset.posterObjectName),
+    getVideoUrl(asset.previewObjectName),
+  ]);
+
+  return {
+    videoUrl,
+    objectName: asset.objectName,
+    thumbnailUrl,
+    previewUrl,
+    durationSeconds: asset.durationSeconds,
+    width: asset.width,
+    height: asset.height,
+    size: asset.sizeBytes,
+    mimetype: 'video/mp4',
+    // The poster and preview arrive once the transcode job has run
+    status: asset.status,
+  };
+};
+
+/**
+ * Find the processed video a submission refers to
+ * @param {string} userId - Submitting user; only their own uploads count
+ * @param {Array<string|null>} refs - Object keys or URLs sent with the submission
+ * @returns {Promise<object|null>} VideoAsset record
+ */
+const findVideoAsset = async (userId, refs) => {
+  const keys = refs.map(toStorageRef).filter((ref) => ref && !/^https?:\/\//i.test(ref));
+  if (keys.length === 0) return null;
+
+  return prisma.videoAsset.findFirst({
+    where: { userId, objectName: { in: keys } },
+  });
+};
+
+/**
+ * Check whether any submission other than the ones being deleted still
+ * points at one of these object keys
+ * @param {Array<string>} keys - Object keys
+ * @param {object} except - { videoSubmissionId, challengeSubmissionId }
+ * @returns {Promise<boolean>}
+ */
+const isVideoReferenced = async (keys, { videoSubmissionId, challengeSubmissionId } = {}) => {
+  const refersTo = { OR: [{ videoUrl: { in: keys } }, { originalVideoUrl: { in: keys } }] };
+  const [videoSubmissions, challengeSubmissions] = await Promise.all([
+    prisma.videoSubmission.count({
+      where: { ...refersTo, ...(videoSubmissionId && { id: { not: videoSubmissionId } }) },
+    }),
+    prisma.challengeSubmission.count({
+      where: { ...refersTo, ...(challengeSubmissionId && { id: { not: challengeSubmissionId } }) },
+    }),
+  ]);
+  return videoSubmissions + challengeSubmissions > 0;
+};
+
+/**
+ * Remove a processed video, its poster and preview and any face-blurred
+ * copy from storage. Only the owner's own upload is removed, and nothing is
+ * removed while another submission still uses the same video.
+ * @param {string} userId - Owner of the submission being deleted
+ * @param {string} ref - Object key of the video or of its blurred copy
+ * @param {object} [except] - { videoSubmissionId, challengeSubmissionId } being deleted
+ * @returns {Promise<boolean>} Whether anything was removed from storage
+ */
+const deleteVideoAsset = async (userId, ref, except = {}) => {
+  const objectName = toStorageRef(ref);
+  if (!objectName) return false;
+
+  const asset = await prisma.videoAsset.findFirst({
+    where: { OR: [{ objectName }, { blurredObjectName: objectName }] },
+  });
+  if (asset && asset.userId !== userId) {
+    console.warn(`[VIDEO] Not deleting ${objectName}: it belongs to another user`);
+    return false;
+  }
+
+  const keys = asset
+    ? [asset.objectName, asset.blurredObjectName].filter(Boolean)
+    : [objectName];
+  if (await isVideoReferenced(keys, except)) {
+    return false;
+  }
+
+  // Older submissions point at uploads made before assets were tracked
+  await deleteVideo(ref);
+  if (asset) {
+    await Promise.all([
+      asset.objectName,
+      asset.posterObjectName,
+      asset.previewObjectName,
+      asset.blurredObjectName,
+      asset.blurredPosterObjectName,
+      asset.blurredPreviewObjectName,
+    ].filter((key) => key && key !== objectName).map(deleteVideo));
+    await prisma.videoAsset.delete({ where: { id: asset.id } });
+  }
+  return true;
+};
+
+module.exports = {
+  TRANSCODE_JOB,
+  SCALE_FILTER,
+  ENCODE_OPTIONS,
+  runFfmpeg,
+  probeVideo,
+  createPosterAndPreview,
+  processVideo,
+  transcodeVideoAsset,
+  markVideoAssetFailed,
+  formatVideoAsset,
+  findVideoAsset,
+  deleteVideoAsset,
+};
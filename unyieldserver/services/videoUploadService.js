@@ -0,0 +1,337 @@
+/**
+ * Video Upload Service
+ * Resumable uploads for long videos over flaky connections. The client opens
+ * an upload with the file's size, PUTs it in chunks at the acknowledged
+ * offset with a sha256 of each chunk, and completes it once every byte has
+ * arrived. A dropped connection only costs the chunk in flight: the client
+ * asks for the current offset and carries on from there.
+ *
+ * Chunks are staged in VIDEO_UPLOAD_STAGING_DIR on the instance that received
+ * them. With more than one instance, that directory has to be shared or
+ * requests for an upload have to stick to one instance.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { processVideo } = require('./videoProcessingService');
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const STAGING_DIR = path.resolve(process.env.VIDEO_UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'unyield-uploads'));
+const MAX_VIDEO_BYTES = parseNumber(process.env.VIDEO_UPLOAD_MAX_BYTES, 500 * 1024 * 1024);
+// Size clients are told to use; any chunk up to MAX_CHUNK_BYTES is accepted
+const CHUNK_SIZE = parseNumber(process.env.VIDEO_UPLOAD_CHUNK_BYTES, 5 * 1024 * 1024);
+const MAX_CHUNK_BYTES = Math.max(CHUNK_SIZE, 16 * 1024 * 1024);
+const UPLOAD_TTL_HOURS = parseNumber(process.env.VIDEO_UPLOAD_TTL_HOURS, 24);
+
+const ALLOWED_VIDEO_MIMES = [
+  'video/mp4',
+  'video/mpeg',
+  'video/quicktime',
+  'video/webm',
+  'video/x-msvideo',
+  'video/x-ms-wmv',
+];
+const ALLOWED_VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mpeg', '.mpg', '.avi', '.wmv'];
+
+const SHA256_BASE64 = /^[A-Za-z0-9+/]{43}=$/;
+
+/**
+ * Check whether a file looks like a video by MIME type or extension
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - Reported MIME type
+ * @returns {boolean}
+ */
+const isAllowedVideo = (fileName, mimeType) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return ALLOWED_VIDEO_MIMES.includes(mimeType)
+    || (mimeType || '').startsWith('video/')
+    || ALLOWED_VIDEO_EXTENSIONS.includes(extension);
+};
+
+/**
+ * Parse an Upload-Checksum header ("sha256 <base64 digest>")
+ * @param {string|undefined} header - Header value
+ * @returns {string|null} Base64 digest, or null if missing or malformed
+ */
+const parseChecksumHeader = (header) => {
+  if (typeof header !== 'string') return null;
+  const [algorithm, digest] = header.trim().split(/\s+/);
+  if (algorithm?.toLowerCase() !== 'sha256' || !SHA256_BASE64.test(digest || '')) {
+    return null;
+  }
+  return digest;
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('base64');
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (data) => hash.update(data))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('base64')));
+});
+
+const getStagingPath = (uploadId) => path.join(STAGING_DIR, `${uploadId}.part`);
+
+const removeStagingFile = async (uploadId) => {
+  await fs.promises.rm(getStagingPath(uploadId), { force: true });
+};
+
+/**
+ * Public view of an upload for API responses
+ */
+const formatUpload = (upload) => ({
+  uploadId: upload.id,
+  offset: upload.receivedBytes,
+  size: upload.size,
+  chunkSize: CHUNK_SIZE,
+  maxChunkSize: MAX_CHUNK_BYTES,
+  completed: Boolean(upload.objectName),
+  expiresAt: upload.expiresAt,
+});
+
+/**
+ * Open a resumable upload
+ * @param {string} userId - Uploading user
+ * @param {object} details - fileName, contentType, size (bytes) and an
+ *   optional sha256 checksum (base64) of the whole file
+ * @returns {Promise<object>} VideoUpload record
+ */
+const createUpload = async (userId, { fileName, contentType, size, checksum }) => {
+  const name = typeof fileName === 'string' && fileName.trim() ? path.basename(fileName.trim()) : 'video.mp4';
+  const type = typeof contentType === 'string' && contentType ? contentType : 'video/mp4';
+
+  if (!isAllowedVideo(name, type)) {
+    throw new AppError('Invalid file type. Only video files are allowed.', 400);
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new AppError('size must be the file size in bytes', 400);
+  }
+  if (size > MAX_VIDEO_BYTES) {
+    throw new AppError(`Video file is too large (max ${Math.floor(MAX_VIDEO_BYTES / (1024 * 1024))}MB).`, 413);
+  }
+  if (checksum !== undefined && checksum !== null && !SHA256_BASE64.test(checksum)) {
+    throw new AppError('checksum must be a base64 sha256 digest', 400);
+  }
+
+  const upload = await prisma.videoUpload.create({
+    data: {
+      userId,
+      fileName: name,
+      contentType: type,
+      size,
+      checksum: checksum || null,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  await fs.promises.mkdir(STAGING_DIR, { recursive: true });
+  await fs.promises.writeFile(getStagingPath(upload.id), Buffer.alloc(0));
+
+  return upload;
+};
+
+/**
+ * Load one of a user's uploads, reconciling the acknowledged offset with
+ * what is actually staged (the staging file is lost if the instance restarts)
+ * @param {string} userId - Uploading user
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<object>} VideoUpload record
+ */
+const getUpload = async (userId, uploadId) => {
+  const upload = await prisma.videoUpload.findFirst({
+    where: { id: uploadId, userId },
+  });
+
+  if (!upload) {
+    throw new AppError('Upload not found', 404);
+  }
+  if (upload.objectName) {
+    return upload;
+  }
+  if (upload.expiresAt < new Date()) {
+    throw new AppError('Upload has expired. Please start again.', 410);
+  }
+
+  let stagedBytes = 0;
+  try {
+    stagedBytes = (await fs.promises.stat(getStagingPath(upload.id))).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    await fs.promises.mkdir(STAGING_DIR, { recursive: true });
+    await fs.promises.writeFile(getStagingPath(upload.id), Buffer.alloc(0));
+  }
+
+  if (stagedBytes >= upload.receivedBytes) {
+    return upload;
+  }
+
+  console.warn(`[UPLOAD] Staged data for ${upload.id} is missing, resuming from ${stagedBytes}`);
+  return prisma.videoUpload.update({
+    where: { id: upload.id },
+    data: { receivedBytes: stagedBytes },
+  });
+};
+
+/**
+ * Write a chunk at the upload's current offset
+ * @param {object} upload - VideoUpload record from getUpload
+ * @param {number} offset - Offset the client says the chunk starts at
+ * @param {Buffer} chunk - Chunk bytes
+ * @param {string|null} checksum - Base64 sha256 of the chunk
+ * @returns {Promise<number|null>} New offset, or null if the offset no longer
+ *   matches (another request got there first)
+ */
+const writeChunk = async (upload, offset, chunk, checksum) => {
+  if (upload.objectName) {
+    throw new AppError('Upload is already complete', 409);
+  }
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw new AppError('Chunk body is empty', 400);
+  }
+  if (!checksum) {
+    throw new AppError('Upload-Checksum header must be "sha256 <base64 digest>"', 400);
+  }
+  if (offset + chunk.length > upload.size) {
+    throw new AppError('Chunk runs past the end of the upload', 400);
+  }
+  if (sha256(chunk) !== checksum) {
+    // Same status tus uses for a checksum mismatch; the client resends the chunk
+    throw new AppError('Chunk checksum mismatch', 460);
+  }
+
+  // Writing at an explicit position makes a resent chunk harmless
+  const handle = await fs.promises.open(getStagingPath(upload.id), 'r+');
+  try {
+    await handle.write(chunk, 0, chunk.length, offset);
+  } finally {
+    await handle.close();
+  }
+
+  const nextOffset = offset + chunk.length;
+  const { count } = await prisma.videoUpload.updateMany({
+    where: { id: upload.id, receivedBytes: offset, objectName: null },
+    data: { receivedBytes: nextOffset },
+  });
+
+  return count === 1 ? nextOffset : null;
+};
+
+/**
+ * Process a fully received upload and move it into object storage.
+ * Completing an upload that is already complete returns the same video again.
+ * @param {object} upload - VideoUpload record from getUpload
+ * @returns {Promise<object>} VideoAsset record
+ */
+const completeUpload = async (upload) => {
+  if (upload.objectName) {
+    const asset = await prisma.videoAsset.findUnique({ where: { objectName: upload.objectName } });
+    if (!asset) {
+      throw new AppError('Uploaded video no longer exists', 410);
+    }
+    return asset;
+  }
+  if (upload.receivedBytes !== upload.size) {
+    throw new AppError(`Upload is incomplete: ${upload.receivedBytes} of ${upload.size} bytes received`, 409);
+  }
+
+  const stagingPath = getStagingPath(upload.id);
+  if (upload.checksum && await hashFile(stagingPath) !== upload.checksum) {
+    // The chunks all matched, so the client hashed a different file; start over
+    await removeStagingFile(upload.id);
+    await prisma.videoUpload.delete({ where: { id: upload.id } });
+    throw new AppError('Uploaded file does not match its checksum. Please upload it again.', 422);
+  }
+
+  // Claim the upload so a concurrent complete doesn't store it twice
+  const { count } = await prisma.videoUpload.updateMany({
+    where: { id: upload.id, completedAt: null },
+    data: { completedAt: new Date() },
+  });
+  if (count === 0) {
+    throw new AppError('Upload is already being completed', 409);
+  }
+
+  let asset;
+  try {
+    asset = await processVideo(stagingPath, {
+      userId: upload.userId,
+      fileName: upload.fileName,
+      contentType: upload.contentType,
+    });
+  } catch (error) {
+    if (error.statusCode === 422) {
+      // The file itself is unusable, so retrying won't help
+      await abortUpload(upload);
+      throw error;
+    }
+    // Release the claim so the complete can be retried
+    await prisma.videoUpload.update({
+      where: { id: upload.id },
+      data: { completedAt: null },
+    });
+    throw error;
+  }
+
+  await prisma.videoUpload.update({
+    where: { id: upload.id },
+    data: { objectName: asset.objectName },
+  });
+  await removeStagingFile(upload.id);
+
+  return asset;
+};
+
+/**
+ * Abandon an upload and throw away its staged chunks
+ * @param {object} upload - VideoUpload record
+ */
+const abortUpload = async (upload) => {
+  await prisma.videoUpload.deleteMany({ where: { id: upload.id, objectName: null } });
+  await removeStagingFile(upload.id);
+};
+
+/**
+ * Delete expired uploads and their staged chunks. Completed uploads are kept
+ * until they expire so a retried complete still gets its object back.
+ * @returns {Promise<number>} Number of uploads removed
+ */
+const purgeExpiredUploads = async () => {
+  const expired = await prisma.videoUpload.findMany({
+    where: { expiresAt: { lt: new Date() } },
+    select: { id: true },
+  });
+
+  for (const { id } of expired) {
+    await removeStagingFile(id);
+  }
+
+  const { count } = await prisma.videoUpload.deleteMany({
+    where: { id: { in: expired.map(({ id }) => id) } },
+  });
+  return count;
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_CHUNK_BYTES,
+  MAX_VIDEO_BYTES,
+  isAllowedVideo,
+  parseChecksumHeader,
+  formatUpload,
+  createUpload,
+  getUpload,
+  writeChunk,
+  completeUpload,
+  abortUpload,
+  purgeExpiredUploads,
+};
@@ -0,0 +1,269 @@
+/**
+ * Workout Builder Service
+ * Normalizes workout templates and sessions sent by the app and formats them
+ * back for WorkoutContext. Devices generate their own ids and timestamps so
+ * that edits made offline can be merged later by updatedAt.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const TRACKING_TYPES = ['strength', 'time', 'distance', 'rounds', 'bodyweight'];
+const SESSION_STATUSES = ['draft', 'complete'];
+
+const MAX_EXERCISES = 50;
+const MAX_SETS_PER_EXERCISE = 100;
+const MAX_ID_LENGTH = 64;
+
+// Allow small clock drift between device and server before rejecting timestamps
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Parse an optional date value
+ * @param {*} value - ISO string, timestamp or Date
+ * @param {string} field - Field name used in error messages
+ * @returns {Date|null} Parsed date or null when empty
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Resolve the updatedAt timestamp for an incoming record.
+ * Device clocks ahead of the server are clamped to now so a bad clock
+ * cannot make a record win every future merge.
+ * @param {*} value - Client supplied updatedAt
+ * @returns {Date} Timestamp to store
+ */
+const resolveUpdatedAt = (value) => {
+  const now = new Date();
+  const parsed = parseDate(value, 'updatedAt');
+  if (!parsed || parsed.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    return now;
+  }
+  return parsed;
+};
+
+/**
+ * Validate a device generated id
+ * @param {*} id - Candidate id
+ * @param {string} field - Field name used in error messages
+ * @returns {string|undefined} The id, or undefined to let Prisma generate one
+ */
+const normalizeId = (id, field = 'id') => {
+  if (id === undefined || id === null || id === '') {
+    return undefined;
+  }
+  if (typeof id !== 'string' || id.length > MAX_ID_LENGTH || !/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new AppError(`Invalid ${field}`, 400);
+  }
+  return id;
+};
+
+const toOptionalInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+const toOptionalFloat = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+const toOptionalString = (value, maxLength) => {
+  if (value === undefined || value === null) return null;
+  const str = String(value);
+  return str.length > 0 ? str.slice(0, maxLength) : null;
+};
+
+const normalizeTrackingType = (value) => {
+  return TRACKING_TYPES.includes(value) ? value : 'strength';
+};
+
+/**
+ * Normalize the exercise list stored on a template
+ * @param {Array} exercises - Template exercises from the app
+ * @returns {Array} Sanitized exercises
+ */
+const normalizeTemplateExercises = (exercises) => {
+  if (exercises === undefined || exercises === null) return [];
+  if (!Array.isArray(exercises)) {
+    throw new AppError('Exercises must be an array', 400);
+  }
+  if (exercises.length > MAX_EXERCISES) {
+    throw new AppError(`A template cannot have more than ${MAX_EXERCISES} exercises`, 400);
+  }
+
+  return exercises.map((ex, index) => {
+    if (!ex || typeof ex.exerciseId !== 'string' || !ex.exerciseId) {
+      throw new AppError('Each exercise requires an exerciseId', 400);
+    }
+    return {
+      id: normalizeId(ex.id, 'exercise id') || `${index}`,
+      exerciseId: ex.exerciseId,
+      exerciseName: toOptionalString(ex.exerciseName, 100),
+      orderIndex: Number.isInteger(ex.orderIndex) ? ex.orderIndex : index,
+      trackingType: normalizeTrackingType(ex.trackingType),
+      defaultSets: Math.min(toOptionalInt(ex.defaultSets) || 3, MAX_SETS_PER_EXERCISE),
+      targetRepRange: toOptionalString(ex.targetRepRange, 20),
+      restSeconds: toOptionalInt(ex.restSeconds),
+      notes: toOptionalString(ex.notes, 500),
+    };
+  });
+};
+
+/**
+ * Build the Prisma data for a template from a request body
+ * @param {object} body - Request body
+ * @returns {object} Template fields
+ */
+const normalizeTemplateInput = (body = {}) => {
+  const name = typeof body.name === 'string' && body.name.trim()
+    ? body.name.trim().slice(0, 100)
+    : 'Untitled Workout';
+
+  return {
+    name,
+    description: typeof body.description === 'string' ? body.description.slice(0, 500) : '',
+    exercises: normalizeTemplateExercises(body.exercises),
+  };
+};
+
+/**
+ * Build the nested create payload for a session's exercises and sets
+ * @param {Array} exercises - Session exercises from the app
+ * @returns {Array} Prisma nested create data
+ */
+const normalizeSessionExercises = (exercises) => {
+  if (exercises === undefined || exercises === null) return [];
+  if (!Array.isArray(exercises)) {
+    throw new AppError('Exercises must be an array', 400);
+  }
+  if (exercises.length > MAX_EXERCISES) {
+    throw new AppError(`A session cannot have more than ${MAX_EXERCISES} exercises`, 400);
+  }
+
+  return exercises.map((ex, index) => {
+    if (!ex || typeof ex.exerciseId !== 'string' || !ex.exerciseId) {
+      throw new AppError('Each exercise requires an exerciseId', 400);
+    }
+    const sets = Array.isArray(ex.sets) ? ex.sets : [];
+    if (sets.length > MAX_SETS_PER_EXERCISE) {
+      throw new AppError(`An exercise cannot have more than ${MAX_SETS_PER_EXERCISE} sets`, 400);
+    }
+
+    return {
+      id: normalizeId(ex.id, 'exercise id'),
+      exerciseId: ex.exerciseId,
+      orderIndex: Number.isInteger(ex.orderIndex) ? ex.orderIndex : index,
+      trackingType: normalizeTrackingType(ex.trackingType),
+      notes: toOptionalString(ex.notes, 500),
+      sets: {
+        create: sets.map((set, setIndex) => ({
+          id: normalizeId(set?.id, 'set id'),
+          setNumber: toOptionalInt(set?.setNumber) || setIndex + 1,
+          reps: toOptionalInt(set?.reps),
+          weight: toOptionalFloat(set?.weight),
+          durationSeconds: toOptionalInt(set?.durationSeconds),
+          distance: toOptionalFloat(set?.distance),
+          completed: set?.completed === true,
+          notes: toOptionalString(set?.notes, 500),
+        })),
+      },
+    };
+  });
+};
+
+/**
+ * Build the Prisma data for a session from a request body
+ * @param {object} body - Request body
+ * @returns {object} Session fields (without exercises)
+ */
+const normalizeSessionInput = (body = {}) => {
+  const status = body.status || 'draft';
+  if (!SESSION_STATUSES.includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${SESSION_STATUSES.join(', ')}`, 400);
+  }
+
+  return {
+    templateId: normalizeId(body.templateId, 'templateId') || null,
+    name: typeof body.name === 'string' && body.name.trim()
+      ? body.name.trim().slice(0, 100)
+      : 'Quick Workout',
+    notes: typeof body.notes === 'string' ? body.notes.slice(0, 1000) : '',
+    status,
+    startedAt: parseDate(body.startedAt, 'startedAt') || new Date(),
+    finishedAt: parseDate(body.finishedAt, 'finishedAt'),
+  };
+};
+
+const sessionInclude = {
+  exercises: {
+    orderBy: { orderIndex: 'asc' },
+    include: {
+      sets: { orderBy: { setNumber: 'asc' } },
+    },
+  },
+};
+
+const formatTemplateResponse = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  exercises: Array.isArray(template.exercises) ? template.exercises : [],
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+  deletedAt: template.deletedAt,
+});
+
+const formatSessionResponse = (session) => ({
+  id: session.id,
+  templateId: session.templateId,
+  name: session.name,
+  notes: session.notes,
+  status: session.status,
+  startedAt: session.startedAt,
+  finishedAt: session.finishedAt,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  deletedAt: session.deletedAt,
+  exercises: (session.exercises || []).map((ex) => ({
+    id: ex.id,
+    exerciseId: ex.exerciseId,
+    orderIndex: ex.orderIndex,
+    trackingType: ex.trackingType,
+    notes: ex.notes,
+    sets: (ex.sets || []).map((set) => ({
+      id: set.id,
+      setNumber: set.setNumber,
+      reps: set.reps,
+      weight: set.weight,
+      durationSeconds: set.durationSeconds,
+      distance: set.distance,
+      completed: set.completed,
+      notes: set.notes,
+    })),
+  })),
+});
+
+module.exports = {
+  TRACKING_TYPES,
+  SESSION_STATUSES,
+  parseDate,
+  resolveUpdatedAt,
+  normalizeId,
+  normalizeTemplateInput,
+  normalizeSessionInput,
+  normalizeSessionExercises,
+  sessionInclude,
+  formatTemplateResponse,
+  formatSessionResponse,
+};
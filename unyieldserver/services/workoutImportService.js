@@ -0,0 +1,437 @@
+/**
+ * Workout Import Service
+ * Reads Strong and Hevy CSV exports, maps their exercise names onto the
+ * catalog and bulk-creates the sets as imported workouts. Imported workouts
+ * keep a strength ratio of 0 so they never reach the leaderboards, and don't
+ * count toward streaks.
+ */
+
+const prisma = require('../src/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { getExerciseCatalog, findExercise, EQUIPMENT } = require('./exerciseService');
+const { estimateOneRepMax, recomputePersonalRecords } = require('./personalRecordService');
+
+const IMPORT_SOURCES = ['strong', 'hevy'];
+const WEIGHT_UNITS = ['kg', 'lbs'];
+
+const MAX_IMPORT_ROWS = 20000;
+const INSERT_BATCH_SIZE = 1000;
+const MAX_NOTES_LENGTH = 500;
+const LBS_TO_KG = 0.45359237;
+
+// Lowest similarity a catalog exercise needs to count as a match
+const MATCH_THRESHOLD = 0.6;
+// Taken off candidates whose equipment contradicts the name, e.g. "Bench Press (Dumbbell)"
+const EQUIPMENT_MISMATCH_PENALTY = 0.25;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells, escaped quotes
+ * and line breaks inside quotes. Strong writes ";" in some locales.
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Rows, header first
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.slice(0, input.indexOf('\n') === -1 ? input.length : input.indexOf('\n'));
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((value) => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some((value) => value.trim() !== '')) rows.push(row);
+  return rows;
+};
+
+/**
+ * Work out which app wrote an export from its header row
+ * @param {string[]} header - Lowercased column names
+ * @returns {string|null} strong | hevy, or null if unrecognised
+ */
+const detectSource = (header) => {
+  if (header.includes('exercise_title') && header.includes('start_time')) return 'hevy';
+  if (header.includes('exercise name') && header.includes('date')) return 'strong';
+  return null;
+};
+
+/**
+ * Parse an export date. Hevy writes "15 Jan 2023, 18:30"; Strong writes
+ * "2023-01-15 18:30:00". Times are read as UTC.
+ */
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  const hevy = text.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})/);
+  if (hevy) {
+    const month = MONTHS.indexOf(hevy[2].toLowerCase());
+    if (month === -1) return null;
+    return new Date(Date.UTC(Number(hevy[3]), month, Number(hevy[1]), Number(hevy[4]), Number(hevy[5])));
+  }
+
+  const iso = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+const toKg = (weight, unit) => {
+  if (!weight || weight <= 0) return null;
+  const kg = unit === 'lbs' ? weight * LBS_TO_KG : weight;
+  return Math.round(kg * 100) / 100;
+};
+
+/**
+ * Turn export rows into sets
+ * @param {string[][]} rows - Parsed CSV, header first
+ * @param {string} source - strong | hevy
+ * @param {string} defaultUnit - Unit for exports that don't state one
+ * @returns {{sets: Array, skipped: number}} Sets with a source exercise name, and rows left out
+ */
+const readSets = (rows, source, defaultUnit) => {
+  const header = rows[0].map((column) => column.trim().toLowerCase());
+  const column = (row, ...names) => {
+    for (const name of names) {
+      const index = header.indexOf(name);
+      if (index !== -1) return row[index];
+    }
+    return undefined;
+  };
+
+  const sets = [];
+  let skipped = 0;
+
+  for (const row of rows.slice(1)) {
+    let set;
+    if (source === 'hevy') {
+      const unit = header.includes('weight_lbs') ? 'lbs' : 'kg';
+      set = {
+        name: column(row, 'exercise_title'),
+        date: parseDate(column(row, 'start_time')),
+        reps: parseNumber(column(row, 'reps')),
+        weight: toKg(parseNumber(column(row, 'weight_kg', 'weight_lbs')), unit),
+        duration: parseNumber(column(row, 'duration_seconds')),
+        notes: column(row, 'exercise_notes'),
+        warmup: String(column(row, 'set_type') || '').toLowerCase() === 'warmup',
+      };
+    } else {
+      let unit = defaultUnit;
+      if (header.includes('weight (lbs)')) unit = 'lbs';
+      if (header.includes('weight (kg)')) unit = 'kg';
+      const statedUnit = String(column(row, 'weight unit') || '').trim().toLowerCase();
+      if (WEIGHT_UNITS.includes(statedUnit)) unit = statedUnit;
+
+      set = {
+        name: column(row, 'exercise name'),
+        date: parseDate(column(row, 'date')),
+        reps: parseNumber(column(row, 'reps')),
+        weight: toKg(parseNumber(column(row, 'weight', 'weight (kg)', 'weight (lbs)')), unit),
+        duration: parseNumber(column(row, 'seconds')),
+        notes: column(row, 'notes'),
+        warmup: String(column(row, 'set order') || '').trim().toUpperCase() === 'W',
+      };
+    }
+
+    set.name = String(set.name || '').trim();
+
+    // Warm-ups, rep-less sets (cardio, timed holds) and future dates are left out
+    if (!set.name || !set.date || set.date > new Date() || set.warmup || !set.reps || set.reps <= 0 || set.reps > 2000) {
+      skipped++;
+      continue;
+    }
+
+    sets.push({
+      name: set.name,
+      date: set.date,
+      reps: Math.round(set.reps),
+      weight: set.weight && set.weight <= 1000 ? set.weight : null,
+      duration: set.duration && set.duration > 0 ? Math.round(set.duration) : null,
+      notes: set.notes ? String(set.notes).trim().slice(0, MAX_NOTES_LENGTH) || null : null,
+    });
+  }
+
+  return { sets, skipped };
+};
+
+// Lowercase words with plurals folded, so "Pull-ups" and "Pull Up" compare equal
+const tokenize = (text) => String(text)
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .map((word) => (word.length >= 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+const overlap = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const other = new Set(b);
+  const shared = new Set(a.filter((token) => other.has(token))).size;
+  return (2 * shared) / (new Set(a).size + other.size);
+};
+
+/**
+ * Score how closely an imported name matches a catalog exercise (0-1)
+ * @param {string} name - Name from the export, e.g. "Bench Press (Barbell)"
+ * @param {object} exercise - Catalog exercise
+ * @returns {number} Similarity
+ */
+const scoreMatch = (name, exercise) => {
+  // Strong and Hevy put the equipment in brackets after the movement
+  const qualifier = (name.match(/\(([^)]*)\)/) || [])[1] || '';
+  const coreTokens = tokenize(name.replace(/\([^)]*\)/g, ' '));
+  const allTokens = tokenize(name);
+  const candidateTokens = tokenize(exercise.name);
+
+  let score = coreTokens.join('') === candidateTokens.join('')
+    ? 1
+    : Math.max(overlap(coreTokens, candidateTokens), overlap(allTokens, candidateTokens));
+
+  const equipment = tokenize(qualifier).filter((token) => EQUIPMENT.includes(token));
+  if (equipment.length > 0 && !equipment.some((item) => (exercise.equipment || []).includes(item))) {
+    score -= EQUIPMENT_MISMATCH_PENALTY;
+  }
+
+  return Math.max(0, Math.round(score * 100) / 100);
+};
+
+/**
+ * Find the catalog exercise closest to an imported name
+ * @param {string} name - Name from the export
+ * @param {Array} catalog - Exercise catalog
+ * @returns {{exercise: object, score: number}|null} Best match above the threshold
+ */
+const matchExercise = (name, catalog) => {
+  let best = null;
+  for (const exercise of catalog) {
+    const score = scoreMatch(name, exercise);
+    if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { exercise, score };
+    }
+  }
+  return best;
+};
+
+/**
+ * Validate the client's overrides for names the matcher got wrong or missed
+ * @param {object} mapping - Imported name -> exercise id (null to leave it out)
+ * @returns {Promise<Map<string, object|null>>} Imported name -> catalog exercise
+ */
+const resolveMapping = async (mapping) => {
+  const resolved = new Map();
+  if (mapping === undefined || mapping === null) return resolved;
+
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new AppError('mapping must be an object of exercise name to exercise id', 400);
+  }
+
+  for (const [name, exerciseId] of Object.entries(mapping)) {
+    if (exerciseId === null || exerciseId === '') {
+      resolved.set(name.trim(), null);
+      continue;
+    }
+    const exercise = await findExercise(exerciseId);
+    if (!exercise) {
+      throw new AppError(`Unknown exercise in mapping: ${exerciseId}`, 400);
+    }
+    resolved.set(name.trim(), exercise);
+  }
+  return resolved;
+};
+
+const workoutKey = (workout) => [
+  workout.exercise,
+  workout.date.toISOString(),
+  workout.reps,
+  workout.weight ?? '',
+].join('|');
+
+/**
+ * Build an import from an export file
+ * @param {string} userId - Importing user
+ * @param {object} options - { csv, source, unit, mapping }
+ * @returns {Promise<object>} Preview plus the workouts that would be created
+ */
+const planImport = async (userId, { csv, source, unit = 'kg', mapping } = {}) => {
+  if (!csv || typeof csv !== 'string') {
+    throw new AppError('A Strong or Hevy CSV export is required', 400);
+  }
+  if (!WEIGHT_UNITS.includes(unit)) {
+    throw new AppError(`Invalid unit. Must be one of: ${WEIGHT_UNITS.join(', ')}`, 400);
+  }
+
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    throw new AppError('The CSV file has no rows', 400);
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`, 400);
+  }
+
+  const detected = detectSource(rows[0].map((column) => column.trim().toLowerCase()));
+  const resolvedSource = source || detected;
+  if (!resolvedSource || !IMPORT_SOURCES.includes(resolvedSource)) {
+    throw new AppError(`Unrecognised export. Supported sources: ${IMPORT_SOURCES.join(', ')}`, 400);
+  }
+  if (detected && detected !== resolvedSource) {
+    throw new AppError(`This file looks like a ${detected} export, not ${resolvedSource}`, 400);
+  }
+
+  const { sets, skipped } = readSets(rows, resolvedSource, unit);
+  const overrides = await resolveMapping(mapping);
+  const catalog = await getExerciseCatalog();
+
+  // Match each distinct name once
+  const names = new Map();
+  for (const set of sets) {
+    if (!names.has(set.name)) {
+      let match = null;
+      let mapped = false;
+      if (overrides.has(set.name)) {
+        const exercise = overrides.get(set.name);
+        match = exercise ? { exercise, score: 1 } : null;
+        mapped = true;
+      } else {
+        match = matchExercise(set.name, catalog);
+      }
+      names.set(set.name, { name: set.name, match, mapped, sets: 0 });
+    }
+    names.get(set.name).sets++;
+  }
+
+  const workouts = sets
+    .filter((set) => names.get(set.name).match)
+    .map((set) => ({
+      userId,
+      exercise: names.get(set.name).match.exercise.id,
+      reps: set.reps,
+      weight: set.weight,
+      duration: set.duration,
+      notes: set.notes,
+      date: set.date,
+    }));
+
+  // Sets already imported from an earlier run of the same file are not repeated
+  const existingCounts = new Map();
+  if (workouts.length > 0) {
+    const dates = workouts.map((workout) => workout.date.getTime());
+    const existing = await prisma.workout.findMany({
+      where: {
+        userId,
+        imported: true,
+        date: { gte: new Date(Math.min(...dates)), lte: new Date(Math.max(...dates)) },
+      },
+      select: { exercise: true, date: true, reps: true, weight: true },
+    });
+    for (const workout of existing) {
+      const key = workoutKey(workout);
+      existingCounts.set(key, (existingCounts.get(key) || 0) + 1);
+    }
+  }
+
+  const newWorkouts = [];
+  for (const workout of workouts) {
+    const key = workoutKey(workout);
+    const remaining = existingCounts.get(key) || 0;
+    if (remaining > 0) {
+      existingCounts.set(key, remaining - 1);
+    } else {
+      newWorkouts.push(workout);
+    }
+  }
+
+  const entries = [...names.values()];
+  return {
+    source: resolvedSource,
+    totalRows: rows.length - 1,
+    skippedRows: skipped,
+    duplicateSets: workouts.length - newWorkouts.length,
+    importableSets: newWorkouts.length,
+    matched: entries
+      .filter((entry) => entry.match)
+      .map((entry) => ({
+        name: entry.name,
+        exerciseId: entry.match.exercise.id,
+        exerciseName: entry.match.exercise.name,
+        score: entry.match.score,
+        mapped: entry.mapped,
+        sets: entry.sets,
+      })),
+    unmatched: entries
+      .filter((entry) => !entry.match)
+      .map((entry) => ({ name: entry.name, ignored: entry.mapped, sets: entry.sets })),
+    workouts: newWorkouts,
+  };
+};
+
+/**
+ * Create the planned workouts and rebuild the personal records they touch
+ * @param {string} userId - Importing user
+ * @param {Array} workouts - Workouts from planImport
+ * @returns {Promise<number>} Number of workouts created
+ */
+const createImportedWorkouts = async (userId, workouts) => {
+  if (workouts.length === 0) return 0;
+
+  const data = workouts.map((workout) => ({
+    ...workout,
+    points: 0,
+    strengthRatio: 0,
+    e1rm: estimateOneRepMax(workout.weight, workout.reps),
+    imported: true,
+  }));
+  const exercises = [...new Set(data.map((workout) => workout.exercise))];
+
+  await prisma.$transaction(async (tx) => {
+    for (let i = 0; i < data.length; i += INSERT_BATCH_SIZE) {
+      await tx.workout.createMany({ data: data.slice(i, i + INSERT_BATCH_SIZE) });
+    }
+    for (const exercise of exercises) {
+      await recomputePersonalRecords(tx, userId, exercise);
+    }
+  }, { timeout: 60000 });
+
+  return data.length;
+};
+
+module.exports = {
+  IMPORT_SOURCES,
+  WEIGHT_UNITS,
+  parseCsv,
+  scoreMatch,
+  matchExercise,
+  planImport,
+  createImportedWorkouts,
+};
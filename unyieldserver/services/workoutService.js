@@ -1,28 +1,17 @@
 /**
  * Workout Service
- * Contains exercise data, points calculation, and streak computation
+ * Contains exercise lookup, points calculation, streak computation, the
+ * user's strength ratio aggregate and personal record upkeep
  * Extracted from Mongoose static methods for Prisma compatibility
  */
 
 const prisma = require('../src/prisma');
-
-// Exercise catalog with intensity multipliers
-const EXERCISES = [
-  { id: 'bench_press', name: 'Bench Press', intensity: 1.2 },
-  { id: 'squat', name: 'Squat', intensity: 1.5 },
-  { id: 'deadlift', name: 'Deadlift', intensity: 1.8 },
-  { id: 'pushups', name: 'Pushups', intensity: 0.5 },
-  { id: 'pullups', name: 'Pullups', intensity: 1.0 },
-  { id: 'run', name: 'Run (Km)', intensity: 10.0 },
-  { id: 'lunges', name: 'Lunges', intensity: 0.8 },
-  { id: 'burpees', name: 'Burpees', intensity: 1.5 },
-  { id: 'plank', name: 'Plank (seconds)', intensity: 0.1 },
-  { id: 'situps', name: 'Sit-ups', intensity: 0.4 },
-  { id: 'dumbbell_press', name: 'Dumbbell Press', intensity: 1.1 },
-  { id: 'overhead_press', name: 'Overhead Press', intensity: 1.0 },
-  { id: 'bicep_curls', name: 'Bicep Curls', intensity: 0.6 },
-  { id: 'tricep_dips', name: 'Tricep Dips', intensity: 0.7 },
-];
+const {
+  estimateOneRepMax,
+  updatePersonalRecords,
+  recomputePersonalRecords,
+} = require('./personalRecordService');
+const { findExercise } = require('./exerciseService');
 
 /**
  * Calculate points for a workout
@@ -30,10 +19,10 @@ const EXERCISES = [
  * @param {number} reps - Number of repetitions
  * @param {number} weight - Weight used (in kg)
  * @param {number} streak - Current streak count
- * @returns {number} Points awarded
+ * @returns {Promise<number>} Points awarded
  */
-const calcPoints = (exercise, reps, weight, streak) => {
-  const exerciseData = EXERCISES.find(e => e.id === exercise || e.name === exercise);
+const calcPoints = async (exercise, reps, weight, streak) => {
+  const exerciseData = await findExercise(exercise);
   const intensity = exerciseData?.intensity ?? 1;
   const base = reps * intensity;
   const weightBonus = Math.max(0, Math.round((weight || 0) * 0.1));
@@ -42,13 +31,14 @@ const calcPoints = (exercise, reps, weight, streak) => {
 };
 
 /**
- * Compute streak from user's workout history
+ * Compute streak from user's workout history.
+ * Imported workouts are left out, so a CSV import can't backfill a streak.
  * @param {string} userId - User ID
  * @returns {Promise<{streak: number, best: number}>} Current streak and best streak
  */
 const computeStreak = async (userId) => {
   const workouts = await prisma.workout.findMany({
-    where: { userId },
+    where: { userId, imported: false },
     orderBy: { date: 'desc' },
     select: { date: true },
   });
@@ -90,17 +80,79 @@ const computeStreak = async (userId) => {
 };
 
 /**
- * Get exercise by ID or name
+ * Get exercise by ID or name from the catalog
  * @param {string} exerciseIdOrName - Exercise ID or name
- * @returns {object|undefined} Exercise data
+ * @returns {Promise<object|null>} Exercise data
+ */
+const getExercise = (exerciseIdOrName) => findExercise(exerciseIdOrName);
+
+/**
+ * Create a workout and add its strength ratio to the user's aggregate
+ * in the same transaction, so the total never needs a full-history recompute.
+ * Also stores the workout's e1RM and updates the user's personal records.
+ * @param {object} data - Prisma workout create data (must include userId)
+ * @param {object} [userData] - Extra user fields to update alongside the aggregate
+ * @returns {Promise<{workout: object, user: object, personalRecords: Array}>} Created workout, updated user and any records it set
+ */
+const createWorkoutWithAggregate = async (data, userData = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const workout = await tx.workout.create({
+      data: { ...data, e1rm: estimateOneRepMax(data.weight, data.reps) },
+    });
+    const user = await tx.user.update({
+      where: { id: data.userId },
+      data: {
+        ...userData,
+        strengthRatio: { increment: workout.strengthRatio || 0 },
+      },
+    });
+    const personalRecords = await updatePersonalRecords(tx, workout);
+    return { workout, user, personalRecords };
+  });
+};
+
+/**
+ * Delete a workout and subtract its strength ratio from the user's aggregate.
+ * Records the workout held are rebuilt from the remaining history.
+ * A workout already deleted by a concurrent request is not subtracted twice.
+ * @param {string} workoutId - Workout ID
+ * @returns {Promise<object|null>} Updated user, or null if the workout was already gone
  */
-const getExercise = (exerciseIdOrName) => {
-  return EXERCISES.find(e => e.id === exerciseIdOrName || e.name === exerciseIdOrName);
+const deleteWorkoutWithAggregate = async (workoutId) => {
+  return prisma.$transaction(async (tx) => {
+    const workout = await tx.workout.findUnique({ where: { id: workoutId } });
+    if (!workout) return null;
+
+    // Checked before the delete clears the record's workout link
+    const heldRecords = await tx.personalRecord.count({ where: { workoutId } });
+
+    const { count } = await tx.workout.deleteMany({ where: { id: workoutId } });
+    if (count === 0) return null;
+
+    if (heldRecords > 0) {
+      await recomputePersonalRecords(tx, workout.userId, workout.exercise);
+    }
+
+    const user = await tx.user.update({
+      where: { id: workout.userId },
+      data: { strengthRatio: { decrement: workout.strengthRatio || 0 } },
+    });
+
+    // Float rounding can leave a tiny negative remainder
+    if (user.strengthRatio < 0) {
+      return tx.user.update({
+        where: { id: workout.userId },
+        data: { strengthRatio: 0 },
+      });
+    }
+    return user;
+  });
 };
 
 module.exports = {
-  EXERCISES,
   calcPoints,
   computeStreak,
   getExercise,
+  createWorkoutWithAggregate,
+  deleteWorkoutWithAggregate,
 };
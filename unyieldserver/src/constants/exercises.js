@@ -0,0 +1,132 @@
+/**
+ * Default exercise catalog
+ * Seeds the Exercise table on first use. Admins manage the live catalog
+ * through /api/admin/exercises; edit this list only for new installs.
+ */
+
+const EXERCISE_CATEGORIES = ['chest', 'back', 'shoulders', 'arms', 'legs', 'core', 'compound', 'cardio'];
+
+const EQUIPMENT = ['barbell', 'dumbbell', 'kettlebell', 'machine', 'cable', 'bodyweight', 'other'];
+
+const MUSCLE_GROUPS = [
+  'chest', 'back', 'shoulders', 'biceps', 'triceps', 'forearms', 'traps', 'core',
+  'quads', 'hamstrings', 'glutes', 'calves', 'adductors', 'full_body', 'cardio',
+];
+
+const DEFAULT_EXERCISES = [
+  // Chest
+  { id: 'bench_press', name: 'Bench Press', category: 'chest', muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'incline_bench', name: 'Incline Bench Press', category: 'chest', muscleGroups: ['chest', 'shoulders', 'triceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'decline_bench', name: 'Decline Bench Press', category: 'chest', muscleGroups: ['chest', 'triceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'dumbbell_press', name: 'Dumbbell Press', category: 'chest', muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 1.1 },
+  { id: 'incline_dumbbell', name: 'Incline Dumbbell Press', category: 'chest', muscleGroups: ['chest', 'shoulders'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 1.1 },
+  { id: 'chest_fly', name: 'Chest Fly', category: 'chest', muscleGroups: ['chest'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.8 },
+  { id: 'cable_crossover', name: 'Cable Crossover', category: 'chest', muscleGroups: ['chest'], equipment: ['cable'], trackingType: 'strength', intensity: 0.8 },
+  { id: 'pushups', name: 'Pushups', category: 'chest', muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.5 },
+  { id: 'dips', name: 'Dips', category: 'chest', muscleGroups: ['chest', 'triceps'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 1.0 },
+  { id: 'pec_deck', name: 'Pec Deck', category: 'chest', muscleGroups: ['chest'], equipment: ['machine'], trackingType: 'strength', intensity: 0.7 },
+
+  // Back
+  { id: 'pullups', name: 'Pull-ups', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 1.0 },
+  { id: 'chin_ups', name: 'Chin-ups', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 1.0 },
+  { id: 'lat_pulldown', name: 'Lat Pulldown', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['cable'], trackingType: 'strength', intensity: 0.9 },
+  { id: 'barbell_row', name: 'Barbell Row', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'dumbbell_row', name: 'Dumbbell Row', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 1.0 },
+  { id: 'cable_row', name: 'Cable Row', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['cable'], trackingType: 'strength', intensity: 0.9 },
+  { id: 'seated_row', name: 'Seated Row', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['machine'], trackingType: 'strength', intensity: 0.9 },
+  { id: 't_bar_row', name: 'T-Bar Row', category: 'back', muscleGroups: ['back', 'biceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.1 },
+  { id: 'face_pulls', name: 'Face Pulls', category: 'back', muscleGroups: ['shoulders', 'back'], equipment: ['cable'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'shrugs', name: 'Shrugs', category: 'back', muscleGroups: ['traps'], equipment: ['barbell', 'dumbbell'], trackingType: 'strength', intensity: 0.7 },
+
+  // Shoulders
+  { id: 'overhead_press', name: 'Overhead Press', category: 'shoulders', muscleGroups: ['shoulders', 'triceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'military_press', name: 'Military Press', category: 'shoulders', muscleGroups: ['shoulders', 'triceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'dumbbell_shoulder', name: 'Dumbbell Shoulder Press', category: 'shoulders', muscleGroups: ['shoulders', 'triceps'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 1.1 },
+  { id: 'arnold_press', name: 'Arnold Press', category: 'shoulders', muscleGroups: ['shoulders', 'triceps'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 1.0 },
+  { id: 'lateral_raise', name: 'Lateral Raise', category: 'shoulders', muscleGroups: ['shoulders'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'front_raise', name: 'Front Raise', category: 'shoulders', muscleGroups: ['shoulders'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'rear_delt_fly', name: 'Rear Delt Fly', category: 'shoulders', muscleGroups: ['shoulders', 'back'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'upright_row', name: 'Upright Row', category: 'shoulders', muscleGroups: ['shoulders', 'traps'], equipment: ['barbell'], trackingType: 'strength', intensity: 0.8 },
+
+  // Arms
+  { id: 'barbell_curl', name: 'Barbell Curl', category: 'arms', muscleGroups: ['biceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 0.7 },
+  { id: 'dumbbell_curl', name: 'Dumbbell Curl', category: 'arms', muscleGroups: ['biceps'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'hammer_curl', name: 'Hammer Curl', category: 'arms', muscleGroups: ['biceps', 'forearms'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'preacher_curl', name: 'Preacher Curl', category: 'arms', muscleGroups: ['biceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 0.7 },
+  { id: 'concentration_curl', name: 'Concentration Curl', category: 'arms', muscleGroups: ['biceps'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'cable_curl', name: 'Cable Curl', category: 'arms', muscleGroups: ['biceps'], equipment: ['cable'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'tricep_pushdown', name: 'Tricep Pushdown', category: 'arms', muscleGroups: ['triceps'], equipment: ['cable'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'skull_crushers', name: 'Skull Crushers', category: 'arms', muscleGroups: ['triceps'], equipment: ['barbell'], trackingType: 'strength', intensity: 0.8 },
+  { id: 'tricep_extension', name: 'Tricep Extension', category: 'arms', muscleGroups: ['triceps'], equipment: ['dumbbell', 'cable'], trackingType: 'strength', intensity: 0.7 },
+  { id: 'bicep_curls', name: 'Bicep Curls', category: 'arms', muscleGroups: ['biceps'], equipment: ['dumbbell'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'tricep_dips', name: 'Tricep Dips', category: 'arms', muscleGroups: ['triceps'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.7 },
+  { id: 'close_grip_bench', name: 'Close Grip Bench Press', category: 'arms', muscleGroups: ['triceps', 'chest'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.0 },
+  { id: 'diamond_pushups', name: 'Diamond Pushups', category: 'arms', muscleGroups: ['triceps', 'chest'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.6 },
+
+  // Legs
+  { id: 'squat', name: 'Squat', category: 'legs', muscleGroups: ['quads', 'glutes', 'hamstrings'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.5 },
+  { id: 'front_squat', name: 'Front Squat', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.4 },
+  { id: 'hack_squat', name: 'Hack Squat', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['machine'], trackingType: 'strength', intensity: 1.3 },
+  { id: 'leg_press', name: 'Leg Press', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['machine'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'lunges', name: 'Lunges', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['bodyweight', 'dumbbell'], trackingType: 'strength', intensity: 0.8 },
+  { id: 'walking_lunges', name: 'Walking Lunges', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['bodyweight', 'dumbbell'], trackingType: 'strength', intensity: 0.9 },
+  { id: 'bulgarian_split', name: 'Bulgarian Split Squat', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['bodyweight', 'dumbbell'], trackingType: 'strength', intensity: 1.0 },
+  { id: 'leg_extension', name: 'Leg Extension', category: 'legs', muscleGroups: ['quads'], equipment: ['machine'], trackingType: 'strength', intensity: 0.7 },
+  { id: 'leg_curl', name: 'Leg Curl', category: 'legs', muscleGroups: ['hamstrings'], equipment: ['machine'], trackingType: 'strength', intensity: 0.7 },
+  { id: 'romanian_deadlift', name: 'Romanian Deadlift', category: 'legs', muscleGroups: ['hamstrings', 'glutes', 'back'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.3 },
+  { id: 'stiff_leg_deadlift', name: 'Stiff Leg Deadlift', category: 'legs', muscleGroups: ['hamstrings', 'glutes', 'back'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'calf_raise', name: 'Calf Raise', category: 'legs', muscleGroups: ['calves'], equipment: ['bodyweight', 'machine'], trackingType: 'strength', intensity: 0.5 },
+  { id: 'seated_calf_raise', name: 'Seated Calf Raise', category: 'legs', muscleGroups: ['calves'], equipment: ['machine'], trackingType: 'strength', intensity: 0.5 },
+  { id: 'hip_thrust', name: 'Hip Thrust', category: 'legs', muscleGroups: ['glutes', 'hamstrings'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.0 },
+  { id: 'glute_bridge', name: 'Glute Bridge', category: 'legs', muscleGroups: ['glutes', 'hamstrings'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.7 },
+  { id: 'goblet_squat', name: 'Goblet Squat', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['dumbbell', 'kettlebell'], trackingType: 'strength', intensity: 0.9 },
+  { id: 'step_ups', name: 'Step Ups', category: 'legs', muscleGroups: ['quads', 'glutes'], equipment: ['bodyweight', 'dumbbell'], trackingType: 'strength', intensity: 0.8 },
+  { id: 'sumo_squat', name: 'Sumo Squat', category: 'legs', muscleGroups: ['quads', 'glutes', 'adductors'], equipment: ['bodyweight', 'dumbbell'], trackingType: 'strength', intensity: 1.2 },
+  { id: 'sissy_squat', name: 'Sissy Squat', category: 'legs', muscleGroups: ['quads'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.8 },
+  { id: 'adductor', name: 'Adductor Machine', category: 'legs', muscleGroups: ['adductors'], equipment: ['machine'], trackingType: 'strength', intensity: 0.6 },
+  { id: 'abductor', name: 'Abductor Machine', category: 'legs', muscleGroups: ['glutes'], equipment: ['machine'], trackingType: 'strength', intensity: 0.6 },
+
+  // Core
+  { id: 'situps', name: 'Sit-ups', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.4 },
+  { id: 'crunches', name: 'Crunches', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.3 },
+  { id: 'plank', name: 'Plank (seconds)', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'time', intensity: 0.1 },
+  { id: 'side_plank', name: 'Side Plank (seconds)', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'time', intensity: 0.1 },
+  { id: 'leg_raises', name: 'Leg Raises', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.5 },
+  { id: 'hanging_leg_raise', name: 'Hanging Leg Raise', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.7 },
+  { id: 'russian_twist', name: 'Russian Twist', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.4 },
+  { id: 'cable_crunch', name: 'Cable Crunch', category: 'core', muscleGroups: ['core'], equipment: ['cable'], trackingType: 'strength', intensity: 0.5 },
+  { id: 'ab_wheel', name: 'Ab Wheel Rollout', category: 'core', muscleGroups: ['core'], equipment: ['other'], trackingType: 'strength', intensity: 0.7 },
+  { id: 'mountain_climbers', name: 'Mountain Climbers', category: 'core', muscleGroups: ['core', 'full_body'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.6 },
+  { id: 'dead_bug', name: 'Dead Bug', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.4 },
+  { id: 'bicycle_crunch', name: 'Bicycle Crunch', category: 'core', muscleGroups: ['core'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 0.5 },
+
+  // Compound
+  { id: 'deadlift', name: 'Deadlift', category: 'compound', muscleGroups: ['back', 'hamstrings', 'glutes'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.8 },
+  { id: 'sumo_deadlift', name: 'Sumo Deadlift', category: 'compound', muscleGroups: ['glutes', 'hamstrings', 'back'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.7 },
+  { id: 'clean_and_press', name: 'Clean and Press', category: 'compound', muscleGroups: ['full_body'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.5 },
+  { id: 'power_clean', name: 'Power Clean', category: 'compound', muscleGroups: ['full_body'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.4 },
+  { id: 'snatch', name: 'Snatch', category: 'compound', muscleGroups: ['full_body'], equipment: ['barbell'], trackingType: 'strength', intensity: 1.5 },
+  { id: 'thruster', name: 'Thruster', category: 'compound', muscleGroups: ['quads', 'shoulders'], equipment: ['barbell', 'dumbbell'], trackingType: 'strength', intensity: 1.3 },
+  { id: 'burpees', name: 'Burpees', category: 'compound', muscleGroups: ['full_body'], equipment: ['bodyweight'], trackingType: 'bodyweight', intensity: 1.5 },
+  { id: 'kettlebell_swing', name: 'Kettlebell Swing', category: 'compound', muscleGroups: ['glutes', 'hamstrings', 'back'], equipment: ['kettlebell'], trackingType: 'strength', intensity: 1.0 },
+  { id: 'farmers_walk', name: 'Farmers Walk', category: 'compound', muscleGroups: ['forearms', 'traps', 'core'], equipment: ['dumbbell', 'kettlebell'], trackingType: 'strength', intensity: 0.9 },
+
+  // Cardio
+  { id: 'run', name: 'Run (Km)', category: 'cardio', muscleGroups: ['cardio'], equipment: ['bodyweight'], trackingType: 'distance', intensity: 10.0 },
+  { id: 'treadmill', name: 'Treadmill (mins)', category: 'cardio', muscleGroups: ['cardio'], equipment: ['machine'], trackingType: 'time', intensity: 0.3 },
+  { id: 'cycling', name: 'Cycling (mins)', category: 'cardio', muscleGroups: ['cardio', 'quads'], equipment: ['machine'], trackingType: 'time', intensity: 0.25 },
+  { id: 'rowing', name: 'Rowing (mins)', category: 'cardio', muscleGroups: ['cardio', 'back'], equipment: ['machine'], trackingType: 'time', intensity: 0.35 },
+  { id: 'stair_climber', name: 'Stair Climber (mins)', category: 'cardio', muscleGroups: ['cardio', 'quads'], equipment: ['machine'], trackingType: 'time', intensity: 0.4 },
+  { id: 'jump_rope', name: 'Jump Rope (mins)', category: 'cardio', muscleGroups: ['cardio', 'calves'], equipment: ['other'], trackingType: 'time', intensity: 0.5 },
+  { id: 'elliptical', name: 'Elliptical (mins)', category: 'cardio', muscleGroups: ['cardio'], equipment: ['machine'], trackingType: 'time', intensity: 0.25 },
+  { id: 'swimming', name: 'Swimming (mins)', category: 'cardio', muscleGroups: ['cardio', 'full_body'], equipment: ['other'], trackingType: 'time', intensity: 0.4 },
+  { id: 'box_jumps', name: 'Box Jumps', category: 'cardio', muscleGroups: ['quads', 'glutes'], equipment: ['other'], trackingType: 'strength', intensity: 0.8 },
+  { id: 'battle_ropes', name: 'Battle Ropes (mins)', category: 'cardio', muscleGroups: ['cardio', 'shoulders'], equipment: ['other'], trackingType: 'time', intensity: 0.5 },
+];
+
+module.exports = {
+  EXERCISE_CATEGORIES,
+  EQUIPMENT,
+  MUSCLE_GROUPS,
+  DEFAULT_EXERCISES,
+};
@@ -10,6 +10,7 @@ beforeAll(async () => {
   // Set environment variables for tests
   process.env.JWT_SECRET = 'test-jwt-secret-key-12345';
   process.env.NODE_ENV = 'test';
+  process.env.GOOGLE_CLIENT_IDS = 'test-google-client-id';
 
   // Connect to database
   await prisma.$connect();
@@ -28,13 +29,32 @@ beforeEach(async () => {
   // Delete all test data in correct order due to foreign keys
   await prisma.report.deleteMany({});
   await prisma.appeal.deleteMany({});
+  await prisma.duel.deleteMany({});
+  await prisma.challengeResult.deleteMany({});
   await prisma.challengeSubmission.deleteMany({});
+  await prisma.challengeWaitlistEntry.deleteMany({});
   await prisma.userChallenge.deleteMany({});
   await prisma.videoSubmission.deleteMany({});
+  await prisma.personalRecord.deleteMany({});
   await prisma.workout.deleteMany({});
+  await prisma.workoutSession.deleteMany({});
+  await prisma.workoutTemplate.deleteMany({});
   await prisma.notification.deleteMany({});
   await prisma.adminAction.deleteMany({});
+  await prisma.idempotencyKey.deleteMany({});
+  await prisma.exercise.deleteMany({});
+  await prisma.rankSnapshot.deleteMany({});
+  await prisma.authToken.deleteMany({});
+  await prisma.authSession.deleteMany({});
+  await prisma.oAuthAccount.deleteMany({});
+  await prisma.videoUpload.deleteMany({});
+  await prisma.videoAsset.deleteMany({});
+  await prisma.job.deleteMany({});
   await prisma.challenge.deleteMany({});
+  await prisma.challengeTemplate.deleteMany({});
+  await prisma.teamInvite.deleteMany({});
+  await prisma.teamMember.deleteMany({});
+  await prisma.team.deleteMany({});
   await prisma.user.deleteMany({});
 });
 
@@ -1,7 +1,21 @@
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { path: ffmpegPath } = require('@ffmpeg-installer/ffmpeg');
 const { prisma } = require('./setup');
+const { setMailTransport } = require('../services/mailer');
+const { createLocalKeySet, setProviderKeySet } = require('../services/oauthService');
+const { setStorageDriver } = require('../services/objectStorage');
+const { registerJobHandler, enqueueJob, runPendingJobs } = require('../services/jobQueue');
+const { setFaceDetector } = require('../services/faceBlurService');
+const { finalizeEndedChallenges } = require('../services/challengeResultService');
+const { captureRankSnapshots } = require('../services/rankSnapshotService');
+const { createLocalDriver } = require('../services/storageDrivers');
 
 let app;
 
@@ -95,6 +109,41 @@ describe('UNYIELD API Tests', () => {
     });
   });
 
+  // ==========================================
+  // RATE LIMITING TESTS
+  // ==========================================
+  describe('Rate Limiting', () => {
+    test('responses should carry RateLimit headers', async () => {
+      const response = await request(app).get('/api/health');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['ratelimit-limit']).toBeDefined();
+      expect(Number(response.headers['ratelimit-remaining'])).toBeLessThan(Number(response.headers['ratelimit-limit']));
+      expect(Number(response.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    });
+
+    test('POST /api/videos/:id/report should be limited per user', async () => {
+      const report = (token) => request(app)
+        .post('/api/videos/missing-video/report')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reportType: 'spam', reason: 'Spam' });
+
+      for (let i = 0; i < 10; i++) {
+        const allowed = await report(testToken);
+        expect(allowed.status).toBe(404);
+      }
+
+      const limited = await report(testToken);
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBeDefined();
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+
+      // Other users keep their own budget
+      const otherUser = await report(testToken2);
+      expect(otherUser.status).toBe(404);
+    });
+  });
+
   // ==========================================
   // AUTHENTICATION TESTS
   // ==========================================
@@ -208,6 +257,251 @@ describe('UNYIELD API Tests', () => {
 
       expect(response.status).toBe(401);
     });
+
+    test('POST /api/auth/refresh should rotate the refresh token and revoke the session on reuse', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'testuser1@test.com', password: 'password123' });
+
+      expect(login.status).toBe(200);
+      const firstRefreshToken = login.body.data.refreshToken;
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: firstRefreshToken });
+
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.data.refreshToken).not.toBe(firstRefreshToken);
+
+      const reused = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: firstRefreshToken });
+
+      expect(reused.status).toBe(401);
+
+      // Reuse ends the whole session, including the token it was rotated to
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshed.body.data.refreshToken });
+
+      expect(afterReuse.status).toBe(401);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${refreshed.body.data.token}`);
+
+      expect(me.status).toBe(401);
+    });
+
+    test('DELETE /api/auth/sessions/:id should sign out another device', async () => {
+      const phone = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'testuser1@test.com', password: 'password123', deviceName: 'Phone' });
+      const tablet = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'testuser1@test.com', password: 'password123', deviceName: 'Tablet' });
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.data.token}`);
+
+      expect(sessions.status).toBe(200);
+      expect(sessions.body.data).toHaveLength(2);
+      const tabletSession = sessions.body.data.find((s) => s.deviceName === 'Tablet');
+      expect(tabletSession.current).toBe(false);
+
+      const revoke = await request(app)
+        .delete(`/api/auth/sessions/${tabletSession.id}`)
+        .set('Authorization', `Bearer ${phone.body.data.token}`);
+
+      expect(revoke.status).toBe(200);
+
+      const tabletMe = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tablet.body.data.token}`);
+
+      expect(tabletMe.status).toBe(401);
+
+      const tabletRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tablet.body.data.refreshToken });
+
+      expect(tabletRefresh.status).toBe(401);
+    });
+
+    test('POST /api/auth/oauth/google should require an invite for new users and link by verified email', async () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      setProviderKeySet('google', createLocalKeySet({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig' }],
+      }));
+
+      const googleIdToken = (claims) => jwt.sign(claims, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        issuer: 'https://accounts.google.com',
+        audience: 'test-google-client-id',
+        expiresIn: '5m',
+      });
+
+      try {
+        const newIdToken = googleIdToken({ sub: 'google-new', email: 'new@gmail.com', email_verified: true, name: 'New Grinder' });
+
+        const withoutInvite = await request(app)
+          .post('/api/auth/oauth/google')
+          .send({ idToken: newIdToken });
+
+        expect(withoutInvite.status).toBe(403);
+
+        const signUp = await request(app)
+          .post('/api/auth/oauth/google')
+          .send({ idToken: newIdToken, inviteCode: signupInviteCode.code });
+
+        expect(signUp.status).toBe(201);
+        expect(signUp.body.data.isNewUser).toBe(true);
+        expect(signUp.body.data.user.provider).toBe('google');
+        expect(signUp.body.data.refreshToken).toBeDefined();
+
+        // testuser2 never verified their email, so the Google sign-in takes the account over
+        const link = await request(app)
+          .post('/api/auth/oauth/google')
+          .send({ idToken: googleIdToken({ sub: 'google-2', email: 'testuser2@test.com', email_verified: true }) });
+
+        expect(link.status).toBe(200);
+        expect(link.body.data.isNewUser).toBe(false);
+        expect(link.body.data.user.id).toBe(testUser2.id);
+
+        const passwordLogin = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'testuser2@test.com', password: 'password123' });
+
+        expect(passwordLogin.status).toBe(401);
+
+        const forged = await request(app)
+          .post('/api/auth/oauth/google')
+          .send({ idToken: jwt.sign({ sub: 'google-2' }, 'not-the-key', { keyid: 'test-key' }) });
+
+        expect(forged.status).toBe(401);
+      } finally {
+        setProviderKeySet('google', null);
+      }
+    });
+
+    test('POST /api/auth/anonymous should create a hidden guest that can be upgraded in place', async () => {
+      const guest = await request(app)
+        .post('/api/auth/anonymous')
+        .send({ deviceName: 'Guest Phone' });
+
+      expect(guest.status).toBe(201);
+      expect(guest.body.data.user.provider).toBe('anonymous');
+      expect(guest.body.data.user.email).toBeNull();
+      expect(guest.body.data.refreshToken).toBeDefined();
+
+      const guestId = guest.body.data.user.id;
+      await prisma.user.update({
+        where: { id: guestId },
+        data: { weight: 80, weightClass: 'W75_84', strengthRatio: 9 },
+      });
+
+      const hidden = await request(app)
+        .get('/api/leaderboard')
+        .set('Authorization', `Bearer ${guest.body.data.token}`);
+
+      expect(hidden.status).toBe(200);
+      expect(hidden.body.data.leaderboard.map((u) => u.id)).not.toContain(guestId);
+      expect(hidden.body.data.currentUser.disqualified).toBe(true);
+
+      const withoutInvite = await request(app)
+        .post('/api/auth/anonymous/upgrade')
+        .set('Authorization', `Bearer ${guest.body.data.token}`)
+        .send({ email: 'guest@test.com', password: 'GuestPassword1!' });
+
+      expect(withoutInvite.status).toBe(403);
+
+      const takenEmail = await request(app)
+        .post('/api/auth/anonymous/upgrade')
+        .set('Authorization', `Bearer ${guest.body.data.token}`)
+        .send({ email: 'testuser2@test.com', password: 'GuestPassword1!', inviteCode: signupInviteCode.code });
+
+      expect(takenEmail.status).toBe(409);
+
+      const upgrade = await request(app)
+        .post('/api/auth/anonymous/upgrade')
+        .set('Authorization', `Bearer ${guest.body.data.token}`)
+        .send({ email: 'guest@test.com', password: 'GuestPassword1!', username: 'formerguest', inviteCode: signupInviteCode.code });
+
+      expect(upgrade.status).toBe(200);
+      expect(upgrade.body.data.user.id).toBe(guestId);
+      expect(upgrade.body.data.user.provider).toBe('email');
+      expect(upgrade.body.data.user.username).toBe('formerguest');
+
+      // The guest's device stays signed in
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: guest.body.data.refreshToken });
+
+      expect(refresh.status).toBe(200);
+
+      const ranked = await request(app)
+        .get('/api/leaderboard')
+        .set('Authorization', `Bearer ${upgrade.body.data.token}`);
+
+      expect(ranked.body.data.leaderboard.map((u) => u.id)).toContain(guestId);
+
+      const again = await request(app)
+        .post('/api/auth/anonymous/upgrade')
+        .set('Authorization', `Bearer ${upgrade.body.data.token}`)
+        .send({ email: 'other@test.com', password: 'GuestPassword1!', inviteCode: signupInviteCode.code });
+
+      expect(again.status).toBe(400);
+    });
+
+    test('POST /api/auth/reset-password should accept a reset token only once', async () => {
+      const sent = [];
+      setMailTransport({ name: 'test', send: async (message) => { sent.push(message); return { id: 'test' }; } });
+
+      try {
+        const forgot = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'testuser1@test.com' });
+
+        expect(forgot.status).toBe(200);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].to).toBe('testuser1@test.com');
+
+        const token = sent[0].text.match(/reset-password\?token=([\w-]+)/)[1];
+        const stored = await prisma.authToken.findFirst({ where: { userId: testUser.id } });
+        expect(stored.tokenHash).not.toBe(token);
+
+        const reset = await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token, password: 'NewPassword1!' });
+
+        expect(reset.status).toBe(200);
+
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'testuser1@test.com', password: 'NewPassword1!' });
+
+        expect(login.status).toBe(200);
+        expect(login.body.data.user.emailVerified).toBe(true);
+
+        const reuse = await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token, password: 'AnotherPassword1!' });
+
+        expect(reuse.status).toBe(400);
+
+        // Unknown addresses get the same response and no email
+        const unknown = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'nobody@test.com' });
+
+        expect(unknown.status).toBe(200);
+        expect(sent).toHaveLength(1);
+      } finally {
+        setMailTransport(null);
+      }
+    });
   });
 
   // ==========================================
@@ -236,6 +530,66 @@ describe('UNYIELD API Tests', () => {
       expect(response.body.data.name).toBe('Updated Name');
       expect(response.body.data.bio).toBe('This is my updated bio');
     });
+
+    test('GET /api/users/export should download the account data', async () => {
+      await prisma.workout.create({
+        data: { userId: testUser.id, exercise: 'pushups', reps: 20, notes: 'Felt "easy", went fast' },
+      });
+      await prisma.duel.create({
+        data: { challengerId: testUser2.id, opponentId: testUser.id, exercise: 'pushups', deadline: new Date(Date.now() + 86400000) },
+      });
+      const challenge = await prisma.challenge.create({
+        data: {
+          title: 'Export Challenge',
+          description: 'Export test',
+          exercises: ['pushups'],
+          target: 50,
+          startDate: new Date(Date.now() - 2 * 86400000),
+          endDate: new Date(Date.now() - 86400000),
+        },
+      });
+      await prisma.userChallenge.create({ data: { userId: testUser.id, challengeId: challenge.id } });
+      await prisma.challengeResult.create({
+        data: {
+          challengeId: challenge.id,
+          winnerCriteria: 'first_to_complete',
+          placements: [{ rank: 1, userId: testUser2.id }, { rank: 2, userId: testUser.id }],
+          winnerId: testUser2.id,
+          participantCount: 2,
+        },
+      });
+
+      const json = await request(app)
+        .get('/api/users/export?format=json')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(json.status).toBe(200);
+      expect(json.headers['content-disposition']).toContain('unyield-export-testuser1-');
+      expect(json.body.profile.username).toBe('testuser1');
+      expect(json.body.profile.password).toBeUndefined();
+      expect(json.body.profile.duelRating).toBe(1200);
+      expect(json.body.workouts).toHaveLength(1);
+      expect(json.body.duels).toHaveLength(1);
+      expect(json.body.challengeResults).toHaveLength(1);
+      expect(json.body.challengeResults[0].placement).toEqual({ rank: 2, userId: testUser.id });
+      expect(json.body.challengeResults[0].placements).toBeUndefined();
+      expect(json.body.notifications).toEqual([]);
+
+      const csv = await request(app)
+        .get('/api/users/export?format=csv')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(csv.status).toBe(200);
+      expect(csv.headers['content-type']).toContain('text/csv');
+      expect(csv.text).toContain('# workouts');
+      expect(csv.text).toContain('"Felt ""easy"", went fast"');
+
+      const invalid = await request(app)
+        .get('/api/users/export?format=xml')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(invalid.status).toBe(400);
+    });
   });
 
   // ==========================================
@@ -258,6 +612,185 @@ describe('UNYIELD API Tests', () => {
       expect(response.body.data.pointsEarned).toBeGreaterThan(0);
     });
 
+    test('POST /api/workouts should replay a repeated Idempotency-Key', async () => {
+      const payload = { exercise: 'Bench Press', reps: 5, weight: 80 };
+
+      const first = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-retry-1')
+        .send(payload);
+
+      const second = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-retry-1')
+        .send(payload);
+
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(201);
+      expect(second.headers['idempotent-replayed']).toBe('true');
+      expect(second.body.data.workout.id).toBe(first.body.data.workout.id);
+
+      const count = await prisma.workout.count({ where: { userId: testUser.id } });
+      expect(count).toBe(1);
+    });
+
+    test('POST /api/workouts should reject a reused Idempotency-Key with a different body', async () => {
+      await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-retry-2')
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80 });
+
+      const response = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-retry-2')
+        .send({ exercise: 'Bench Press', reps: 8, weight: 80 });
+
+      expect(response.status).toBe(422);
+    });
+
+    test('POST /api/workouts should date replayed offline workouts against Queued-At', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const date = new Date(Date.now() - 10 * day).toISOString();
+
+      const late = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80, date });
+      expect(late.status).toBe(400);
+
+      const replayed = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-offline-1')
+        .set('Queued-At', new Date(Date.now() - 9 * day).toISOString())
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80, date });
+      expect(replayed.status).toBe(201);
+      expect(new Date(replayed.body.data.workout.date).toISOString()).toBe(date);
+
+      const expired = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-offline-2')
+        .set('Queued-At', new Date(Date.now() - 31 * day).toISOString())
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80, date: new Date(Date.now() - 31 * day).toISOString() });
+      expect(expired.status).toBe(400);
+    });
+
+    test('POST /api/workouts should take over an Idempotency-Key left pending by a dead request', async () => {
+      await prisma.idempotencyKey.create({
+        data: {
+          key: 'workout-retry-3',
+          userId: testUser.id,
+          method: 'POST',
+          path: '/api/workouts',
+          fingerprint: 'abandoned',
+          heartbeatAt: new Date(Date.now() - 5 * 60 * 1000),
+          createdAt: new Date(Date.now() - 5 * 60 * 1000),
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      });
+
+      const response = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-retry-3')
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80 });
+
+      expect(response.status).toBe(201);
+      const record = await prisma.idempotencyKey.findUnique({
+        where: { userId_key: { userId: testUser.id, key: 'workout-retry-3' } },
+      });
+      expect(record.statusCode).toBe(201);
+    });
+
+    test('POST /api/workouts should not take over an Idempotency-Key whose request is still running', async () => {
+      await prisma.idempotencyKey.create({
+        data: {
+          key: 'workout-retry-4',
+          userId: testUser.id,
+          method: 'POST',
+          path: '/api/workouts',
+          fingerprint: 'slow',
+          heartbeatAt: new Date(),
+          createdAt: new Date(Date.now() - 5 * 60 * 1000),
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      });
+
+      const response = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'workout-retry-4')
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80 });
+
+      expect(response.status).toBe(422);
+      const count = await prisma.workout.count({ where: { userId: testUser.id } });
+      expect(count).toBe(0);
+    });
+
+    test('POST /api/workouts/import should reject a reused Idempotency-Key with a different file', async () => {
+      const header = 'Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE';
+
+      const first = await request(app)
+        .post('/api/workouts/import')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'import-retry-1')
+        .attach('file', Buffer.from(`${header}\n2023-01-15 18:30:00;"Push";1h;"Bench Press (Barbell)";1;80;5;0;0;;;`), 'strong.csv');
+
+      const second = await request(app)
+        .post('/api/workouts/import')
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Idempotency-Key', 'import-retry-1')
+        .attach('file', Buffer.from(`${header}\n2023-01-16 18:30:00;"Push";1h;"Bench Press (Barbell)";1;85;5;0;0;;;`), 'strong.csv');
+
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(422);
+    });
+
+    test('Workouts should update personal records on create and delete', async () => {
+      await prisma.user.update({
+        where: { id: testUser.id },
+        data: { notificationsEnabled: true },
+      });
+
+      await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'bench_press', reps: 5, weight: 100 });
+
+      const heavier = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'bench_press', reps: 3, weight: 110 });
+
+      expect(heavier.body.data.workout.e1rm).toBeCloseTo(116.47, 1);
+      expect(heavier.body.data.personalRecords.map((r) => r.type)).toEqual(
+        expect.arrayContaining(['max_weight', 'best_e1rm'])
+      );
+
+      const notification = await prisma.notification.findFirst({
+        where: { userId: testUser.id, type: 'personal_record' },
+      });
+      expect(notification).toBeTruthy();
+
+      await request(app)
+        .delete(`/api/workouts/${heavier.body.data.workout.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+
+      const response = await request(app).get(`/api/users/${testUser.id}/records`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].exerciseName).toBe('Bench Press');
+      expect(response.body.data[0].maxWeight.value).toBe(100);
+      expect(response.body.data[0].maxReps.value).toBe(5);
+      expect(response.body.data[0].bestE1rm.value).toBeCloseTo(112.5, 1);
+    });
+
     test('GET /api/workouts should return user workouts', async () => {
       // Create a workout first
       await request(app)
@@ -299,20 +832,1355 @@ describe('UNYIELD API Tests', () => {
       expect(deleteResponse.status).toBe(200);
       expect(deleteResponse.body.success).toBe(true);
     });
+
+    test('Workouts should keep the strength ratio aggregate in step on create and delete', async () => {
+      await prisma.user.update({
+        where: { id: testUser.id },
+        data: { weight: 80 },
+      });
+
+      const first = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Squat', reps: 5, weight: 120 });
+      const second = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Deadlift', reps: 3, weight: 160 });
+
+      const firstRatio = first.body.data.workout.strengthRatio;
+      const secondRatio = second.body.data.workout.strengthRatio;
+      expect(firstRatio).toBeGreaterThan(0);
+      expect(secondRatio).toBeGreaterThan(0);
+
+      let user = await prisma.user.findUnique({ where: { id: testUser.id } });
+      expect(user.strengthRatio).toBeCloseTo(firstRatio + secondRatio, 6);
+
+      await request(app)
+        .delete(`/api/workouts/${first.body.data.workout.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      user = await prisma.user.findUnique({ where: { id: testUser.id } });
+      expect(user.strengthRatio).toBeCloseTo(secondRatio, 6);
+
+      // A repeated delete must not subtract twice
+      await request(app)
+        .delete(`/api/workouts/${first.body.data.workout.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      await request(app)
+        .delete(`/api/workouts/${second.body.data.workout.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      user = await prisma.user.findUnique({ where: { id: testUser.id } });
+      expect(user.strengthRatio).toBeCloseTo(0, 6);
+    });
+
+    test('POST /api/workouts should not count imported workouts toward the streak', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      await prisma.workout.createMany({
+        data: [1, 2, 3].map((daysAgo) => ({
+          userId: testUser.id,
+          exercise: 'bench_press',
+          reps: 5,
+          weight: 80,
+          imported: true,
+          date: new Date(Date.now() - daysAgo * day),
+        })),
+      });
+
+      const response = await request(app)
+        .post('/api/workouts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'bench_press', reps: 5, weight: 80 });
+
+      expect(response.status).toBe(201);
+      const user = await prisma.user.findUnique({ where: { id: testUser.id } });
+      expect(user.streak).toBe(1);
+      expect(user.streakBest).toBe(1);
+    });
+
+    test('POST /api/workouts/import should import a Strong export without touching strength ratio', async () => {
+      await prisma.user.update({ where: { id: testUser.id }, data: { weight: 80 } });
+
+      const csv = [
+        'Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE',
+        '2023-01-15 18:30:00;"Push";1h;"Bench Press (Barbell)";1;80;5;0;0;;;',
+        '2023-01-15 18:30:00;"Push";1h;"Bench Press (Barbell)";2;80;5;0;0;;;',
+        '2023-01-15 18:30:00;"Push";1h;"Mystery Move";1;20;8;0;0;;;',
+      ].join('\n');
+
+      const preview = await request(app)
+        .post('/api/workouts/import')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ csv, dryRun: true });
+
+      expect(preview.status).toBe(200);
+      expect(preview.body.data.source).toBe('strong');
+      expect(preview.body.data.matched[0].exerciseId).toBe('bench_press');
+      expect(preview.body.data.unmatched.map((entry) => entry.name)).toEqual(['Mystery Move']);
+      expect(await prisma.workout.count({ where: { userId: testUser.id } })).toBe(0);
+
+      const response = await request(app)
+        .post('/api/workouts/import')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ csv });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.created).toBe(2);
+
+      const workouts = await prisma.workout.findMany({ where: { userId: testUser.id } });
+      expect(workouts).toHaveLength(2);
+      expect(workouts.every((workout) => workout.imported && workout.strengthRatio === 0)).toBe(true);
+
+      const user = await prisma.user.findUnique({ where: { id: testUser.id } });
+      expect(user.strengthRatio).toBe(0);
+
+      // Importing the same file again adds nothing
+      const repeat = await request(app)
+        .post('/api/workouts/import')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ csv });
+
+      expect(repeat.body.data.created).toBe(0);
+      expect(repeat.body.data.duplicateSets).toBe(2);
+    });
   });
 
   // ==========================================
-  // LEADERBOARD TESTS
+  // WORKOUT BUILDER SYNC TESTS
   // ==========================================
-  describe('Leaderboard', () => {
-    test('GET /api/leaderboard should return leaderboard', async () => {
-      const response = await request(app)
-        .get('/api/leaderboard')
+  describe('Workout Templates & Sessions', () => {
+    test('PUT /api/templates/:id should upsert and ignore stale copies', async () => {
+      const newer = new Date().toISOString();
+      const older = new Date(Date.now() - 60000).toISOString();
+
+      const createResponse = await request(app)
+        .put('/api/templates/tpl1abc')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({
+          name: 'Push Day',
+          exercises: [{ id: 'ex1', exerciseId: 'bench_press', defaultSets: 4 }],
+          updatedAt: newer,
+        });
+
+      expect(createResponse.status).toBe(200);
+      expect(createResponse.body.applied).toBe(true);
+      expect(createResponse.body.data.name).toBe('Push Day');
+
+      const staleResponse = await request(app)
+        .put('/api/templates/tpl1abc')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ name: 'Old Name', updatedAt: older });
+
+      expect(staleResponse.status).toBe(200);
+      expect(staleResponse.body.applied).toBe(false);
+      expect(staleResponse.body.data.name).toBe('Push Day');
+    });
+
+    test('DELETE /api/templates/:id should show up in incremental pulls', async () => {
+      await request(app)
+        .put('/api/templates/tpl2abc')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ name: 'Leg Day', updatedAt: new Date().toISOString() });
+
+      const listResponse = await request(app)
+        .get('/api/templates')
+        .set('Authorization', `Bearer ${testToken}`);
+      const { serverTime } = listResponse.body.data;
+
+      await request(app)
+        .delete('/api/templates/tpl2abc')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      const changesResponse = await request(app)
+        .get(`/api/templates?since=${encodeURIComponent(serverTime)}`)
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(changesResponse.status).toBe(200);
+      expect(changesResponse.body.data.templates).toHaveLength(1);
+      expect(changesResponse.body.data.templates[0].deletedAt).toBeTruthy();
+    });
+
+    test('PUT /api/sessions/:id should store exercises and sets', async () => {
+      const response = await request(app)
+        .put('/api/sessions/sess1abc')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({
+          name: 'Quick Workout',
+          status: 'complete',
+          startedAt: new Date(Date.now() - 3600000).toISOString(),
+          finishedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          exercises: [{
+            id: 'sx1abc',
+            exerciseId: 'squat',
+            sets: [
+              { id: 'set1abc', setNumber: 1, reps: '5', weight: '100', completed: true },
+              { id: 'set2abc', setNumber: 2, reps: '', weight: '', completed: false },
+            ],
+          }],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('complete');
+      expect(response.body.data.exercises[0].sets).toHaveLength(2);
+      expect(response.body.data.exercises[0].sets[0].weight).toBe(100);
+      expect(response.body.data.exercises[0].sets[1].reps).toBeNull();
+    });
+
+    test("PUT /api/sessions/:id should not overwrite another user's session", async () => {
+      await request(app)
+        .put('/api/sessions/sess2abc')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ name: 'Mine', updatedAt: new Date().toISOString() });
+
+      const response = await request(app)
+        .put('/api/sessions/sess2abc')
+        .set('Authorization', `Bearer ${testToken2}`)
+        .send({ name: 'Not mine', updatedAt: new Date().toISOString() });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // EXERCISE CATALOG TESTS
+  // ==========================================
+  describe('Exercise Catalog', () => {
+    test('POST /api/admin/exercises should add an exercise to the catalog', async () => {
+      const exercise = {
+        id: 'landmine_press',
+        name: 'Landmine Press',
+        category: 'shoulders',
+        muscleGroups: ['shoulders', 'triceps'],
+        equipment: ['barbell'],
+        trackingType: 'strength',
+        intensity: 1.0,
+      };
+
+      const forbidden = await request(app)
+        .post('/api/admin/exercises')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send(exercise);
+
+      expect(forbidden.status).toBe(403);
+
+      const response = await request(app)
+        .post('/api/admin/exercises')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(exercise);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.isActive).toBe(true);
+
+      const list = await request(app).get('/api/workouts/exercises/list');
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.map((e) => e.id)).toContain('landmine_press');
+    });
+
+    test('POST /api/admin/exercises should reject an unknown category', async () => {
+      const response = await request(app)
+        .post('/api/admin/exercises')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ id: 'mystery_lift', name: 'Mystery Lift', category: 'wrists' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ==========================================
+  // USER MODERATION TESTS
+  // ==========================================
+  describe('User Moderation', () => {
+    test('POST /api/admin/users/:id/ban should lock the user out until unbanned', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${testUser.id}/ban`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam', durationDays: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.ban.permanent).toBe(false);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(me.status).toBe(403);
+      expect(me.body.error).toContain('Spam');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'testuser1@test.com', password: 'password123' });
+
+      expect(login.status).toBe(403);
+
+      const unban = await request(app)
+        .post(`/api/admin/users/${testUser.id}/unban`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(unban.status).toBe(200);
+
+      const relogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'testuser1@test.com', password: 'password123' });
+
+      expect(relogin.status).toBe(200);
+
+      const audit = await prisma.adminAction.findMany({
+        where: { targetId: testUser.id },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      expect(audit.map((a) => a.action)).toEqual(['user_banned', 'user_unbanned']);
+    });
+  });
+
+  // ==========================================
+  // LEADERBOARD TESTS
+  // ==========================================
+  describe('Video Storage', () => {
+    let storageDir;
+    let clipBytes;
+    const downloadBuffer = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeAll(() => {
+      // Six seconds of test pattern with sound, in a container the pipeline has to convert
+      const clipPath = path.join(os.tmpdir(), `unyield-clip-${process.pid}.mov`);
+      execFileSync(ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-f', 'lavfi', '-i', 'testsrc=duration=6:size=320x240:rate=15',
+        '-f', 'lavfi', '-i', 'sine=duration=6',
+        '-shortest', '-c:v', 'mpeg4', '-pix_fmt', 'yuv420p', clipPath,
+      ]);
+      clipBytes = fs.readFileSync(clipPath);
+      fs.rmSync(clipPath, { force: true });
+    });
+
+    beforeEach(() => {
+      storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unyield-storage-'));
+      setStorageDriver(createLocalDriver({ directory: storageDir, baseUrl: 'http://localhost' }));
+    });
+
+    afterEach(() => {
+      setStorageDriver(null);
+      setFaceDetector(null);
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    test('uploaded videos should be stored by key and served through signed URLs', async () => {
+      const upload = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', clipBytes, { filename: 'squat.mov', contentType: 'video/quicktime' });
+
+      expect(upload.status).toBe(201);
+      expect(upload.body.data.objectName).toMatch(/^videos\/.+-squat\.mp4$/);
+      await runPendingJobs();
+
+      const submit = await request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Squat', reps: 5, weight: 100, videoUrl: upload.body.data.videoUrl });
+
+      expect(submit.status).toBe(201);
+
+      const stored = await prisma.videoSubmission.findUnique({ where: { id: submit.body.data.id } });
+      expect(stored.videoUrl).toBe(upload.body.data.objectName);
+
+      const list = await request(app)
+        .get('/api/videos')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      const signedUrl = new URL(list.body.data[0].videoUrl);
+      expect(signedUrl.searchParams.get('signature')).toBeTruthy();
+
+      const file = await request(app)
+        .get(`${signedUrl.pathname}${signedUrl.search}`)
+        .buffer(true)
+        .parse(downloadBuffer);
+      expect(file.status).toBe(200);
+      expect(Buffer.from(file.body).equals(fs.readFileSync(path.join(storageDir, stored.videoUrl)))).toBe(true);
+
+      signedUrl.searchParams.set('expires', String(Number(signedUrl.searchParams.get('expires')) + 60));
+      const tampered = await request(app).get(`${signedUrl.pathname}${signedUrl.search}`);
+      expect(tampered.status).toBe(403);
+
+      const remove = await request(app)
+        .delete(`/api/videos/${stored.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(remove.status).toBe(200);
+      expect(fs.existsSync(path.join(storageDir, stored.videoUrl))).toBe(false);
+      expect(fs.existsSync(path.join(storageDir, stored.thumbnailUrl))).toBe(false);
+    });
+
+    test('submissions should only use and delete videos the caller uploaded', async () => {
+      const upload = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', clipBytes, { filename: 'squat.mov', contentType: 'video/quicktime' });
+      const { objectName } = upload.body.data;
+
+      const stolen = await request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${testToken2}`)
+        .send({ exercise: 'Squat', reps: 5, weight: 100, objectName });
+      expect(stolen.status).toBe(400);
+
+      const first = await request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Squat', reps: 5, weight: 100, objectName });
+      const second = await request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Squat', reps: 5, weight: 100, objectName });
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(201);
+
+      // Another submission still uses the video
+      await request(app)
+        .delete(`/api/videos/${first.body.data.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(fs.existsSync(path.join(storageDir, objectName))).toBe(true);
+
+      await request(app)
+        .delete(`/api/videos/${second.body.data.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(fs.existsSync(path.join(storageDir, objectName))).toBe(false);
+    });
+
+    test('uploads should be transcoded to H.264 with a poster and preview', async () => {
+      const upload = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', clipBytes, { filename: 'bench.mov', contentType: 'video/quicktime' });
+
+      expect(upload.status).toBe(201);
+      expect(upload.body.data.durationSeconds).toBeCloseTo(6, 0);
+      expect(upload.body.data.status).toBe('processing');
+
+      // Submitted before the transcode job has run
+      const submit = await request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Bench Press', reps: 5, weight: 80, objectName: upload.body.data.objectName });
+      expect(submit.status).toBe(201);
+
+      expect(await runPendingJobs()).toBe(1);
+
+      const probe = spawnSync(ffmpegPath, ['-hide_banner', '-i', path.join(storageDir, upload.body.data.objectName)]);
+      expect(String(probe.stderr)).toMatch(/Video: h264/);
+
+      const asset = await prisma.videoAsset.findUnique({ where: { objectName: upload.body.data.objectName } });
+      expect(asset.status).toBe('ready');
+
+      const stored = await prisma.videoSubmission.findUnique({ where: { id: submit.body.data.id } });
+      expect(stored.thumbnailUrl).toMatch(/-bench-poster\.jpg$/);
+      expect(stored.previewUrl).toMatch(/-bench-preview\.gif$/);
+      expect(fs.readFileSync(path.join(storageDir, stored.previewUrl)).subarray(0, 3).toString()).toBe('GIF');
+
+      const notVideo = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', Buffer.from('not really a video'), { filename: 'fake.mp4', contentType: 'video/mp4' });
+      expect(notVideo.status).toBe(422);
+    });
+
+    test('challenge entries should be rejected when the video is under the minimum duration', async () => {
+      const challenge = await prisma.challenge.create({
+        data: {
+          title: 'Plank Hold',
+          description: 'Hold it',
+          exercises: ['plank'],
+          target: 60,
+          startDate: new Date(Date.now() - 86400000),
+          endDate: new Date(Date.now() + 86400000),
+          minVideoDuration: 10,
+        },
+      });
+      await prisma.userChallenge.create({ data: { userId: testUser.id, challengeId: challenge.id } });
+
+      const upload = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', clipBytes, { filename: 'plank.mov', contentType: 'video/quicktime' });
+
+      const entry = {
+        exercise: 'plank',
+        reps: 1,
+        videoUrl: upload.body.data.videoUrl,
+        serverVideoId: upload.body.data.objectName,
+      };
+      const tooShort = await request(app)
+        .post(`/api/challenges/${challenge.id}/submit`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send(entry);
+
+      expect(tooShort.status).toBe(400);
+      expect(tooShort.body.error).toMatch(/at least 10 seconds/);
+
+      await prisma.challenge.update({ where: { id: challenge.id }, data: { minVideoDuration: 5 } });
+      const accepted = await request(app)
+        .post(`/api/challenges/${challenge.id}/submit`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send(entry);
+
+      expect(accepted.status).toBe(201);
+    });
+
+    test('face blur submissions should stay private until the blurred copy is published', async () => {
+      const detect = jest.fn().mockResolvedValue([{ x: 0.4, y: 0.2, width: 0.2, height: 0.25, score: 0.9 }]);
+      setFaceDetector({ detect });
+
+      const upload = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', clipBytes, { filename: 'deadlift.mov', contentType: 'video/quicktime' });
+      const { objectName } = upload.body.data;
+
+      const submit = await request(app)
+        .post('/api/videos')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ exercise: 'Deadlift', reps: 3, weight: 140, objectName, blurFaces: true });
+
+      expect(submit.status).toBe(201);
+      let stored = await prisma.videoSubmission.findUnique({ where: { id: submit.body.data.id } });
+      expect(stored).toMatchObject({ videoUrl: null, originalVideoUrl: objectName, privacyStatus: 'pending' });
+
+      const beforeBlur = await request(app)
+        .get(`/api/videos/${stored.id}`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(beforeBlur.body.data).toMatchObject({ videoUrl: null, originalVideoUrl: null });
+
+      // The transcode, then the blur
+      expect(await runPendingJobs()).toBe(2);
+      expect(detect).toHaveBeenCalled();
+
+      stored = await prisma.videoSubmission.findUnique({ where: { id: stored.id } });
+      expect(stored.privacyStatus).toBe('blurred');
+      expect(stored.videoUrl).toMatch(/-deadlift-blurred\.mp4$/);
+      expect(stored.thumbnailUrl).toMatch(/-deadlift-blurred-poster\.jpg$/);
+      expect(stored.previewUrl).toMatch(/-deadlift-blurred-preview\.gif$/);
+      const probe = spawnSync(ffmpegPath, ['-hide_banner', '-i', path.join(storageDir, stored.videoUrl)]);
+      expect(String(probe.stderr)).toMatch(/Video: h264/);
+
+      const afterBlur = await request(app)
+        .get(`/api/videos/${stored.id}`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(new URL(afterBlur.body.data.videoUrl).pathname).toContain('-deadlift-blurred.mp4');
+      expect(afterBlur.body.data.originalVideoUrl).toBeNull();
+
+      // Deleting the submission takes the original and the blurred copy with it
+      await request(app)
+        .delete(`/api/videos/${stored.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(fs.readdirSync(path.join(storageDir, 'videos'))).toEqual([]);
+    });
+
+    test('failed face blurs should leave the entry privacy pending', async () => {
+      setFaceDetector({ detect: jest.fn().mockRejectedValue(new Error('detector unavailable')) });
+      const challenge = await prisma.challenge.create({
+        data: {
+          title: 'Farmer Carry',
+          description: 'Carry it',
+          exercises: ['farmer_carry'],
+          target: 100,
+          startDate: new Date(Date.now() - 86400000),
+          endDate: new Date(Date.now() + 86400000),
+        },
+      });
+      await prisma.userChallenge.create({ data: { userId: testUser.id, challengeId: challenge.id } });
+
+      const upload = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${testToken}`)
+        .attach('video', clipBytes, { filename: 'carry.mov', contentType: 'video/quicktime' });
+
+      const entry = await request(app)
+        .post(`/api/challenges/${challenge.id}/submit`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({
+          exercise: 'farmer_carry',
+          reps: 1,
+          videoUrl: upload.body.data.videoUrl,
+          serverVideoId: upload.body.data.objectName,
+          blurFaces: true,
+        });
+      expect(entry.status).toBe(201);
+
+      // Run every attempt without waiting out the backoff
+      await runPendingJobs();
+      for (let attempt = 1; attempt < 3; attempt += 1) {
+        await prisma.job.updateMany({ where: { status: 'pending' }, data: { runAt: new Date() } });
+        await runPendingJobs();
+      }
+
+      const blurJob = await prisma.job.findFirst({ where: { type: 'video.blur' } });
+      expect(blurJob.status).toBe('dead');
+
+      const stored = await prisma.challengeSubmission.findFirst({ where: { challengeId: challenge.id } });
+      expect(stored).toMatchObject({
+        videoUrl: null,
+        thumbnailUrl: null,
+        previewUrl: null,
+        privacyStatus: 'pending',
+        privacyError: 'detector unavailable',
+      });
+
+      const mine = await request(app)
+        .get(`/api/challenges/${challenge.id}/my-submissions`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(mine.body.data[0].videoUrl).toBeNull();
+    });
+
+    test('resumable uploads should verify chunks and resume from the acknowledged offset', async () => {
+      const videoBytes = clipBytes;
+      const third = Math.ceil(videoBytes.length / 3);
+      const chunks = [
+        videoBytes.subarray(0, third),
+        videoBytes.subarray(third, 2 * third),
+        videoBytes.subarray(2 * third),
+      ];
+      const digest = (buffer) => crypto.createHash('sha256').update(buffer).digest('base64');
+      const sendChunk = (uploadId, offset, chunk, checksum = digest(chunk)) => request(app)
+        .put(`/api/videos/uploads/${uploadId}`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .set('Content-Type', 'application/offset+octet-stream')
+        .set('Upload-Offset', String(offset))
+        .set('Upload-Checksum', `sha256 ${checksum}`)
+        .send(chunk);
+
+      const init = await request(app)
+        .post('/api/videos/uploads')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ fileName: 'deadlift.mov', contentType: 'video/quicktime', size: videoBytes.length, checksum: digest(videoBytes) });
+
+      expect(init.status).toBe(201);
+      expect(init.body.data.offset).toBe(0);
+      const { uploadId } = init.body.data;
+
+      const first = await sendChunk(uploadId, 0, chunks[0]);
+      expect(first.status).toBe(200);
+      expect(first.headers['upload-offset']).toBe(String(third));
+
+      const corrupted = await sendChunk(uploadId, third, chunks[1], digest(chunks[0]));
+      expect(corrupted.status).toBe(460);
+
+      // A chunk sent from a stale offset is refused with the offset to resume from
+      const stale = await sendChunk(uploadId, 0, chunks[0]);
+      expect(stale.status).toBe(409);
+      expect(stale.body.offset).toBe(third);
+
+      const early = await request(app)
+        .post(`/api/videos/uploads/${uploadId}/complete`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(early.status).toBe(409);
+
+      const status = await request(app)
+        .get(`/api/videos/uploads/${uploadId}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(status.body.data.offset).toBe(third);
+
+      expect((await sendChunk(uploadId, third, chunks[1])).status).toBe(200);
+      expect((await sendChunk(uploadId, 2 * third, chunks[2])).status).toBe(200);
+
+      const complete = await request(app)
+        .post(`/api/videos/uploads/${uploadId}/complete`)
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(complete.status).toBe(201);
+      expect(complete.body.data.objectName).toMatch(/^videos\/.+-deadlift\.mp4$/);
+      expect(fs.existsSync(path.join(storageDir, complete.body.data.objectName))).toBe(true);
+
+      // Retrying complete hands back the same object
+      const retry = await request(app)
+        .post(`/api/videos/uploads/${uploadId}/complete`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(retry.body.data.objectName).toBe(complete.body.data.objectName);
+    });
+  });
+
+  describe('Job Queue', () => {
+    test('failed jobs should retry with backoff and become dead after their last attempt', async () => {
+      let calls = 0;
+      registerJobHandler('test.flaky', async ({ failTimes }) => {
+        calls += 1;
+        if (calls <= failTimes) throw new Error(`failure ${calls}`);
+        return { calls };
+      }, { maxAttempts: 2 });
+
+      const recovers = await enqueueJob('test.flaky', { failTimes: 1 });
+      await runPendingJobs();
+
+      let job = await prisma.job.findUnique({ where: { id: recovers.id } });
+      expect(job.status).toBe('pending');
+      expect(job.attempts).toBe(1);
+      expect(job.lastError).toBe('failure 1');
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet, so nothing runs
+      expect(await runPendingJobs()).toBe(0);
+      await prisma.job.update({ where: { id: recovers.id }, data: { runAt: new Date() } });
+      await runPendingJobs();
+
+      job = await prisma.job.findUnique({ where: { id: recovers.id } });
+      expect(job.status).toBe('completed');
+      expect(job.result).toEqual({ calls: 2 });
+
+      calls = 0;
+      const fails = await enqueueJob('test.flaky', { failTimes: 5 });
+      await runPendingJobs();
+      await prisma.job.update({ where: { id: fails.id }, data: { runAt: new Date() } });
+      await runPendingJobs();
+
+      job = await prisma.job.findUnique({ where: { id: fails.id } });
+      expect(job.status).toBe('dead');
+      expect(job.attempts).toBe(2);
+      expect(job.lastError).toBe('failure 2');
+    });
+
+    test('jobs whose handler returns nothing should still complete', async () => {
+      registerJobHandler('test.noResult', async () => null);
+
+      const queued = await enqueueJob('test.noResult', {});
+      await runPendingJobs();
+
+      const job = await prisma.job.findUnique({ where: { id: queued.id } });
+      expect(job.status).toBe('completed');
+      expect(job.result).toBeNull();
+    });
+
+    test('admins should see job status and retry dead jobs', async () => {
+      const dead = await prisma.job.create({
+        data: { type: 'test.noop', payload: {}, status: 'dead', attempts: 5, lastError: 'boom', failedAt: new Date() },
+      });
+      await prisma.job.create({ data: { type: 'test.noop', payload: {} } });
+
+      const forbidden = await request(app)
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(forbidden.status).toBe(403);
+
+      const list = await request(app)
+        .get('/api/admin/jobs?status=dead')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.jobs.map((job) => job.id)).toEqual([dead.id]);
+      expect(list.body.data.counts.byStatus).toMatchObject({ pending: 1, dead: 1 });
+      expect(list.body.data.counts.byType['test.noop']).toMatchObject({ pending: 1, dead: 1 });
+
+      const retry = await request(app)
+        .post(`/api/admin/jobs/${dead.id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(retry.status).toBe(200);
+      expect(retry.body.data.status).toBe('pending');
+      expect(retry.body.data.attempts).toBe(0);
+
+      const again = await request(app)
+        .post(`/api/admin/jobs/${dead.id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    test('broadcasts should be queued and fanned out in batches', async () => {
+      const broadcast = await request(app)
+        .post('/api/admin/notifications/broadcast')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Gym closed', message: 'Closed on Monday' });
+
+      expect(broadcast.status).toBe(202);
+      expect(broadcast.body.data.recipientCount).toBe(3);
+      expect(await prisma.notification.count()).toBe(0);
+
+      // The fan-out job, then one batch job for all three users
+      expect(await runPendingJobs()).toBe(2);
+
+      const notifications = await prisma.notification.findMany();
+      expect(notifications).toHaveLength(3);
+      expect(notifications[0].data).toMatchObject({ recipientMode: 'broadcast', sentByAdminId: adminUser.id });
+    });
+  });
+
+  describe('Leaderboard', () => {
+    test('GET /api/leaderboard should return leaderboard', async () => {
+      const response = await request(app)
+        .get('/api/leaderboard')
         .set('Authorization', `Bearer ${testToken}`);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
     });
+
+    test('GET /api/leaderboard should give tied users the rank their snapshots hold', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      await prisma.user.updateMany({
+        where: { id: { in: [testUser.id, testUser2.id] } },
+        data: { weight: 80, weightClass: 'W75_84', strengthRatio: 1.5 },
+      });
+      await captureRankSnapshots(new Date(Date.now() - 7 * day));
+
+      const response = await request(app)
+        .get('/api/leaderboard')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.leaderboard.map((entry) => entry.rank)).toEqual([1, 1]);
+      expect(response.body.data.leaderboard.every((entry) => entry.change === 'same')).toBe(true);
+      expect(response.body.data.currentUser.rank).toBe(1);
+
+      const secondPage = await request(app)
+        .get('/api/leaderboard?offset=1');
+
+      expect(secondPage.body.data.leaderboard[0].rank).toBe(1);
+    });
+
+    test('GET /api/leaderboard/history/:userId should return rank movement', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+
+      await prisma.rankSnapshot.createMany({
+        data: [
+          { userId: testUser.id, scope: 'global', rank: 5, strengthRatio: 1.2, totalInScope: 10, takenAt: new Date(today.getTime() - 7 * day) },
+          { userId: testUser.id, scope: 'global', rank: 2, strengthRatio: 1.8, totalInScope: 10, takenAt: today },
+        ],
+      });
+
+      const response = await request(app)
+        .get(`/api/leaderboard/history/${testUser.id}`)
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.history).toHaveLength(2);
+      expect(response.body.data.currentRank).toBe(2);
+      expect(response.body.data.rankChange).toBe(3);
+      expect(response.body.data.change).toBe('up');
+
+      const invalid = await request(app)
+        .get(`/api/leaderboard/history/${testUser.id}?scope=planet`);
+
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Challenge Results', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    const createChallenge = (data) => prisma.challenge.create({
+      data: {
+        title: 'Results Challenge',
+        description: 'Finalisation test',
+        challengeType: 'custom',
+        customMetricName: 'Reps',
+        target: 100,
+        startDate: new Date(Date.now() - 7 * day),
+        endDate: new Date(Date.now() + day),
+        requiresVideo: false,
+        reward: 100,
+        ...data,
+      },
+    });
+
+    const approve = (challengeId, userId, value, submittedAt) => prisma.challengeSubmission.create({
+      data: { challengeId, userId, value, submittedAt, status: 'approved' },
+    });
+
+    test('admins should finalise a challenge once, with ties broken by who got there first', async () => {
+      const challenge = await createChallenge({ winnerCriteria: 'highest_total' });
+      const joined = Date.now() - 6 * day;
+      for (const [userId, offset] of [[testUser.id, 1000], [testUser2.id, 0]]) {
+        await prisma.userChallenge.create({ data: { userId, challengeId: challenge.id, createdAt: new Date(joined + offset) } });
+      }
+      await prisma.user.updateMany({
+        where: { id: { in: [testUser.id, testUser2.id] } },
+        data: { notificationsEnabled: true },
+      });
+
+      // Both total 60; testUser reached it first despite joining later
+      await approve(challenge.id, testUser.id, 60, new Date(Date.now() - 3 * day));
+      await approve(challenge.id, testUser2.id, 20, new Date(Date.now() - 4 * day));
+      await approve(challenge.id, testUser2.id, 40, new Date(Date.now() - 2 * day));
+      const pending = await prisma.challengeSubmission.create({
+        data: { challengeId: challenge.id, userId: testUser2.id, value: 50 },
+      });
+
+      const blocked = await request(app)
+        .post(`/api/admin/challenges/${challenge.id}/finalize`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(blocked.status).toBe(409);
+
+      const response = await request(app)
+        .post(`/api/admin/challenges/${challenge.id}/finalize`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ force: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.winnerId).toBe(testUser.id);
+      expect(response.body.data.placements.map((p) => [p.userId, p.rank, p.score, p.points])).toEqual([
+        [testUser.id, 1, 60, 100],
+        [testUser2.id, 2, 60, 50],
+      ]);
+
+      const winner = await prisma.user.findUnique({ where: { id: testUser.id } });
+      expect(winner.totalPoints).toBe(100);
+      expect(winner.accolades).toContain('challenge_master');
+      expect(await prisma.notification.count({ where: { type: 'challenge_complete' } })).toBe(2);
+
+      // Running it again changes nothing
+      const again = await request(app)
+        .post(`/api/admin/challenges/${challenge.id}/finalize`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(again.status).toBe(200);
+      expect(again.body.data.winnerId).toBe(testUser.id);
+      expect((await prisma.user.findUnique({ where: { id: testUser.id } })).totalPoints).toBe(100);
+      expect((await prisma.user.findUnique({ where: { id: testUser2.id } })).totalPoints).toBe(50);
+      expect(await prisma.notification.count({ where: { type: 'challenge_complete' } })).toBe(2);
+
+      // Standings are frozen
+      const verify = await request(app)
+        .post(`/api/admin/challenges/submissions/${pending.id}/verify`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'approve' });
+      expect(verify.status).toBe(409);
+
+      const leaderboard = await request(app).get(`/api/challenges/${challenge.id}/leaderboard`);
+      expect(leaderboard.body.data.final).toBe(true);
+      expect(leaderboard.body.data.leaderboard[0]).toMatchObject({ userId: testUser.id, rank: 1, winner: true });
+
+      // The winner's badge doesn't open the challenge admin
+      const adminList = await request(app)
+        .get('/api/admin/challenges')
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(adminList.status).toBe(403);
+    });
+
+    test('ended challenges should be finalised by submission time, not moderation order', async () => {
+      const challenge = await createChallenge({
+        winnerCriteria: 'first_to_complete',
+        endDate: new Date(Date.now() - 60 * 1000),
+      });
+      const notEnded = await createChallenge({ winnerCriteria: 'first_to_complete' });
+      const longEnded = await createChallenge({
+        winnerCriteria: 'first_to_complete',
+        startDate: new Date(Date.now() - 90 * day),
+        endDate: new Date(Date.now() - 60 * day),
+      });
+
+      // testUser2 was approved first, but testUser submitted first
+      await prisma.userChallenge.create({
+        data: { userId: testUser.id, challengeId: challenge.id, progress: 100, completed: true, completedAt: new Date(Date.now() - day) },
+      });
+      await prisma.userChallenge.create({
+        data: { userId: testUser2.id, challengeId: challenge.id, progress: 100, completed: true, completedAt: new Date(Date.now() - 2 * day) },
+      });
+      await approve(challenge.id, testUser.id, 100, new Date(Date.now() - 4 * day));
+      await approve(challenge.id, testUser2.id, 100, new Date(Date.now() - 3 * day));
+
+      expect(await finalizeEndedChallenges()).toBe(1);
+      expect(await finalizeEndedChallenges()).toBe(0);
+
+      const result = await prisma.challengeResult.findUnique({ where: { challengeId: challenge.id } });
+      expect(result.winnerId).toBe(testUser.id);
+      expect(result.finalizedById).toBeNull();
+      expect(result.placements.map((p) => p.userId)).toEqual([testUser.id, testUser2.id]);
+
+      const closed = await prisma.challenge.findUnique({ where: { id: challenge.id } });
+      expect(closed.isActive).toBe(false);
+      expect(closed.finalizedAt).not.toBeNull();
+      expect((await prisma.challenge.findUnique({ where: { id: notEnded.id } })).finalizedAt).toBeNull();
+      // Ended before the finaliser's window, so left for an admin to close
+      expect((await prisma.challenge.findUnique({ where: { id: longEnded.id } })).finalizedAt).toBeNull();
+    });
+  });
+
+  describe('Challenge Waitlist', () => {
+    test('full challenges should waitlist joiners in order and promote them when a place opens', async () => {
+      const challenge = await prisma.challenge.create({
+        data: {
+          title: 'Capped Challenge',
+          description: 'Waitlist test',
+          challengeType: 'custom',
+          customMetricName: 'Reps',
+          target: 100,
+          startDate: new Date(),
+          endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+          requiresVideo: false,
+          maxParticipants: 1,
+        },
+      });
+      await prisma.user.updateMany({ data: { notificationsEnabled: true } });
+
+      // Simultaneous joins for the last place: only one gets it
+      const [first, second] = await Promise.all([
+        request(app).post(`/api/challenges/${challenge.id}/join`).set('Authorization', `Bearer ${testToken}`),
+        request(app).post(`/api/challenges/${challenge.id}/join`).set('Authorization', `Bearer ${testToken2}`),
+      ]);
+      expect([first.status, second.status].sort()).toEqual([201, 202]);
+      expect(await prisma.userChallenge.count({ where: { challengeId: challenge.id } })).toBe(1);
+
+      const [joined, waiting] = first.status === 201 ? [testUser, testUser2] : [testUser2, testUser];
+      const joinedToken = joined.id === testUser.id ? testToken : testToken2;
+
+      const third = await request(app)
+        .post(`/api/challenges/${challenge.id}/join`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(third.status).toBe(202);
+      expect(third.body.data.waitlistPosition).toBe(2);
+
+      const participants = await request(app)
+        .get(`/api/admin/challenges/${challenge.id}/participants`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(participants.body.data.map((p) => [p.userId, p.status, p.waitlistPosition])).toEqual([
+        [joined.id, 'joined', null],
+        [waiting.id, 'waitlisted', 1],
+        [adminUser.id, 'waitlisted', 2],
+      ]);
+      expect(participants.body.waitlistCount).toBe(2);
+
+      const leave = await request(app)
+        .post(`/api/challenges/${challenge.id}/leave`)
+        .set('Authorization', `Bearer ${joinedToken}`);
+      expect(leave.status).toBe(200);
+
+      const promoted = await prisma.userChallenge.findMany({ where: { challengeId: challenge.id } });
+      expect(promoted.map((p) => p.userId)).toEqual([waiting.id]);
+      const notification = await prisma.notification.findFirst({ where: { userId: waiting.id } });
+      expect(notification.type).toBe('challenge_joined');
+
+      const detail = await request(app)
+        .get(`/api/challenges/${challenge.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(detail.body.data.waitlisted).toBe(true);
+      expect(detail.body.data.waitlistPosition).toBe(1);
+
+      // Raising the cap lets the rest in
+      await request(app)
+        .patch(`/api/admin/challenges/${challenge.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ maxParticipants: 5 });
+      expect(await prisma.userChallenge.count({ where: { challengeId: challenge.id } })).toBe(2);
+      expect(await prisma.challengeWaitlistEntry.count()).toBe(0);
+    });
+
+    test('team challenge waitlists should pass over users who left their team', async () => {
+      for (const [token, name] of [[testToken, 'Iron Crew'], [testToken2, 'Solo Squad'], [adminToken, 'Night Shift']]) {
+        await request(app).post('/api/teams').set('Authorization', `Bearer ${token}`).send({ name });
+      }
+      const challenge = await prisma.challenge.create({
+        data: {
+          title: 'Capped Squad Challenge',
+          description: 'Team waitlist test',
+          challengeType: 'custom',
+          customMetricName: 'Reps',
+          target: 100,
+          startDate: new Date(),
+          endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+          requiresVideo: false,
+          teamMode: true,
+          maxParticipants: 1,
+        },
+      });
+
+      for (const token of [testToken, testToken2, adminToken]) {
+        await request(app).post(`/api/challenges/${challenge.id}/join`).set('Authorization', `Bearer ${token}`);
+      }
+      expect(await prisma.challengeWaitlistEntry.count({ where: { challengeId: challenge.id } })).toBe(2);
+
+      // Leaving the team gives up the waitlist spot
+      const left = await request(app).post('/api/teams/leave').set('Authorization', `Bearer ${testToken2}`);
+      expect(left.status).toBe(200);
+      expect(await prisma.challengeWaitlistEntry.count({ where: { userId: testUser2.id } })).toBe(0);
+
+      // An entry left behind by a teamless user is skipped, not promoted
+      await prisma.teamMember.deleteMany({ where: { userId: adminUser.id } });
+      await request(app).post(`/api/challenges/${challenge.id}/leave`).set('Authorization', `Bearer ${testToken}`);
+      expect(await prisma.userChallenge.count({ where: { challengeId: challenge.id } })).toBe(0);
+      expect(await prisma.challengeWaitlistEntry.count({ where: { challengeId: challenge.id } })).toBe(0);
+    });
+  });
+
+  describe('Teams', () => {
+    test('team challenges should roll approved submissions up to the team leaderboard', async () => {
+      const created = await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ name: 'Iron Crew' });
+      expect(created.status).toBe(201);
+      const ironCrew = created.body.data;
+
+      const taken = await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Iron Crew' });
+      expect(taken.status).toBe(409);
+
+      const invite = await request(app)
+        .post(`/api/teams/${ironCrew.id}/invites`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ username: 'testuser2' });
+      expect(invite.status).toBe(201);
+
+      const me = await request(app)
+        .get('/api/teams/me')
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(me.body.data.team).toBeNull();
+      expect(me.body.data.invites.map((i) => i.team.name)).toEqual(['Iron Crew']);
+
+      const accepted = await request(app)
+        .post(`/api/teams/invites/${invite.body.data.id}/accept`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(accepted.status).toBe(200);
+      expect(accepted.body.data.members.map((m) => [m.userId, m.role])).toEqual([
+        [testUser.id, 'captain'],
+        [testUser2.id, 'member'],
+      ]);
+
+      const challenge = await prisma.challenge.create({
+        data: {
+          title: 'Squad Challenge',
+          description: 'Team test',
+          challengeType: 'custom',
+          customMetricName: 'Reps',
+          target: 100,
+          startDate: new Date(),
+          endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+          requiresVideo: false,
+          teamMode: true,
+        },
+      });
+
+      // No team, no entry
+      const teamless = await request(app)
+        .post(`/api/challenges/${challenge.id}/join`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(teamless.status).toBe(400);
+
+      await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Solo Squad' });
+
+      for (const token of [testToken, testToken2, adminToken]) {
+        const join = await request(app)
+          .post(`/api/challenges/${challenge.id}/join`)
+          .set('Authorization', `Bearer ${token}`);
+        expect(join.status).toBe(201);
+      }
+
+      const approve = (userId, value, minutesAgo) => prisma.challengeSubmission.create({
+        data: { challengeId: challenge.id, userId, value, status: 'approved', submittedAt: new Date(Date.now() - minutesAgo * 60000) },
+      });
+      await approve(testUser.id, 30, 30);
+      await approve(testUser2.id, 25, 20);
+      await approve(adminUser.id, 50, 10);
+      await prisma.challengeSubmission.create({
+        data: { challengeId: challenge.id, userId: adminUser.id, value: 40 },
+      });
+
+      const response = await request(app)
+        .get(`/api/challenges/${challenge.id}/leaderboard?scope=team`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(response.status).toBe(200);
+      expect(response.body.data.myTeamId).toBe(ironCrew.id);
+      expect(response.body.data.leaderboard.map((t) => [t.rank, t.name, t.score, t.memberCount])).toEqual([
+        [1, 'Iron Crew', 55, 2],
+        [2, 'Solo Squad', 50, 1],
+      ]);
+
+      // Only team challenges have a team leaderboard
+      const solo = await prisma.challenge.update({ where: { id: challenge.id }, data: { teamMode: false } });
+      const notTeam = await request(app).get(`/api/challenges/${solo.id}/leaderboard?scope=team`);
+      expect(notTeam.status).toBe(400);
+    });
+  });
+
+  describe('Duels', () => {
+    test('a settled duel should update both duel records and Elo ratings', async () => {
+      const deadline = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+
+      const self = await request(app)
+        .post('/api/duels')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ opponentUsername: 'testuser1', exercise: 'bench_press', metricType: 'weight', deadline });
+      expect(self.status).toBe(400);
+
+      const created = await request(app)
+        .post('/api/duels')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ opponentUsername: 'testuser2', exercise: 'bench_press', metricType: 'weight', deadline, requiresVideo: false });
+      expect(created.status).toBe(201);
+      expect(created.body.data.status).toBe('pending');
+
+      // One open duel per pair, whichever way round
+      const twice = await request(app)
+        .post('/api/duels')
+        .set('Authorization', `Bearer ${testToken2}`)
+        .send({ opponentId: testUser.id, exercise: 'bench_press', metricType: 'weight', deadline });
+      expect(twice.status).toBe(409);
+
+      // Only the opponent can answer
+      const notMine = await request(app)
+        .post(`/api/duels/${created.body.data.id}/accept`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(notMine.status).toBe(404);
+
+      const accepted = await request(app)
+        .post(`/api/duels/${created.body.data.id}/accept`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(accepted.status).toBe(200);
+      expect(accepted.body.data.status).toBe('active');
+      const challengeId = accepted.body.data.challenge.id;
+
+      // The duel's challenge is private to the two of them
+      const list = await request(app).get('/api/challenges');
+      expect(list.body.data.map((c) => c.id)).not.toContain(challengeId);
+      const gatecrash = await request(app)
+        .post(`/api/challenges/${challengeId}/join`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(gatecrash.status).toBe(403);
+      for (const route of ['', '/leaderboard', '/top-submissions']) {
+        const outsider = await request(app)
+          .get(`/api/challenges/${challengeId}${route}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        expect(outsider.status).toBe(404);
+        const anonymous = await request(app).get(`/api/challenges/${challengeId}${route}`);
+        expect(anonymous.status).toBe(404);
+      }
+      const duelist = await request(app)
+        .get(`/api/challenges/${challengeId}`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(duelist.status).toBe(200);
+
+      await prisma.challengeSubmission.createMany({
+        data: [
+          { challengeId, userId: testUser.id, value: 100, status: 'approved' },
+          { challengeId, userId: testUser.id, value: 120, status: 'rejected' },
+          { challengeId, userId: testUser2.id, value: 90, status: 'approved' },
+        ],
+      });
+      await prisma.duel.update({ where: { id: created.body.data.id }, data: { deadline: new Date(Date.now() - 60000) } });
+
+      const { settleDueDuels } = require('../services/duelService');
+      expect(await settleDueDuels()).toEqual({ expired: 0, settled: 1 });
+
+      const duel = await request(app)
+        .get(`/api/duels/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${testToken2}`);
+      expect(duel.body.data).toMatchObject({
+        status: 'completed',
+        winnerId: testUser.id,
+        challengerScore: 100,
+        opponentScore: 90,
+        challengerRatingChange: 16,
+        opponentRatingChange: -16,
+      });
+
+      const winner = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(winner.body.data.duelRecord).toEqual({ rating: 1216, wins: 1, losses: 0, draws: 0 });
+
+      const loser = await request(app).get(`/api/users/${testUser2.id}`);
+      expect(loser.body.data.duelRecord).toEqual({ rating: 1184, wins: 0, losses: 1, draws: 0 });
+
+      const history = await request(app)
+        .get('/api/duels?status=history')
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(history.body.data.map((d) => d.id)).toEqual([created.body.data.id]);
+    });
+  });
+
+  describe('Challenge Templates', () => {
+    test('a weekly template should create each instance of its series on schedule', async () => {
+      const { runDueTemplates } = require('../services/challengeTemplateService');
+      const startsAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      const template = {
+        title: 'Push-up Monday',
+        description: 'Most push-ups in a day',
+        exercises: ['pushups'],
+        target: 100,
+        requiresVideo: false,
+        durationHours: 24,
+        startsAt: startsAt.toISOString(),
+      };
+
+      const forbidden = await request(app)
+        .post('/api/admin/challenge-templates')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ ...template, rrule: 'FREQ=WEEKLY' });
+      expect(forbidden.status).toBe(403);
+
+      const badRule = await request(app)
+        .post('/api/admin/challenge-templates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...template, rrule: 'FREQ=DAILY' });
+      expect(badRule.status).toBe(400);
+
+      const tooLong = await request(app)
+        .post('/api/admin/challenge-templates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...template, rrule: 'FREQ=WEEKLY', durationHours: 200 });
+      expect(tooLong.status).toBe(400);
+
+      // Starts within the day, so the first instance is created straight away
+      const created = await request(app)
+        .post('/api/admin/challenge-templates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...template, rrule: 'rrule:freq=weekly' });
+      expect(created.status).toBe(201);
+      expect(created.body.data.rrule).toBe('FREQ=WEEKLY;INTERVAL=1');
+      expect(created.body.data.instanceCount).toBe(1);
+      expect(new Date(created.body.data.nextStartAt).getTime()).toBe(startsAt.getTime() + 7 * 24 * 60 * 60 * 1000);
+      const templateId = created.body.data.id;
+
+      const first = await prisma.challenge.findFirst({ where: { templateId } });
+      expect(first.seriesIndex).toBe(1);
+      expect(first.startDate.getTime()).toBe(startsAt.getTime());
+      expect(first.endDate.getTime() - first.startDate.getTime()).toBe(24 * 60 * 60 * 1000);
+
+      const join = await request(app)
+        .post(`/api/challenges/${first.id}/join`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(join.status).toBe(201);
+
+      // Not due yet, then due a day before the next start
+      expect(await runDueTemplates()).toBe(0);
+      expect(await runDueTemplates(new Date(startsAt.getTime() + 6 * 24 * 60 * 60 * 1000 + 60000))).toBe(1);
+      expect(await runDueTemplates(new Date(startsAt.getTime() + 6 * 24 * 60 * 60 * 1000 + 60000))).toBe(0);
+
+      const series = await request(app)
+        .get(`/api/challenges/series/${templateId}`)
+        .set('Authorization', `Bearer ${testToken}`);
+      expect(series.status).toBe(200);
+      expect(series.body.data.series.recurrence).toMatch(/^Every /);
+      expect(series.body.data.instances.map((c) => [c.seriesIndex, c.joined])).toEqual([[2, false], [1, true]]);
+      expect(series.body.data.history.map((h) => h.seriesIndex)).toEqual([1]);
+      expect(series.body.data.summary).toMatchObject({ entered: 1, completed: 0, wins: 0 });
+
+      const detail = await request(app).get(`/api/challenges/${first.id}`);
+      expect(detail.body.data).toMatchObject({ templateId, seriesIndex: 1 });
+
+      // Paused templates are skipped
+      const paused = await request(app)
+        .patch(`/api/admin/challenge-templates/${templateId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false });
+      expect(paused.status).toBe(200);
+      expect(await runDueTemplates(new Date(startsAt.getTime() + 13 * 24 * 60 * 60 * 1000 + 60000))).toBe(0);
+
+      const manual = await request(app)
+        .post(`/api/admin/challenge-templates/${templateId}/instantiate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+      expect(manual.status).toBe(201);
+      expect(manual.body.data.seriesIndex).toBe(3);
+    });
   });
 });
@@ -0,0 +1,35 @@
+/**
+ * Job Worker
+ * Runs queued background jobs (transcodes, face blurs, notification fan-out)
+ * outside the API process. Run as many as the load needs; they share the
+ * queue through Postgres.
+ *
+ * Run: npm run worker
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('./config/database');
+const { registerJobHandlers } = require('./services/jobHandlers');
+const { startWorker } = require('./services/jobQueue');
+
+const main = async () => {
+  await connectDB();
+  registerJobHandlers();
+  const worker = startWorker();
+
+  const shutdown = async (signal) => {
+    console.log(`\n${signal} received. Finishing current jobs...`);
+    await worker.stop();
+    await disconnectDB();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+main().catch((error) => {
+  console.error('Worker failed to start:', error);
+  process.exit(1);
+});